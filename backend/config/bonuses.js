@@ -0,0 +1,38 @@
+// Bonus Configuration for GenesisBet Platform
+
+module.exports = {
+  // Bonus types credited as a percentage of a qualifying deposit,
+  // in the order they are tried when a deposit completes
+  depositBonusTypes: ['welcome', 'deposit', 'reload'],
+
+  // Order in which bets draw on the cash and bonus balances
+  spendOrder: process.env.BONUS_SPEND_ORDER === 'bonus_first'
+    ? ['bonus', 'cash']
+    : ['cash', 'bonus'],
+
+  // A deposit bonus can be claimed manually for this long after the deposit
+  depositClaimWindow: 24 * 60 * 60 * 1000, // 24 hours
+
+  // Share of each bet that counts towards wagering, by game category
+  categoryWeights: {
+    slots: 1,
+    provably_fair: 1,
+    sportsbook: 0.5,
+    live_casino: 0.1,
+    table_games: 0.1
+  },
+
+  // Low house edge games override their category weight
+  gameTypeWeights: {
+    blackjack: 0.1,
+    roulette: 0.2
+  },
+
+  // Category of rounds reported by third-party providers
+  providerCategories: {
+    'Pragmatic Play': 'slots',
+    'NetEnt': 'slots',
+    'Evolution Gaming': 'live_casino',
+    'Mock Provider': 'slots'
+  }
+};
@@ -0,0 +1,243 @@
+// Currency Registry for GenesisBet Platform
+//
+// Every currency is registered here once. Model enums, wallet balance fields,
+// processor support and route validation are all derived from this list, so
+// adding a currency is a single registerCurrency call.
+
+const CURRENCY_TYPES = ['crypto', 'fiat'];
+
+const registry = new Map();
+
+/**
+ * Register a currency
+ * @param {string} code - Currency code (e.g. 'BTC')
+ * @param {Object} definition - Currency definition
+ * @param {string} definition.name - Display name
+ * @param {string} definition.type - 'crypto' or 'fiat'
+ * @param {number} definition.decimals - Display precision
+ * @param {Object} definition.limits - Deposit and withdrawal limits
+ * @returns {Object} Registered currency
+ */
+function registerCurrency(code, definition) {
+  if (!/^[A-Z0-9]{2,10}$/.test(code)) {
+    throw new Error(`Invalid currency code ${code}`);
+  }
+
+  if (registry.has(code)) {
+    throw new Error(`Currency ${code} is already registered`);
+  }
+
+  if (!CURRENCY_TYPES.includes(definition.type)) {
+    throw new Error(`Currency ${code} must be of type ${CURRENCY_TYPES.join(' or ')}`);
+  }
+
+  if (definition.type === 'crypto' && !definition.network) {
+    throw new Error(`Crypto currency ${code} needs a network`);
+  }
+
+  const currency = Object.freeze({
+    code,
+    decimals: 2,
+    limits: {},
+    ...definition
+  });
+
+  registry.set(code, currency);
+  return currency;
+}
+
+/**
+ * Get a registered currency
+ * @param {string} code - Currency code
+ * @returns {Object|null} Currency definition
+ */
+function getCurrency(code) {
+  return registry.get(code) || null;
+}
+
+/**
+ * List registered currency codes
+ * @param {string} type - Only return 'crypto' or 'fiat' currencies (optional)
+ * @returns {Array} Currency codes in registration order
+ */
+function getCurrencyCodes(type = null) {
+  return [...registry.values()]
+    .filter(currency => !type || currency.type === type)
+    .map(currency => currency.code);
+}
+
+/**
+ * Check whether a currency is registered
+ * @param {string} code - Currency code
+ * @param {string} type - Required type (optional)
+ * @returns {boolean} True if supported
+ */
+function isSupportedCurrency(code, type = null) {
+  const currency = getCurrency(code);
+  return !!currency && (!type || currency.type === type);
+}
+
+/**
+ * Get a currency limit
+ * @param {string} code - Currency code
+ * @param {string} limit - Limit name (e.g. 'minWithdrawal')
+ * @param {number} fallback - Value when the currency has no such limit
+ * @returns {number} Limit
+ */
+function getCurrencyLimit(code, limit, fallback) {
+  const currency = getCurrency(code);
+  const value = currency ? currency.limits[limit] : undefined;
+  return value !== undefined ? value : fallback;
+}
+
+// Cryptocurrencies
+registerCurrency('BTC', {
+  name: 'Bitcoin',
+  type: 'crypto',
+  decimals: 8,
+  network: 'bitcoin',
+  confirmations: 3,
+  confirmationTime: '30-60 minutes',
+  addressPattern: /^(bc1|[13])[a-zA-HJ-NP-Z0-9]{25,62}$/,
+  networkFee: 0.0001,
+  serviceFeeRate: 0.001,
+  limits: { minWithdrawal: 0.001, maxWithdrawal: 10, dailyWithdrawal: 5 }
+});
+
+registerCurrency('ETH', {
+  name: 'Ethereum',
+  type: 'crypto',
+  decimals: 8,
+  network: 'ethereum',
+  confirmations: 12,
+  confirmationTime: '2-5 minutes',
+  addressPattern: /^0x[a-fA-F0-9]{40}$/,
+  networkFee: 0.002,
+  serviceFeeRate: 0.001,
+  limits: { minWithdrawal: 0.01, maxWithdrawal: 100, dailyWithdrawal: 50 }
+});
+
+registerCurrency('USDT', {
+  name: 'Tether',
+  type: 'crypto',
+  decimals: 2,
+  network: 'ethereum', // ERC-20
+  confirmations: 12,
+  confirmationTime: '2-5 minutes',
+  addressPattern: /^0x[a-fA-F0-9]{40}$/,
+  networkFee: 0.002,
+  serviceFeeRate: 0.001,
+  limits: { minWithdrawal: 10, maxWithdrawal: 50000, dailyWithdrawal: 25000 }
+});
+
+registerCurrency('LTC', {
+  name: 'Litecoin',
+  type: 'crypto',
+  decimals: 8,
+  network: 'litecoin',
+  confirmations: 6,
+  confirmationTime: '15-30 minutes',
+  addressPattern: /^(ltc1|[LM3])[a-zA-HJ-NP-Z0-9]{25,62}$/,
+  networkFee: 0.001,
+  serviceFeeRate: 0.001,
+  limits: { minWithdrawal: 0.01, maxWithdrawal: 100, dailyWithdrawal: 50 }
+});
+
+registerCurrency('BCH', {
+  name: 'Bitcoin Cash',
+  type: 'crypto',
+  decimals: 8,
+  network: 'bitcoin-cash',
+  confirmations: 6,
+  confirmationTime: '10-20 minutes',
+  networkFee: 0.0001,
+  serviceFeeRate: 0.001,
+  limits: { minWithdrawal: 0.01, maxWithdrawal: 100, dailyWithdrawal: 50 }
+});
+
+registerCurrency('DOGE', {
+  name: 'Dogecoin',
+  type: 'crypto',
+  decimals: 8,
+  network: 'dogecoin',
+  confirmations: 6,
+  confirmationTime: '5-10 minutes',
+  networkFee: 1,
+  serviceFeeRate: 0.001,
+  limits: { minWithdrawal: 100, maxWithdrawal: 1000000, dailyWithdrawal: 500000 }
+});
+
+// Fiat currencies
+registerCurrency('USD', {
+  name: 'US Dollar',
+  type: 'fiat',
+  limits: {
+    minDeposit: 10,
+    maxDeposit: 10000,
+    dailyDeposit: 5000,
+    minWithdrawal: 20,
+    maxWithdrawal: 5000,
+    dailyWithdrawal: 2500
+  }
+});
+
+registerCurrency('EUR', {
+  name: 'Euro',
+  type: 'fiat',
+  limits: {
+    minDeposit: 10,
+    maxDeposit: 9000,
+    dailyDeposit: 4500,
+    minWithdrawal: 20,
+    maxWithdrawal: 4500,
+    dailyWithdrawal: 2250
+  }
+});
+
+registerCurrency('GBP', {
+  name: 'British Pound',
+  type: 'fiat',
+  limits: {
+    minDeposit: 8,
+    maxDeposit: 8000,
+    dailyDeposit: 4000,
+    minWithdrawal: 15,
+    maxWithdrawal: 4000,
+    dailyWithdrawal: 2000
+  }
+});
+
+registerCurrency('CAD', {
+  name: 'Canadian Dollar',
+  type: 'fiat',
+  limits: {
+    minDeposit: 12,
+    maxDeposit: 12000,
+    dailyDeposit: 6000,
+    minWithdrawal: 25,
+    maxWithdrawal: 6000,
+    dailyWithdrawal: 3000
+  }
+});
+
+registerCurrency('AUD', {
+  name: 'Australian Dollar',
+  type: 'fiat',
+  limits: {
+    minDeposit: 15,
+    maxDeposit: 15000,
+    dailyDeposit: 7500,
+    minWithdrawal: 30,
+    maxWithdrawal: 7500,
+    dailyWithdrawal: 3750
+  }
+});
+
+module.exports = {
+  CURRENCY_TYPES,
+  registerCurrency,
+  getCurrency,
+  getCurrencyCodes,
+  isSupportedCurrency,
+  getCurrencyLimit
+};
@@ -0,0 +1,41 @@
+// Self-Exclusion Register Configuration for GenesisBet Platform
+
+// Comma-separated env value as a list
+const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Multi-operator self-exclusion registers (GAMSTOP, ROFUS, Spelpaus and the
+// like) checked at registration, login, deposit and bet. Each register covers
+// the players of its `countries`, or every player when none are listed.
+// `type` is a built-in adapter name (http), a module path resolved from the
+// backend root, or a class extending RegistryAdapter. Disabled entries are
+// skipped.
+module.exports = {
+  registries: [
+    {
+      // Register speaking the hashed-identity protocol of
+      // utils/compliance/exclusion/standInRegistry.js. Identities are hashed
+      // with the register's shared `salt`; `reportExclusions` sends the
+      // self-exclusions players take here to the register.
+      type: 'http',
+      name: process.env.EXCLUSION_REGISTRY_NAME || 'national',
+      enabled: Boolean(process.env.EXCLUSION_REGISTRY_URL),
+      countries: list(process.env.EXCLUSION_REGISTRY_COUNTRIES),
+      url: process.env.EXCLUSION_REGISTRY_URL,
+      apiKey: process.env.EXCLUSION_REGISTRY_API_KEY,
+      salt: process.env.EXCLUSION_REGISTRY_SALT,
+      operatorId: process.env.EXCLUSION_REGISTRY_OPERATOR_ID || 'genesisbet',
+      reportExclusions: process.env.EXCLUSION_REGISTRY_REPORT === 'true',
+      timeout: 5000
+    }
+  ],
+
+  // Register answers are cached in memory by hashed identity
+  cache: {
+    maxEntries: parseInt(process.env.EXCLUSION_REGISTRY_CACHE_SIZE || '10000'),
+    ttl: parseInt(process.env.EXCLUSION_REGISTRY_CACHE_TTL || '900') // seconds
+  },
+
+  // Hours a player's last register answer stands in while the registers
+  // cannot be reached; after that deposits and bets are refused
+  graceHours: parseInt(process.env.EXCLUSION_REGISTRY_GRACE_HOURS || '24')
+};
@@ -0,0 +1,69 @@
+// IP Geolocation Configuration for GenesisBet Platform
+
+// Comma-separated env value as a list
+const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Resolvers are asked in order until one locates the address. `type` is a
+// built-in resolver name (mmdb, csv, http), a module path resolved from the
+// backend root, or a class extending GeoResolver. Disabled entries are
+// skipped. The local databases are read once, on the first lookup.
+module.exports = {
+  resolvers: [
+    {
+      // MaxMind DB files: a GeoIP2/GeoLite2 Country or City database and an
+      // ASN database
+      type: 'mmdb',
+      enabled: Boolean(process.env.GEOIP_COUNTRY_DB || process.env.GEOIP_ASN_DB),
+      countryPath: process.env.GEOIP_COUNTRY_DB,
+      asnPath: process.env.GEOIP_ASN_DB
+    },
+    {
+      // IP range CSV files in the DB-IP lite layout:
+      // start,end,country_code and start,end,asn,organization
+      type: 'csv',
+      enabled: Boolean(process.env.GEOIP_COUNTRY_CSV || process.env.GEOIP_ASN_CSV),
+      countryPath: process.env.GEOIP_COUNTRY_CSV,
+      asnPath: process.env.GEOIP_ASN_CSV
+    },
+    {
+      // ip-api.com compatible HTTP lookup, for addresses the local
+      // databases do not cover
+      type: 'http',
+      enabled: process.env.GEOIP_HTTP_FALLBACK === 'true',
+      url: process.env.GEOIP_HTTP_URL || 'https://pro.ip-api.com/json',
+      apiKey: process.env.GEOIP_HTTP_KEY,
+      timeout: 5000
+    }
+  ],
+
+  // Located addresses are cached in memory
+  cache: {
+    maxEntries: parseInt(process.env.GEOIP_CACHE_SIZE || '10000'),
+    ttl: parseInt(process.env.GEOIP_CACHE_TTL || '3600') // seconds
+  },
+
+  // Hosting, cloud and VPN networks; traffic from these is treated as VPN or
+  // proxy use. Extend with GEOIP_DATACENTER_ASNS.
+  datacenterAsns: [
+    16509, // Amazon
+    14618, // Amazon
+    8075, // Microsoft
+    396982, // Google Cloud
+    31898, // Oracle Cloud
+    45102, // Alibaba Cloud
+    132203, // Tencent Cloud
+    14061, // DigitalOcean
+    16276, // OVH
+    24940, // Hetzner
+    63949, // Akamai Connected Cloud (Linode)
+    20473, // Vultr
+    12876, // Scaleway
+    51167, // Contabo
+    60781, // Leaseweb
+    28753, // Leaseweb
+    9009, // M247
+    212238, // Datacamp
+    136787, // TEFINCOM (NordVPN)
+    13335 // Cloudflare (WARP)
+  ].concat(list(process.env.GEOIP_DATACENTER_ASNS).map(Number))
+};
@@ -0,0 +1,58 @@
+// Jurisdiction Rules Configuration for GenesisBet Platform
+
+// Countries where the platform does not operate
+const BLOCKED = [
+  'US', 'GB', 'FR', 'IT', 'ES', 'AU', 'NL', 'BE', 'DK', 'SE', 'NO', 'CH',
+  'SG', 'HK', 'CN', 'IN', 'PK', 'BD', 'AF', 'IR', 'IQ', 'KP', 'SY', 'YE',
+  'SO', 'SD', 'LY', 'MM', 'CU'
+];
+
+// Countries whose players need enhanced due diligence
+const HIGH_RISK = ['RU', 'BY', 'VE', 'ZW', 'LB', 'TH', 'PH', 'MY'];
+
+// Country requirements: KYC level, tax reporting, GDPR and licensing
+const REQUIREMENTS = {
+  // European Union countries
+  AT: { requiredKycLevel: 2, taxReporting: true, gdprCompliance: true },
+  DE: { requiredKycLevel: 3, taxReporting: true, gdprCompliance: true },
+  FI: { requiredKycLevel: 2, taxReporting: true, gdprCompliance: true },
+  IE: { requiredKycLevel: 2, taxReporting: true, gdprCompliance: true },
+  LU: { requiredKycLevel: 2, taxReporting: true, gdprCompliance: true },
+  MT: { requiredKycLevel: 3, taxReporting: true, gdprCompliance: true, licenses: ['mga'] },
+  PT: { requiredKycLevel: 2, taxReporting: true, gdprCompliance: true },
+
+  // Other jurisdictions
+  CA: { requiredKycLevel: 2, taxReporting: true, licenses: ['provincial'] },
+  JP: { requiredKycLevel: 3, taxReporting: true, licenses: ['special_permit'] },
+  KR: { requiredKycLevel: 3, taxReporting: true, licenses: ['special_permit'] },
+  BR: { requiredKycLevel: 2, taxReporting: true },
+  MX: { requiredKycLevel: 2, taxReporting: true },
+  AR: { requiredKycLevel: 2, taxReporting: true },
+  CL: { requiredKycLevel: 2, taxReporting: true },
+  CO: { requiredKycLevel: 2, taxReporting: true },
+  PE: { requiredKycLevel: 2, taxReporting: true },
+  ZA: { requiredKycLevel: 2, taxReporting: true },
+  NZ: { requiredKycLevel: 2, taxReporting: true }
+};
+
+// Built-in rules, keyed by ISO 3166-1 country or ISO 3166-2 region code.
+// A rule stored through the admin API replaces the built-in rule of its
+// code; DEFAULT applies to countries without a rule. The most specific rule
+// applies: a region rule (CA-ON) replaces its country's rule (CA) entirely.
+const rules = [
+  { code: 'DEFAULT', name: 'Default', status: 'allowed', requiredKycLevel: 0 },
+  ...BLOCKED.map(code => ({ code, status: 'blocked' })),
+  ...HIGH_RISK.map(code => ({ code, status: 'high_risk' })),
+  ...Object.entries(REQUIREMENTS).map(([code, requirements]) => ({ code, status: 'allowed', ...requirements })),
+
+  // Ontario regulates online casinos separately from the rest of Canada
+  { code: 'CA-ON', status: 'blocked', requiredKycLevel: 2, taxReporting: true, licenses: ['igaming_ontario'] }
+];
+
+module.exports = {
+  rules,
+
+  // Stored rules are cached for this long (milliseconds); admin edits
+  // refresh the cache of the instance that made them
+  cacheTtl: 60 * 1000 // 1 minute
+};
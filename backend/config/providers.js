@@ -0,0 +1,74 @@
+// Game Provider Configuration for GenesisBet Platform
+
+// Comma-separated env value as a list
+const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Each entry registers an adapter under `key`, which is also the path segment
+// of its routes (/api/providers/:key/...). `adapter` is a built-in adapter
+// name, a module path resolved from the backend root, or a class extending
+// ProviderBase. Disabled entries are skipped. `allowedIps` lists the
+// addresses and CIDR ranges callbacks are accepted from; an empty list
+// accepts any source, the signature still being required.
+module.exports = {
+  // Signed callback timestamps older or newer than this are refused (seconds)
+  callbackTolerance: parseInt(process.env.PROVIDER_CALLBACK_TOLERANCE || '300'),
+
+  // Provider sessions are kept this long after they expire (seconds)
+  sessionRetention: 7 * 24 * 60 * 60, // 7 days
+
+  // Scheduled game catalog sync
+  catalogSync: {
+    // Seconds between syncs; 0 disables the schedule
+    interval: parseInt(process.env.CATALOG_SYNC_INTERVAL || '21600'), // 6 hours
+
+    // A provider sync that would retire more than this share of the
+    // provider's active games retires none; a truncated catalog response
+    // must not empty the lobby
+    maxRetireShare: parseFloat(process.env.CATALOG_SYNC_MAX_RETIRE_SHARE || '0.5')
+  },
+
+  providers: [
+    {
+      key: 'pragmatic',
+      adapter: 'pragmaticPlay',
+      enabled: !!process.env.PRAGMATIC_API_KEY,
+      name: 'Pragmatic Play',
+      baseURL: process.env.PRAGMATIC_BASE_URL || 'https://api.pragmaticplay.net',
+      apiKey: process.env.PRAGMATIC_API_KEY,
+      secretKey: process.env.PRAGMATIC_SECRET_KEY,
+      operatorId: process.env.PRAGMATIC_OPERATOR_ID,
+      allowedIps: list(process.env.PRAGMATIC_ALLOWED_IPS)
+    },
+    {
+      key: 'evolution',
+      adapter: 'evolutionGaming',
+      enabled: !!process.env.EVOLUTION_API_KEY,
+      name: 'Evolution Gaming',
+      baseURL: process.env.EVOLUTION_BASE_URL || 'https://api.evolutiongaming.com',
+      apiKey: process.env.EVOLUTION_API_KEY,
+      secretKey: process.env.EVOLUTION_SECRET_KEY,
+      operatorId: process.env.EVOLUTION_OPERATOR_ID,
+      allowedIps: list(process.env.EVOLUTION_ALLOWED_IPS)
+    },
+    {
+      key: 'netent',
+      adapter: 'netEnt',
+      enabled: !!process.env.NETENT_API_KEY,
+      name: 'NetEnt',
+      baseURL: process.env.NETENT_BASE_URL || 'https://api.netent.com',
+      apiKey: process.env.NETENT_API_KEY,
+      secretKey: process.env.NETENT_SECRET_KEY,
+      operatorId: process.env.NETENT_OPERATOR_ID,
+      allowedIps: list(process.env.NETENT_ALLOWED_IPS)
+    },
+    {
+      // Local provider for development and tests; never enable in production
+      key: 'mock',
+      adapter: 'mockProvider',
+      enabled: process.env.MOCK_PROVIDER_ENABLED === 'true',
+      name: 'Mock Provider',
+      secretKey: process.env.MOCK_PROVIDER_SECRET,
+      allowedIps: list(process.env.MOCK_PROVIDER_ALLOWED_IPS)
+    }
+  ]
+};
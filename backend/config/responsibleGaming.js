@@ -0,0 +1,25 @@
+// Responsible Gaming Configuration for GenesisBet Platform
+
+// Regulators require raised limits to wait 24 hours to 7 days
+const coolingPeriod = parseInt(process.env.LIMIT_INCREASE_COOLING_HOURS || '24');
+
+module.exports = {
+  limits: {
+    // Hours before a raised or removed limit applies; lowered limits apply
+    // at once
+    increaseCoolingPeriod: Math.min(Math.max(coolingPeriod, 24), 7 * 24)
+  },
+
+  realityCheck: {
+    // Minutes between reality checks for players who have not chosen an
+    // interval; 0 disables them unless the jurisdiction requires them
+    defaultInterval: parseInt(process.env.REALITY_CHECK_INTERVAL || '60'),
+
+    // Seconds between scans for due reality checks; 0 disables the schedule
+    pollInterval: parseInt(process.env.REALITY_CHECK_POLL_INTERVAL || '60'),
+
+    // A player who has not bet for this many minutes has ended their
+    // session; the next bet starts a new one
+    idleTimeout: parseInt(process.env.REALITY_CHECK_IDLE_TIMEOUT || '30')
+  }
+};
@@ -148,12 +148,7 @@ module.exports = {
 
   // Transaction Monitoring
   transactionMonitoring: {
-    largeTransactionThresholds: {
-      BTC: 0.1,
-      ETH: 1,
-      USDT: 1000,
-      USD: 1000
-    },
+    largeTransactionThresholdUSD: 1000, // Converted to each currency at the current rate
     rapidTransactionAlert: {
       enabled: true,
       threshold: 5, // Number of transactions
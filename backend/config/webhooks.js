@@ -0,0 +1,31 @@
+// Payment Webhook Configuration for GenesisBet Platform
+
+module.exports = {
+  // Signed timestamps further than this from the server clock are refused
+  tolerance: parseInt(process.env.WEBHOOK_TOLERANCE || '300') * 1000, // 5 minutes
+
+  // Processed event ids are kept this long to refuse replays
+  retention: parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS || '30') * 24 * 60 * 60,
+
+  stripe: {
+    // Endpoint signing secret (whsec_...)
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  },
+
+  paypal: {
+    // ID of the webhook registered in the PayPal dashboard, part of the signed message
+    webhookId: process.env.PAYPAL_WEBHOOK_ID,
+    // Signing certificates are only fetched from these hosts
+    certHosts: ['api.paypal.com', 'api.sandbox.paypal.com', 'api-m.paypal.com', 'api-m.sandbox.paypal.com']
+  },
+
+  skrill: {
+    // Secret word set in the Skrill merchant account
+    secretWord: process.env.SKRILL_SECRET_WORD
+  },
+
+  blockchain: {
+    // Shared secret of the blockchain notification service
+    secret: process.env.WEBHOOK_SECRET
+  }
+};
@@ -0,0 +1,23 @@
+// Withdrawal Review Configuration for GenesisBet Platform
+
+module.exports = {
+  // Withdrawals up to this USD value are approved without review when no
+  // risk rule fires
+  autoApproveMaxUsd: parseFloat(process.env.WITHDRAWAL_AUTO_APPROVE_USD || '500'),
+
+  // From this USD value a withdrawal needs approvals from two different admins
+  fourEyesMinUsd: parseFloat(process.env.WITHDRAWAL_FOUR_EYES_USD || '10000'),
+
+  // Risk rules; any that fires sends the withdrawal to the review queue
+  risk: {
+    // Accounts younger than this
+    minAccountAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+
+    // Password or 2FA changes within this window
+    securityChangeWindow: 24 * 60 * 60 * 1000, // 24 hours
+    securityEvents: ['password_change', '2fa_disabled'],
+
+    // More withdrawal requests than this in the last 24 hours
+    maxDailyRequests: 3
+  }
+};
@@ -48,14 +48,6 @@ const createAdminUser = async () => {
           status: 'verified',
           level: 3,
           verifiedAt: new Date()
-        },
-        wallet: {
-          balance: {
-            BTC: 0,
-            ETH: 0,
-            USDT: 0,
-            USD: 0
-          }
         }
       });
       
@@ -128,6 +120,91 @@ const seedGames = async () => {
           status: 'active',
           tags: ['plinko', 'multiplier', 'physics']
         },
+        {
+          name: 'Mines',
+          slug: 'mines',
+          category: 'provably_fair',
+          provider: 'internal',
+          description: 'Uncover gems, dodge the mines and cash out whenever you like!',
+          thumbnail: '/images/games/mines.png',
+          rtp: 99,
+          volatility: 'high',
+          minBet: 0.01,
+          maxBet: 1000,
+          maxWin: 10000,
+          features: ['multipliers', 'provably_fair'],
+          currencies: ['BTC', 'ETH', 'USDT', 'USD'],
+          status: 'active',
+          tags: ['mines', 'multiplier', 'strategy']
+        },
+        {
+          name: 'Limbo',
+          slug: 'limbo',
+          category: 'provably_fair',
+          provider: 'internal',
+          description: 'Set your target multiplier and see if the result goes higher!',
+          thumbnail: '/images/games/limbo.png',
+          rtp: 99,
+          volatility: 'high',
+          minBet: 0.01,
+          maxBet: 1000,
+          maxWin: 10000,
+          features: ['multipliers', 'provably_fair'],
+          currencies: ['BTC', 'ETH', 'USDT', 'USD'],
+          status: 'active',
+          tags: ['limbo', 'multiplier', 'instant']
+        },
+        {
+          name: 'Keno',
+          slug: 'keno',
+          category: 'provably_fair',
+          provider: 'internal',
+          description: 'Pick up to 10 numbers and match them with the draw!',
+          thumbnail: '/images/games/keno.png',
+          rtp: 99,
+          volatility: 'medium',
+          minBet: 0.01,
+          maxBet: 1000,
+          maxWin: 10000,
+          features: ['provably_fair'],
+          currencies: ['BTC', 'ETH', 'USDT', 'USD'],
+          status: 'active',
+          tags: ['keno', 'lottery', 'instant']
+        },
+        {
+          name: 'Blackjack',
+          slug: 'blackjack',
+          category: 'provably_fair',
+          provider: 'internal',
+          description: 'Beat the dealer to 21 with a freshly shuffled deck every hand!',
+          thumbnail: '/images/games/blackjack.png',
+          rtp: 99.5,
+          volatility: 'low',
+          minBet: 0.01,
+          maxBet: 1000,
+          maxWin: 10000,
+          features: ['provably_fair'],
+          currencies: ['BTC', 'ETH', 'USDT', 'USD'],
+          status: 'active',
+          tags: ['blackjack', 'cards', 'strategy']
+        },
+        {
+          name: 'Roulette',
+          slug: 'roulette',
+          category: 'provably_fair',
+          provider: 'internal',
+          description: 'Single-zero European roulette with the full betting layout!',
+          thumbnail: '/images/games/roulette.png',
+          rtp: 97.3,
+          volatility: 'medium',
+          minBet: 0.01,
+          maxBet: 1000,
+          maxWin: 36000,
+          features: ['provably_fair'],
+          currencies: ['BTC', 'ETH', 'USDT', 'USD'],
+          status: 'active',
+          tags: ['roulette', 'table', 'classic']
+        },
         
         // Slots (Demo games - in production these would be from providers)
         {
@@ -182,6 +182,118 @@ const migrations = [
       
       console.log('Removed TTL index for transactions');
     }
+  },
+
+  {
+    version: '1.4.0',
+    name: 'ledger_opening_balances',
+    description: 'Post opening ledger entries for wallet balances that predate the ledger',
+    up: async () => {
+      const User = require('../models/User');
+      const LedgerEntry = require('../models/LedgerEntry');
+      const Ledger = require('../payments/ledger');
+
+      const users = User.find({}).select('wallet.balance').cursor();
+      let posted = 0;
+
+      for await (const user of users) {
+        const balances = user.toObject().wallet.balance || {};
+        const account = Ledger.userAccount(user._id);
+
+        for (const [currency, balance] of Object.entries(balances)) {
+          if (!balance) continue;
+
+          const hasEntries = await LedgerEntry.exists({ account, currency });
+          if (hasEntries) continue;
+
+          const referenceKey = `opening:${user._id}:${currency}`;
+          await LedgerEntry.insertMany([
+            { referenceKey, account, userId: user._id, currency, amount: balance, balanceAfter: balance, type: 'adjustment', description: 'Opening balance' },
+            { referenceKey, account: Ledger.ACCOUNTS.OPENING, currency, amount: -balance, type: 'adjustment', description: 'Opening balance' }
+          ]);
+          posted++;
+        }
+      }
+
+      console.log(`Posted ${posted} opening ledger balance(s)`);
+    },
+    down: async () => {
+      const LedgerEntry = require('../models/LedgerEntry');
+
+      await LedgerEntry.deleteMany({ referenceKey: /^opening:/ });
+
+      console.log('Removed opening ledger balances');
+    }
+  },
+
+  {
+    version: '1.5.0',
+    name: 'split_bonus_balances',
+    description: 'Move the funds of active bonuses from the cash balance to the bonus balance',
+    up: async () => {
+      const UserBonus = require('../models/UserBonus');
+      const User = require('../models/User');
+      const Ledger = require('../payments/ledger');
+
+      const bonuses = UserBonus.find({ status: 'active' }).cursor();
+      let moved = 0;
+
+      for await (const userBonus of bonuses) {
+        const user = await User.findById(userBonus.userId).select('wallet.balance');
+        if (!user || !(Ledger.readBalances(user, userBonus.currency).cash > 0)) continue;
+
+        await Ledger.post({
+          userId: userBonus.userId,
+          currency: userBonus.currency,
+          type: 'bonus',
+          referenceKey: `bonus-split:${userBonus._id}`,
+          account: Ledger.ACCOUNTS.BONUSES,
+          description: 'Bonus funds moved to the bonus balance',
+          allocate: ({ cash }) => {
+            const amount = Math.min(userBonus.amount, cash);
+            return { amount: -amount, bonusAmount: amount };
+          }
+        });
+        moved++;
+      }
+
+      console.log(`Moved ${moved} bonus balance(s)`);
+    },
+    down: async () => {
+      const LedgerEntry = require('../models/LedgerEntry');
+      const Ledger = require('../payments/ledger');
+
+      const referenceKeys = await LedgerEntry.distinct('referenceKey', { referenceKey: /^bonus-split:/ });
+      for (const referenceKey of referenceKeys) {
+        await Ledger.reverse(referenceKey, {
+          type: 'bonus',
+          referenceKey: `revert:${referenceKey}`,
+          description: 'Bonus funds moved back to the cash balance'
+        });
+      }
+
+      console.log(`Moved ${referenceKeys.length} bonus balance(s) back to cash`);
+    }
+  },
+
+  {
+    version: '1.6.0',
+    name: 'hd_wallet_addresses',
+    description: 'Retire deposit addresses not derived from an HD account and drop stored private keys',
+    up: async () => {
+      const WalletAddress = require('../models/WalletAddress');
+
+      const result = await WalletAddress.collection.updateMany(
+        { 'metadata.derivationIndex': { $exists: false } },
+        { $set: { status: 'inactive' }, $unset: { privateKey: '' } }
+      );
+
+      console.log(`Retired ${result.modifiedCount} legacy deposit address(es)`);
+    },
+    down: async () => {
+      // Removed private keys cannot be restored; retired addresses stay inactive
+      console.log('Nothing to roll back for hd_wallet_addresses');
+    }
   }
 ];
 
@@ -0,0 +1,607 @@
+const ProvablyFair = require('../utils/provablyFair');
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+class BlackjackGame {
+  constructor() {
+    this.config = {
+      minBet: 0.01,
+      maxBet: 1000,
+      decks: 1, // Fresh single deck shuffled for every hand
+      dealerStandsOnSoft17: true,
+      blackjackPayout: 1.5, // 3:2
+      insurancePayout: 2, // 2:1
+      maxHands: 2, // One split per round
+      houseEdge: 0.5
+    };
+  }
+
+  /**
+   * Start a Blackjack hand. The whole deck order is fixed from the seeds
+   * before any card is dealt, so every draw can be checked afterwards.
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {Object} seeds - Seed pair and nonce reserved for this bet (optional)
+   * @returns {Object} Game state
+   */
+  async startGame(userId, betAmount, seeds = null) {
+    // Bets are summed as the hand goes on; a string would concatenate
+    betAmount = Number(betAmount);
+
+    // Validate inputs
+    this.validateInputs(betAmount);
+
+    // Use the user's committed seed pair, or a one-off pair when none is given
+    const gameSeeds = seeds || { ...ProvablyFair.generateGameSeeds(), nonce: 0 };
+    const { nonce } = gameSeeds;
+
+    // Generate game result
+    const resultHash = ProvablyFair.generateResult(
+      gameSeeds.serverSeed,
+      gameSeeds.clientSeed,
+      nonce
+    );
+
+    const state = {
+      gameId: this.generateGameId(),
+      userId,
+      gameType: 'blackjack',
+      betAmount,
+      deck: this.generateDeck(resultHash),
+      cursor: 0,
+      playerHands: [{ cards: [], bet: betAmount, doubled: false, split: false, status: 'playing' }],
+      activeHand: 0,
+      dealerCards: [],
+      insurance: null,
+      phase: 'player',
+      provablyFair: {
+        // The server seed stays secret until the seed pair is rotated
+        serverSeed: seeds ? null : gameSeeds.serverSeed,
+        serverSeedHash: gameSeeds.serverSeedHash,
+        clientSeed: gameSeeds.clientSeed,
+        nonce,
+        resultHash
+      }
+    };
+
+    // Deal player, dealer, player, dealer
+    this.drawCard(state, state.playerHands[0].cards);
+    this.drawCard(state, state.dealerCards);
+    this.drawCard(state, state.playerHands[0].cards);
+    this.drawCard(state, state.dealerCards);
+
+    // An ace showing offers insurance before anyone checks for blackjack
+    if (this.getCard(state.dealerCards[0]).rank === 'A') {
+      state.phase = 'insurance';
+      return state;
+    }
+
+    return this.resolveOpening(state);
+  }
+
+  /**
+   * Take or decline insurance while the dealer shows an ace
+   * @param {Object} state - Game state
+   * @param {boolean} accept - Whether to buy insurance (half the bet)
+   * @returns {Object} Updated game state
+   */
+  insurance(state, accept) {
+    const next = this.cloneState(state);
+    if (next.phase !== 'insurance') {
+      throw new Error('Insurance is not available');
+    }
+
+    next.insurance = { taken: !!accept, bet: accept ? next.betAmount / 2 : 0 };
+    return this.resolveOpening(next);
+  }
+
+  /**
+   * Draw a card to the active hand
+   * @param {Object} state - Game state
+   * @returns {Object} Updated game state
+   */
+  hit(state) {
+    const next = this.cloneState(state);
+    const hand = this.requireActiveHand(next);
+
+    this.drawCard(next, hand.cards);
+
+    const { total } = this.calculateHandValue(hand.cards);
+    if (total > 21) {
+      hand.status = 'busted';
+    } else if (total === 21) {
+      hand.status = 'stood';
+    }
+
+    return this.advance(next);
+  }
+
+  /**
+   * Stand on the active hand
+   * @param {Object} state - Game state
+   * @returns {Object} Updated game state
+   */
+  stand(state) {
+    const next = this.cloneState(state);
+    const hand = this.requireActiveHand(next);
+
+    hand.status = 'stood';
+    return this.advance(next);
+  }
+
+  /**
+   * Double the bet on the active hand and draw exactly one more card
+   * @param {Object} state - Game state
+   * @returns {Object} Updated game state
+   */
+  double(state) {
+    const next = this.cloneState(state);
+    const hand = this.requireActiveHand(next);
+
+    if (hand.cards.length !== 2) {
+      throw new Error('You can only double on your first two cards');
+    }
+
+    hand.bet *= 2;
+    hand.doubled = true;
+    this.drawCard(next, hand.cards);
+
+    const { total } = this.calculateHandValue(hand.cards);
+    hand.status = total > 21 ? 'busted' : 'stood';
+
+    return this.advance(next);
+  }
+
+  /**
+   * Split a pair into two hands, each with its own bet
+   * @param {Object} state - Game state
+   * @returns {Object} Updated game state
+   */
+  split(state) {
+    const next = this.cloneState(state);
+    const hand = this.requireActiveHand(next);
+
+    if (next.playerHands.length >= this.config.maxHands) {
+      throw new Error('You can only split once per round');
+    }
+
+    if (!this.canSplit(hand)) {
+      throw new Error('You can only split two cards of the same value');
+    }
+
+    const splitAces = this.getCard(hand.cards[0]).rank === 'A';
+    next.playerHands = hand.cards.map(card => ({
+      cards: [card],
+      bet: hand.bet,
+      doubled: false,
+      split: true,
+      status: 'playing'
+    }));
+
+    next.playerHands.forEach(splitHand => {
+      this.drawCard(next, splitHand.cards);
+
+      // Split aces get one card each; any hand reaching 21 is done
+      if (splitAces || this.calculateHandValue(splitHand.cards).total === 21) {
+        splitHand.status = 'stood';
+      }
+    });
+
+    next.activeHand = 0;
+    return this.advance(next);
+  }
+
+  /**
+   * Check the opening deal for blackjacks once insurance is settled
+   * @param {Object} state - Game state (mutated)
+   * @returns {Object} Game state
+   */
+  resolveOpening(state) {
+    const upCard = this.getCard(state.dealerCards[0]);
+    const dealerPeeks = upCard.rank === 'A' || upCard.value === 10;
+    const dealerBlackjack = dealerPeeks && this.isBlackjack({ cards: state.dealerCards, split: false });
+    const playerBlackjack = this.isBlackjack(state.playerHands[0]);
+
+    if (dealerBlackjack || playerBlackjack) {
+      state.playerHands[0].status = 'stood';
+      state.phase = 'complete';
+      return state;
+    }
+
+    state.phase = 'player';
+    return state;
+  }
+
+  /**
+   * Move to the next unfinished hand, or play the dealer when all are done
+   * @param {Object} state - Game state (mutated)
+   * @returns {Object} Game state
+   */
+  advance(state) {
+    const nextHand = state.playerHands.findIndex(hand => hand.status === 'playing');
+    if (nextHand !== -1) {
+      state.activeHand = nextHand;
+      return state;
+    }
+
+    // The dealer only draws when a player hand is still standing
+    if (state.playerHands.some(hand => hand.status === 'stood')) {
+      while (this.dealerShouldHit(state.dealerCards)) {
+        this.drawCard(state, state.dealerCards);
+      }
+    }
+
+    state.phase = 'complete';
+    return state;
+  }
+
+  /**
+   * Settle every hand and the insurance bet of a completed game
+   * @param {Object} state - Game state
+   * @returns {Object} Game result
+   */
+  finishGame(state) {
+    if (state.phase !== 'complete') {
+      throw new Error('Hand is still in play');
+    }
+
+    const dealerValue = this.calculateHandValue(state.dealerCards).total;
+    const dealerBlackjack = this.isBlackjack({ cards: state.dealerCards, split: false });
+
+    const playerHands = state.playerHands.map(hand => {
+      const { total } = this.calculateHandValue(hand.cards);
+      const blackjack = this.isBlackjack(hand);
+      let result;
+      let payout;
+
+      if (hand.status === 'busted') {
+        result = 'bust';
+        payout = 0;
+      } else if (blackjack && dealerBlackjack) {
+        result = 'push';
+        payout = hand.bet;
+      } else if (blackjack) {
+        result = 'blackjack';
+        payout = hand.bet * (1 + this.config.blackjackPayout);
+      } else if (dealerBlackjack) {
+        result = 'loss';
+        payout = 0;
+      } else if (dealerValue > 21 || total > dealerValue) {
+        result = 'win';
+        payout = hand.bet * 2;
+      } else if (total === dealerValue) {
+        result = 'push';
+        payout = hand.bet;
+      } else {
+        result = 'loss';
+        payout = 0;
+      }
+
+      return { ...hand, value: total, result, payout };
+    });
+
+    const insurancePayout = state.insurance && state.insurance.taken && dealerBlackjack
+      ? state.insurance.bet * (1 + this.config.insurancePayout)
+      : 0;
+
+    const totalWager = this.getTotalWager(state);
+    const payout = playerHands.reduce((sum, hand) => sum + hand.payout, 0) + insurancePayout;
+
+    return {
+      gameId: state.gameId,
+      userId: state.userId,
+      gameType: 'blackjack',
+      betAmount: totalWager,
+      playerHands,
+      dealerCards: state.dealerCards,
+      dealerValue,
+      dealerBlackjack,
+      insurance: state.insurance,
+      insurancePayout,
+      deck: state.deck,
+      cardsDealt: state.cursor,
+      multiplier: totalWager > 0 ? payout / totalWager : 0,
+      isWin: payout > totalWager,
+      outcome: payout > totalWager ? 'win' : payout === totalWager ? 'push' : 'loss',
+      payout,
+      profit: payout - totalWager,
+      provablyFair: state.provablyFair,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Total amount staked on the round, including doubles, splits and insurance
+   * @param {Object} state - Game state
+   * @returns {number} Total wager
+   */
+  getTotalWager(state) {
+    const handBets = state.playerHands.reduce((sum, hand) => sum + Number(hand.bet), 0);
+    return handBets + (state.insurance ? Number(state.insurance.bet) : 0);
+  }
+
+  /**
+   * List the actions the player can take
+   * @param {Object} state - Game state
+   * @returns {Array} Action names
+   */
+  getAvailableActions(state) {
+    if (state.phase === 'insurance') {
+      return ['insurance'];
+    }
+
+    if (state.phase !== 'player') {
+      return [];
+    }
+
+    const hand = state.playerHands[state.activeHand];
+    const actions = ['hit', 'stand'];
+
+    if (hand.cards.length === 2) {
+      actions.push('double');
+    }
+
+    if (state.playerHands.length < this.config.maxHands && this.canSplit(hand)) {
+      actions.push('split');
+    }
+
+    return actions;
+  }
+
+  /**
+   * Shape a game state for the client. The hole card and the deck are
+   * hidden until the hand is complete.
+   * @param {Object} state - Game state
+   * @returns {Object} Public game state
+   */
+  getPublicState(state) {
+    const complete = state.phase === 'complete';
+    const dealerCards = complete ? state.dealerCards : state.dealerCards.slice(0, 1);
+
+    return {
+      gameId: state.gameId,
+      phase: state.phase,
+      playerHands: state.playerHands.map(hand => ({
+        cards: hand.cards.map(card => this.getCard(card)),
+        value: this.calculateHandValue(hand.cards).total,
+        soft: this.calculateHandValue(hand.cards).soft,
+        bet: hand.bet,
+        doubled: hand.doubled,
+        split: hand.split,
+        status: hand.status,
+        result: complete && hand.result ? hand.result : null,
+        payout: complete && hand.payout !== undefined ? hand.payout : null
+      })),
+      activeHand: complete ? null : state.activeHand,
+      dealer: {
+        cards: dealerCards.map(card => this.getCard(card)),
+        hiddenCards: state.dealerCards.length - dealerCards.length,
+        value: this.calculateHandValue(dealerCards).total
+      },
+      insurance: state.insurance,
+      availableActions: this.getAvailableActions(state),
+      deck: complete ? state.deck.map(card => this.getCard(card)) : null,
+      provablyFair: {
+        serverSeedHash: state.provablyFair.serverSeedHash,
+        clientSeed: state.provablyFair.clientSeed,
+        nonce: state.provablyFair.nonce,
+        resultHash: complete ? state.provablyFair.resultHash : null
+      }
+    };
+  }
+
+  /**
+   * Build the deck order from a Fisher-Yates shuffle of the 52 cards
+   * @param {string} resultHash - SHA-256 result hash
+   * @returns {Array} Card indexes in dealing order
+   */
+  generateDeck(resultHash) {
+    return ProvablyFair.generateShuffle(resultHash, SUITS.length * RANKS.length);
+  }
+
+  /**
+   * Decode a card index (0-51) into rank, suit and value
+   * @param {number} index - Card index
+   * @returns {Object} Card
+   */
+  getCard(index) {
+    const rank = RANKS[index % RANKS.length];
+    let value = parseInt(rank);
+    if (rank === 'A') {
+      value = 11;
+    } else if (['J', 'Q', 'K'].includes(rank)) {
+      value = 10;
+    }
+
+    return {
+      index,
+      rank,
+      suit: SUITS[Math.floor(index / RANKS.length)],
+      value
+    };
+  }
+
+  /**
+   * Calculate the best total of a hand, counting aces as 1 when needed
+   * @param {Array} cards - Card indexes
+   * @returns {Object} { total, soft }
+   */
+  calculateHandValue(cards) {
+    let total = 0;
+    let aces = 0;
+
+    cards.forEach(index => {
+      const card = this.getCard(index);
+      total += card.value;
+      if (card.rank === 'A') aces++;
+    });
+
+    while (total > 21 && aces > 0) {
+      total -= 10;
+      aces--;
+    }
+
+    return { total, soft: aces > 0 };
+  }
+
+  /**
+   * Check for a natural blackjack (not on a split hand)
+   * @param {Object} hand - Hand with cards and split flag
+   * @returns {boolean} True for a two-card 21
+   */
+  isBlackjack(hand) {
+    return !hand.split && hand.cards.length === 2 && this.calculateHandValue(hand.cards).total === 21;
+  }
+
+  /**
+   * Check whether a hand can be split
+   * @param {Object} hand - Hand
+   * @returns {boolean} True for two cards of the same value
+   */
+  canSplit(hand) {
+    return hand.cards.length === 2 &&
+      this.getCard(hand.cards[0]).value === this.getCard(hand.cards[1]).value;
+  }
+
+  /**
+   * Dealer draws to 16 and stands on 17 (including soft 17 by default)
+   * @param {Array} cards - Dealer card indexes
+   * @returns {boolean} True if the dealer must draw
+   */
+  dealerShouldHit(cards) {
+    const { total, soft } = this.calculateHandValue(cards);
+    if (total < 17) return true;
+    return total === 17 && soft && !this.config.dealerStandsOnSoft17;
+  }
+
+  /**
+   * Deal the next card of the deck
+   * @param {Object} state - Game state (mutated)
+   * @param {Array} target - Card list receiving the card
+   */
+  drawCard(state, target) {
+    if (state.cursor >= state.deck.length) {
+      throw new Error('Deck is exhausted');
+    }
+
+    target.push(state.deck[state.cursor]);
+    state.cursor++;
+  }
+
+  /**
+   * Get the hand the player is acting on
+   * @param {Object} state - Game state
+   * @returns {Object} Active hand
+   */
+  requireActiveHand(state) {
+    if (state.phase !== 'player') {
+      throw new Error(state.phase === 'insurance' ? 'Accept or decline insurance first' : 'Hand is not in play');
+    }
+
+    return state.playerHands[state.activeHand];
+  }
+
+  /**
+   * Copy a game state so actions never mutate their input
+   * @param {Object} state - Game state
+   * @returns {Object} Copy
+   */
+  cloneState(state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  /**
+   * Validate game inputs
+   * @param {number} betAmount - Bet amount
+   */
+  validateInputs(betAmount) {
+    if (typeof betAmount !== 'number' || !Number.isFinite(betAmount) ||
+        betAmount < this.config.minBet || betAmount > this.config.maxBet) {
+      throw new Error(`Bet amount must be between ${this.config.minBet} and ${this.config.maxBet}`);
+    }
+  }
+
+  /**
+   * Verify Blackjack game result. Rebuilds the whole deck from the revealed
+   * seeds and checks that every card on the table was dealt from it in order.
+   * @param {Object} gameResult - Game result to verify
+   * @returns {Object} Verification result
+   */
+  static verifyGame(gameResult) {
+    const { serverSeed, clientSeed, nonce } = gameResult.provablyFair;
+    const blackjackGame = new BlackjackGame();
+
+    // Regenerate result hash
+    const calculatedHash = ProvablyFair.generateResult(serverSeed, clientSeed, nonce);
+
+    // Regenerate the deck
+    const calculatedDeck = blackjackGame.generateDeck(calculatedHash);
+
+    // The table, read back in deal order, must be the top of the deck
+    const dealtCards = calculatedDeck.slice(0, gameResult.cardsDealt);
+    const tableCards = BlackjackGame.getDealOrder(gameResult.playerHands, gameResult.dealerCards)
+      .map(card => (typeof card === 'object' ? card.index : card));
+
+    // Check if results match
+    const hashMatches = calculatedHash === gameResult.provablyFair.resultHash;
+    const deckMatches = !gameResult.deck ||
+      JSON.stringify(calculatedDeck) === JSON.stringify(
+        gameResult.deck.map(card => (typeof card === 'object' ? card.index : card))
+      );
+    const cardsMatch = tableCards.length === dealtCards.length &&
+      tableCards.every((card, position) => card === dealtCards[position]);
+    const dealerValueMatches = blackjackGame.calculateHandValue(
+      gameResult.dealerCards.map(card => (typeof card === 'object' ? card.index : card))
+    ).total === gameResult.dealerValue;
+
+    return {
+      verified: hashMatches && deckMatches && cardsMatch && dealerValueMatches,
+      calculatedHash,
+      calculatedDeck: calculatedDeck.map(card => blackjackGame.getCard(card)),
+      hashMatches,
+      deckMatches,
+      cardsMatch,
+      dealerValueMatches,
+      gameId: gameResult.gameId
+    };
+  }
+
+  /**
+   * Order in which the cards on the table were drawn: player, dealer, player,
+   * dealer, then the split draws, each hand's own draws and the dealer's
+   * @param {Array} playerHands - Player hands as finished
+   * @param {Array} dealerCards - Dealer cards
+   * @returns {Array} Cards in deal order
+   */
+  static getDealOrder(playerHands, dealerCards) {
+    const [first, second] = playerHands;
+    const opening = second
+      ? [first.cards[0], dealerCards[0], second.cards[0], dealerCards[1], first.cards[1], second.cards[1]]
+      : [first.cards[0], dealerCards[0], first.cards[1], dealerCards[1]];
+
+    return [
+      ...opening,
+      ...playerHands.flatMap(hand => hand.cards.slice(2)),
+      ...dealerCards.slice(2)
+    ];
+  }
+
+  /**
+   * Generate unique game ID
+   * @returns {string} Game ID
+   */
+  generateGameId() {
+    return `blackjack_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get game configuration
+   * @returns {Object} Game configuration
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+}
+
+module.exports = BlackjackGame;
@@ -2,15 +2,20 @@ const ProvablyFair = require('../utils/provablyFair');
 const EventEmitter = require('events');
 
 class CrashGame extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} roundSource - Hash chain the rounds are drawn from (see CrashChainManager)
+   */
+  constructor(roundSource) {
     super();
+    this.roundSource = roundSource;
     this.gameState = 'waiting'; // waiting, starting, running, crashed, ended
     this.currentMultiplier = 1.00;
     this.crashPoint = null;
     this.startTime = null;
     this.gameId = null;
     this.players = new Map(); // userId -> player data
-    this.gameSeeds = null;
+    this.round = null; // { chainId, round, hash, previousHash, terminatingHash }
+    this.preparingRound = false;
     this.gameHistory = [];
     this.maxHistory = 100;
     
@@ -29,22 +34,26 @@ class CrashGame extends EventEmitter {
    * Start a new crash game
    */
   async startNewGame() {
-    if (this.gameState !== 'waiting') {
+    if (this.gameState !== 'waiting' || this.preparingRound) {
       throw new Error('Game already in progress');
     }
 
-    // Generate new game seeds
-    this.gameSeeds = ProvablyFair.generateGameSeeds();
+    // Draw the next precommitted round from the hash chain
+    this.preparingRound = true;
+    try {
+      this.round = await this.roundSource.nextRound();
+    } catch (error) {
+      console.error('Failed to draw crash round from hash chain:', error);
+      this.preparingRound = false;
+      setTimeout(() => this.startNewGame(), this.config.waitTime);
+      return;
+    }
+    this.preparingRound = false;
+
     this.gameId = this.generateGameId();
     
     // Calculate crash point
-    const resultHash = ProvablyFair.generateResult(
-      this.gameSeeds.serverSeed,
-      this.gameSeeds.clientSeed,
-      0 // nonce for crash point
-    );
-    
-    this.crashPoint = ProvablyFair.generateCrashMultiplier(resultHash);
+    this.crashPoint = ProvablyFair.generateCrashMultiplier(this.round.hash);
     this.currentMultiplier = 1.00;
     this.startTime = Date.now();
     this.gameState = 'starting';
@@ -52,10 +61,13 @@ class CrashGame extends EventEmitter {
     console.log(`New crash game started: ${this.gameId}, crash point: ${this.crashPoint.toFixed(2)}x`);
     
     // Emit game started event
+    // The round hash stays secret until the crash; the previous one is already public
     this.emit('gameStarted', {
       gameId: this.gameId,
-      serverSeedHash: this.gameSeeds.serverSeedHash,
-      clientSeed: this.gameSeeds.clientSeed
+      chainId: this.round.chainId,
+      round: this.round.round,
+      previousHash: this.round.previousHash,
+      terminatingHash: this.round.terminatingHash
     });
 
     // Start the game loop after a brief delay
@@ -116,7 +128,12 @@ class CrashGame extends EventEmitter {
     this.emit('gameCrashed', {
       gameId: this.gameId,
       crashPoint: this.crashPoint,
-      serverSeed: this.gameSeeds.serverSeed, // Reveal server seed
+      chainId: this.round.chainId,
+      round: this.round.round,
+      hash: this.round.hash, // Reveal round hash
+      totalPlayers: this.players.size,
+      totalWagered: this.getTotalWagered(),
+      totalPayout: this.getTotalPayout(),
       players: Array.from(this.players.values())
     });
 
@@ -158,7 +175,7 @@ class CrashGame extends EventEmitter {
     this.startTime = null;
     this.gameId = null;
     this.players.clear();
-    this.gameSeeds = null;
+    this.round = null;
     
     this.emit('gameReset');
     
@@ -293,8 +310,10 @@ class CrashGame extends EventEmitter {
       players: Array.from(this.players.values()),
       totalPlayers: this.players.size,
       totalWagered: this.getTotalWagered(),
-      serverSeedHash: this.gameSeeds?.serverSeedHash,
-      clientSeed: this.gameSeeds?.clientSeed,
+      chainId: this.round?.chainId,
+      round: this.round?.round,
+      previousHash: this.round?.previousHash,
+      terminatingHash: this.round?.terminatingHash,
       history: this.gameHistory.slice(-10) // Last 10 games
     };
   }
@@ -319,9 +338,9 @@ class CrashGame extends EventEmitter {
       totalWagered: this.getTotalWagered(),
       totalPayout: this.getTotalPayout(),
       timestamp: Date.now(),
-      serverSeed: this.gameSeeds.serverSeed,
-      serverSeedHash: this.gameSeeds.serverSeedHash,
-      clientSeed: this.gameSeeds.clientSeed
+      chainId: this.round.chainId,
+      round: this.round.round,
+      hash: this.round.hash
     };
 
     this.gameHistory.push(historyEntry);
@@ -366,24 +385,29 @@ class CrashGame extends EventEmitter {
 
   /**
    * Verify game result
-   * @param {string} gameId - Game ID
-   * @param {string} serverSeed - Server seed
-   * @param {string} clientSeed - Client seed
+   * @param {Object} gameResult - Revealed round { gameId, hash, previousHash, crashPoint }
    * @returns {Object} Verification result
    */
-  static verifyGame(gameId, serverSeed, clientSeed) {
-    const resultHash = ProvablyFair.generateResult(serverSeed, clientSeed, 0);
-    const crashPoint = ProvablyFair.generateCrashMultiplier(resultHash);
-    const serverSeedHash = ProvablyFair.generateServerSeedHash(serverSeed);
-    
+  static verifyGame(gameResult) {
+    const { hash, previousHash } = gameResult;
+    const crashPoint = ProvablyFair.generateCrashMultiplier(hash);
+
+    // A round hash must hash to the round before it
+    const linkMatches = previousHash
+      ? ProvablyFair.hashChainLink(hash) === previousHash
+      : null;
+    const crashPointMatches = gameResult.crashPoint !== undefined
+      ? Math.abs(crashPoint - gameResult.crashPoint) < 0.000001
+      : null;
+
     return {
-      gameId,
+      gameId: gameResult.gameId,
       crashPoint,
-      resultHash,
-      serverSeed,
-      serverSeedHash,
-      clientSeed,
-      verified: true
+      hash,
+      previousHash,
+      linkMatches,
+      crashPointMatches,
+      verified: linkMatches !== false && crashPointMatches !== false
     };
   }
 }
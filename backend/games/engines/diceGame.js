@@ -17,19 +17,16 @@ class DiceGame {
    * @param {number} betAmount - Bet amount
    * @param {number} target - Target number (0-99.99)
    * @param {string} direction - 'over' or 'under'
-   * @param {string} clientSeed - Client seed (optional)
-   * @param {number} nonce - User's nonce
+   * @param {Object} seeds - Seed pair and nonce reserved for this bet (optional)
    * @returns {Object} Game result
    */
-  async playGame(userId, betAmount, target, direction, clientSeed = null, nonce = 0) {
+  async playGame(userId, betAmount, target, direction, seeds = null) {
     // Validate inputs
     this.validateInputs(betAmount, target, direction);
 
-    // Generate game seeds
-    const gameSeeds = ProvablyFair.generateGameSeeds();
-    if (clientSeed) {
-      gameSeeds.clientSeed = clientSeed;
-    }
+    // Use the user's committed seed pair, or a one-off pair when none is given
+    const gameSeeds = seeds || { ...ProvablyFair.generateGameSeeds(), nonce: 0 };
+    const { nonce } = gameSeeds;
 
     // Generate game result
     const resultHash = ProvablyFair.generateResult(
@@ -67,7 +64,8 @@ class DiceGame {
       payout,
       profit,
       provablyFair: {
-        serverSeed: gameSeeds.serverSeed,
+        // The server seed stays secret until the seed pair is rotated
+        serverSeed: seeds ? null : gameSeeds.serverSeed,
         serverSeedHash: gameSeeds.serverSeedHash,
         clientSeed: gameSeeds.clientSeed,
         nonce,
@@ -0,0 +1,303 @@
+const ProvablyFair = require('../utils/provablyFair');
+
+class KenoGame {
+  constructor() {
+    this.config = {
+      minBet: 0.01,
+      maxBet: 1000,
+      boardSize: 40, // Numbers 1-40
+      drawCount: 10,
+      minPicks: 1,
+      maxPicks: 10,
+      houseEdge: 1.0 // 1%
+    };
+
+    // Paytables by risk level: picks -> multiplier per number of hits (index = hits)
+    this.paytables = {
+      classic: {
+        1: [0, 3.96],
+        2: [0, 1.9, 4.5],
+        3: [0, 1, 3.1, 10.4],
+        4: [0, 0.8, 1.8, 5, 22.5],
+        5: [0, 0.25, 1.4, 4.1, 16.5, 36],
+        6: [0, 0, 1, 3.68, 7, 16.5, 40],
+        7: [0, 0, 0.47, 3, 4.5, 14, 31, 60],
+        8: [0, 0, 0, 2.2, 4, 13, 22, 55, 70],
+        9: [0, 0, 0, 1.55, 3, 8, 15, 44, 60, 85],
+        10: [0, 0, 0, 1.4, 2.25, 4.5, 8, 17, 50, 80, 100]
+      },
+      low: {
+        1: [0.7, 1.85],
+        2: [0, 2, 3.8],
+        3: [0, 1.1, 1.38, 26],
+        4: [0, 0, 2.2, 7.9, 90],
+        5: [0, 0, 1.5, 4.2, 13, 300],
+        6: [0, 0, 1.1, 2, 6.2, 100, 700],
+        7: [0, 0, 1.1, 1.6, 3.5, 15, 225, 700],
+        8: [0, 0, 1.1, 1.5, 2, 5.5, 39, 100, 800],
+        9: [0, 0, 1.1, 1.3, 1.7, 2.5, 7.5, 50, 250, 1000],
+        10: [0, 0, 1.1, 1.2, 1.3, 1.8, 3.5, 13, 50, 250, 1000]
+      },
+      medium: {
+        1: [0.4, 2.75],
+        2: [0, 1.8, 5.1],
+        3: [0, 0, 2.8, 50],
+        4: [0, 0, 1.7, 10, 100],
+        5: [0, 0, 1.4, 4, 14, 390],
+        6: [0, 0, 0, 3, 9, 180, 710],
+        7: [0, 0, 0, 2, 7, 30, 400, 800],
+        8: [0, 0, 0, 2, 4, 11, 67, 400, 900],
+        9: [0, 0, 0, 2, 2.5, 5, 15, 100, 500, 1000],
+        10: [0, 0, 0, 1.6, 2, 4, 7, 26, 100, 500, 1000]
+      },
+      high: {
+        1: [0, 3.96],
+        2: [0, 0, 17.1],
+        3: [0, 0, 0, 81.5],
+        4: [0, 0, 0, 10, 259],
+        5: [0, 0, 0, 4.5, 48, 450],
+        6: [0, 0, 0, 0, 11, 350, 710],
+        7: [0, 0, 0, 0, 7, 90, 400, 800],
+        8: [0, 0, 0, 0, 5, 20, 270, 600, 900],
+        9: [0, 0, 0, 0, 4, 11, 56, 500, 800, 1000],
+        10: [0, 0, 0, 0, 3.5, 8, 13, 63, 500, 800, 1000]
+      }
+    };
+  }
+
+  /**
+   * Play a Keno game
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {Array} picks - Picked numbers (1-40)
+   * @param {string} risk - Risk level ('classic', 'low', 'medium', 'high')
+   * @param {Object} seeds - Seed pair and nonce reserved for this bet (optional)
+   * @returns {Object} Game result
+   */
+  async playGame(userId, betAmount, picks, risk = 'classic', seeds = null) {
+    // Validate inputs
+    this.validateInputs(betAmount, picks, risk);
+
+    // Use the user's committed seed pair, or a one-off pair when none is given
+    const gameSeeds = seeds || { ...ProvablyFair.generateGameSeeds(), nonce: 0 };
+    const { nonce } = gameSeeds;
+
+    // Generate game result
+    const resultHash = ProvablyFair.generateResult(
+      gameSeeds.serverSeed,
+      gameSeeds.clientSeed,
+      nonce
+    );
+
+    // Draw numbers and count hits
+    const drawnNumbers = this.generateDraw(resultHash);
+    const hits = picks.filter(number => drawnNumbers.includes(number));
+    const multiplier = this.getMultiplier(risk, picks.length, hits.length);
+
+    // Calculate payout
+    const payout = betAmount * multiplier;
+    const profit = payout - betAmount;
+
+    // Create game result
+    const gameResult = {
+      gameId: this.generateGameId(),
+      userId,
+      gameType: 'keno',
+      betAmount,
+      risk,
+      picks,
+      drawnNumbers,
+      hits,
+      multiplier,
+      isWin: multiplier > 1,
+      payout,
+      profit,
+      provablyFair: {
+        // The server seed stays secret until the seed pair is rotated
+        serverSeed: seeds ? null : gameSeeds.serverSeed,
+        serverSeedHash: gameSeeds.serverSeedHash,
+        clientSeed: gameSeeds.clientSeed,
+        nonce,
+        resultHash
+      },
+      timestamp: new Date()
+    };
+
+    return gameResult;
+  }
+
+  /**
+   * Draw numbers from the first positions of a Fisher-Yates shuffle of the board
+   * @param {string} hash - SHA-256 hash
+   * @returns {Array} Drawn numbers (1-40) in draw order
+   */
+  generateDraw(hash) {
+    return ProvablyFair.generateShuffle(hash, this.config.boardSize)
+      .slice(0, this.config.drawCount)
+      .map(index => index + 1);
+  }
+
+  /**
+   * Get the payout multiplier for a number of hits
+   * @param {string} risk - Risk level
+   * @param {number} pickCount - Number of picks
+   * @param {number} hitCount - Number of hits
+   * @returns {number} Payout multiplier
+   */
+  getMultiplier(risk, pickCount, hitCount) {
+    return this.paytables[risk][pickCount][hitCount] || 0;
+  }
+
+  /**
+   * Calculate the probability of each hit count for a number of picks
+   * @param {number} pickCount - Number of picks
+   * @returns {Array} Probability per number of hits (index = hits)
+   */
+  calculateHitProbabilities(pickCount) {
+    const { boardSize, drawCount } = this.config;
+    const combinations = (n, k) => {
+      if (k < 0 || k > n) return 0;
+      let result = 1;
+      for (let i = 1; i <= k; i++) {
+        result = result * (n - k + i) / i;
+      }
+      return result;
+    };
+
+    const total = combinations(boardSize, drawCount);
+    return Array.from({ length: pickCount + 1 }, (_, hits) =>
+      combinations(pickCount, hits) * combinations(boardSize - pickCount, drawCount - hits) / total
+    );
+  }
+
+  /**
+   * Calculate theoretical RTP of a paytable row
+   * @param {string} risk - Risk level
+   * @param {number} pickCount - Number of picks
+   * @returns {number} RTP percentage
+   */
+  calculateRTP(risk, pickCount) {
+    const probabilities = this.calculateHitProbabilities(pickCount);
+    const paytable = this.paytables[risk][pickCount];
+
+    return probabilities.reduce((sum, probability, hits) => sum + probability * paytable[hits], 0) * 100;
+  }
+
+  /**
+   * Validate game inputs
+   * @param {number} betAmount - Bet amount
+   * @param {Array} picks - Picked numbers
+   * @param {string} risk - Risk level
+   */
+  validateInputs(betAmount, picks, risk) {
+    if (betAmount < this.config.minBet || betAmount > this.config.maxBet) {
+      throw new Error(`Bet amount must be between ${this.config.minBet} and ${this.config.maxBet}`);
+    }
+
+    if (!this.paytables[risk]) {
+      throw new Error('Risk must be classic, low, medium, or high');
+    }
+
+    if (!Array.isArray(picks) || picks.length < this.config.minPicks || picks.length > this.config.maxPicks) {
+      throw new Error(`Pick between ${this.config.minPicks} and ${this.config.maxPicks} numbers`);
+    }
+
+    if (picks.some(number => !Number.isInteger(number) || number < 1 || number > this.config.boardSize)) {
+      throw new Error(`Picks must be numbers between 1 and ${this.config.boardSize}`);
+    }
+
+    if (new Set(picks).size !== picks.length) {
+      throw new Error('Picks must be unique');
+    }
+  }
+
+  /**
+   * Simulate Keno game for testing
+   * @param {Array} picks - Picked numbers
+   * @param {string} risk - Risk level
+   * @param {number} simulations - Number of simulations
+   * @returns {Object} Simulation results
+   */
+  simulate(picks, risk = 'classic', simulations = 10000) {
+    const hitDistribution = new Array(picks.length + 1).fill(0);
+    let totalMultiplier = 0;
+
+    for (let i = 0; i < simulations; i++) {
+      const serverSeed = ProvablyFair.generateServerSeed();
+      const clientSeed = ProvablyFair.generateClientSeed();
+      const resultHash = ProvablyFair.generateResult(serverSeed, clientSeed, i);
+      const drawnNumbers = this.generateDraw(resultHash);
+      const hitCount = picks.filter(number => drawnNumbers.includes(number)).length;
+
+      hitDistribution[hitCount]++;
+      totalMultiplier += this.getMultiplier(risk, picks.length, hitCount);
+    }
+
+    return {
+      simulations,
+      hitDistribution,
+      expectedHitProbabilities: this.calculateHitProbabilities(picks.length),
+      actualRTP: (totalMultiplier / simulations) * 100,
+      expectedRTP: this.calculateRTP(risk, picks.length)
+    };
+  }
+
+  /**
+   * Verify Keno game result
+   * @param {Object} gameResult - Game result to verify
+   * @returns {Object} Verification result
+   */
+  static verifyGame(gameResult) {
+    const { serverSeed, clientSeed, nonce } = gameResult.provablyFair;
+    const kenoGame = new KenoGame();
+
+    // Regenerate result hash
+    const calculatedHash = ProvablyFair.generateResult(serverSeed, clientSeed, nonce);
+
+    // Regenerate draw and multiplier
+    const calculatedDraw = kenoGame.generateDraw(calculatedHash);
+    const calculatedHits = gameResult.picks.filter(number => calculatedDraw.includes(number));
+    const calculatedMultiplier = kenoGame.getMultiplier(gameResult.risk, gameResult.picks.length, calculatedHits.length);
+
+    // Check if results match
+    const hashMatches = calculatedHash === gameResult.provablyFair.resultHash;
+    const drawMatches = JSON.stringify(calculatedDraw) === JSON.stringify(gameResult.drawnNumbers);
+    const multiplierMatches = Math.abs(calculatedMultiplier - gameResult.multiplier) < 0.01;
+
+    return {
+      verified: hashMatches && drawMatches && multiplierMatches,
+      calculatedHash,
+      calculatedDraw,
+      calculatedHits,
+      calculatedMultiplier,
+      originalDraw: gameResult.drawnNumbers,
+      originalMultiplier: gameResult.multiplier,
+      hashMatches,
+      drawMatches,
+      multiplierMatches,
+      gameId: gameResult.gameId
+    };
+  }
+
+  /**
+   * Generate unique game ID
+   * @returns {string} Game ID
+   */
+  generateGameId() {
+    return `keno_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get game configuration
+   * @returns {Object} Game configuration
+   */
+  getConfig() {
+    return {
+      ...this.config,
+      risks: Object.keys(this.paytables),
+      paytables: this.paytables
+    };
+  }
+}
+
+module.exports = KenoGame;
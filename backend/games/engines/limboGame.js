@@ -0,0 +1,205 @@
+const ProvablyFair = require('../utils/provablyFair');
+
+class LimboGame {
+  constructor() {
+    this.config = {
+      minBet: 0.01,
+      maxBet: 1000,
+      minTarget: 1.01,
+      maxTarget: 1000000,
+      houseEdge: 1.0 // 1%
+    };
+  }
+
+  /**
+   * Play a Limbo game
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {number} target - Target multiplier
+   * @param {Object} seeds - Seed pair and nonce reserved for this bet (optional)
+   * @returns {Object} Game result
+   */
+  async playGame(userId, betAmount, target, seeds = null) {
+    // Validate inputs
+    this.validateInputs(betAmount, target);
+
+    // Use the user's committed seed pair, or a one-off pair when none is given
+    const gameSeeds = seeds || { ...ProvablyFair.generateGameSeeds(), nonce: 0 };
+    const { nonce } = gameSeeds;
+
+    // Generate game result
+    const resultHash = ProvablyFair.generateResult(
+      gameSeeds.serverSeed,
+      gameSeeds.clientSeed,
+      nonce
+    );
+
+    // Get result multiplier
+    const resultMultiplier = this.generateLimboResult(resultHash);
+
+    // Determine if player won
+    const isWin = resultMultiplier >= target;
+
+    // Calculate payout
+    const payout = isWin ? betAmount * target : 0;
+    const profit = payout - betAmount;
+
+    // Create game result
+    const gameResult = {
+      gameId: this.generateGameId(),
+      userId,
+      gameType: 'limbo',
+      betAmount,
+      target,
+      resultMultiplier,
+      winChance: this.calculateWinChance(target),
+      multiplier: isWin ? target : 0,
+      isWin,
+      payout,
+      profit,
+      provablyFair: {
+        // The server seed stays secret until the seed pair is rotated
+        serverSeed: seeds ? null : gameSeeds.serverSeed,
+        serverSeedHash: gameSeeds.serverSeedHash,
+        clientSeed: gameSeeds.clientSeed,
+        nonce,
+        resultHash
+      },
+      timestamp: new Date()
+    };
+
+    return gameResult;
+  }
+
+  /**
+   * Generate Limbo result multiplier from hash.
+   * Uses the crash formula (1 - edge) / (1 - float), floored to 2 decimals,
+   * so P(result >= target) = (1 - edge) / target for any 2-decimal target.
+   * @param {string} hash - SHA-256 hash
+   * @returns {number} Result multiplier
+   */
+  generateLimboResult(hash) {
+    const float = ProvablyFair.hashToFloat(hash);
+    const result = (1 - this.config.houseEdge / 100) / (1 - float);
+    const floored = Math.floor(result * 100) / 100;
+
+    return Math.min(Math.max(floored, 1), this.config.maxTarget);
+  }
+
+  /**
+   * Calculate win chance for a target multiplier
+   * @param {number} target - Target multiplier
+   * @returns {number} Win chance percentage
+   */
+  calculateWinChance(target) {
+    return (100 - this.config.houseEdge) / target;
+  }
+
+  /**
+   * Validate game inputs
+   * @param {number} betAmount - Bet amount
+   * @param {number} target - Target multiplier
+   */
+  validateInputs(betAmount, target) {
+    if (betAmount < this.config.minBet || betAmount > this.config.maxBet) {
+      throw new Error(`Bet amount must be between ${this.config.minBet} and ${this.config.maxBet}`);
+    }
+
+    if (!Number.isFinite(target) || target < this.config.minTarget || target > this.config.maxTarget) {
+      throw new Error(`Target must be between ${this.config.minTarget} and ${this.config.maxTarget}`);
+    }
+
+    if (Math.abs(Math.round(target * 100) - target * 100) > 1e-9) {
+      throw new Error('Target can have at most 2 decimal places');
+    }
+  }
+
+  /**
+   * Simulate Limbo game for testing
+   * @param {number} target - Target multiplier
+   * @param {number} simulations - Number of simulations
+   * @returns {Object} Simulation results
+   */
+  simulate(target, simulations = 10000) {
+    const results = [];
+
+    for (let i = 0; i < simulations; i++) {
+      const serverSeed = ProvablyFair.generateServerSeed();
+      const clientSeed = ProvablyFair.generateClientSeed();
+      const resultHash = ProvablyFair.generateResult(serverSeed, clientSeed, i);
+      const resultMultiplier = this.generateLimboResult(resultHash);
+
+      results.push({
+        resultMultiplier,
+        isWin: resultMultiplier >= target
+      });
+    }
+
+    const wins = results.filter(r => r.isWin).length;
+    const actualWinRate = (wins / simulations) * 100;
+    const expectedWinRate = this.calculateWinChance(target);
+    const actualRTP = (wins * target / simulations) * 100;
+
+    return {
+      simulations,
+      wins,
+      losses: simulations - wins,
+      actualWinRate,
+      expectedWinRate,
+      variance: Math.abs(actualWinRate - expectedWinRate),
+      actualRTP,
+      expectedRTP: 100 - this.config.houseEdge,
+      results: results.slice(0, 100) // Return first 100 results
+    };
+  }
+
+  /**
+   * Verify Limbo game result
+   * @param {Object} gameResult - Game result to verify
+   * @returns {Object} Verification result
+   */
+  static verifyGame(gameResult) {
+    const { serverSeed, clientSeed, nonce } = gameResult.provablyFair;
+
+    // Regenerate result hash
+    const calculatedHash = ProvablyFair.generateResult(serverSeed, clientSeed, nonce);
+
+    // Regenerate result multiplier
+    const limboGame = new LimboGame();
+    const calculatedResult = limboGame.generateLimboResult(calculatedHash);
+
+    // Check if results match
+    const hashMatches = calculatedHash === gameResult.provablyFair.resultHash;
+    const resultMatches = Math.abs(calculatedResult - gameResult.resultMultiplier) < 0.001;
+    const winMatches = (calculatedResult >= gameResult.target) === gameResult.isWin;
+
+    return {
+      verified: hashMatches && resultMatches && winMatches,
+      calculatedHash,
+      calculatedResult,
+      originalResult: gameResult.resultMultiplier,
+      hashMatches,
+      resultMatches,
+      winMatches,
+      gameId: gameResult.gameId
+    };
+  }
+
+  /**
+   * Generate unique game ID
+   * @returns {string} Game ID
+   */
+  generateGameId() {
+    return `limbo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get game configuration
+   * @returns {Object} Game configuration
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+}
+
+module.exports = LimboGame;
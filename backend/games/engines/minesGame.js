@@ -0,0 +1,238 @@
+const ProvablyFair = require('../utils/provablyFair');
+
+class MinesGame {
+  constructor() {
+    this.config = {
+      minBet: 0.01,
+      maxBet: 1000,
+      gridSize: 25, // 5x5 board
+      minMines: 1,
+      maxMines: 24,
+      houseEdge: 1.0 // 1%
+    };
+  }
+
+  /**
+   * Start a Mines game. Mine positions are fixed up front from the seeds,
+   * so every later reveal can be checked against the committed server seed.
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {number} mineCount - Number of mines (1-24)
+   * @param {Object} seeds - Seed pair and nonce reserved for this bet (optional)
+   * @returns {Object} Game state
+   */
+  async startGame(userId, betAmount, mineCount, seeds = null) {
+    // Validate inputs
+    this.validateInputs(betAmount, mineCount);
+
+    // Use the user's committed seed pair, or a one-off pair when none is given
+    const gameSeeds = seeds || { ...ProvablyFair.generateGameSeeds(), nonce: 0 };
+    const { nonce } = gameSeeds;
+
+    // Generate game result
+    const resultHash = ProvablyFair.generateResult(
+      gameSeeds.serverSeed,
+      gameSeeds.clientSeed,
+      nonce
+    );
+
+    return {
+      gameId: this.generateGameId(),
+      userId,
+      gameType: 'mines',
+      betAmount,
+      mineCount,
+      minePositions: this.generateMinePositions(resultHash, mineCount),
+      revealedTiles: [],
+      multiplier: 1,
+      provablyFair: {
+        // The server seed stays secret until the seed pair is rotated
+        serverSeed: seeds ? null : gameSeeds.serverSeed,
+        serverSeedHash: gameSeeds.serverSeedHash,
+        clientSeed: gameSeeds.clientSeed,
+        nonce,
+        resultHash
+      }
+    };
+  }
+
+  /**
+   * Reveal a tile
+   * @param {Object} state - Game state from startGame or a previous reveal
+   * @param {number} tile - Tile index (0-24)
+   * @returns {Object} Updated game state with hitMine and completed flags
+   */
+  revealTile(state, tile) {
+    if (!Number.isInteger(tile) || tile < 0 || tile >= this.config.gridSize) {
+      throw new Error(`Tile must be between 0 and ${this.config.gridSize - 1}`);
+    }
+
+    if (state.revealedTiles.includes(tile)) {
+      throw new Error('Tile already revealed');
+    }
+
+    const revealedTiles = [...state.revealedTiles, tile];
+    const hitMine = state.minePositions.includes(tile);
+    const safeTiles = this.config.gridSize - state.mineCount;
+
+    return {
+      ...state,
+      revealedTiles,
+      multiplier: hitMine ? 0 : this.calculateMultiplier(state.mineCount, revealedTiles.length),
+      hitMine,
+      // Revealing the last safe tile cashes out automatically
+      completed: hitMine || revealedTiles.length === safeTiles
+    };
+  }
+
+  /**
+   * Build the final result of a game that ended by a mine or a cash out
+   * @param {Object} state - Game state
+   * @returns {Object} Game result
+   */
+  finishGame(state) {
+    const hitMine = state.revealedTiles.some(tile => state.minePositions.includes(tile));
+
+    if (!hitMine && state.revealedTiles.length === 0) {
+      throw new Error('Reveal at least one tile before cashing out');
+    }
+
+    const multiplier = hitMine ? 0 : this.calculateMultiplier(state.mineCount, state.revealedTiles.length);
+    const payout = state.betAmount * multiplier;
+
+    return {
+      gameId: state.gameId,
+      userId: state.userId,
+      gameType: 'mines',
+      betAmount: state.betAmount,
+      mineCount: state.mineCount,
+      minePositions: state.minePositions,
+      revealedTiles: state.revealedTiles,
+      multiplier,
+      isWin: !hitMine,
+      payout,
+      profit: payout - state.betAmount,
+      provablyFair: state.provablyFair,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Place mines on the first tiles of a Fisher-Yates shuffle of the board
+   * @param {string} resultHash - SHA-256 result hash
+   * @param {number} mineCount - Number of mines
+   * @returns {Array} Sorted mine tile indexes
+   */
+  generateMinePositions(resultHash, mineCount) {
+    return ProvablyFair.generateShuffle(resultHash, this.config.gridSize)
+      .slice(0, mineCount)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Calculate the payout multiplier after a number of safe reveals.
+   * Fair odds are C(25, k) / C(25 - mines, k), reduced by the house edge.
+   * @param {number} mineCount - Number of mines
+   * @param {number} safeReveals - Safe tiles revealed
+   * @returns {number} Payout multiplier
+   */
+  calculateMultiplier(mineCount, safeReveals) {
+    if (safeReveals === 0) {
+      return 1;
+    }
+
+    const { gridSize, houseEdge } = this.config;
+    let odds = 1;
+    for (let i = 0; i < safeReveals; i++) {
+      odds *= (gridSize - i) / (gridSize - mineCount - i);
+    }
+
+    return Math.floor(odds * (100 - houseEdge)) / 100;
+  }
+
+  /**
+   * Validate game inputs
+   * @param {number} betAmount - Bet amount
+   * @param {number} mineCount - Number of mines
+   */
+  validateInputs(betAmount, mineCount) {
+    if (betAmount < this.config.minBet || betAmount > this.config.maxBet) {
+      throw new Error(`Bet amount must be between ${this.config.minBet} and ${this.config.maxBet}`);
+    }
+
+    if (!Number.isInteger(mineCount) || mineCount < this.config.minMines || mineCount > this.config.maxMines) {
+      throw new Error(`Mine count must be between ${this.config.minMines} and ${this.config.maxMines}`);
+    }
+  }
+
+  /**
+   * Verify Mines game result
+   * @param {Object} gameResult - Game result to verify
+   * @returns {Object} Verification result
+   */
+  static verifyGame(gameResult) {
+    const { serverSeed, clientSeed, nonce } = gameResult.provablyFair;
+    const minesGame = new MinesGame();
+
+    // Regenerate result hash
+    const calculatedHash = ProvablyFair.generateResult(serverSeed, clientSeed, nonce);
+
+    // Regenerate mine positions
+    const calculatedMinePositions = minesGame.generateMinePositions(calculatedHash, gameResult.mineCount);
+
+    // Replay the reveals against the regenerated board
+    const revealedTiles = gameResult.revealedTiles || [];
+    const hitMine = revealedTiles.some(tile => calculatedMinePositions.includes(tile));
+    const calculatedMultiplier = hitMine
+      ? 0
+      : minesGame.calculateMultiplier(gameResult.mineCount, revealedTiles.length);
+
+    // Check if results match
+    const hashMatches = calculatedHash === gameResult.provablyFair.resultHash;
+    const minesMatch = JSON.stringify(calculatedMinePositions) === JSON.stringify(gameResult.minePositions);
+    const winMatches = !hitMine === gameResult.isWin;
+    const multiplierMatches = Math.abs(calculatedMultiplier - gameResult.multiplier) < 0.01;
+
+    return {
+      verified: hashMatches && minesMatch && winMatches && multiplierMatches,
+      calculatedHash,
+      calculatedMinePositions,
+      calculatedMultiplier,
+      originalMinePositions: gameResult.minePositions,
+      originalMultiplier: gameResult.multiplier,
+      hashMatches,
+      minesMatch,
+      winMatches,
+      multiplierMatches,
+      gameId: gameResult.gameId
+    };
+  }
+
+  /**
+   * Generate unique game ID
+   * @returns {string} Game ID
+   */
+  generateGameId() {
+    return `mines_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get game configuration
+   * @returns {Object} Game configuration
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Get the multiplier for every number of safe reveals
+   * @param {number} mineCount - Number of mines
+   * @returns {Array} Multipliers, index = safe tiles revealed
+   */
+  getMultiplierTable(mineCount) {
+    const safeTiles = this.config.gridSize - mineCount;
+    return Array.from({ length: safeTiles + 1 }, (_, reveals) => this.calculateMultiplier(mineCount, reveals));
+  }
+}
+
+module.exports = MinesGame;
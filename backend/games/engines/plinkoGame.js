@@ -31,22 +31,19 @@ class PlinkoGame {
    * @param {string} userId - User ID
    * @param {number} betAmount - Bet amount
    * @param {string} risk - Risk level ('low', 'medium', 'high')
-   * @param {string} clientSeed - Client seed (optional)
-   * @param {number} nonce - User's nonce
+   * @param {Object} seeds - Seed pair and nonce reserved for this bet (optional)
    * @returns {Object} Game result
    */
-  async playGame(userId, betAmount, risk = 'medium', clientSeed = null, nonce = 0) {
+  async playGame(userId, betAmount, risk = 'medium', seeds = null) {
     // Validate inputs
     this.validateInputs(betAmount, risk);
 
     // Get multiplier configuration
     const config = this.multiplierConfigs[risk];
     
-    // Generate game seeds
-    const gameSeeds = ProvablyFair.generateGameSeeds();
-    if (clientSeed) {
-      gameSeeds.clientSeed = clientSeed;
-    }
+    // Use the user's committed seed pair, or a one-off pair when none is given
+    const gameSeeds = seeds || { ...ProvablyFair.generateGameSeeds(), nonce: 0 };
+    const { nonce } = gameSeeds;
 
     // Generate game result
     const resultHash = ProvablyFair.generateResult(
@@ -79,7 +76,8 @@ class PlinkoGame {
       payout,
       profit,
       provablyFair: {
-        serverSeed: gameSeeds.serverSeed,
+        // The server seed stays secret until the seed pair is rotated
+        serverSeed: seeds ? null : gameSeeds.serverSeed,
         serverSeedHash: gameSeeds.serverSeedHash,
         clientSeed: gameSeeds.clientSeed,
         nonce,
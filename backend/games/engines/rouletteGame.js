@@ -0,0 +1,310 @@
+const ProvablyFair = require('../utils/provablyFair');
+
+// Outside bets with a fixed set of numbers
+const OUTSIDE_BETS = {
+  red: [1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36],
+  black: [2, 4, 6, 8, 10, 11, 13, 15, 17, 20, 22, 24, 26, 28, 29, 31, 33, 35],
+  odd: Array.from({ length: 18 }, (_, i) => i * 2 + 1),
+  even: Array.from({ length: 18 }, (_, i) => i * 2 + 2),
+  low: Array.from({ length: 18 }, (_, i) => i + 1),
+  high: Array.from({ length: 18 }, (_, i) => i + 19)
+};
+
+class RouletteGame {
+  constructor() {
+    this.config = {
+      minChip: 0.01,
+      maxBet: 1000, // Total of the slip
+      maxChips: 50,
+      houseEdge: 2.7 // Single zero: 1/37
+    };
+
+    this.placements = this.buildPlacements();
+  }
+
+  /**
+   * Spin the wheel once and settle every bet on the slip
+   * @param {string} userId - User ID
+   * @param {Array} bets - Bet slip: [{ type, numbers | value, amount }]
+   * @param {Object} seeds - Seed pair and nonce reserved for this bet (optional)
+   * @returns {Object} Game result
+   */
+  async playGame(userId, bets, seeds = null) {
+    // Validate inputs
+    const slip = this.validateBets(bets);
+    const betAmount = this.getTotalBet(slip);
+
+    // Use the user's committed seed pair, or a one-off pair when none is given
+    const gameSeeds = seeds || { ...ProvablyFair.generateGameSeeds(), nonce: 0 };
+    const { nonce } = gameSeeds;
+
+    // Generate game result
+    const resultHash = ProvablyFair.generateResult(
+      gameSeeds.serverSeed,
+      gameSeeds.clientSeed,
+      nonce
+    );
+
+    const result = ProvablyFair.generateRouletteResult(resultHash);
+
+    // Settle every chip against the single result
+    const settledBets = this.settleBets(slip, result.number);
+    const payout = settledBets.reduce((sum, bet) => sum + bet.payout, 0);
+    const profit = payout - betAmount;
+
+    // Create game result
+    const gameResult = {
+      gameId: this.generateGameId(),
+      userId,
+      gameType: 'roulette',
+      betAmount,
+      bets: settledBets,
+      result,
+      multiplier: payout / betAmount,
+      isWin: payout > betAmount,
+      payout,
+      profit,
+      provablyFair: {
+        // The server seed stays secret until the seed pair is rotated
+        serverSeed: seeds ? null : gameSeeds.serverSeed,
+        serverSeedHash: gameSeeds.serverSeedHash,
+        clientSeed: gameSeeds.clientSeed,
+        nonce,
+        resultHash
+      },
+      timestamp: new Date()
+    };
+
+    return gameResult;
+  }
+
+  /**
+   * Build every legal inside-bet placement on the European layout
+   * (three columns, number n sits in row ceil(n / 3)).
+   * @returns {Object} Bet type -> Set of placement keys
+   */
+  buildPlacements() {
+    const placements = {
+      straight: [],
+      split: [],
+      street: [],
+      corner: [],
+      sixline: []
+    };
+
+    for (let n = 0; n <= 36; n++) {
+      placements.straight.push([n]);
+    }
+
+    // Zero borders 1, 2 and 3
+    placements.split.push([0, 1], [0, 2], [0, 3]);
+    placements.street.push([0, 1, 2], [0, 2, 3]);
+    placements.corner.push([0, 1, 2, 3]);
+
+    for (let n = 1; n <= 36; n++) {
+      const lastColumn = n % 3 === 0;
+      const firstColumn = n % 3 === 1;
+
+      if (!lastColumn) placements.split.push([n, n + 1]);
+      if (n <= 33) placements.split.push([n, n + 3]);
+      if (firstColumn) placements.street.push([n, n + 1, n + 2]);
+      if (!lastColumn && n <= 32) placements.corner.push([n, n + 1, n + 3, n + 4]);
+      if (firstColumn && n <= 31) placements.sixline.push([n, n + 1, n + 2, n + 3, n + 4, n + 5]);
+    }
+
+    return Object.fromEntries(
+      Object.entries(placements).map(([type, list]) => [type, new Set(list.map(numbers => numbers.join('-')))])
+    );
+  }
+
+  /**
+   * Get the numbers a bet covers
+   * @param {Object} bet - Validated bet
+   * @returns {Array} Covered numbers
+   */
+  getCoveredNumbers(bet) {
+    if (this.placements[bet.type]) {
+      return bet.numbers;
+    }
+
+    if (bet.type === 'dozen') {
+      return Array.from({ length: 12 }, (_, i) => (bet.value - 1) * 12 + i + 1);
+    }
+
+    if (bet.type === 'column') {
+      return Array.from({ length: 12 }, (_, i) => i * 3 + bet.value);
+    }
+
+    return OUTSIDE_BETS[bet.type];
+  }
+
+  /**
+   * Payout multiplier of a bet (stake included): 36 / numbers covered,
+   * so a straight pays 35:1 and an even-money bet pays 1:1
+   * @param {Object} bet - Validated bet
+   * @returns {number} Payout multiplier
+   */
+  getMultiplier(bet) {
+    return 36 / this.getCoveredNumbers(bet).length;
+  }
+
+  /**
+   * Settle each bet against the winning number
+   * @param {Array} bets - Validated bets
+   * @param {number} number - Winning number
+   * @returns {Array} Bets with isWin, multiplier and payout
+   */
+  settleBets(bets, number) {
+    return bets.map(bet => {
+      const isWin = this.getCoveredNumbers(bet).includes(number);
+      const multiplier = this.getMultiplier(bet);
+
+      return {
+        ...bet,
+        multiplier,
+        isWin,
+        payout: isWin ? bet.amount * multiplier : 0
+      };
+    });
+  }
+
+  /**
+   * Total stake of a bet slip
+   * @param {Array} bets - Bets
+   * @returns {number} Total stake
+   */
+  getTotalBet(bets) {
+    return bets.reduce((sum, bet) => sum + bet.amount, 0);
+  }
+
+  /**
+   * Validate a bet slip and normalize each chip placement
+   * @param {Array} bets - Bet slip
+   * @returns {Array} Normalized bets
+   */
+  validateBets(bets) {
+    if (!Array.isArray(bets) || bets.length === 0) {
+      throw new Error('Place at least one bet');
+    }
+
+    if (bets.length > this.config.maxChips) {
+      throw new Error(`A slip can hold at most ${this.config.maxChips} bets`);
+    }
+
+    const slip = bets.map((bet, index) => this.validateBet(bet, index));
+
+    const total = this.getTotalBet(slip);
+    if (total > this.config.maxBet) {
+      throw new Error(`Total bet must not exceed ${this.config.maxBet}`);
+    }
+
+    return slip;
+  }
+
+  /**
+   * Validate one chip placement
+   * @param {Object} bet - Bet
+   * @param {number} index - Position on the slip, for error messages
+   * @returns {Object} Normalized bet
+   */
+  validateBet(bet, index) {
+    const { type, amount } = bet || {};
+
+    if (!Number.isFinite(amount) || amount < this.config.minChip) {
+      throw new Error(`Bet ${index + 1}: amount must be at least ${this.config.minChip}`);
+    }
+
+    if (this.placements[type]) {
+      const numbers = Array.isArray(bet.numbers) ? [...bet.numbers].sort((a, b) => a - b) : [];
+      if (!this.placements[type].has(numbers.join('-'))) {
+        throw new Error(`Bet ${index + 1}: invalid ${type} placement`);
+      }
+      return { type, numbers, amount };
+    }
+
+    if (type === 'dozen' || type === 'column') {
+      if (![1, 2, 3].includes(bet.value)) {
+        throw new Error(`Bet ${index + 1}: ${type} must be 1, 2 or 3`);
+      }
+      return { type, value: bet.value, amount };
+    }
+
+    if (OUTSIDE_BETS[type]) {
+      return { type, amount };
+    }
+
+    throw new Error(`Bet ${index + 1}: unknown bet type`);
+  }
+
+  /**
+   * Verify Roulette game result
+   * @param {Object} gameResult - Game result to verify
+   * @returns {Object} Verification result
+   */
+  static verifyGame(gameResult) {
+    const { serverSeed, clientSeed, nonce } = gameResult.provablyFair;
+    const rouletteGame = new RouletteGame();
+
+    // Regenerate result hash
+    const calculatedHash = ProvablyFair.generateResult(serverSeed, clientSeed, nonce);
+
+    // Regenerate the winning number and resettle the slip
+    const calculatedResult = ProvablyFair.generateRouletteResult(calculatedHash);
+    const calculatedPayout = rouletteGame.settleBets(rouletteGame.validateBets(gameResult.bets), calculatedResult.number)
+      .reduce((sum, bet) => sum + bet.payout, 0);
+
+    // Check if results match
+    const hashMatches = calculatedHash === gameResult.provablyFair.resultHash;
+    const resultMatches = calculatedResult.number === gameResult.result.number;
+    const payoutMatches = Math.abs(calculatedPayout - gameResult.payout) < 1e-8;
+
+    return {
+      verified: hashMatches && resultMatches && payoutMatches,
+      calculatedHash,
+      calculatedResult,
+      calculatedPayout,
+      originalResult: gameResult.result,
+      originalPayout: gameResult.payout,
+      hashMatches,
+      resultMatches,
+      payoutMatches,
+      gameId: gameResult.gameId
+    };
+  }
+
+  /**
+   * Generate unique game ID
+   * @returns {string} Game ID
+   */
+  generateGameId() {
+    return `roulette_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Get game configuration
+   * @returns {Object} Game configuration
+   */
+  getConfig() {
+    return {
+      ...this.config,
+      betTypes: [...Object.keys(this.placements), 'dozen', 'column', ...Object.keys(OUTSIDE_BETS)],
+      payouts: {
+        straight: 35,
+        split: 17,
+        street: 11,
+        corner: 8,
+        sixline: 5,
+        dozen: 2,
+        column: 2,
+        red: 1,
+        black: 1,
+        odd: 1,
+        even: 1,
+        low: 1,
+        high: 1
+      }
+    };
+  }
+}
+
+module.exports = RouletteGame;
@@ -1,17 +1,38 @@
 const CrashGame = require('./engines/crashGame');
 const DiceGame = require('./engines/diceGame');
 const PlinkoGame = require('./engines/plinkoGame');
+const MinesGame = require('./engines/minesGame');
+const LimboGame = require('./engines/limboGame');
+const KenoGame = require('./engines/kenoGame');
+const BlackjackGame = require('./engines/blackjackGame');
+const RouletteGame = require('./engines/rouletteGame');
+const SeedManager = require('./utils/seedManager');
+const CrashChainManager = require('./utils/crashChain');
 const GameSession = require('../models/GameSession');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
+const Ledger = require('../payments/ledger');
+const BonusManager = require('../payments/bonusManager');
+const JurisdictionRules = require('../utils/compliance/jurisdictionRules');
+const RealityChecks = require('../utils/compliance/realityChecks');
+const ResponsibleGaming = require('../utils/compliance/responsibleGaming');
 const { SecurityMonitor } = require('../utils/securityMonitor');
 
+// Catalog category of the in-house games, whose slug is their game type
+const IN_HOUSE_CATEGORY = 'provably_fair';
+
 class GameManager {
   constructor() {
-    this.crashGame = new CrashGame();
+    this.crashChain = new CrashChainManager();
+    this.crashGame = new CrashGame(this.crashChain);
     this.diceGame = new DiceGame();
     this.plinkoGame = new PlinkoGame();
+    this.minesGame = new MinesGame();
+    this.blackjackGame = new BlackjackGame();
+    this.rouletteGame = new RouletteGame();
+    this.limboGame = new LimboGame();
+    this.kenoGame = new KenoGame();
     this.activeSessions = new Map(); // sessionId -> session data
+    this.crashBroadcaster = null; // (event, data) => void, set by the realtime gateway
     
     // Initialize crash game
     this.initializeCrashGame();
@@ -27,25 +48,41 @@ class GameManager {
     // Set up event listeners for crash game
     this.crashGame.on('gameStarted', (data) => {
       console.log('Crash game started:', data.gameId);
+      this.broadcastCrashUpdate('started', data);
     });
 
     this.crashGame.on('multiplierUpdate', (data) => {
       // Broadcast to connected clients via WebSocket
-      this.broadcastCrashUpdate(data);
+      this.broadcastCrashUpdate('multiplier', data);
       
       // Check for auto cash outs
       this.crashGame.checkAutoCashOuts();
     });
 
+    this.crashGame.on('betPlaced', (data) => {
+      this.broadcastCrashUpdate('bet', data);
+    });
+
     this.crashGame.on('gameCrashed', (data) => {
       console.log('Crash game ended:', data.gameId, 'at', data.crashPoint);
+      this.broadcastCrashUpdate('crashed', data);
+      this.recordCrashRound(data);
       this.processCrashGameResults(data);
     });
 
     this.crashGame.on('playerCashedOut', (data) => {
       console.log('Player cashed out:', data.userId, 'at', data.multiplier);
+      this.broadcastCrashUpdate('cashout', data);
       this.processCashOut(data);
     });
+
+    this.crashGame.on('gameEnded', (data) => {
+      this.broadcastCrashUpdate('ended', data);
+    });
+
+    this.crashGame.on('gameReset', () => {
+      this.broadcastCrashUpdate('reset', {});
+    });
   }
 
   /**
@@ -55,9 +92,10 @@ class GameManager {
    * @param {number} betAmount - Bet amount
    * @param {string} currency - Currency
    * @param {Object} gameParams - Game-specific parameters
+   * @param {Object} seeds - Seeds reserved from the user's seed pair (optional)
    * @returns {Object} Session result
    */
-  async startGameSession(userId, gameType, betAmount, currency, gameParams = {}) {
+  async startGameSession(userId, gameType, betAmount, currency, gameParams = {}, seeds = null) {
     try {
       // Validate user and balance
       const user = await User.findById(userId);
@@ -69,9 +107,19 @@ class GameManager {
         throw new Error('Account is not active');
       }
 
-      // Check user balance
-      const balance = user.wallet.balance[currency] || 0;
-      if (balance < betAmount) {
+      // No new bets until the pending reality check is answered
+      RealityChecks.assertNoPendingCheck(user);
+
+      // Check the rules of the user's jurisdiction: game, KYC level, max bet
+      await JurisdictionRules.assertCanPlay(
+        user,
+        { slug: gameType, category: IN_HOUSE_CATEGORY },
+        { amount: betAmount, currency }
+      );
+
+      // Check user balance; bets can draw on cash and bonus funds
+      const { cash, bonus } = Ledger.readBalances(user, currency);
+      if (cash + bonus < betAmount) {
         throw new Error('Insufficient balance');
       }
 
@@ -84,14 +132,16 @@ class GameManager {
         sessionId,
         userId,
         gameId: null, // Will be set based on game type
+        gameType,
         status: 'active',
         betAmount,
         currency,
         provablyFair: {
-          serverSeed: '',
-          serverSeedHash: '',
-          clientSeed: gameParams.clientSeed || '',
-          nonce: gameParams.nonce || 0,
+          seedPairId: seeds ? seeds.seedPairId : null,
+          serverSeed: null, // Filled in when the seed pair is rotated
+          serverSeedHash: seeds ? seeds.serverSeedHash : null,
+          clientSeed: seeds ? seeds.clientSeed : null,
+          nonce: seeds ? seeds.nonce : 0,
           revealed: false
         },
         gameData: gameParams,
@@ -103,13 +153,13 @@ class GameManager {
         }
       });
 
-      // Deduct bet amount from user balance
-      await this.deductBalance(userId, betAmount, currency);
-
-      // Create bet transaction
-      await this.createTransaction(userId, 'bet', betAmount, currency, {
-        sessionId,
-        gameType
+      // Deduct bet amount from the cash and bonus balances in spend order
+      const posting = await Ledger.stake(userId, betAmount, currency, {
+        type: 'bet',
+        referenceKey: `bet:${sessionId}`,
+        account: Ledger.ACCOUNTS.GAMES,
+        description: `${gameType} bet`,
+        transaction: { sessionId }
       });
 
       // Store active session
@@ -125,7 +175,8 @@ class GameManager {
         gameType,
         betAmount,
         currency,
-        balance: user.wallet.balance[currency] - betAmount
+        balance: posting.balance,
+        bonusBalance: posting.bonusBalance
       };
 
     } catch (error) {
@@ -203,22 +254,21 @@ class GameManager {
    * @param {string} currency - Currency
    * @param {number} target - Target number
    * @param {string} direction - 'over' or 'under'
-   * @param {string} clientSeed - Client seed (optional)
-   * @param {number} nonce - Nonce
    * @returns {Object} Game result
    */
-  async playDice(userId, betAmount, currency, target, direction, clientSeed = null, nonce = 0) {
+  async playDice(userId, betAmount, currency, target, direction) {
     try {
+      // Reserve the next nonce of the user's committed seed pair
+      const seeds = await SeedManager.reserveNonce(userId);
+
       // Start game session
       const sessionResult = await this.startGameSession(userId, 'dice', betAmount, currency, {
         target,
-        direction,
-        clientSeed,
-        nonce
-      });
+        direction
+      }, seeds);
 
       // Play dice game
-      const gameResult = await this.diceGame.playGame(userId, betAmount, target, direction, clientSeed, nonce);
+      const gameResult = await this.diceGame.playGame(userId, betAmount, target, direction, seeds);
 
       // Complete the session
       await this.completeGameSession(sessionResult.sessionId, gameResult);
@@ -240,21 +290,20 @@ class GameManager {
    * @param {number} betAmount - Bet amount
    * @param {string} currency - Currency
    * @param {string} risk - Risk level ('low', 'medium', 'high')
-   * @param {string} clientSeed - Client seed (optional)
-   * @param {number} nonce - Nonce
    * @returns {Object} Game result
    */
-  async playPlinko(userId, betAmount, currency, risk = 'medium', clientSeed = null, nonce = 0) {
+  async playPlinko(userId, betAmount, currency, risk = 'medium') {
     try {
+      // Reserve the next nonce of the user's committed seed pair
+      const seeds = await SeedManager.reserveNonce(userId);
+
       // Start game session
       const sessionResult = await this.startGameSession(userId, 'plinko', betAmount, currency, {
-        risk,
-        clientSeed,
-        nonce
-      });
+        risk
+      }, seeds);
 
       // Play Plinko game
-      const gameResult = await this.plinkoGame.playGame(userId, betAmount, risk, clientSeed, nonce);
+      const gameResult = await this.plinkoGame.playGame(userId, betAmount, risk, seeds);
 
       // Complete the session
       await this.completeGameSession(sessionResult.sessionId, gameResult);
@@ -270,6 +319,544 @@ class GameManager {
     }
   }
 
+  /**
+   * Play Limbo game
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {string} currency - Currency
+   * @param {number} target - Target multiplier
+   * @returns {Object} Game result
+   */
+  async playLimbo(userId, betAmount, currency, target) {
+    try {
+      // Reserve the next nonce of the user's committed seed pair
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      // Start game session
+      const sessionResult = await this.startGameSession(userId, 'limbo', betAmount, currency, {
+        target
+      }, seeds);
+
+      // Play Limbo game
+      const gameResult = await this.limboGame.playGame(userId, betAmount, target, seeds);
+
+      // Complete the session
+      await this.completeGameSession(sessionResult.sessionId, gameResult);
+
+      return {
+        ...sessionResult,
+        ...gameResult
+      };
+
+    } catch (error) {
+      console.error('Error playing Limbo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Play Keno game
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {string} currency - Currency
+   * @param {Array} picks - Picked numbers (1-40)
+   * @param {string} risk - Risk level ('classic', 'low', 'medium', 'high')
+   * @returns {Object} Game result
+   */
+  async playKeno(userId, betAmount, currency, picks, risk = 'classic') {
+    try {
+      // Reserve the next nonce of the user's committed seed pair
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      // Start game session
+      const sessionResult = await this.startGameSession(userId, 'keno', betAmount, currency, {
+        picks,
+        risk
+      }, seeds);
+
+      // Play Keno game
+      const gameResult = await this.kenoGame.playGame(userId, betAmount, picks, risk, seeds);
+
+      // Complete the session
+      await this.completeGameSession(sessionResult.sessionId, gameResult);
+
+      return {
+        ...sessionResult,
+        ...gameResult
+      };
+
+    } catch (error) {
+      console.error('Error playing Keno:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Play Roulette: one spin settles every bet on the slip
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency
+   * @param {Array} bets - Bet slip: [{ type, numbers | value, amount }]
+   * @returns {Object} Game result
+   */
+  async playRoulette(userId, currency, bets) {
+    try {
+      // Check the slip before taking the bet so invalid chips cost nothing
+      const slip = this.rouletteGame.validateBets(bets);
+      const betAmount = this.rouletteGame.getTotalBet(slip);
+
+      // Reserve the next nonce of the user's committed seed pair
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      // Start game session
+      const sessionResult = await this.startGameSession(userId, 'roulette', betAmount, currency, {
+        bets: slip
+      }, seeds);
+
+      // Play Roulette game
+      const gameResult = await this.rouletteGame.playGame(userId, slip, seeds);
+
+      // Complete the session
+      await this.completeGameSession(sessionResult.sessionId, gameResult);
+
+      return {
+        ...sessionResult,
+        ...gameResult
+      };
+
+    } catch (error) {
+      console.error('Error playing Roulette:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a Mines game. The session is stored in the database and carried
+   * across reveal and cash out requests.
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {string} currency - Currency
+   * @param {number} mineCount - Number of mines (1-24)
+   * @returns {Object} Game state
+   */
+  async startMines(userId, betAmount, currency, mineCount) {
+    try {
+      const activeGame = await this.getActiveMinesSession(userId);
+      if (activeGame) {
+        throw new Error('Finish your current Mines game first');
+      }
+
+      // Reserve the next nonce of the user's committed seed pair
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      // Place the mines before taking the bet so invalid input costs nothing
+      const gameState = await this.minesGame.startGame(userId, betAmount, mineCount, seeds);
+
+      // Start game session
+      const sessionResult = await this.startGameSession(userId, 'mines', betAmount, currency, {
+        mineCount
+      }, seeds);
+
+      // Mines spans several requests, so the session lives in the database rather than in memory
+      const { session } = this.activeSessions.get(sessionResult.sessionId);
+      this.activeSessions.delete(sessionResult.sessionId);
+      session.gameData = gameState;
+
+      try {
+        await session.save();
+      } catch (error) {
+        // A concurrent request started a game first; give this bet back
+        if (error.code === 11000) {
+          await Ledger.reverse(`bet:${session.sessionId}`, {
+            type: 'refund',
+            referenceKey: `refund:${session.sessionId}`,
+            description: 'mines bet refund'
+          });
+          throw new Error('Finish your current Mines game first');
+        }
+        throw error;
+      }
+
+      await this.voidIfSeedRotated(session, 'mines');
+
+      return {
+        ...sessionResult,
+        ...this.getMinesView(session)
+      };
+
+    } catch (error) {
+      console.error('Error starting Mines:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reveal a tile of the user's active Mines game
+   * @param {string} userId - User ID
+   * @param {number} tile - Tile index (0-24)
+   * @returns {Object} Game state
+   */
+  async revealMinesTile(userId, tile) {
+    try {
+      const session = await this.getActiveMinesSession(userId);
+      if (!session) {
+        throw new Error('No active Mines game');
+      }
+
+      const nextState = this.minesGame.revealTile(session.gameData, tile);
+
+      const updated = await this.updateActiveSession(session, {
+        'gameData.revealedTiles': session.gameData.revealedTiles
+      }, {
+        $set: {
+          'gameData.revealedTiles': nextState.revealedTiles,
+          'gameData.multiplier': nextState.multiplier,
+          status: nextState.completed ? 'completed' : 'active'
+        }
+      });
+
+      if (nextState.completed) {
+        await this.settleGameSession(updated, 'mines', this.minesGame.finishGame(updated.gameData));
+      }
+
+      return {
+        hitMine: nextState.hitMine,
+        ...this.getMinesView(updated)
+      };
+
+    } catch (error) {
+      console.error('Error revealing Mines tile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cash out the user's active Mines game
+   * @param {string} userId - User ID
+   * @returns {Object} Final game state
+   */
+  async cashOutMines(userId) {
+    try {
+      const session = await this.getActiveMinesSession(userId);
+      if (!session) {
+        throw new Error('No active Mines game');
+      }
+
+      const gameResult = this.minesGame.finishGame(session.gameData);
+      const updated = await this.updateActiveSession(session, {
+        'gameData.revealedTiles': session.gameData.revealedTiles
+      }, { $set: { status: 'completed' } });
+
+      await this.settleGameSession(updated, 'mines', gameResult);
+
+      return this.getMinesView(updated);
+
+    } catch (error) {
+      console.error('Error cashing out Mines:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's active Mines session
+   * @param {string} userId - User ID
+   * @returns {Object|null} GameSession document
+   */
+  async getActiveMinesSession(userId) {
+    return GameSession.findOne({ userId, gameType: 'mines', status: 'active' });
+  }
+
+  /**
+   * Get the public state of the user's active Mines game
+   * @param {string} userId - User ID
+   * @returns {Object|null} Game state
+   */
+  async getMinesGame(userId) {
+    const session = await this.getActiveMinesSession(userId);
+    return session ? this.getMinesView(session) : null;
+  }
+
+  /**
+   * Shape a Mines session for the client. Mine positions and the result hash
+   * are only included once the game is over.
+   * @param {Object} session - GameSession document
+   * @returns {Object} Game state
+   */
+  getMinesView(session) {
+    const { gameData } = session;
+    const finished = session.status !== 'active';
+    const safeTiles = this.minesGame.config.gridSize - gameData.mineCount;
+    const canReveal = !finished && gameData.revealedTiles.length < safeTiles;
+
+    return {
+      sessionId: session.sessionId,
+      gameId: gameData.gameId,
+      status: session.status,
+      betAmount: session.betAmount,
+      currency: session.currency,
+      mineCount: gameData.mineCount,
+      revealedTiles: gameData.revealedTiles,
+      multiplier: gameData.multiplier,
+      nextMultiplier: canReveal
+        ? this.minesGame.calculateMultiplier(gameData.mineCount, gameData.revealedTiles.length + 1)
+        : null,
+      payout: finished ? session.result.payout : null,
+      minePositions: finished ? gameData.minePositions : null,
+      provablyFair: {
+        serverSeedHash: gameData.provablyFair.serverSeedHash,
+        clientSeed: gameData.provablyFair.clientSeed,
+        nonce: gameData.provablyFair.nonce,
+        resultHash: finished ? gameData.provablyFair.resultHash : null
+      }
+    };
+  }
+
+  /**
+   * Start a Blackjack hand. Like Mines, the session is stored in the database
+   * and each player action is a separate request against it.
+   * @param {string} userId - User ID
+   * @param {number} betAmount - Bet amount
+   * @param {string} currency - Currency
+   * @returns {Object} Game state
+   */
+  async startBlackjack(userId, betAmount, currency) {
+    try {
+      const activeGame = await this.getActiveBlackjackSession(userId);
+      if (activeGame) {
+        throw new Error('Finish your current Blackjack hand first');
+      }
+
+      // Reserve the next nonce of the user's committed seed pair
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      // Shuffle and deal before taking the bet so invalid input costs nothing
+      const gameState = await this.blackjackGame.startGame(userId, betAmount, seeds);
+
+      // Start game session
+      const sessionResult = await this.startGameSession(userId, 'blackjack', betAmount, currency, {}, seeds);
+
+      const { session } = this.activeSessions.get(sessionResult.sessionId);
+      this.activeSessions.delete(sessionResult.sessionId);
+      session.gameData = { ...gameState, version: 0 };
+
+      try {
+        await session.save();
+      } catch (error) {
+        // A concurrent request started a hand first; give this bet back
+        if (error.code === 11000) {
+          await Ledger.reverse(`bet:${session.sessionId}`, {
+            type: 'refund',
+            referenceKey: `refund:${session.sessionId}`,
+            description: 'blackjack bet refund'
+          });
+          throw new Error('Finish your current Blackjack hand first');
+        }
+        throw error;
+      }
+
+      await this.voidIfSeedRotated(session, 'blackjack');
+
+      // A blackjack on the deal settles straight away
+      if (gameState.phase === 'complete') {
+        await this.settleGameSession(session, 'blackjack', this.blackjackGame.finishGame(session.gameData));
+      }
+
+      return {
+        ...sessionResult,
+        ...this.getBlackjackView(session)
+      };
+
+    } catch (error) {
+      console.error('Error starting Blackjack:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a player action to the user's active Blackjack hand. Doubles,
+   * splits and insurance take their extra stake from the balance first.
+   * @param {string} userId - User ID
+   * @param {string} action - 'hit', 'stand', 'double', 'split' or 'insurance'
+   * @param {Object} options - Action options ({ accept } for insurance)
+   * @returns {Object} Game state
+   */
+  async blackjackAction(userId, action, options = {}) {
+    try {
+      const session = await this.getActiveBlackjackSession(userId);
+      if (!session) {
+        throw new Error('No active Blackjack hand');
+      }
+
+      const state = session.gameData;
+      let nextState;
+      switch (action) {
+        case 'hit':
+          nextState = this.blackjackGame.hit(state);
+          break;
+        case 'stand':
+          nextState = this.blackjackGame.stand(state);
+          break;
+        case 'double':
+          nextState = this.blackjackGame.double(state);
+          break;
+        case 'split':
+          nextState = this.blackjackGame.split(state);
+          break;
+        case 'insurance':
+          nextState = this.blackjackGame.insurance(state, options.accept);
+          break;
+        default:
+          throw new Error('Unknown Blackjack action');
+      }
+
+      const additionalWager = this.blackjackGame.getTotalWager(nextState) - this.blackjackGame.getTotalWager(state);
+      const referenceKey = `bet:${session.sessionId}:${action}:${state.version}:${Math.random().toString(36).substr(2, 9)}`;
+      let balances = null;
+
+      if (additionalWager > 0) {
+        const user = await User.findById(userId);
+
+        // The jurisdiction's maximum bet covers the hand's whole stake
+        await JurisdictionRules.assertCanPlay(user, { slug: 'blackjack', category: IN_HOUSE_CATEGORY }, {
+          amount: this.blackjackGame.getTotalWager(nextState),
+          currency: session.currency
+        });
+
+        // Doubles, splits and insurance count towards the loss and wager limits
+        await this.checkGamblingLimits(user, additionalWager, session.currency);
+
+        const posting = await Ledger.stake(userId, additionalWager, session.currency, {
+          type: 'bet',
+          referenceKey,
+          account: Ledger.ACCOUNTS.GAMES,
+          description: `blackjack ${action}`,
+          transaction: { sessionId: session.sessionId }
+        });
+        balances = { balance: posting.balance, bonusBalance: posting.bonusBalance };
+      }
+
+      let updated;
+      try {
+        updated = await this.updateActiveSession(session, {
+          'gameData.version': state.version
+        }, {
+          $set: {
+            gameData: { ...nextState, version: state.version + 1 },
+            status: nextState.phase === 'complete' ? 'completed' : 'active'
+          },
+          $inc: { betAmount: additionalWager }
+        });
+      } catch (error) {
+        // Another action won the race; the extra stake was never used
+        if (additionalWager > 0) {
+          await Ledger.reverse(referenceKey, {
+            type: 'refund',
+            referenceKey: `refund:${referenceKey}`,
+            description: `blackjack ${action} refund`
+          });
+        }
+        throw error;
+      }
+
+      if (nextState.phase === 'complete') {
+        await this.settleGameSession(updated, 'blackjack', this.blackjackGame.finishGame(updated.gameData));
+      }
+
+      return {
+        ...balances,
+        ...this.getBlackjackView(updated)
+      };
+
+    } catch (error) {
+      console.error(`Error in Blackjack ${action}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's active Blackjack session
+   * @param {string} userId - User ID
+   * @returns {Object|null} GameSession document
+   */
+  async getActiveBlackjackSession(userId) {
+    return GameSession.findOne({ userId, gameType: 'blackjack', status: 'active' });
+  }
+
+  /**
+   * Get the public state of the user's active Blackjack hand
+   * @param {string} userId - User ID
+   * @returns {Object|null} Game state
+   */
+  async getBlackjackGame(userId) {
+    const session = await this.getActiveBlackjackSession(userId);
+    return session ? this.getBlackjackView(session) : null;
+  }
+
+  /**
+   * Shape a Blackjack session for the client. The dealer's hole card, the
+   * deck and the result hash are only included once the hand is over.
+   * @param {Object} session - GameSession document
+   * @returns {Object} Game state
+   */
+  getBlackjackView(session) {
+    const finished = session.status !== 'active';
+
+    return {
+      sessionId: session.sessionId,
+      status: session.status,
+      betAmount: session.betAmount,
+      currency: session.currency,
+      ...this.blackjackGame.getPublicState(session.gameData),
+      payout: finished ? session.result.payout : null
+    };
+  }
+
+  /**
+   * Void a multi-step game whose seed pair began rotating while it started:
+   * the rotation reveals the server seed, and with it the outcome. The bet is
+   * given back.
+   * @param {Object} session - Saved GameSession document
+   * @param {string} gameType - Game type
+   */
+  async voidIfSeedRotated(session, gameType) {
+    if (await SeedManager.isActive(session.provablyFair.seedPairId)) {
+      return;
+    }
+
+    await session.cancel('seed_rotated');
+    await Ledger.reverse(`bet:${session.sessionId}`, {
+      type: 'refund',
+      referenceKey: `refund:${session.sessionId}`,
+      description: `${gameType} bet refund`
+    });
+    throw new Error('Seed pair is being rotated, please retry');
+  }
+
+  /**
+   * Apply a move to a multi-step game only if no other request changed it
+   * since it was read
+   * @param {Object} session - GameSession document as read
+   * @param {Object} guard - Fields that must still hold their read values
+   * @param {Object} update - Update document
+   * @returns {Object} Updated GameSession document
+   */
+  async updateActiveSession(session, guard, update) {
+    const updated = await GameSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: 'active',
+        ...guard
+      },
+      update,
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new Error('Game was updated by another request');
+    }
+
+    return updated;
+  }
+
   /**
    * Complete a game session
    * @param {string} sessionId - Session ID
@@ -282,60 +869,67 @@ class GameManager {
         throw new Error('Session not found');
       }
 
-      const { session } = sessionData;
-      
-      // Update session with results
-      await session.complete(
-        gameResult.isWin ? 'win' : 'loss',
-        gameResult.payout,
-        gameResult
-      );
-
-      // Save to database
-      await session.save();
-
-      // Process payout if player won
-      if (gameResult.payout > 0) {
-        await this.addBalance(session.userId, gameResult.payout, session.currency);
-        
-        // Create win transaction
-        await this.createTransaction(session.userId, 'win', gameResult.payout, session.currency, {
-          sessionId,
-          gameType: sessionData.gameType,
-          multiplier: gameResult.multiplier
-        });
-      }
+      await this.settleGameSession(sessionData.session, sessionData.gameType, gameResult);
 
       // Remove from active sessions
       this.activeSessions.delete(sessionId);
 
-      // Update user statistics
-      await this.updateUserStats(session.userId, session.betAmount, gameResult.payout, session.currency);
-
-      // Log large wins
-      if (gameResult.payout >= 100) { // Adjust threshold as needed
-        await SecurityMonitor.logEvent({
-          userId: session.userId,
-          eventType: 'large_transaction',
-          severity: 'medium',
-          description: `Large win: ${gameResult.payout} ${session.currency}`,
-          metadata: {
-            additionalData: {
-              gameType: sessionData.gameType,
-              betAmount: session.betAmount,
-              payout: gameResult.payout,
-              multiplier: gameResult.multiplier
-            }
-          }
-        });
-      }
-
     } catch (error) {
       console.error('Error completing game session:', error);
       throw error;
     }
   }
 
+  /**
+   * Record the result of a session, pay out wins and update statistics
+   * @param {Object} session - GameSession document
+   * @param {string} gameType - Game type
+   * @param {Object} gameResult - Game result
+   */
+  async settleGameSession(session, gameType, gameResult) {
+    // Update session with results
+    await session.complete(
+      gameResult.outcome || (gameResult.isWin ? 'win' : 'loss'),
+      gameResult.payout,
+      gameResult
+    );
+
+    // Save to database
+    await session.save();
+
+    // Process payout if player won
+    if (gameResult.payout > 0) {
+      await this.creditWin(session.userId, session.sessionId, gameResult.payout, session.currency, gameType);
+    }
+
+    // Update user statistics
+    await this.updateUserStats(session.userId, session.betAmount, gameResult.payout, session.currency);
+
+    // Settled bets count towards bonus wagering
+    await BonusManager.recordWager(session.userId, session.betAmount, session.currency, {
+      gameType,
+      category: 'provably_fair'
+    });
+
+    // Log large wins
+    if (gameResult.payout >= 100) { // Adjust threshold as needed
+      await SecurityMonitor.logEvent({
+        userId: session.userId,
+        eventType: 'large_transaction',
+        severity: 'medium',
+        description: `Large win: ${gameResult.payout} ${session.currency}`,
+        metadata: {
+          additionalData: {
+            gameType,
+            betAmount: session.betAmount,
+            payout: gameResult.payout,
+            multiplier: gameResult.multiplier
+          }
+        }
+      });
+    }
+  }
+
   /**
    * Process crash game results
    * @param {Object} crashData - Crash game data
@@ -360,6 +954,18 @@ class GameManager {
     }
   }
 
+  /**
+   * Persist a crashed round for public hash chain verification
+   * @param {Object} crashData - Crash game data
+   */
+  async recordCrashRound(crashData) {
+    try {
+      await this.crashChain.recordRound(crashData);
+    } catch (error) {
+      console.error('Error recording crash round:', error);
+    }
+  }
+
   /**
    * Process cash out
    * @param {Object} cashOutData - Cash out data
@@ -376,14 +982,7 @@ class GameManager {
       if (!sessionData) return;
 
       // Add payout to user balance
-      await this.addBalance(userId, payout, sessionData.session.currency);
-
-      // Create win transaction
-      await this.createTransaction(userId, 'win', payout, sessionData.session.currency, {
-        sessionId,
-        gameType: 'crash',
-        multiplier: cashOutData.multiplier
-      });
+      await this.creditWin(userId, sessionId, payout, sessionData.session.currency, 'crash');
 
     } catch (error) {
       console.error('Error processing cash out:', error);
@@ -405,98 +1004,36 @@ class GameManager {
   }
 
   /**
-   * Check responsible gambling limits
+   * Check responsible gambling limits: self-exclusion (here and on the
+   * self-exclusion registers), loss, wager and session time
    * @param {Object} user - User object
    * @param {number} betAmount - Bet amount
    * @param {string} currency - Currency
    */
   async checkGamblingLimits(user, betAmount, currency) {
-    const limits = user.limits;
-    if (!limits) return;
-
-    // Check daily deposit limit
-    if (limits.dailyDeposit && limits.dailyDeposit > 0) {
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const todayDeposits = await Transaction.aggregate([
-        {
-          $match: {
-            userId: user._id,
-            type: 'bet',
-            currency,
-            createdAt: { $gte: today }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            total: { $sum: '$amount' }
-          }
-        }
-      ]);
-
-      const totalToday = todayDeposits[0]?.total || 0;
-      if (totalToday + betAmount > limits.dailyDeposit) {
-        throw new Error('Daily betting limit exceeded');
-      }
-    }
-
-    // Check session time limit
-    if (limits.sessionTime && limits.sessionTime > 0) {
-      const sessionStart = user.lastLogin;
-      const sessionDuration = Date.now() - sessionStart.getTime();
-      
-      if (sessionDuration > limits.sessionTime) {
-        throw new Error('Session time limit exceeded');
-      }
-    }
+    await ResponsibleGaming.assertNotSelfExcluded(user);
+    await ResponsibleGaming.checkBetLimits(user, betAmount, currency);
   }
 
   /**
-   * Deduct balance from user
+   * Credit the payout of a session. The win is keyed by session, so the
+   * cash out and the round settlement can both report it without paying twice.
    * @param {string} userId - User ID
-   * @param {number} amount - Amount to deduct
-   * @param {string} currency - Currency
-   */
-  async deductBalance(userId, amount, currency) {
-    await User.findByIdAndUpdate(userId, {
-      $inc: { [`wallet.balance.${currency}`]: -amount }
-    });
-  }
-
-  /**
-   * Add balance to user
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount to add
+   * @param {string} sessionId - Session ID
+   * @param {number} payout - Payout amount
    * @param {string} currency - Currency
+   * @param {string} gameType - Game type
+   * @returns {Object} Ledger posting
    */
-  async addBalance(userId, amount, currency) {
-    await User.findByIdAndUpdate(userId, {
-      $inc: { [`wallet.balance.${currency}`]: amount }
-    });
-  }
-
-  /**
-   * Create transaction record
-   * @param {string} userId - User ID
-   * @param {string} type - Transaction type
-   * @param {number} amount - Amount
-   * @param {string} currency - Currency
-   * @param {Object} metadata - Additional metadata
-   */
-  async createTransaction(userId, type, amount, currency, metadata = {}) {
-    const transaction = new Transaction({
-      userId,
-      type,
-      amount,
-      currency,
-      status: 'completed',
-      metadata
+  async creditWin(userId, sessionId, payout, currency, gameType) {
+    // Winnings follow the mix of cash and bonus funds staked in the session
+    return BonusManager.creditWinnings(userId, payout, currency, new RegExp(`^(refund:)?bet:${sessionId}(:|$)`), {
+      type: 'win',
+      referenceKey: `win:${sessionId}`,
+      account: Ledger.ACCOUNTS.GAMES,
+      description: `${gameType} win`,
+      transaction: { sessionId }
     });
-
-    await transaction.save();
-    return transaction;
   }
 
   /**
@@ -580,14 +1117,27 @@ class GameManager {
     };
   }
 
+  /**
+   * Register the function that pushes crash events to connected clients
+   * @param {Function} broadcaster - Callback receiving (event, data)
+   */
+  setCrashBroadcaster(broadcaster) {
+    this.crashBroadcaster = broadcaster;
+  }
+
   /**
    * Broadcast crash game update to connected clients
+   * @param {string} event - Event name (started, multiplier, bet, cashout, crashed, ended, reset)
    * @param {Object} data - Update data
    */
-  broadcastCrashUpdate(data) {
-    // This would integrate with WebSocket server
-    // For now, just log the update
-    console.log('Crash update:', data.multiplier.toFixed(2) + 'x');
+  broadcastCrashUpdate(event, data) {
+    if (!this.crashBroadcaster) return;
+
+    try {
+      this.crashBroadcaster(event, data);
+    } catch (error) {
+      console.error('Error broadcasting crash update:', error);
+    }
   }
 
   /**
@@ -599,15 +1149,21 @@ class GameManager {
   verifyGameResult(gameType, gameResult) {
     switch (gameType) {
       case 'crash':
-        return CrashGame.verifyGame(
-          gameResult.gameId,
-          gameResult.provablyFair.serverSeed,
-          gameResult.provablyFair.clientSeed
-        );
+        return CrashGame.verifyGame(gameResult);
       case 'dice':
         return DiceGame.verifyGame(gameResult);
       case 'plinko':
         return PlinkoGame.verifyGame(gameResult);
+      case 'mines':
+        return MinesGame.verifyGame(gameResult);
+      case 'limbo':
+        return LimboGame.verifyGame(gameResult);
+      case 'keno':
+        return KenoGame.verifyGame(gameResult);
+      case 'blackjack':
+        return BlackjackGame.verifyGame(gameResult);
+      case 'roulette':
+        return RouletteGame.verifyGame(gameResult);
       default:
         throw new Error('Unknown game type');
     }
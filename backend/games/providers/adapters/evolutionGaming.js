@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const ProviderBase = require('../providerBase');
+
+const { WALLET_ERRORS } = ProviderBase;
+
+// Evolution response statuses
+const ERROR_STATUSES = {
+  [WALLET_ERRORS.INSUFFICIENT_FUNDS]: 'INSUFFICIENT_FUNDS',
+  [WALLET_ERRORS.USER_NOT_FOUND]: 'INVALID_TOKEN_ID',
+  [WALLET_ERRORS.DUPLICATE_TRANSACTION]: 'BET_ALREADY_EXIST',
+  [WALLET_ERRORS.TRANSACTION_CANCELLED]: 'BET_ALREADY_SETTLED',
+  [WALLET_ERRORS.INVALID_REQUEST]: 'INVALID_PARAMETER',
+  [WALLET_ERRORS.UNKNOWN_ACTION]: 'INVALID_PARAMETER',
+  [WALLET_ERRORS.AUTHENTICATION_FAILED]: 'INVALID_TOKEN_ID',
+  [WALLET_ERRORS.INVALID_SESSION]: 'INVALID_SID',
+  [WALLET_ERRORS.SESSION_EXPIRED]: 'INVALID_SID'
+};
+
+// Error code in the response body, by operation
+const ERROR_CODES = {
+  authenticate: 1,
+  balance: 2,
+  debit: 3,
+  credit: 4,
+  rollback: 5
+};
+
+class EvolutionGamingProvider extends ProviderBase {
+  constructor(config) {
+    super({ key: 'evolution', name: 'Evolution Gaming', gameProvider: 'evolution_gaming', ...config });
+  }
+
+  /**
+   * Get available live dealer games
+   * @returns {Array} List of live games
+   */
+  async getGames() {
+    const response = await this.makeRequest('GET', '/live-games');
+
+    return response.games.map(game => ({
+      providerGameId: String(game.id),
+      name: game.name,
+      slug: game.game_code,
+      category: 'live_casino',
+      type: 'live',
+      gameType: game.game_type, // roulette, blackjack, baccarat, etc.
+      tags: [game.game_type],
+      thumbnail: game.thumbnail,
+      provider: this.gameProvider,
+      minBet: game.limits.min,
+      maxBet: game.limits.max,
+      currencies: game.currencies,
+      languages: game.languages,
+      devices: ['desktop', 'mobile'],
+      features: {
+        chat: game.features.chat,
+        statistics: game.features.statistics,
+        roadmaps: game.features.roadmaps
+      },
+      status: 'active'
+    }));
+  }
+
+  /**
+   * Launch live game
+   * @param {string} gameCode - Game code
+   * @param {string} userId - User ID
+   * @param {Object} options - { currency, language }
+   * @returns {Object} Game launch data
+   */
+  async launchGame(gameCode, userId, { currency = 'USD', language = 'en' } = {}) {
+    const sessionData = {
+      game_code: gameCode,
+      user_id: userId,
+      currency,
+      language,
+      session_id: this.generateSessionId(),
+      integration_url: `${process.env.BASE_URL}/api/providers/evolution`
+    };
+
+    const response = await this.makeRequest('POST', '/launch', sessionData);
+
+    return {
+      sessionId: response.session_id,
+      gameUrl: response.entry_url,
+      token: response.token,
+      expiresAt: new Date(Date.now() + 8 * 60 * 60 * 1000) // 8 hours for live games
+    };
+  }
+
+  /**
+   * Get game statistics
+   * @param {string} gameCode - Game code
+   * @param {string} tableId - Table ID (optional)
+   * @returns {Object} Game statistics
+   */
+  async getGameStats(gameCode, tableId = null) {
+    const params = { game_code: gameCode };
+    if (tableId) params.table_id = tableId;
+
+    const response = await this.makeRequest('GET', '/stats', params);
+
+    return {
+      gameCode,
+      tableId,
+      statistics: response.stats,
+      lastUpdate: response.timestamp
+    };
+  }
+
+  /**
+   * Map a callback: `/authenticate`, `/balance`, `/debit`, `/credit` or
+   * `/cancel`. Evolution cancels a debit by resending its id, so the cancel
+   * gets its own transaction id.
+   * @param {string} action - Callback action
+   * @param {Object} body - Request body
+   * @returns {Object} { operation, data }
+   */
+  parseCallback(action, body) {
+    switch (action) {
+      case 'authenticate':
+        return { operation: 'authenticate', data: { user_id: body.user_id, currency: 'USD' } };
+      case 'balance':
+        return { operation: 'balance', data: { user_id: body.uuid, currency: 'USD' } };
+      case 'debit':
+      case 'credit':
+      case 'cancel': {
+        const { uuid, transaction, game } = body;
+        if (!transaction) {
+          throw this.walletError(WALLET_ERRORS.INVALID_REQUEST, 'Missing transaction');
+        }
+
+        const cancel = action === 'cancel';
+        return {
+          operation: cancel ? 'rollback' : action,
+          data: {
+            user_id: uuid,
+            transaction_id: cancel ? `cancel:${transaction.id}` : transaction.id,
+            reference_transaction_id: cancel ? transaction.id : undefined,
+            amount: transaction.amount,
+            currency: 'USD',
+            game_id: game && game.id,
+            round_id: transaction.refId
+          }
+        };
+      }
+      default:
+        return super.parseCallback(action, body);
+    }
+  }
+
+  /**
+   * Evolution authenticates callbacks with the operator's `authToken` query
+   * parameter
+   * @param {Object} request - { query }
+   * @returns {boolean} Whether the token is valid
+   */
+  verifyCallback(request) {
+    const authToken = request.query && request.query.authToken;
+    return !!this.secretKey && this.safeEqual(authToken, this.secretKey);
+  }
+
+  /**
+   * Session id in `sid`, or the launch token on `/authenticate`
+   * @param {string} action - Callback action
+   * @param {Object} body - Request body
+   * @returns {string|null} Session token
+   */
+  getSessionToken(action, body) {
+    return (action === 'authenticate' ? body.token : body.sid) || null;
+  }
+
+  /**
+   * Evolution response with cash and bonus in cents
+   * @param {string} operation - Operation
+   * @param {Object} result - Wallet result
+   * @param {Object} callback - { body, data, ip }
+   * @returns {Object} { status, body }
+   */
+  formatResponse(operation, result, callback) {
+    const body = {
+      status: 'OK',
+      uuid: callback.data.user_id,
+      currency: 'USD',
+      cash: Math.round(result.balance),
+      bonus: Math.round(result.bonus)
+    };
+
+    if (operation === 'authenticate') {
+      body.session = { id: callback.body.token, ip: callback.ip };
+    } else if (callback.body.transaction) {
+      body.transaction = {
+        id: callback.body.transaction.id,
+        refId: callback.body.transaction.refId
+      };
+    }
+
+    return { status: 200, body };
+  }
+
+  /**
+   * Evolution error with its status and the operation's error code
+   * @param {string} operation - Operation
+   * @param {Object} error - { error_code, message }
+   * @param {Object} callback - { body, data }
+   * @returns {Object} { status, body }
+   */
+  formatError(operation, error, callback) {
+    const notFound = operation === 'authenticate' && error.error_code === WALLET_ERRORS.USER_NOT_FOUND;
+
+    return {
+      status: notFound ? 404 : 400,
+      body: {
+        status: ERROR_STATUSES[error.error_code] || 'FAILED',
+        uuid: callback.data ? callback.data.user_id : callback.body.uuid,
+        error: {
+          code: ERROR_CODES[operation] || 99,
+          message: error.message
+        }
+      }
+    };
+  }
+
+  /**
+   * Generate session ID for Evolution
+   * @returns {string} Session ID
+   */
+  generateSessionId() {
+    return `evo_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+}
+
+module.exports = EvolutionGamingProvider;
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const ProviderBase = require('../providerBase');
+
+const { WALLET_ERRORS } = ProviderBase;
+
+// Wallet call types of the mock protocol, by operation
+const OPERATIONS = {
+  balance: 'balance',
+  bet: 'debit',
+  win: 'credit',
+  rollback: 'rollback'
+};
+
+// Local catalog served by getGames
+const GAMES = [
+  { id: 'mock-slot', name: 'Mock Slot', category: 'slots', type: 'slot', rtp: 96 },
+  { id: 'mock-roulette', name: 'Mock Roulette', category: 'table_games', type: 'table', rtp: 97.3 }
+];
+
+/**
+ * Fully local provider for development and tests. It has no remote API:
+ * the catalog is static, launch returns a local URL, and wallet calls come
+ * from MockGameClient as `POST /api/providers/mock/wallet`, signed with
+ * HMAC-SHA256 of `<timestamp>.<raw body>` in `X-Mock-Signature` and the
+ * Unix timestamp in `X-Mock-Timestamp`. The launch token is sent in `token`.
+ */
+class MockProvider extends ProviderBase {
+  constructor(config) {
+    super({ key: 'mock', name: 'Mock Provider', gameProvider: 'mock', ...config });
+  }
+
+  /**
+   * Get the local catalog
+   * @returns {Array} List of games
+   */
+  async getGames() {
+    return GAMES.map(game => ({
+      providerGameId: String(game.id),
+      name: game.name,
+      slug: game.id,
+      category: game.category,
+      type: game.type,
+      rtp: game.rtp,
+      thumbnail: `/mock-games/${game.id}.png`,
+      provider: this.gameProvider,
+      minBet: 0.1,
+      maxBet: 100,
+      currencies: ['USD', 'EUR'],
+      languages: ['en'],
+      devices: ['desktop', 'mobile'],
+      status: 'active'
+    }));
+  }
+
+  /**
+   * Launch a local game session
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { currency, mode }
+   * @returns {Object} Game launch data
+   */
+  async launchGame(gameId, userId, { currency = 'USD', mode = 'real' } = {}) {
+    const sessionId = this.generateSessionId();
+    const token = crypto.randomBytes(16).toString('hex');
+
+    return {
+      sessionId,
+      gameUrl: `${process.env.BASE_URL || ''}/mock-games/${gameId}?session=${sessionId}&token=${token}&currency=${currency}&mode=${mode}`,
+      token,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000) // 1 hour
+    };
+  }
+
+  /**
+   * Map a `/wallet` call: `balance`, `bet`, `win` or `rollback` in `type`
+   * @param {string} action - Callback action
+   * @param {Object} body - Request body
+   * @returns {Object} { operation, data }
+   */
+  parseCallback(action, body) {
+    if (action !== 'wallet') {
+      return super.parseCallback(action, body);
+    }
+
+    const operation = OPERATIONS[body.type];
+    if (!operation) {
+      throw this.walletError(WALLET_ERRORS.INVALID_REQUEST, `Unknown wallet call: ${body.type}`);
+    }
+
+    return {
+      operation,
+      data: {
+        user_id: body.userId,
+        transaction_id: body.transactionId,
+        reference_transaction_id: body.referenceTransactionId,
+        amount: body.amount,
+        currency: body.currency,
+        game_id: body.gameId,
+        round_id: body.roundId
+      }
+    };
+  }
+
+  /**
+   * Mock wallet response, amounts in cents
+   * @param {string} operation - Operation
+   * @param {Object} result - Wallet result
+   * @returns {Object} { status, body }
+   */
+  formatResponse(operation, result) {
+    return {
+      status: 200,
+      body: {
+        ok: true,
+        balance: result.balance,
+        bonus: result.bonus,
+        transactionId: result.transaction_id
+      }
+    };
+  }
+
+  /**
+   * Mock wallet error with the WALLET_ERRORS code; 401 when the call is
+   * not authenticated
+   * @param {string} operation - Operation
+   * @param {Object} error - { error_code, message }
+   * @returns {Object} { status, body }
+   */
+  formatError(operation, error) {
+    let status = operation ? 200 : 400;
+    if (error.error_code === WALLET_ERRORS.AUTHENTICATION_FAILED) {
+      status = 401;
+    }
+
+    return {
+      status,
+      body: { ok: false, error: error.error_code, message: error.message }
+    };
+  }
+
+  /**
+   * Check `X-Mock-Signature` against the timestamp and raw body
+   * @param {Object} request - { headers, rawBody }
+   * @returns {boolean} Whether the signature is valid and fresh
+   */
+  verifyCallback(request) {
+    const timestamp = request.headers['x-mock-timestamp'];
+    const signature = request.headers['x-mock-signature'];
+    if (!timestamp || !signature || !request.rawBody || !this.secretKey) {
+      return false;
+    }
+
+    return this.checkTimestamp(timestamp) &&
+      this.safeEqual(signature, MockProvider.sign(this.secretKey, timestamp, request.rawBody));
+  }
+
+  /**
+   * Launch token in `token`
+   * @param {string} action - Callback action
+   * @param {Object} body - Request body
+   * @returns {string|null} Session token
+   */
+  getSessionToken(action, body) {
+    return body.token || null;
+  }
+
+  /**
+   * Signature of a mock wallet call
+   * @param {string} secret - Shared secret
+   * @param {string|number} timestamp - Unix timestamp in seconds
+   * @param {Buffer|string} rawBody - Request body
+   * @returns {string} Hex HMAC-SHA256
+   */
+  static sign(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  }
+}
+
+module.exports = MockProvider;
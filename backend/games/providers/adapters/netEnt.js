@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const ProviderBase = require('../providerBase');
+
+const { WALLET_ERRORS } = ProviderBase;
+
+// Catalog feature flags, as Game features
+const FEATURES = {
+  free_spins: 'free_spins',
+  bonus_game: 'bonus_rounds',
+  jackpot: 'progressive_jackpot',
+  multiplier: 'multipliers'
+};
+
+class NetEntProvider extends ProviderBase {
+  constructor(config) {
+    super({ key: 'netent', name: 'NetEnt', gameProvider: 'netent', ...config });
+  }
+
+  /**
+   * Get available slot games
+   * @returns {Array} List of slot games
+   */
+  async getGames() {
+    const response = await this.makeRequest('GET', '/catalog');
+
+    return response.games.map(game => ({
+      providerGameId: String(game.game_id),
+      name: game.title,
+      slug: game.game_key,
+      category: 'slots',
+      type: 'slot',
+      rtp: game.rtp,
+      volatility: game.variance,
+      thumbnail: game.thumbnail_url,
+      provider: this.gameProvider,
+      features: Object.keys(FEATURES).filter(flag => game.features[flag]).map(flag => FEATURES[flag]),
+      paylines: game.paylines,
+      reels: game.reels,
+      minBet: game.min_bet,
+      maxBet: game.max_bet,
+      currencies: game.supported_currencies,
+      languages: game.supported_languages,
+      devices: game.supported_devices,
+      status: 'active'
+    }));
+  }
+
+  /**
+   * Launch slot game
+   * @param {string} gameKey - Game key
+   * @param {string} userId - User ID
+   * @param {Object} options - { currency, language, mode }
+   * @returns {Object} Game launch data
+   */
+  async launchGame(gameKey, userId, { currency = 'USD', language = 'en', mode = 'real' } = {}) {
+    const sessionData = {
+      game_key: gameKey,
+      user_id: userId,
+      currency,
+      language,
+      mode,
+      session_id: this.generateSessionId(),
+      callback_url: `${process.env.BASE_URL}/api/providers/netent/callback`
+    };
+
+    const response = await this.makeRequest('POST', '/game-session', sessionData);
+
+    return {
+      sessionId: response.session_id,
+      gameUrl: response.game_url,
+      token: response.access_token,
+      expiresAt: new Date(Date.now() + 6 * 60 * 60 * 1000) // 6 hours
+    };
+  }
+
+  /**
+   * Map a JSON-RPC call to `/callback`: `balance`, `debit`, `credit` or
+   * `rollback` in `method`, with the fields in `params`
+   * @param {string} action - Callback action
+   * @param {Object} body - JSON-RPC request
+   * @returns {Object} { operation, data }
+   */
+  parseCallback(action, body) {
+    if (action !== 'callback') {
+      return super.parseCallback(action, body);
+    }
+
+    const { method, params } = body;
+    if (!['balance', 'debit', 'credit', 'rollback'].includes(method)) {
+      throw this.walletError(WALLET_ERRORS.UNKNOWN_ACTION, 'Method not found');
+    }
+    if (!params) {
+      throw this.walletError(WALLET_ERRORS.INVALID_REQUEST, 'Invalid params');
+    }
+
+    return {
+      operation: method,
+      data: {
+        user_id: params.userId,
+        transaction_id: params.transactionId,
+        reference_transaction_id: params.referenceTransactionId,
+        amount: params.amount,
+        currency: params.currency,
+        game_id: params.gameId,
+        round_id: params.roundId
+      }
+    };
+  }
+
+  /**
+   * NetEnt signs callbacks with HMAC-SHA256 of `<timestamp>.<raw body>` in
+   * `X-NetEnt-Signature`, the Unix timestamp in `X-NetEnt-Timestamp`
+   * @param {Object} request - { headers, rawBody }
+   * @returns {boolean} Whether the signature is valid and fresh
+   */
+  verifyCallback(request) {
+    const timestamp = request.headers['x-netent-timestamp'];
+    const signature = request.headers['x-netent-signature'];
+    if (!timestamp || !signature || !request.rawBody || !this.secretKey) {
+      return false;
+    }
+
+    return this.checkTimestamp(timestamp) &&
+      this.safeEqual(signature, this.hmac(`${timestamp}.${request.rawBody}`));
+  }
+
+  /**
+   * Launch token in `params.token`
+   * @param {string} action - Callback action
+   * @param {Object} body - JSON-RPC request
+   * @returns {string|null} Session token
+   */
+  getSessionToken(action, body) {
+    return (body.params && body.params.token) || null;
+  }
+
+  /**
+   * JSON-RPC result
+   * @param {string} operation - Operation
+   * @param {Object} result - Wallet result
+   * @param {Object} callback - { body, data }
+   * @returns {Object} { status, body }
+   */
+  formatResponse(operation, result, callback) {
+    const { params } = callback.body;
+
+    return {
+      status: 200,
+      body: {
+        jsonrpc: '2.0',
+        result: operation === 'balance'
+          ? { balance: result.balance, currency: params.currency }
+          : { balance: result.balance, transactionId: params.transactionId },
+        id: callback.body.id
+      }
+    };
+  }
+
+  /**
+   * JSON-RPC error: standard codes for malformed calls, -32000 with the
+   * wallet error code otherwise
+   * @param {string} operation - Operation
+   * @param {Object} error - { error_code, message }
+   * @param {Object} callback - { body }
+   * @returns {Object} { status, body }
+   */
+  formatError(operation, error, callback) {
+    const id = callback.body && callback.body.id;
+
+    switch (error.error_code) {
+      case WALLET_ERRORS.UNKNOWN_ACTION:
+        return {
+          status: 400,
+          body: { jsonrpc: '2.0', error: { code: -32601, message: 'Method not found' }, id }
+        };
+      case WALLET_ERRORS.INVALID_REQUEST:
+        return {
+          status: 400,
+          body: { jsonrpc: '2.0', error: { code: -32602, message: error.message }, id }
+        };
+      default:
+        return {
+          status: 200,
+          body: {
+            jsonrpc: '2.0',
+            error: {
+              code: -32000,
+              message: error.message,
+              data: { errorCode: error.error_code }
+            },
+            id
+          }
+        };
+    }
+  }
+
+  /**
+   * Generate session ID for NetEnt
+   * @returns {string} Session ID
+   */
+  generateSessionId() {
+    return `ne_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+}
+
+module.exports = NetEntProvider;
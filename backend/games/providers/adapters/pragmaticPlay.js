@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const ProviderBase = require('../providerBase');
+
+const { WALLET_ERRORS } = ProviderBase;
+
+// Pragmatic Play error numbers
+const ERROR_NUMBERS = {
+  [WALLET_ERRORS.INSUFFICIENT_FUNDS]: 1,
+  [WALLET_ERRORS.USER_NOT_FOUND]: 2,
+  [WALLET_ERRORS.DUPLICATE_TRANSACTION]: 3,
+  [WALLET_ERRORS.TRANSACTION_CANCELLED]: 3,
+  [WALLET_ERRORS.INVALID_REQUEST]: 7,
+  [WALLET_ERRORS.UNKNOWN_ACTION]: 7,
+  [WALLET_ERRORS.INVALID_SESSION]: 4,
+  [WALLET_ERRORS.SESSION_EXPIRED]: 4,
+  [WALLET_ERRORS.AUTHENTICATION_FAILED]: 5,
+  [WALLET_ERRORS.LIMIT_EXCEEDED]: 50
+};
+
+class PragmaticPlayProvider extends ProviderBase {
+  constructor(config) {
+    super({ key: 'pragmatic', name: 'Pragmatic Play', gameProvider: 'pragmatic_play', ...config });
+  }
+
+  /**
+   * Get available games
+   * @returns {Array} List of games
+   */
+  async getGames() {
+    const response = await this.makeRequest('GET', '/games');
+
+    return response.games.map(game => ({
+      providerGameId: String(game.id),
+      name: game.name,
+      slug: game.game_id,
+      category: game.category,
+      type: game.type,
+      rtp: game.rtp,
+      volatility: game.volatility,
+      thumbnail: game.thumbnail,
+      provider: this.gameProvider,
+      features: game.features || [],
+      minBet: game.min_bet,
+      maxBet: game.max_bet,
+      currencies: game.currencies || ['USD', 'EUR'],
+      languages: game.languages || ['en'],
+      devices: game.devices || ['desktop', 'mobile'],
+      status: 'active'
+    }));
+  }
+
+  /**
+   * Launch game session
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { currency, language, returnUrl }
+   * @returns {Object} Game launch data
+   */
+  async launchGame(gameId, userId, { currency = 'USD', language = 'en', returnUrl = '' } = {}) {
+    const sessionData = {
+      game_id: gameId,
+      user_id: userId,
+      currency,
+      language,
+      return_url: returnUrl,
+      session_id: this.generateSessionId(),
+      balance_url: `${process.env.BASE_URL}/api/providers/pragmatic/balance`,
+      transaction_url: `${process.env.BASE_URL}/api/providers/pragmatic/transaction`
+    };
+
+    const response = await this.makeRequest('POST', '/sessions', sessionData);
+
+    return {
+      sessionId: response.session_id,
+      gameUrl: response.game_url,
+      token: response.token,
+      expiresAt: new Date(Date.now() + 4 * 60 * 60 * 1000) // 4 hours
+    };
+  }
+
+  /**
+   * Map a callback: `/balance`, or `/transaction` with a debit, credit or
+   * refund in `transaction_type`
+   * @param {string} action - Callback action
+   * @param {Object} body - Request body
+   * @returns {Object} { operation, data }
+   */
+  parseCallback(action, body) {
+    if (action === 'balance') {
+      return { operation: 'balance', data: { user_id: body.user_id, currency: body.currency } };
+    }
+
+    if (action === 'transaction') {
+      const operation = body.transaction_type === 'refund' ? 'rollback' : body.transaction_type;
+      if (!['debit', 'credit', 'rollback'].includes(operation)) {
+        throw this.walletError(WALLET_ERRORS.INVALID_REQUEST, `Unknown transaction type: ${body.transaction_type}`);
+      }
+      return { operation, data: body };
+    }
+
+    return super.parseCallback(action, body);
+  }
+
+  /**
+   * Pragmatic signs callbacks with `hash`: the MD5 of the other parameters
+   * as `key=value` pairs sorted by key and joined with `&`, followed by the
+   * secret key
+   * @param {Object} request - { body }
+   * @returns {boolean} Whether the hash is valid
+   */
+  verifyCallback(request) {
+    const { hash, ...params } = request.body || {};
+    if (!hash || !this.secretKey) {
+      return false;
+    }
+
+    const message = Object.keys(params)
+      .sort()
+      .map(key => `${key}=${params[key]}`)
+      .join('&');
+
+    const expected = crypto.createHash('md5').update(`${message}${this.secretKey}`).digest('hex');
+    return this.safeEqual(String(hash).toLowerCase(), expected);
+  }
+
+  /**
+   * Launch token in `token`
+   * @param {string} action - Callback action
+   * @param {Object} body - Request body
+   * @returns {string|null} Session token
+   */
+  getSessionToken(action, body) {
+    return body.token || null;
+  }
+
+  /**
+   * Errors are reported in the body with Pragmatic's error number
+   * @param {string} operation - Operation
+   * @param {Object} error - { error_code, message }
+   * @returns {Object} { status, body }
+   */
+  formatError(operation, error) {
+    if (operation === 'balance') {
+      return { status: 400, body: { error_code: 'BALANCE_ERROR', message: error.message } };
+    }
+
+    return {
+      status: operation ? 200 : 400,
+      body: {
+        status: 'error',
+        error: ERROR_NUMBERS[error.error_code] || 100,
+        error_code: error.error_code,
+        message: error.message
+      }
+    };
+  }
+
+  /**
+   * Generate session ID
+   * @returns {string} Session ID
+   */
+  generateSessionId() {
+    return `pp_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+}
+
+module.exports = PragmaticPlayProvider;
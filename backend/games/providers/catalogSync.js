@@ -0,0 +1,358 @@
+const Game = require('../../models/Game');
+const GameChange = require('../../models/GameChange');
+const CatalogSyncRun = require('../../models/CatalogSyncRun');
+const providerConfig = require('../../config/providers');
+const { getCurrencyCodes } = require('../../config/currencies');
+
+// Game fields owned by the provider catalog; everything else (status set by
+// admins, statistics, popularity) is left alone by the sync
+const SYNC_FIELDS = [
+  'name',
+  'category',
+  'description',
+  'thumbnail',
+  'rtp',
+  'volatility',
+  'minBet',
+  'maxBet',
+  'maxWin',
+  'features',
+  'paylines',
+  'reels',
+  'currencies',
+  'mobileSupported',
+  'tags'
+];
+
+// Vendor category names, as Game categories
+const CATEGORY_ALIASES = {
+  slot: 'slots',
+  live: 'live_casino',
+  live_dealer: 'live_casino',
+  table: 'table_games'
+};
+
+/**
+ * Synchronizes the Game collection with the provider catalogs.
+ *
+ * Each provider's catalog is diffed against its stored games, matched by
+ * `providerGameId` (or slug, for games stored before they had one): new
+ * games are inserted, changed catalog fields are updated, and games the
+ * provider no longer lists are retired (status `inactive` with
+ * `retiredAt`), never deleted. A retired game that reappears is
+ * reactivated. Every change is logged in GameChange and every run in
+ * CatalogSyncRun.
+ *
+ * Providers are synced independently: a provider whose catalog cannot be
+ * fetched, comes back empty, or would retire more than `maxRetireShare` of
+ * its games leaves its stored games as they are, and the other providers
+ * sync normally.
+ */
+class CatalogSync {
+  /**
+   * @param {Object} options - { providerManager, interval (ms), maxRetireShare }
+   */
+  constructor({ providerManager, interval = null, maxRetireShare = null }) {
+    this.providerManager = providerManager;
+    this.interval = interval !== null ? interval : providerConfig.catalogSync.interval * 1000;
+    this.maxRetireShare = maxRetireShare !== null ? maxRetireShare : providerConfig.catalogSync.maxRetireShare;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Start the schedule. Does nothing when the interval is 0 or no provider
+   * is registered.
+   */
+  start() {
+    if (this.timer || !this.interval || !this.providerManager.providers.size) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sync({ trigger: 'scheduled' }).catch(error => console.error('Error syncing game catalogs:', error));
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sync every registered provider. Calls made while a sync is running
+   * share it.
+   * @param {Object} options - { trigger, triggeredBy }
+   * @returns {Object} CatalogSyncRun document
+   */
+  async sync({ trigger = 'manual', triggeredBy = null } = {}) {
+    if (!this.running) {
+      this.running = this.runSync(trigger, triggeredBy).finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  /**
+   * Sync each provider in turn and record the run
+   * @param {string} trigger - scheduled or manual
+   * @param {string} triggeredBy - Admin user ID for manual syncs
+   * @returns {Object} CatalogSyncRun document
+   */
+  async runSync(trigger, triggeredBy) {
+    const run = await CatalogSyncRun.create({ trigger, triggeredBy });
+
+    for (const [key, provider] of this.providerManager.providers) {
+      let result;
+      try {
+        result = await this.syncProvider(provider, run._id);
+      } catch (error) {
+        console.error(`Error syncing games from ${provider.name}:`, error);
+        result = { status: 'failed', error: error.message };
+      }
+
+      run.providers.push({ provider: key, name: provider.name, ...result });
+    }
+
+    const failed = run.providers.filter(result => result.status === 'failed').length;
+    if (!failed) {
+      run.status = 'completed';
+    } else {
+      run.status = failed === run.providers.length ? 'failed' : 'partial';
+    }
+    run.finishedAt = new Date();
+    await run.save();
+
+    return run;
+  }
+
+  /**
+   * Diff one provider's catalog against its stored games and apply the
+   * changes
+   * @param {ProviderBase} provider - Provider adapter
+   * @param {string} runId - CatalogSyncRun ID
+   * @returns {Object} Provider result
+   */
+  async syncProvider(provider, runId) {
+    const catalog = await provider.getGames();
+    if (!Array.isArray(catalog) || !catalog.length) {
+      throw new Error('Provider returned an empty catalog');
+    }
+
+    const result = {
+      status: 'synced',
+      fetched: catalog.length,
+      inserted: 0,
+      updated: 0,
+      reactivated: 0,
+      retired: 0,
+      unchanged: 0,
+      invalid: [],
+      retirementSkipped: false
+    };
+
+    const stored = await Game.find({ provider: provider.gameProvider });
+    const byProviderId = new Map();
+    const bySlug = new Map();
+    for (const game of stored) {
+      if (game.providerGameId) {
+        byProviderId.set(game.providerGameId, game);
+      } else {
+        bySlug.set(game.slug, game);
+      }
+    }
+
+    const seen = new Set();
+    // Stored games still listed, including those whose entry is skipped as
+    // invalid, so a malformed entry never retires its game
+    const listed = new Set();
+    const changes = [];
+
+    try {
+      for (const entry of catalog) {
+        const providerGameId = entry.providerGameId ? String(entry.providerGameId) : null;
+        if (!providerGameId || seen.has(providerGameId)) {
+          result.invalid.push({ providerGameId, error: providerGameId ? 'Duplicate game id' : 'Missing game id' });
+          continue;
+        }
+        seen.add(providerGameId);
+
+        const existing = byProviderId.get(providerGameId) ||
+          bySlug.get(String(entry.slug || '').toLowerCase());
+        if (existing) {
+          listed.add(String(existing._id));
+        }
+
+        const fields = this.normalize(provider, entry);
+        const error = existing
+          ? new Game({ ...existing.toObject(), ...fields }).validateSync()
+          : new Game({ slug: `${fields.provider}-${providerGameId}`, ...fields }).validateSync();
+        if (error) {
+          result.invalid.push({ providerGameId, error: error.message });
+          continue;
+        }
+
+        if (!existing) {
+          const game = await this.insertGame(fields);
+          result.inserted += 1;
+          changes.push(this.change(runId, game, 'inserted'));
+          continue;
+        }
+
+        const { action, diff } = await this.updateGame(existing, fields);
+        if (!action) {
+          result.unchanged += 1;
+          continue;
+        }
+
+        result[action] += 1;
+        changes.push(this.change(runId, existing, action, diff));
+      }
+
+      const gone = stored.filter(game => !listed.has(String(game._id)) && !game.retiredAt);
+      const active = stored.filter(game => !game.retiredAt).length;
+
+      if (gone.length && gone.length > active * this.maxRetireShare) {
+        result.retirementSkipped = true;
+        console.warn(`${provider.name} catalog sync would retire ${gone.length} of ${active} games; none retired`);
+      } else {
+        for (const game of gone) {
+          const retired = await Game.findOneAndUpdate(
+            { _id: game._id, retiredAt: null },
+            { $set: { status: 'inactive', retiredAt: new Date(), lastUpdated: new Date() } },
+            { new: true }
+          );
+          if (retired) {
+            result.retired += 1;
+            changes.push(this.change(runId, retired, 'retired', { status: { from: game.status, to: 'inactive' } }));
+          }
+        }
+      }
+    } finally {
+      // Changes applied before a failure are logged too
+      if (changes.length) {
+        await GameChange.insertMany(changes);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Game fields of a catalog entry
+   * @param {ProviderBase} provider - Provider adapter
+   * @param {Object} entry - Catalog entry from getGames
+   * @returns {Object} Game fields
+   */
+  normalize(provider, entry) {
+    const fields = {
+      provider: provider.gameProvider,
+      providerGameId: String(entry.providerGameId),
+      slug: entry.slug ? String(entry.slug).toLowerCase() : undefined
+    };
+
+    for (const field of SYNC_FIELDS) {
+      if (entry[field] !== undefined && entry[field] !== null) {
+        fields[field] = entry[field];
+      }
+    }
+
+    if (fields.category) {
+      fields.category = CATEGORY_ALIASES[fields.category] || fields.category;
+    }
+    if (Array.isArray(fields.currencies)) {
+      const supported = getCurrencyCodes();
+      fields.currencies = fields.currencies.filter(currency => supported.includes(currency));
+    }
+    if (fields.features !== undefined && !Array.isArray(fields.features)) {
+      delete fields.features;
+    }
+    if (Array.isArray(entry.devices) && fields.mobileSupported === undefined) {
+      fields.mobileSupported = entry.devices.includes('mobile');
+    }
+
+    return fields;
+  }
+
+  /**
+   * Insert a new game. A slug already used by another provider's game gets
+   * the provider as suffix.
+   * @param {Object} fields - Game fields
+   * @returns {Object} Game document
+   */
+  async insertGame(fields) {
+    let slug = fields.slug || `${fields.provider}-${fields.providerGameId}`.toLowerCase();
+    if (await Game.exists({ slug })) {
+      slug = `${slug}-${fields.provider}`;
+    }
+
+    return Game.create({ ...fields, slug, status: 'active' });
+  }
+
+  /**
+   * Apply the changed catalog fields of a stored game, and reactivate it
+   * when it was retired
+   * @param {Object} game - Game document
+   * @param {Object} fields - Game fields
+   * @returns {Object} { action: updated, reactivated or null, diff }
+   */
+  async updateGame(game, fields) {
+    const diff = {};
+    const update = {};
+
+    for (const field of [...SYNC_FIELDS, 'providerGameId']) {
+      if (fields[field] === undefined) {
+        continue;
+      }
+
+      const current = game[field] && game[field].toObject ? game[field].toObject() : game[field];
+      if (JSON.stringify(current) !== JSON.stringify(fields[field])) {
+        diff[field] = { from: current, to: fields[field] };
+        update[field] = fields[field];
+      }
+    }
+
+    let action = Object.keys(diff).length ? 'updated' : null;
+    if (game.retiredAt) {
+      diff.status = { from: game.status, to: 'active' };
+      update.status = 'active';
+      update.retiredAt = null;
+      action = 'reactivated';
+    }
+
+    if (action) {
+      update.lastUpdated = new Date();
+      await Game.updateOne({ _id: game._id }, { $set: update });
+    }
+
+    return { action, diff };
+  }
+
+  /**
+   * GameChange entry
+   * @param {string} runId - CatalogSyncRun ID
+   * @param {Object} game - Game document
+   * @param {string} action - Change action
+   * @param {Object} changes - Changed fields
+   * @returns {Object} GameChange fields
+   */
+  change(runId, game, action, changes = undefined) {
+    return {
+      runId,
+      gameId: game._id,
+      provider: game.provider,
+      providerGameId: game.providerGameId,
+      slug: game.slug,
+      action,
+      changes
+    };
+  }
+}
+
+module.exports = CatalogSync;
@@ -0,0 +1,119 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const MockProvider = require('./adapters/mockProvider');
+
+/**
+ * Simulated game client for the mock provider. It plays rounds the way a
+ * provider's game server would, sending signed wallet calls to
+ * `/api/providers/mock/wallet` with the token of a launched session. The transport is injected so tests can
+ * drive the app in-process; `overHttp` talks to a running server.
+ */
+class MockGameClient {
+  /**
+   * @param {Object} options - { secret, send(path, body, headers) => { status, body } }
+   */
+  constructor({ secret, send }) {
+    this.secret = secret;
+    this.send = send;
+  }
+
+  /**
+   * Client for a running server
+   * @param {string} baseURL - Server URL, e.g. http://localhost:5000
+   * @param {string} secret - Shared secret
+   * @returns {MockGameClient} Client
+   */
+  static overHttp(baseURL, secret) {
+    return new MockGameClient({
+      secret,
+      send: async (path, body, headers) => {
+        const response = await axios.post(`${baseURL}${path}`, body, {
+          headers,
+          timeout: 30000,
+          validateStatus: () => true
+        });
+        return { status: response.status, body: response.data };
+      }
+    });
+  }
+
+  /**
+   * Send a signed wallet call
+   * @param {Object} call - Wallet call
+   * @returns {Object} { status, body }
+   */
+  async call(call) {
+    const payload = JSON.stringify(call);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    return this.send('/api/providers/mock/wallet', payload, {
+      'Content-Type': 'application/json',
+      'X-Mock-Timestamp': String(timestamp),
+      'X-Mock-Signature': MockProvider.sign(this.secret, timestamp, payload)
+    });
+  }
+
+  /**
+   * Read the wallet balance
+   * @param {Object} data - { token, userId, currency }
+   * @returns {Object} { status, body }
+   */
+  balance(data) {
+    return this.call({ type: 'balance', ...data });
+  }
+
+  /**
+   * Stake on a round
+   * @param {Object} data - { token, userId, currency, amount (cents), roundId, gameId, transactionId }
+   * @returns {Object} { status, body }
+   */
+  bet(data) {
+    return this.call({ type: 'bet', transactionId: this.transactionId(), ...data });
+  }
+
+  /**
+   * Pay out a round
+   * @param {Object} data - { token, userId, currency, amount (cents), roundId, gameId, transactionId }
+   * @returns {Object} { status, body }
+   */
+  win(data) {
+    return this.call({ type: 'win', transactionId: this.transactionId(), ...data });
+  }
+
+  /**
+   * Reverse an earlier bet or win
+   * @param {Object} data - { token, userId, currency, referenceTransactionId, roundId, transactionId }
+   * @returns {Object} { status, body }
+   */
+  rollback(data) {
+    return this.call({ type: 'rollback', transactionId: this.transactionId(), ...data });
+  }
+
+  /**
+   * Play one round: a bet, then a win when the payout is positive
+   * @param {Object} round - { token, userId, currency, gameId, stake, payout }, amounts in cents
+   * @returns {Object} { roundId, bet, win }
+   */
+  async playRound({ token, userId, currency, gameId = 'mock-slot', stake, payout = 0 }) {
+    const roundId = `round_${crypto.randomBytes(8).toString('hex')}`;
+    const round = { token, userId, currency, gameId, roundId };
+
+    const bet = await this.bet({ ...round, amount: stake });
+    if (!bet.body.ok) {
+      return { roundId, bet, win: null };
+    }
+
+    const win = await this.win({ ...round, amount: payout });
+    return { roundId, bet, win };
+  }
+
+  /**
+   * Generate a transaction id
+   * @returns {string} Transaction id
+   */
+  transactionId() {
+    return `mock_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+}
+
+module.exports = MockGameClient;
@@ -0,0 +1,696 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const net = require('net');
+const bonusConfig = require('../../config/bonuses');
+const providerConfig = require('../../config/providers');
+
+// Transaction types providers use for reversing an earlier callback
+const ROLLBACK_TYPES = ['rollback', 'refund', 'cancel'];
+
+// Wallet operations a callback can map to
+const OPERATIONS = ['authenticate', 'balance', 'debit', 'credit', 'rollback'];
+
+// Provider-neutral error codes; adapters map them to their vendor's codes
+const WALLET_ERRORS = {
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  DUPLICATE_TRANSACTION: 'DUPLICATE_TRANSACTION',
+  TRANSACTION_CANCELLED: 'TRANSACTION_CANCELLED',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  TRANSACTION_FAILED: 'TRANSACTION_FAILED',
+  AUTHENTICATION_FAILED: 'AUTHENTICATION_FAILED',
+  INVALID_SESSION: 'INVALID_SESSION',
+  SESSION_EXPIRED: 'SESSION_EXPIRED',
+  LIMIT_EXCEEDED: 'LIMIT_EXCEEDED'
+};
+
+/**
+ * Base class of game provider adapters.
+ *
+ * The base class owns the seamless wallet: balances, idempotent debits,
+ * credits and rollbacks through the ledger. An adapter describes one
+ * vendor's integration by overriding:
+ *
+ * - `getGames()`: the vendor catalog as Game fields, with the vendor's id
+ *   in `providerGameId` (catalog sync)
+ * - `launchGame(gameId, userId, options)`: a game session and its URL
+ * - `parseCallback(action, body)`: map a callback to
+ *   `{ operation, data }`, where operation is one of OPERATIONS and data
+ *   holds the fields of `processTransaction`
+ * - `formatResponse(operation, result, callback)` and
+ *   `formatError(operation, error, callback)`: the vendor's response
+ *   `{ status, body }`, error codes mapped from WALLET_ERRORS
+ * - `signRequest(method, endpoint, data)` and `verifyCallback(request)`:
+ *   the vendor's signature scheme for outbound and inbound calls
+ * - `getSessionToken(action, body)`: the game session token a callback
+ *   carries, checked against the sessions opened at launch
+ *
+ * Adapters are registered in `config/providers.js`.
+ */
+class ProviderBase {
+  /**
+   * @param {Object} config - { key, name, gameProvider, baseURL, apiKey, secretKey, operatorId, ... }
+   */
+  constructor(config) {
+    this.config = config;
+    this.key = config.key;
+    this.name = config.name;
+    // Game.provider value of this provider's catalog
+    this.gameProvider = config.gameProvider || config.key;
+    this.baseURL = config.baseURL;
+    this.apiKey = config.apiKey;
+    this.secretKey = config.secretKey;
+    this.operatorId = config.operatorId;
+
+    this.allowedIps = null;
+    if (config.allowedIps && config.allowedIps.length) {
+      this.allowedIps = new net.BlockList();
+      for (const entry of config.allowedIps) {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (prefix) {
+          this.allowedIps.addSubnet(address, parseInt(prefix), type);
+        } else {
+          this.allowedIps.addAddress(address, type);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get available games
+   * @returns {Array} Game fields with providerGameId
+   */
+  async getGames() {
+    throw new Error(`${this.name} does not provide a game catalog`);
+  }
+
+  /**
+   * Launch a game session
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { currency, language, mode, returnUrl }
+   * @returns {Object} { sessionId, gameUrl, token, expiresAt }
+   */
+  async launchGame(gameId, userId, options = {}) {
+    throw new Error(`${this.name} does not support game launch`);
+  }
+
+  /**
+   * Map a wallet callback to an operation
+   * @param {string} action - Last path segment of the callback URL
+   * @param {Object} body - Request body
+   * @returns {Object} { operation, data }
+   */
+  parseCallback(action, body) {
+    throw this.walletError(WALLET_ERRORS.UNKNOWN_ACTION, `Unknown callback: ${action}`);
+  }
+
+  /**
+   * Vendor response for a successful operation
+   * @param {string} operation - Operation
+   * @param {Object} result - Wallet result { balance, bonus, transaction_id, ... }
+   * @param {Object} callback - { action, body, data }
+   * @returns {Object} { status, body }
+   */
+  formatResponse(operation, result, callback) {
+    return { status: 200, body: result };
+  }
+
+  /**
+   * Vendor response for a failed operation
+   * @param {string} operation - Operation (null when the callback was not understood)
+   * @param {Object} error - { error_code, message }
+   * @param {Object} callback - { action, body, data }
+   * @returns {Object} { status, body }
+   */
+  formatError(operation, error, callback) {
+    return { status: 400, body: { status: 'error', error_code: error.error_code, message: error.message } };
+  }
+
+  /**
+   * Check the vendor signature of an inbound callback. Callbacks are refused
+   * unless the adapter implements its scheme.
+   * @param {Object} request - { headers, query, rawBody, body }
+   * @returns {boolean} Whether the signature is valid
+   */
+  verifyCallback(request) {
+    return false;
+  }
+
+  /**
+   * Game session token carried by a callback
+   * @param {string} action - Callback action
+   * @param {Object} body - Request body
+   * @returns {string|null} Session token
+   */
+  getSessionToken(action, body) {
+    return null;
+  }
+
+  /**
+   * Whether a callback source address is on the allowlist; any address is
+   * accepted when no allowlist is configured
+   * @param {string} ip - Source address
+   * @returns {boolean} Whether the source is allowed
+   */
+  isAllowedSource(ip) {
+    if (!this.allowedIps) {
+      return true;
+    }
+    if (!ip) {
+      return false;
+    }
+
+    // IPv4 clients of a dual-stack server appear as ::ffff:a.b.c.d
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    return this.allowedIps.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Whether a signed callback timestamp is within the tolerance window
+   * @param {string|number} timestamp - Unix timestamp in seconds
+   * @returns {boolean} Whether the timestamp is fresh
+   */
+  checkTimestamp(timestamp) {
+    const seconds = parseInt(timestamp);
+    return Number.isFinite(seconds) &&
+      Math.abs(Math.floor(Date.now() / 1000) - seconds) <= providerConfig.callbackTolerance;
+  }
+
+  /**
+   * Hex HMAC-SHA256 with the provider secret
+   * @param {Buffer|string} payload - Signed payload
+   * @returns {string} Signature
+   */
+  hmac(payload) {
+    return crypto.createHmac('sha256', this.secretKey).update(payload).digest('hex');
+  }
+
+  /**
+   * Constant-time string comparison
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} Whether both are equal
+   */
+  safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+  }
+
+  /**
+   * Sign an outbound API request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @returns {Object} Headers to send
+   */
+  signRequest(method, endpoint, data = {}) {
+    const auth = this.generateSignature(method, endpoint, data);
+
+    return {
+      'X-API-Key': this.apiKey,
+      'X-Operator-ID': this.operatorId,
+      'X-Timestamp': auth.timestamp,
+      'X-Nonce': auth.nonce,
+      'X-Signature': auth.signature
+    };
+  }
+
+  /**
+   * Generate session ID
+   * @returns {string} Session ID
+   */
+  generateSessionId() {
+    return `${this.key}_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  /**
+   * Error carrying a WALLET_ERRORS code
+   * @param {string} code - WALLET_ERRORS code
+   * @param {string} message - Message
+   * @returns {Error} Error
+   */
+  walletError(code, message) {
+    const error = new Error(message);
+    error.walletCode = code;
+    return error;
+  }
+
+  /**
+   * WALLET_ERRORS code of a thrown error
+   * @param {Error} error - Error
+   * @returns {string} Error code
+   */
+  getErrorCode(error) {
+    if (error.walletCode) {
+      return error.walletCode;
+    }
+    if (error.message === 'Insufficient balance') {
+      return WALLET_ERRORS.INSUFFICIENT_FUNDS;
+    }
+    if (error.message === 'User not found') {
+      return WALLET_ERRORS.USER_NOT_FOUND;
+    }
+    return WALLET_ERRORS.TRANSACTION_FAILED;
+  }
+
+  /**
+   * Generate authentication signature
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @returns {string} Signature
+   */
+  generateSignature(method, endpoint, data = {}) {
+    const timestamp = Date.now();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    
+    let payload = `${method}${endpoint}${timestamp}${nonce}`;
+    
+    if (Object.keys(data).length > 0) {
+      payload += JSON.stringify(data);
+    }
+    
+    const signature = crypto
+      .createHmac('sha256', this.secretKey)
+      .update(payload)
+      .digest('hex');
+    
+    return {
+      signature,
+      timestamp,
+      nonce
+    };
+  }
+
+  /**
+   * Make authenticated API request
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request data
+   * @returns {Object} API response
+   */
+  async makeRequest(method, endpoint, data = {}) {
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        ...this.signRequest(method, endpoint, data)
+      };
+
+      const config = {
+        method,
+        url: `${this.baseURL}${endpoint}`,
+        headers,
+        timeout: 30000
+      };
+
+      if (method.toLowerCase() !== 'get') {
+        config.data = data;
+      } else if (Object.keys(data).length > 0) {
+        config.params = data;
+      }
+
+      const response = await axios(config);
+      return response.data;
+
+    } catch (error) {
+      console.error(`Provider API error (${this.config.name}):`, error.message);
+      throw new Error(`Provider API error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get user balance
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency
+   * @returns {Object} Balance data with cash and bonus in cents
+   */
+  async getBalance(userId, currency) {
+    const User = require('../../models/User');
+    const Ledger = require('../../payments/ledger');
+    const user = await User.findById(userId);
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const { cash, bonus } = Ledger.readBalances(user, currency);
+    
+    return {
+      user_id: userId,
+      currency,
+      balance: cash * 100, // Convert to cents
+      bonus: bonus * 100,
+      session_id: this.generateSessionId()
+    };
+  }
+
+  /**
+   * Process a seamless-wallet callback. Each provider transaction id is
+   * applied once: a retry gets the response of the first call, and reusing
+   * an id for a different transaction is refused. Rollbacks (`rollback`,
+   * `refund` or `cancel`) reverse the callback named by
+   * `reference_transaction_id`.
+   * @param {Object} transactionData - Transaction data
+   * @returns {Object} Transaction result
+   */
+  async processTransaction(transactionData) {
+    const ProviderTransaction = require('../../models/ProviderTransaction');
+
+    const {
+      user_id,
+      transaction_id,
+      game_id,
+      round_id,
+      currency,
+      transaction_type,
+      reference_transaction_id
+    } = transactionData;
+
+    // Form-encoded callbacks send the amount as a string
+    const amount = Number(transactionData.amount ?? 0);
+
+    try {
+      const type = ROLLBACK_TYPES.includes(transaction_type) ? 'rollback' : transaction_type;
+      if (!['debit', 'credit', 'rollback'].includes(type)) {
+        throw this.walletError(WALLET_ERRORS.INVALID_REQUEST, `Unknown transaction type: ${transaction_type}`);
+      }
+
+      if (!Number.isFinite(amount)) {
+        throw this.walletError(WALLET_ERRORS.INVALID_REQUEST, 'Invalid amount');
+      }
+
+      const claim = await this.claimTransaction({
+        provider: this.name,
+        transactionId: String(transaction_id),
+        type,
+        userId: user_id,
+        roundId: round_id,
+        gameId: game_id,
+        amount,
+        currency,
+        referenceTransactionId: reference_transaction_id ? String(reference_transaction_id) : undefined
+      });
+
+      if (claim.response) {
+        return claim.response;
+      }
+
+      let response;
+      try {
+        response = type === 'rollback'
+          ? await this.applyRollback(claim.record, transactionData)
+          : await this.applyTransaction(claim.record, { ...transactionData, amount });
+      } catch (error) {
+        // Ledger postings are atomic, so nothing was applied; a retry is evaluated again
+        await ProviderTransaction.deleteOne({ _id: claim.record._id, status: 'pending' });
+        throw error;
+      }
+
+      await ProviderTransaction.updateOne(
+        { _id: claim.record._id, status: 'pending' },
+        { $set: { status: 'completed', response } }
+      );
+
+      return response;
+
+    } catch (error) {
+      console.error('Transaction processing error:', error);
+      return {
+        status: 'error',
+        error_code: this.getErrorCode(error),
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Record a callback before applying it, or find the earlier call with the
+   * same transaction id
+   * @param {Object} fields - ProviderTransaction fields
+   * @returns {Object} { record } to apply, or { response } to return as is
+   */
+  async claimTransaction(fields) {
+    const ProviderTransaction = require('../../models/ProviderTransaction');
+
+    try {
+      return { record: await ProviderTransaction.create(fields) };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const existing = await ProviderTransaction.findOne({
+      provider: fields.provider,
+      transactionId: fields.transactionId
+    });
+
+    if (existing.status === 'cancelled') {
+      return {
+        response: {
+          status: 'error',
+          error_code: WALLET_ERRORS.TRANSACTION_CANCELLED,
+          message: 'Transaction was rolled back before it was received'
+        }
+      };
+    }
+
+    const sameTransaction = existing.type === fields.type &&
+      Number(existing.amount) === Number(fields.amount) &&
+      String(existing.userId) === String(fields.userId);
+
+    if (!sameTransaction) {
+      return {
+        response: {
+          status: 'error',
+          error_code: WALLET_ERRORS.DUPLICATE_TRANSACTION,
+          message: 'Transaction id already used for a different transaction'
+        }
+      };
+    }
+
+    // A pending record was interrupted mid-way; applying it again is safe
+    // because the ledger posting is keyed by the transaction id
+    return existing.status === 'pending'
+      ? { record: existing }
+      : { response: existing.response };
+  }
+
+  /**
+   * Apply a debit or credit. Debits draw on the cash and bonus balances in
+   * spend order; credits follow the bonus share of the round's debits. A
+   * credit received before any debit of its round is paid from cash, as
+   * aggregators expect credits to be accepted unconditionally.
+   * @param {Object} record - ProviderTransaction document
+   * @param {Object} transactionData - Transaction data
+   * @returns {Object} Transaction result
+   */
+  async applyTransaction(record, transactionData) {
+    const { user_id, session_id, transaction_id, game_id, round_id, amount, currency } = transactionData;
+
+    const Ledger = require('../../payments/ledger');
+    const BonusManager = require('../../payments/bonusManager');
+    const Transaction = require('../../models/Transaction');
+    const ProviderTransaction = require('../../models/ProviderTransaction');
+
+    const amountInMainCurrency = amount / 100; // Convert from cents
+
+    // Losing rounds settle with a zero credit, which moves no funds
+    if (amountInMainCurrency === 0) {
+      const { balance, bonus } = await this.getBalance(user_id, currency);
+      return {
+        status: 'success',
+        transaction_id,
+        balance,
+        bonus
+      };
+    }
+
+    const options = {
+      type: record.type === 'debit' ? 'bet' : 'win',
+      referenceKey: this.getReferenceKey(record.transactionId),
+      account: Ledger.ACCOUNTS.provider(this.name),
+      description: `${this.name} ${game_id} round ${round_id}`,
+      transaction: {
+        sessionId: session_id,
+        metadata: {
+          provider: this.name,
+          externalId: transaction_id,
+          roundId: round_id
+        }
+      }
+    };
+
+    let posting;
+    if (record.type === 'debit') {
+      await this.checkBetLimits(user_id, amountInMainCurrency, currency, game_id);
+
+      posting = await Ledger.stake(user_id, amountInMainCurrency, currency, options);
+
+      if (!posting.duplicate) {
+        await BonusManager.recordWager(user_id, amountInMainCurrency, currency, {
+          category: bonusConfig.providerCategories[this.name]
+        });
+      }
+    } else {
+      const stakeKeys = round_id
+        ? await Transaction.distinct('referenceKey', {
+          userId: user_id,
+          type: 'bet',
+          'metadata.provider': this.name,
+          'metadata.roundId': round_id
+        })
+        : [];
+
+      if (!stakeKeys.length) {
+        await ProviderTransaction.updateOne({ _id: record._id }, { $set: { outOfOrder: true } });
+      }
+
+      posting = await BonusManager.creditWinnings(user_id, amountInMainCurrency, currency, stakeKeys, options);
+    }
+
+    return {
+      status: 'success',
+      transaction_id,
+      balance: posting.balance * 100, // Convert to cents
+      bonus: posting.bonusBalance * 100
+    };
+  }
+
+  /**
+   * Refuse a debit from a self-excluded player or one with a reality check to
+   * answer, one the rules of the player's jurisdiction do not allow (game,
+   * KYC level, maximum bet), or one that would break the player's loss, wager
+   * or session time limits
+   * @param {string} userId - User ID
+   * @param {number} amount - Stake
+   * @param {string} currency - Currency
+   * @param {string} gameId - Game id in the provider's catalog
+   */
+  async checkBetLimits(userId, amount, currency, gameId) {
+    const User = require('../../models/User');
+    const Game = require('../../models/Game');
+    const ResponsibleGaming = require('../../utils/compliance/responsibleGaming');
+    const JurisdictionRules = require('../../utils/compliance/jurisdictionRules');
+    const RealityChecks = require('../../utils/compliance/realityChecks');
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Games stored before catalog sync have no providerGameId and match by slug
+    const game = await Game.findOne({
+      provider: this.gameProvider,
+      $or: [{ providerGameId: String(gameId) }, { slug: String(gameId) }]
+    }) || { slug: String(gameId) };
+
+    try {
+      RealityChecks.assertNoPendingCheck(user);
+      await ResponsibleGaming.assertNotSelfExcluded(user);
+      await JurisdictionRules.assertCanPlay(user, game, { amount, currency });
+      await ResponsibleGaming.checkBetLimits(user, amount, currency);
+    } catch (error) {
+      throw this.walletError(WALLET_ERRORS.LIMIT_EXCEEDED, error.message);
+    }
+  }
+
+  /**
+   * Reverse an earlier debit or credit. A rollback that arrives before the
+   * callback it names records that callback as cancelled, so it is refused
+   * when it arrives.
+   * @param {Object} record - ProviderTransaction document of the rollback
+   * @param {Object} transactionData - Transaction data
+   * @returns {Object} Transaction result
+   */
+  async applyRollback(record, transactionData) {
+    const { user_id, transaction_id, currency } = transactionData;
+    const referenceId = record.referenceTransactionId;
+
+    const Ledger = require('../../payments/ledger');
+    const ProviderTransaction = require('../../models/ProviderTransaction');
+
+    if (!referenceId) {
+      throw this.walletError(WALLET_ERRORS.INVALID_REQUEST, 'Missing reference_transaction_id');
+    }
+
+    const original = await ProviderTransaction.findOne({ provider: this.name, transactionId: referenceId });
+
+    let posting = null;
+    if (!original) {
+      try {
+        await ProviderTransaction.create({
+          provider: this.name,
+          transactionId: referenceId,
+          type: 'debit',
+          userId: user_id,
+          roundId: record.roundId,
+          currency,
+          status: 'cancelled'
+        });
+      } catch (error) {
+        // The original arrived meanwhile; the provider retries the rollback
+        throw error.code === 11000 ? new Error('Reference transaction still in progress') : error;
+      }
+    } else if (original.status === 'pending') {
+      throw new Error('Reference transaction still in progress');
+    } else if (original.status === 'completed') {
+      if (String(original.userId) !== String(user_id)) {
+        throw new Error('Reference transaction belongs to another user');
+      }
+
+      // Reverse first: the reversal is keyed by the original, so a retry
+      // after a failure here cannot reverse twice
+      if (original.amount > 0) {
+        posting = await Ledger.reverse(this.getReferenceKey(referenceId), {
+          type: 'refund',
+          referenceKey: `${this.getReferenceKey(referenceId)}:rollback`,
+          description: `${this.name} rollback of ${referenceId}`,
+          transaction: {
+            metadata: {
+              provider: this.name,
+              externalId: transaction_id,
+              roundId: original.roundId
+            }
+          }
+        });
+      }
+
+      await ProviderTransaction.updateOne(
+        { _id: original._id, status: 'completed' },
+        { $set: { status: 'rolled_back' } }
+      );
+    }
+
+    if (!posting) {
+      const { balance, bonus } = await this.getBalance(user_id, currency || (original && original.currency));
+      return { status: 'success', transaction_id, balance, bonus };
+    }
+
+    return {
+      status: 'success',
+      transaction_id,
+      balance: posting.balance * 100, // Convert to cents
+      bonus: posting.bonusBalance * 100
+    };
+  }
+
+  /**
+   * Ledger reference of a provider callback
+   * @param {string} transactionId - Provider transaction id
+   * @returns {string} Reference key
+   */
+  getReferenceKey(transactionId) {
+    return `provider:${this.name}:${transactionId}`;
+  }
+}
+
+ProviderBase.OPERATIONS = OPERATIONS;
+ProviderBase.WALLET_ERRORS = WALLET_ERRORS;
+
+module.exports = ProviderBase;
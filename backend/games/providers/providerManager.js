@@ -1,499 +1,75 @@
-const axios = require('axios');
-const crypto = require('crypto');
-
-class ThirdPartyProvider {
-  constructor(config) {
-    this.config = config;
-    this.baseURL = config.baseURL;
-    this.apiKey = config.apiKey;
-    this.secretKey = config.secretKey;
-    this.operatorId = config.operatorId;
-  }
+const path = require('path');
+const ProviderBase = require('./providerBase');
+const CatalogSync = require('./catalogSync');
+const PragmaticPlayProvider = require('./adapters/pragmaticPlay');
+const EvolutionGamingProvider = require('./adapters/evolutionGaming');
+const NetEntProvider = require('./adapters/netEnt');
+const MockProvider = require('./adapters/mockProvider');
+const providerConfig = require('../../config/providers');
+
+const { WALLET_ERRORS } = ProviderBase;
+
+// Built-in adapters, by the name used in config/providers.js
+const ADAPTERS = {
+  pragmaticPlay: PragmaticPlayProvider,
+  evolutionGaming: EvolutionGamingProvider,
+  netEnt: NetEntProvider,
+  mockProvider: MockProvider
+};
 
+class ProviderManager {
   /**
-   * Generate authentication signature
-   * @param {string} method - HTTP method
-   * @param {string} endpoint - API endpoint
-   * @param {Object} data - Request data
-   * @returns {string} Signature
+   * @param {Array} entries - Provider entries (defaults to config/providers.js)
    */
-  generateSignature(method, endpoint, data = {}) {
-    const timestamp = Date.now();
-    const nonce = crypto.randomBytes(16).toString('hex');
-    
-    let payload = `${method}${endpoint}${timestamp}${nonce}`;
-    
-    if (Object.keys(data).length > 0) {
-      payload += JSON.stringify(data);
-    }
-    
-    const signature = crypto
-      .createHmac('sha256', this.secretKey)
-      .update(payload)
-      .digest('hex');
-    
-    return {
-      signature,
-      timestamp,
-      nonce
-    };
+  constructor(entries = providerConfig.providers) {
+    this.providers = new Map();
+    this.initializeProviders(entries);
+    this.catalogSync = new CatalogSync({ providerManager: this });
   }
 
   /**
-   * Make authenticated API request
-   * @param {string} method - HTTP method
-   * @param {string} endpoint - API endpoint
-   * @param {Object} data - Request data
-   * @returns {Object} API response
+   * Initialize the enabled game providers
+   * @param {Array} entries - Provider entries
    */
-  async makeRequest(method, endpoint, data = {}) {
-    try {
-      const auth = this.generateSignature(method, endpoint, data);
-      
-      const headers = {
-        'Content-Type': 'application/json',
-        'X-API-Key': this.apiKey,
-        'X-Operator-ID': this.operatorId,
-        'X-Timestamp': auth.timestamp,
-        'X-Nonce': auth.nonce,
-        'X-Signature': auth.signature
-      };
-
-      const config = {
-        method,
-        url: `${this.baseURL}${endpoint}`,
-        headers,
-        timeout: 30000
-      };
-
-      if (method.toLowerCase() !== 'get') {
-        config.data = data;
-      } else if (Object.keys(data).length > 0) {
-        config.params = data;
+  initializeProviders(entries) {
+    for (const entry of entries) {
+      if (!entry.enabled) {
+        continue;
       }
 
-      const response = await axios(config);
-      return response.data;
-
-    } catch (error) {
-      console.error(`Provider API error (${this.config.name}):`, error.message);
-      throw new Error(`Provider API error: ${error.message}`);
+      const Adapter = ProviderManager.resolveAdapter(entry.adapter);
+      this.register(new Adapter(entry));
     }
-  }
-}
 
-class PragmaticPlayProvider extends ThirdPartyProvider {
-  constructor(config) {
-    super(config);
-    this.name = 'Pragmatic Play';
-  }
-
-  /**
-   * Get available games
-   * @returns {Array} List of games
-   */
-  async getGames() {
-    const response = await this.makeRequest('GET', '/games');
-    
-    return response.games.map(game => ({
-      providerId: game.id,
-      name: game.name,
-      slug: game.game_id,
-      category: game.category,
-      type: game.type,
-      rtp: game.rtp,
-      volatility: game.volatility,
-      thumbnail: game.thumbnail,
-      provider: this.name,
-      features: game.features || [],
-      minBet: game.min_bet,
-      maxBet: game.max_bet,
-      currencies: game.currencies || ['USD', 'EUR'],
-      languages: game.languages || ['en'],
-      devices: game.devices || ['desktop', 'mobile'],
-      status: 'active'
-    }));
-  }
-
-  /**
-   * Launch game session
-   * @param {string} gameId - Game ID
-   * @param {string} userId - User ID
-   * @param {string} currency - Currency
-   * @param {string} language - Language
-   * @param {string} returnUrl - Return URL
-   * @returns {Object} Game launch data
-   */
-  async launchGame(gameId, userId, currency = 'USD', language = 'en', returnUrl = '') {
-    const sessionData = {
-      game_id: gameId,
-      user_id: userId,
-      currency,
-      language,
-      return_url: returnUrl,
-      session_id: this.generateSessionId(),
-      balance_url: `${process.env.BASE_URL}/api/providers/pragmatic/balance`,
-      transaction_url: `${process.env.BASE_URL}/api/providers/pragmatic/transaction`
-    };
-
-    const response = await this.makeRequest('POST', '/sessions', sessionData);
-    
-    return {
-      sessionId: response.session_id,
-      gameUrl: response.game_url,
-      token: response.token,
-      expiresAt: new Date(Date.now() + 4 * 60 * 60 * 1000) // 4 hours
-    };
+    console.log(`Initialized ${this.providers.size} game providers`);
   }
 
   /**
-   * Get user balance
-   * @param {string} userId - User ID
-   * @param {string} currency - Currency
-   * @returns {Object} Balance data
+   * Adapter class of a config entry
+   * @param {string|Function} adapter - Built-in name, module path or class
+   * @returns {Function} Adapter class
    */
-  async getBalance(userId, currency) {
-    // This would typically query your user database
-    const User = require('../../models/User');
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      throw new Error('User not found');
+  static resolveAdapter(adapter) {
+    let Adapter = adapter;
+    if (typeof adapter === 'string') {
+      Adapter = ADAPTERS[adapter] || require(path.resolve(__dirname, '../..', adapter));
     }
 
-    const balance = user.wallet.balance[currency] || 0;
-    
-    return {
-      user_id: userId,
-      currency,
-      balance: balance * 100, // Convert to cents
-      session_id: this.generateSessionId()
-    };
-  }
-
-  /**
-   * Process game transaction
-   * @param {Object} transactionData - Transaction data
-   * @returns {Object} Transaction result
-   */
-  async processTransaction(transactionData) {
-    const {
-      user_id,
-      session_id,
-      transaction_id,
-      game_id,
-      round_id,
-      amount,
-      currency,
-      transaction_type,
-      game_data
-    } = transactionData;
-
-    // Import models
-    const User = require('../../models/User');
-    const Transaction = require('../../models/Transaction');
-
-    try {
-      // Check for duplicate transaction
-      const existingTransaction = await Transaction.findOne({
-        'metadata.providerTransactionId': transaction_id
-      });
-
-      if (existingTransaction) {
-        return {
-          status: 'success',
-          transaction_id,
-          balance: existingTransaction.metadata.balanceAfter * 100
-        };
-      }
-
-      const user = await User.findById(user_id);
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      let newBalance = user.wallet.balance[currency] || 0;
-      const amountInMainCurrency = amount / 100; // Convert from cents
-
-      // Process transaction based on type
-      if (transaction_type === 'debit') {
-        // Bet transaction
-        if (newBalance < amountInMainCurrency) {
-          throw new Error('Insufficient balance');
-        }
-        newBalance -= amountInMainCurrency;
-      } else if (transaction_type === 'credit') {
-        // Win transaction
-        newBalance += amountInMainCurrency;
-      }
-
-      // Update user balance
-      await User.findByIdAndUpdate(user_id, {
-        [`wallet.balance.${currency}`]: newBalance
-      });
-
-      // Create transaction record
-      const transaction = new Transaction({
-        userId: user_id,
-        type: transaction_type === 'debit' ? 'bet' : 'win',
-        amount: amountInMainCurrency,
-        currency,
-        status: 'completed',
-        metadata: {
-          provider: this.name,
-          providerTransactionId: transaction_id,
-          gameId: game_id,
-          roundId: round_id,
-          sessionId: session_id,
-          gameData,
-          balanceBefore: user.wallet.balance[currency],
-          balanceAfter: newBalance
-        }
-      });
-
-      await transaction.save();
-
-      return {
-        status: 'success',
-        transaction_id,
-        balance: newBalance * 100 // Convert to cents
-      };
-
-    } catch (error) {
-      console.error('Transaction processing error:', error);
-      return {
-        status: 'error',
-        error_code: 'TRANSACTION_FAILED',
-        message: error.message
-      };
+    if (typeof Adapter !== 'function' || !(Adapter.prototype instanceof ProviderBase)) {
+      throw new Error(`Provider adapter ${adapter} does not extend ProviderBase`);
     }
+    return Adapter;
   }
 
   /**
-   * Generate session ID
-   * @returns {string} Session ID
-   */
-  generateSessionId() {
-    return `pp_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
-  }
-}
-
-class EvolutionGamingProvider extends ThirdPartyProvider {
-  constructor(config) {
-    super(config);
-    this.name = 'Evolution Gaming';
-  }
-
-  /**
-   * Get available live dealer games
-   * @returns {Array} List of live games
-   */
-  async getGames() {
-    const response = await this.makeRequest('GET', '/live-games');
-    
-    return response.games.map(game => ({
-      providerId: game.id,
-      name: game.name,
-      slug: game.game_code,
-      category: 'live_dealer',
-      type: 'live',
-      gameType: game.game_type, // roulette, blackjack, baccarat, etc.
-      thumbnail: game.thumbnail,
-      provider: this.name,
-      minBet: game.limits.min,
-      maxBet: game.limits.max,
-      currencies: game.currencies,
-      languages: game.languages,
-      devices: ['desktop', 'mobile'],
-      features: {
-        chat: game.features.chat,
-        statistics: game.features.statistics,
-        roadmaps: game.features.roadmaps
-      },
-      status: 'active'
-    }));
-  }
-
-  /**
-   * Launch live game
-   * @param {string} gameCode - Game code
-   * @param {string} userId - User ID
-   * @param {string} currency - Currency
-   * @param {string} language - Language
-   * @returns {Object} Game launch data
-   */
-  async launchGame(gameCode, userId, currency = 'USD', language = 'en') {
-    const sessionData = {
-      game_code: gameCode,
-      user_id: userId,
-      currency,
-      language,
-      session_id: this.generateSessionId(),
-      integration_url: `${process.env.BASE_URL}/api/providers/evolution`
-    };
-
-    const response = await this.makeRequest('POST', '/launch', sessionData);
-    
-    return {
-      sessionId: response.session_id,
-      gameUrl: response.entry_url,
-      token: response.token,
-      expiresAt: new Date(Date.now() + 8 * 60 * 60 * 1000) // 8 hours for live games
-    };
-  }
-
-  /**
-   * Get game statistics
-   * @param {string} gameCode - Game code
-   * @param {string} tableId - Table ID (optional)
-   * @returns {Object} Game statistics
-   */
-  async getGameStats(gameCode, tableId = null) {
-    const params = { game_code: gameCode };
-    if (tableId) params.table_id = tableId;
-
-    const response = await this.makeRequest('GET', '/stats', params);
-    
-    return {
-      gameCode,
-      tableId,
-      statistics: response.stats,
-      lastUpdate: response.timestamp
-    };
-  }
-
-  /**
-   * Generate session ID for Evolution
-   * @returns {string} Session ID
-   */
-  generateSessionId() {
-    return `evo_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
-  }
-}
-
-class NetEntProvider extends ThirdPartyProvider {
-  constructor(config) {
-    super(config);
-    this.name = 'NetEnt';
-  }
-
-  /**
-   * Get available slot games
-   * @returns {Array} List of slot games
-   */
-  async getGames() {
-    const response = await this.makeRequest('GET', '/catalog');
-    
-    return response.games.map(game => ({
-      providerId: game.game_id,
-      name: game.title,
-      slug: game.game_key,
-      category: 'slots',
-      type: 'slot',
-      rtp: game.rtp,
-      volatility: game.variance,
-      thumbnail: game.thumbnail_url,
-      provider: this.name,
-      features: {
-        freeSpins: game.features.free_spins,
-        bonus: game.features.bonus_game,
-        jackpot: game.features.jackpot,
-        multiplier: game.features.multiplier
-      },
-      paylines: game.paylines,
-      reels: game.reels,
-      minBet: game.min_bet,
-      maxBet: game.max_bet,
-      currencies: game.supported_currencies,
-      languages: game.supported_languages,
-      devices: game.supported_devices,
-      status: 'active'
-    }));
-  }
-
-  /**
-   * Launch slot game
-   * @param {string} gameKey - Game key
-   * @param {string} userId - User ID
-   * @param {string} currency - Currency
-   * @param {string} language - Language
-   * @param {string} mode - Game mode (real/demo)
-   * @returns {Object} Game launch data
-   */
-  async launchGame(gameKey, userId, currency = 'USD', language = 'en', mode = 'real') {
-    const sessionData = {
-      game_key: gameKey,
-      user_id: userId,
-      currency,
-      language,
-      mode,
-      session_id: this.generateSessionId(),
-      callback_url: `${process.env.BASE_URL}/api/providers/netent/callback`
-    };
-
-    const response = await this.makeRequest('POST', '/game-session', sessionData);
-    
-    return {
-      sessionId: response.session_id,
-      gameUrl: response.game_url,
-      token: response.access_token,
-      expiresAt: new Date(Date.now() + 6 * 60 * 60 * 1000) // 6 hours
-    };
-  }
-
-  /**
-   * Generate session ID for NetEnt
-   * @returns {string} Session ID
-   */
-  generateSessionId() {
-    return `ne_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
-  }
-}
-
-class ProviderManager {
-  constructor() {
-    this.providers = new Map();
-    this.initializeProviders();
-  }
-
-  /**
-   * Initialize all game providers
+   * Register a provider adapter under its key
+   * @param {ProviderBase} provider - Adapter instance
    */
-  initializeProviders() {
-    // Pragmatic Play configuration
-    if (process.env.PRAGMATIC_API_KEY) {
-      this.providers.set('pragmatic', new PragmaticPlayProvider({
-        name: 'Pragmatic Play',
-        baseURL: process.env.PRAGMATIC_BASE_URL || 'https://api.pragmaticplay.net',
-        apiKey: process.env.PRAGMATIC_API_KEY,
-        secretKey: process.env.PRAGMATIC_SECRET_KEY,
-        operatorId: process.env.PRAGMATIC_OPERATOR_ID
-      }));
-    }
-
-    // Evolution Gaming configuration
-    if (process.env.EVOLUTION_API_KEY) {
-      this.providers.set('evolution', new EvolutionGamingProvider({
-        name: 'Evolution Gaming',
-        baseURL: process.env.EVOLUTION_BASE_URL || 'https://api.evolutiongaming.com',
-        apiKey: process.env.EVOLUTION_API_KEY,
-        secretKey: process.env.EVOLUTION_SECRET_KEY,
-        operatorId: process.env.EVOLUTION_OPERATOR_ID
-      }));
+  register(provider) {
+    if (!provider.key) {
+      throw new Error(`Provider ${provider.name} has no key`);
     }
-
-    // NetEnt configuration
-    if (process.env.NETENT_API_KEY) {
-      this.providers.set('netent', new NetEntProvider({
-        name: 'NetEnt',
-        baseURL: process.env.NETENT_BASE_URL || 'https://api.netent.com',
-        apiKey: process.env.NETENT_API_KEY,
-        secretKey: process.env.NETENT_SECRET_KEY,
-        operatorId: process.env.NETENT_OPERATOR_ID
-      }));
-    }
-
-    console.log(`Initialized ${this.providers.size} game providers`);
+    this.providers.set(provider.key.toLowerCase(), provider);
   }
 
   /**
@@ -519,53 +95,15 @@ class ProviderManager {
 
   /**
    * Sync games from all providers
-   * @returns {Object} Sync results
+   * @param {Object} options - { trigger, triggeredBy }
+   * @returns {Object} CatalogSyncRun document
    */
-  async syncAllGames() {
-    const results = {
-      success: [],
-      errors: [],
-      totalGames: 0
-    };
-
-    for (const [providerName, provider] of this.providers) {
-      try {
-        console.log(`Syncing games from ${provider.name}...`);
-        const games = await provider.getGames();
-        
-        // Save games to database
-        const Game = require('../../models/Game');
-        
-        for (const gameData of games) {
-          await Game.findOneAndUpdate(
-            { slug: gameData.slug, provider: gameData.provider },
-            gameData,
-            { upsert: true, new: true }
-          );
-        }
-
-        results.success.push({
-          provider: provider.name,
-          gamesCount: games.length
-        });
-        
-        results.totalGames += games.length;
-        console.log(`Synced ${games.length} games from ${provider.name}`);
-
-      } catch (error) {
-        console.error(`Error syncing games from ${provider.name}:`, error);
-        results.errors.push({
-          provider: provider.name,
-          error: error.message
-        });
-      }
-    }
-
-    return results;
+  async syncAllGames(options = {}) {
+    return this.catalogSync.sync(options);
   }
 
   /**
-   * Launch game from any provider
+   * Launch game from any provider and record the session
    * @param {string} providerName - Provider name
    * @param {string} gameId - Game ID
    * @param {string} userId - User ID
@@ -582,7 +120,21 @@ class ProviderManager {
       returnUrl = ''
     } = options;
 
-    return await provider.launchGame(gameId, userId, currency, language, mode, returnUrl);
+    const launchData = await provider.launchGame(gameId, userId, { currency, language, mode, returnUrl });
+
+    // Wallet callbacks are accepted for the sessions opened here
+    const ProviderSession = require('../../models/ProviderSession');
+    await ProviderSession.create({
+      provider: provider.key,
+      sessionId: launchData.sessionId,
+      token: launchData.token,
+      userId,
+      gameId,
+      currency,
+      expiresAt: launchData.expiresAt
+    });
+
+    return launchData;
   }
 
   /**
@@ -593,12 +145,7 @@ class ProviderManager {
    */
   async processTransaction(providerName, transactionData) {
     const provider = this.getProvider(providerName);
-    
-    if (typeof provider.processTransaction === 'function') {
-      return await provider.processTransaction(transactionData);
-    } else {
-      throw new Error(`Provider ${providerName} does not support transaction processing`);
-    }
+    return await provider.processTransaction(transactionData);
   }
 
   /**
@@ -610,19 +157,57 @@ class ProviderManager {
    */
   async getBalance(providerName, userId, currency) {
     const provider = this.getProvider(providerName);
-    
-    if (typeof provider.getBalance === 'function') {
-      return await provider.getBalance(userId, currency);
-    } else {
-      throw new Error(`Provider ${providerName} does not support balance queries`);
+    return await provider.getBalance(userId, currency);
+  }
+
+  /**
+   * Handle a wallet callback: the adapter maps it to an operation, the
+   * wallet applies it, and the adapter formats the vendor's response
+   * @param {string} providerName - Provider key
+   * @param {string} action - Callback action (last path segment)
+   * @param {Object} request - { body, rawBody, headers, ip }
+   * @returns {Object} { status, body }
+   */
+  async handleCallback(providerName, action, request) {
+    const provider = this.getProvider(providerName);
+    const callback = { action, body: request.body || {}, ip: request.ip };
+
+    let operation = null;
+    try {
+      const parsed = provider.parseCallback(action, callback.body);
+      operation = parsed.operation;
+      callback.data = parsed.data;
+
+      let result;
+      if (operation === 'authenticate' || operation === 'balance') {
+        result = await provider.getBalance(callback.data.user_id, callback.data.currency);
+      } else if (ProviderBase.OPERATIONS.includes(operation)) {
+        result = await provider.processTransaction({ ...callback.data, transaction_type: operation });
+      } else {
+        throw provider.walletError(WALLET_ERRORS.UNKNOWN_ACTION, `Unknown operation: ${operation}`);
+      }
+
+      return result.status === 'error'
+        ? provider.formatError(operation, result, callback)
+        : provider.formatResponse(operation, result, callback);
+
+    } catch (error) {
+      console.error(`${provider.name} callback error:`, error.message);
+      return provider.formatError(operation, {
+        status: 'error',
+        error_code: provider.getErrorCode(error),
+        message: error.message
+      }, callback);
     }
   }
 }
 
 module.exports = {
   ProviderManager,
+  ProviderBase,
   PragmaticPlayProvider,
   EvolutionGamingProvider,
-  NetEntProvider
+  NetEntProvider,
+  MockProvider
 };
 
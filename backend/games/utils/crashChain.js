@@ -0,0 +1,190 @@
+const ProvablyFair = require('./provablyFair');
+const CrashChain = require('../../models/CrashChain');
+const CrashRound = require('../../models/CrashRound');
+
+const MAX_VERIFY_SPAN = 1000;
+
+class CrashChainManager {
+  constructor(options = {}) {
+    this.config = {
+      length: options.length || parseInt(process.env.CRASH_CHAIN_LENGTH) || 1000000,
+      checkpointInterval: options.checkpointInterval || 1000
+    };
+    this.chain = null; // Active chain including secret checkpoints
+  }
+
+  /**
+   * Load the active chain, generating and publishing a new one when needed
+   * @returns {Object} Active chain document
+   */
+  async getActiveChain() {
+    if (this.chain && this.chain.status === 'active') {
+      return this.chain;
+    }
+
+    let chain = await CrashChain.findOne({ status: 'active' })
+      .select('+checkpoints')
+      .sort({ createdAt: 1 });
+
+    if (!chain) {
+      chain = await this.createChain();
+    }
+
+    this.chain = chain;
+    return chain;
+  }
+
+  /**
+   * Generate a new hash chain from a fresh secret seed
+   * @returns {Object} Chain document
+   */
+  async createChain() {
+    const { length, checkpointInterval } = this.config;
+    const seed = ProvablyFair.generateServerSeed();
+    const { terminatingHash, checkpoints } = ProvablyFair.generateHashChain(seed, length, checkpointInterval);
+
+    const chain = await CrashChain.create({
+      terminatingHash,
+      length,
+      checkpointInterval,
+      checkpoints
+    });
+
+    console.log(`New crash hash chain published: ${terminatingHash} (${length} rounds)`);
+    return chain;
+  }
+
+  /**
+   * Draw the next round from the active chain
+   * @returns {Object} Round { chainId, round, hash, previousHash, terminatingHash }
+   */
+  async nextRound() {
+    const chain = await this.getActiveChain();
+
+    // Claim the round number atomically so restarts never replay a round
+    const updated = await CrashChain.findOneAndUpdate(
+      { _id: chain._id, status: 'active', nextRound: { $lte: chain.length } },
+      { $inc: { nextRound: 1 } },
+      { new: false }
+    );
+
+    if (!updated) {
+      await CrashChain.updateOne(
+        { _id: chain._id },
+        { $set: { status: 'exhausted', exhaustedAt: new Date() } }
+      );
+      this.chain = null;
+      return this.nextRound();
+    }
+
+    const round = updated.nextRound;
+    const hash = ProvablyFair.getHashChainElement(
+      chain.checkpoints,
+      chain.length,
+      chain.checkpointInterval,
+      round
+    );
+
+    return {
+      chainId: chain._id,
+      round,
+      hash,
+      previousHash: ProvablyFair.hashChainLink(hash),
+      terminatingHash: chain.terminatingHash
+    };
+  }
+
+  /**
+   * Persist a finished round so its hash is publicly verifiable
+   * @param {Object} roundData - Crashed round data
+   * @returns {Object} Crash round document
+   */
+  async recordRound(roundData) {
+    return CrashRound.create({
+      chainId: roundData.chainId,
+      round: roundData.round,
+      gameId: roundData.gameId,
+      hash: roundData.hash,
+      crashPoint: roundData.crashPoint,
+      totalPlayers: roundData.totalPlayers,
+      totalWagered: roundData.totalWagered,
+      totalPayout: roundData.totalPayout
+    });
+  }
+
+  /**
+   * Get public information about a chain
+   * @param {string} chainId - Chain ID (defaults to the active chain)
+   * @returns {Object|null} Public chain data
+   */
+  async getChainInfo(chainId = null) {
+    const chain = chainId
+      ? await CrashChain.findById(chainId)
+      : await CrashChain.findOne({ status: 'active' }).sort({ createdAt: 1 });
+
+    return chain ? chain.toPublic() : null;
+  }
+
+  /**
+   * Verify a span of played rounds against the chain
+   * @param {number} from - First round
+   * @param {number} to - Last round
+   * @param {string} chainId - Chain ID (defaults to the active chain)
+   * @returns {Object} Verification result
+   */
+  async verifySpan(from, to, chainId = null) {
+    if (to < from) {
+      throw new Error('Invalid round span');
+    }
+
+    if (to - from + 1 > MAX_VERIFY_SPAN) {
+      throw new Error(`Cannot verify more than ${MAX_VERIFY_SPAN} rounds at once`);
+    }
+
+    const chain = chainId
+      ? await CrashChain.findById(chainId)
+      : await CrashChain.findOne({ status: 'active' }).sort({ createdAt: 1 });
+
+    if (!chain) {
+      throw new Error('Hash chain not found');
+    }
+
+    const rounds = await CrashRound.find({
+      chainId: chain._id,
+      round: { $gte: from, $lte: to }
+    }).sort({ round: 1 });
+
+    if (rounds.length === 0) {
+      throw new Error('No rounds found in the requested span');
+    }
+
+    // Anchor on the closest revealed round below the span, or the published terminating hash
+    const previousRound = await CrashRound.findOne({
+      chainId: chain._id,
+      round: { $lt: rounds[0].round }
+    }).sort({ round: -1 });
+
+    const anchor = previousRound
+      ? { round: previousRound.round, hash: previousRound.hash }
+      : { round: 0, hash: chain.terminatingHash };
+
+    const verification = ProvablyFair.verifyHashChain(
+      rounds.map(round => ({
+        round: round.round,
+        hash: round.hash,
+        crashPoint: round.crashPoint
+      })),
+      anchor
+    );
+
+    return {
+      chain: chain.toPublic(),
+      from,
+      to,
+      missingRounds: to - from + 1 - rounds.length,
+      ...verification
+    };
+  }
+}
+
+module.exports = CrashChainManager;
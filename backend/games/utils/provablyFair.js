@@ -180,6 +180,35 @@ class ProvablyFair {
     return result;
   }
 
+  /**
+   * Shuffle the indexes 0..length-1 with Fisher-Yates driven by a hash.
+   * Each swap consumes 4 bytes of the hash; the hash is re-hashed with
+   * SHA-256 when its bytes run out.
+   * @param {string} hash - SHA-256 hash
+   * @param {number} length - Number of items to shuffle
+   * @returns {Array} Shuffled indexes
+   */
+  static generateShuffle(hash, length) {
+    const items = Array.from({ length }, (_, index) => index);
+    let currentHash = hash;
+    let cursor = 0;
+
+    for (let i = items.length - 1; i > 0; i--) {
+      if (cursor + 8 > currentHash.length) {
+        currentHash = crypto.createHash('sha256').update(currentHash).digest('hex');
+        cursor = 0;
+      }
+
+      const float = this.hashToFloat(currentHash.substring(cursor, cursor + 8));
+      cursor += 8;
+
+      const j = Math.floor(float * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+
+    return items;
+  }
+
   /**
    * Verify game result
    * @param {string} serverSeed - Server seed
@@ -209,6 +238,108 @@ class ProvablyFair {
     };
   }
 
+  /**
+   * Hash a value once along a hash chain
+   * @param {string} hash - Current chain element
+   * @returns {string} SHA-256 hash of the element
+   */
+  static hashChainLink(hash) {
+    return crypto.createHash('sha256').update(hash).digest('hex');
+  }
+
+  /**
+   * Build a reverse hash chain from a secret seed.
+   * Element L is the seed and element i-1 is SHA-256(element i), so element 0
+   * (the terminating hash) can be published before any round is played.
+   * Round n uses element n, and only every `checkpointInterval`-th element is kept.
+   * @param {string} seed - Secret chain seed
+   * @param {number} length - Number of rounds in the chain
+   * @param {number} checkpointInterval - Distance between stored elements
+   * @returns {Object} Terminating hash and checkpoints
+   */
+  static generateHashChain(seed, length, checkpointInterval = 1000) {
+    const checkpointCount = Math.ceil(length / checkpointInterval);
+    const checkpoints = new Array(checkpointCount + 1);
+    checkpoints[checkpointCount] = seed;
+
+    let current = seed;
+    for (let index = length; index > 0; index--) {
+      if (index % checkpointInterval === 0) {
+        checkpoints[index / checkpointInterval] = current;
+      }
+      current = this.hashChainLink(current);
+    }
+    checkpoints[0] = current;
+
+    return {
+      terminatingHash: current,
+      checkpoints
+    };
+  }
+
+  /**
+   * Get the chain element for a round from stored checkpoints
+   * @param {Array} checkpoints - Checkpoints from generateHashChain
+   * @param {number} length - Chain length
+   * @param {number} checkpointInterval - Distance between checkpoints
+   * @param {number} round - Round number (1..length)
+   * @returns {string} Round hash
+   */
+  static getHashChainElement(checkpoints, length, checkpointInterval, round) {
+    if (round < 0 || round > length) {
+      throw new Error('Round is outside of the hash chain');
+    }
+
+    const checkpointIndex = Math.ceil(round / checkpointInterval);
+    const checkpointPosition = Math.min(checkpointIndex * checkpointInterval, length);
+
+    let hash = checkpoints[checkpointIndex];
+    for (let position = checkpointPosition; position > round; position--) {
+      hash = this.hashChainLink(hash);
+    }
+
+    return hash;
+  }
+
+  /**
+   * Verify a span of revealed crash rounds against the chain.
+   * Each round hash must hash down to the previous round (or to the anchor for
+   * the first round), and its crash point must match the hash.
+   * @param {Array} rounds - Rounds with { round, hash, crashPoint }, any order
+   * @param {Object} anchor - Known element below the span { round, hash }
+   * @returns {Object} Verification result
+   */
+  static verifyHashChain(rounds, anchor) {
+    const sorted = [...rounds].sort((a, b) => a.round - b.round);
+    let previous = anchor;
+
+    const results = sorted.map(round => {
+      let hash = round.hash;
+      for (let position = round.round; position > previous.round; position--) {
+        hash = this.hashChainLink(hash);
+      }
+
+      const calculatedCrashPoint = this.generateCrashMultiplier(round.hash);
+      const result = {
+        round: round.round,
+        hash: round.hash,
+        crashPoint: round.crashPoint,
+        calculatedCrashPoint,
+        linkValid: round.round > previous.round && hash === previous.hash,
+        crashPointValid: Math.abs(calculatedCrashPoint - round.crashPoint) < 0.000001
+      };
+
+      previous = round;
+      return result;
+    });
+
+    return {
+      verified: results.every(result => result.linkValid && result.crashPointValid),
+      anchor,
+      rounds: results
+    };
+  }
+
   /**
    * Calculate house edge for different games
    * @param {string} gameType - Type of game
@@ -219,6 +350,9 @@ class ProvablyFair {
       crash: 1.0,
       dice: 1.0,
       plinko: 1.0,
+      mines: 1.0,
+      limbo: 1.0,
+      keno: 1.0,
       roulette: 2.7, // European roulette
       blackjack: 0.5,
       baccarat: 1.06,
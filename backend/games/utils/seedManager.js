@@ -0,0 +1,194 @@
+const ProvablyFair = require('./provablyFair');
+const SeedPair = require('../../models/SeedPair');
+const GameSession = require('../../models/GameSession');
+
+// Games whose outcome is drawn at the start and played out over several
+// requests; their seed must stay secret until they finish
+const MULTI_STEP_GAMES = ['mines', 'blackjack'];
+
+class SeedManager {
+  /**
+   * Get the user's active seed pair, creating one on first use
+   * @param {string} userId - User ID
+   * @returns {Object} Active seed pair document (server seed not selected)
+   */
+  static async getActiveSeedPair(userId) {
+    const seedPair = await SeedPair.findOne({ userId, status: 'active' });
+    if (seedPair) {
+      return seedPair;
+    }
+
+    // The rotation activates the committed next seed itself
+    if (await SeedPair.exists({ userId, status: 'rotating' })) {
+      throw new Error('Seed pair is being rotated, please retry');
+    }
+
+    return this.createSeedPair(userId);
+  }
+
+  /**
+   * Create a new active seed pair with a committed server seed
+   * @param {string} userId - User ID
+   * @param {Object} options - Seeds carried over from the previous pair
+   * @param {string} options.serverSeed - Server seed already committed as "next"
+   * @param {string} options.clientSeed - Client seed (random if omitted)
+   * @returns {Object} Seed pair document
+   */
+  static async createSeedPair(userId, { serverSeed = null, clientSeed = null } = {}) {
+    const activeServerSeed = serverSeed || ProvablyFair.generateServerSeed();
+    const nextServerSeed = ProvablyFair.generateServerSeed();
+
+    try {
+      return await SeedPair.create({
+        userId,
+        status: 'active',
+        serverSeed: activeServerSeed,
+        serverSeedHash: ProvablyFair.generateServerSeedHash(activeServerSeed),
+        nextServerSeed,
+        nextServerSeedHash: ProvablyFair.generateServerSeedHash(nextServerSeed),
+        clientSeed: clientSeed || ProvablyFair.generateClientSeed(),
+        nonce: 0
+      });
+    } catch (error) {
+      // Another request created the active pair first
+      if (error.code === 11000) {
+        return SeedPair.findOne({ userId, status: 'active' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve the next nonce of the user's active seed pair for a bet.
+   * The increment is atomic, so concurrent bets never share a nonce.
+   * @param {string} userId - User ID
+   * @returns {Object} Seeds for the bet (serverSeed must not be sent to the client)
+   */
+  static async reserveNonce(userId) {
+    await this.getActiveSeedPair(userId);
+
+    // Returns the document as it was before the increment
+    const seedPair = await SeedPair.findOneAndUpdate(
+      { userId, status: 'active' },
+      { $inc: { nonce: 1 } },
+      { new: false }
+    ).select('+serverSeed');
+
+    if (!seedPair) {
+      throw new Error('Seed pair is being rotated, please retry');
+    }
+
+    return {
+      seedPairId: seedPair._id,
+      serverSeed: seedPair.serverSeed,
+      serverSeedHash: seedPair.serverSeedHash,
+      clientSeed: seedPair.clientSeed,
+      nonce: seedPair.nonce
+    };
+  }
+
+  /**
+   * Whether the user has a Mines or Blackjack game in play, optionally one
+   * drawn from a given seed pair
+   * @param {string} userId - User ID
+   * @param {string} seedPairId - Seed pair ID (optional)
+   * @returns {boolean} Open game
+   */
+  static async hasOpenGame(userId, seedPairId = null) {
+    const open = await GameSession.exists({
+      userId,
+      status: 'active',
+      gameType: { $in: MULTI_STEP_GAMES },
+      ...(seedPairId ? { 'provablyFair.seedPairId': seedPairId } : {})
+    });
+    return Boolean(open);
+  }
+
+  /**
+   * Whether a seed pair is still the user's active one
+   * @param {string} seedPairId - Seed pair ID
+   * @returns {boolean} Active
+   */
+  static async isActive(seedPairId) {
+    return Boolean(await SeedPair.exists({ _id: seedPairId, status: 'active' }));
+  }
+
+  /**
+   * Rotate the user's seed pair. The current server seed is revealed so every
+   * bet placed under it can be verified, and the pre-committed next server
+   * seed becomes active with a fresh nonce. Refused while a Mines or
+   * Blackjack game is in play, as its outcome follows from the revealed
+   * seed; the pair is held as `rotating` while that is checked, so a game
+   * started in the meantime is voided (see GameManager.voidIfSeedRotated).
+   * @param {string} userId - User ID
+   * @param {string} clientSeed - New client seed (random if omitted)
+   * @returns {Object} Revealed previous pair and the new active pair
+   */
+  static async rotateSeedPair(userId, clientSeed = null) {
+    await this.getActiveSeedPair(userId);
+
+    if (await this.hasOpenGame(userId)) {
+      throw new Error('Finish your current Mines or Blackjack game before rotating seeds');
+    }
+
+    const held = await SeedPair.findOneAndUpdate(
+      { userId, status: 'active' },
+      { $set: { status: 'rotating' } },
+      { new: true }
+    );
+
+    if (!held) {
+      throw new Error('Seed pair is already being rotated');
+    }
+
+    // A game started between the check and the hold
+    if (await this.hasOpenGame(userId, held._id)) {
+      await SeedPair.updateOne({ _id: held._id, status: 'rotating' }, { $set: { status: 'active' } });
+      throw new Error('Finish your current Mines or Blackjack game before rotating seeds');
+    }
+
+    const previous = await SeedPair.findOneAndUpdate(
+      { _id: held._id, status: 'rotating' },
+      { $set: { status: 'revealed', revealedAt: new Date() } },
+      { new: true }
+    ).select('+serverSeed +nextServerSeed');
+
+    const active = await this.createSeedPair(userId, {
+      serverSeed: previous.nextServerSeed,
+      clientSeed
+    });
+
+    // Reveal the server seed on every session played with the previous pair
+    await GameSession.updateMany(
+      { 'provablyFair.seedPairId': previous._id },
+      {
+        $set: {
+          'provablyFair.serverSeed': previous.serverSeed,
+          'provablyFair.revealed': true
+        }
+      }
+    );
+
+    return {
+      previous: previous.toPublic(),
+      active: active.toPublic()
+    };
+  }
+
+  /**
+   * Get the user's revealed seed pairs
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of pairs
+   * @returns {Array} Revealed seed pairs
+   */
+  static async getRevealedSeedPairs(userId, limit = 20) {
+    const seedPairs = await SeedPair.find({ userId, status: 'revealed' })
+      .select('+serverSeed')
+      .sort({ revealedAt: -1 })
+      .limit(limit);
+
+    return seedPairs.map(seedPair => seedPair.toPublic());
+  }
+}
+
+module.exports = SeedManager;
@@ -0,0 +1,124 @@
+const ProviderBase = require('../games/providers/providerBase');
+const ProviderSession = require('../models/ProviderSession');
+const { SecurityMonitor } = require('../utils/securityMonitor');
+
+const { WALLET_ERRORS } = ProviderBase;
+
+// Operations refused once the session has expired. Credits and rollbacks
+// settle rounds already staked, so they are accepted on expired sessions.
+const SESSION_OPERATIONS = ['authenticate', 'balance', 'debit'];
+
+/**
+ * Log a refused provider callback
+ * @param {Object} req - Express request object
+ * @param {ProviderBase} provider - Provider adapter
+ * @param {string} reason - Why it was refused
+ * @param {string} severity - Event severity
+ */
+const logRejection = (req, provider, reason, severity) => SecurityMonitor.logEvent({
+  eventType: 'provider_callback_rejected',
+  severity,
+  description: `Rejected ${provider.name} callback: ${reason}`,
+  metadata: {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    additionalData: {
+      provider: provider.key,
+      action: req.params.action,
+      reason
+    }
+  }
+});
+
+/**
+ * Authenticate a provider wallet callback: the source address must be on
+ * the provider's allowlist, the provider's signature must be valid, and the
+ * session token must belong to a session opened at launch for the same
+ * user, unexpired, with launch tokens authenticated once. Refusals are
+ * answered in the provider's error format. Sets `req.providerCallback` to
+ * `{ provider, session }` for the route.
+ * @param {ProviderManager} providerManager - Registered providers
+ * @returns {Function} Express middleware
+ */
+module.exports = providerManager => async (req, res, next) => {
+  const { action } = req.params;
+
+  let provider;
+  try {
+    provider = providerManager.getProvider(req.params.provider);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: 'Provider not found'
+    });
+  }
+
+  const body = req.body || {};
+  let parsed = null;
+  try {
+    parsed = provider.parseCallback(action, body);
+  } catch (error) {
+    // Malformed callbacks are still authenticated, then answered by the route
+  }
+  const operation = parsed ? parsed.operation : null;
+
+  const reject = async (code, reason, severity) => {
+    await logRejection(req, provider, reason, severity);
+    const { status, body: response } = provider.formatError(
+      operation,
+      { status: 'error', error_code: code, message: reason },
+      { action, body, data: parsed ? parsed.data : undefined, ip: req.ip }
+    );
+    return res.status(status).json(response);
+  };
+
+  if (!provider.isAllowedSource(req.ip)) {
+    return reject(WALLET_ERRORS.AUTHENTICATION_FAILED, 'Source address not allowed', 'high');
+  }
+
+  if (!provider.verifyCallback(req)) {
+    return reject(WALLET_ERRORS.AUTHENTICATION_FAILED, 'Invalid signature', 'high');
+  }
+
+  if (!parsed) {
+    req.providerCallback = { provider, session: null };
+    return next();
+  }
+
+  try {
+    const token = provider.getSessionToken(action, body);
+    if (!token) {
+      return reject(WALLET_ERRORS.INVALID_SESSION, 'Missing session token', 'medium');
+    }
+
+    const session = await ProviderSession.findOne({ provider: provider.key, token: String(token) });
+    if (!session) {
+      return reject(WALLET_ERRORS.INVALID_SESSION, 'Unknown session token', 'medium');
+    }
+
+    const userId = parsed.data && parsed.data.user_id;
+    if (userId && String(userId) !== String(session.userId)) {
+      return reject(WALLET_ERRORS.INVALID_SESSION, 'Session token belongs to another user', 'high');
+    }
+
+    if (SESSION_OPERATIONS.includes(operation) && session.isExpired()) {
+      return reject(WALLET_ERRORS.SESSION_EXPIRED, 'Session expired', 'medium');
+    }
+
+    if (operation === 'authenticate' && !(await session.claimAuthentication())) {
+      return reject(WALLET_ERRORS.INVALID_SESSION, 'Session token already used', 'high');
+    }
+
+    req.providerCallback = { provider, session };
+    next();
+
+  } catch (error) {
+    console.error('Provider session check error:', error);
+    const { status, body: response } = provider.formatError(
+      operation,
+      { status: 'error', error_code: WALLET_ERRORS.TRANSACTION_FAILED, message: 'Server error' },
+      { action, body, data: parsed.data, ip: req.ip }
+    );
+    res.status(status).json(response);
+  }
+};
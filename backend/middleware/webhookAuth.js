@@ -0,0 +1,62 @@
+const WebhookVerifier = require('../payments/webhooks/webhookVerifier');
+const WebhookEvent = require('../models/WebhookEvent');
+const { SecurityMonitor } = require('../utils/securityMonitor');
+
+/**
+ * Log a refused webhook
+ * @param {Object} req - Express request object
+ * @param {string} provider - Provider
+ * @param {string} reason - Why it was refused
+ * @param {string} severity - Event severity
+ * @param {string} eventId - Provider event id, when known
+ */
+const logRejection = (req, provider, reason, severity, eventId = undefined) => SecurityMonitor.logEvent({
+  eventType: 'webhook_rejected',
+  severity,
+  description: `Rejected ${provider} webhook: ${reason}`,
+  metadata: {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    additionalData: {
+      provider,
+      reason,
+      eventId
+    }
+  }
+});
+
+/**
+ * Verify a payment webhook's signature and timestamp, and refuse events
+ * that were already received. Sets `req.webhook` to
+ * `{ provider, eventId, payload }` for the route.
+ * @param {string} provider - stripe, paypal, skrill or blockchain
+ * @returns {Function} Express middleware
+ */
+module.exports = provider => async (req, res, next) => {
+  let event;
+  try {
+    event = await WebhookVerifier.verify(provider, req);
+    if (!event.eventId) {
+      throw new Error('Missing event id');
+    }
+  } catch (error) {
+    await logRejection(req, provider, error.message, 'high');
+    return res.status(400).json({ error: 'Webhook verification failed' });
+  }
+
+  const eventId = String(event.eventId);
+
+  try {
+    // Replays are acknowledged so the provider stops resending, but not handled
+    if (!(await WebhookEvent.claim(provider, eventId))) {
+      await logRejection(req, provider, 'Event already received', 'medium', eventId);
+      return res.json({ received: true, duplicate: true });
+    }
+  } catch (error) {
+    console.error('Webhook event store error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.webhook = { provider, eventId, payload: event.payload };
+  next();
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
 
 const BonusSchema = new mongoose.Schema({
   name: {
@@ -24,6 +25,8 @@ const BonusSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // amount, maxAmount and minDeposit are in USD and converted to the
+  // currency the bonus is credited in
   amount: {
     type: Number,
     min: 0
@@ -49,7 +52,7 @@ const BonusSchema = new mongoose.Schema({
   },
   currencies: [{
     type: String,
-    enum: ['BTC', 'ETH', 'USDT', 'USD', 'EUR']
+    enum: getCurrencyCodes()
   }],
   eligibility: {
     newUsersOnly: {
@@ -61,13 +64,16 @@ const BonusSchema = new mongoose.Schema({
       enum: ['Bronze', 'Silver', 'Gold', 'Platinum', 'Diamond'],
       default: 'Bronze'
     },
+    // ISO 3166-1 country (CA) or ISO 3166-2 region (CA-ON) codes
     countries: [{
       type: String,
-      length: 2
+      uppercase: true,
+      trim: true
     }],
     excludedCountries: [{
       type: String,
-      length: 2
+      uppercase: true,
+      trim: true
     }]
   },
   validity: {
@@ -146,14 +152,15 @@ BonusSchema.methods.isEligibleUser = function(user) {
     return false;
   }
 
-  // Check country eligibility
-  if (this.eligibility.countries.length > 0 && 
-      !this.eligibility.countries.includes(user.country)) {
+  // Check country eligibility; entries are countries (CA) or regions (CA-ON)
+  const jurisdictions = [user.country, user.region].filter(Boolean);
+  if (this.eligibility.countries.length > 0 &&
+      !this.eligibility.countries.some(code => jurisdictions.includes(code))) {
     return false;
   }
 
-  // Check excluded countries
-  if (this.eligibility.excludedCountries.includes(user.country)) {
+  // Check excluded countries and regions
+  if (this.eligibility.excludedCountries.some(code => jurisdictions.includes(code))) {
     return false;
   }
 
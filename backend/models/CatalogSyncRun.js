@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One game catalog sync across the registered providers, with a result per
+// provider; the games it changed are in GameChange
+const CatalogSyncRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // completed: every provider synced; partial: some failed; failed: all failed
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'partial', 'failed'],
+    default: 'running'
+  },
+  providers: [{
+    _id: false,
+    provider: String, // Provider key
+    name: String,
+    status: {
+      type: String,
+      enum: ['synced', 'failed']
+    },
+    fetched: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    reactivated: { type: Number, default: 0 },
+    retired: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    // Catalog entries that failed validation and were skipped
+    invalid: [{
+      _id: false,
+      providerGameId: String,
+      error: String
+    }],
+    // Retirement withheld because it exceeded maxRetireShare
+    retirementSkipped: { type: Boolean, default: false },
+    error: String
+  }],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+CatalogSyncRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('CatalogSyncRun', CatalogSyncRunSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const ChainCursorSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Last block scanned for deposits
+  height: {
+    type: Number,
+    required: true
+  },
+  // Hashes of the most recent scanned blocks, oldest first, used to find
+  // the fork point when the node switches to another chain
+  blocks: [{
+    _id: false,
+    height: Number,
+    hash: String
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ChainCursor', ChainCursorSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const CrashChainSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['active', 'exhausted'],
+    default: 'active'
+  },
+  terminatingHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  length: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  checkpointInterval: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  checkpoints: {
+    // Secret: any checkpoint reveals every round below it
+    type: [String],
+    required: true,
+    select: false
+  },
+  nextRound: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  exhaustedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+CrashChainSchema.index({ status: 1, createdAt: -1 });
+
+// Method to get the data that is safe to publish
+CrashChainSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    terminatingHash: this.terminatingHash,
+    length: this.length,
+    roundsPlayed: this.nextRound - 1,
+    createdAt: this.createdAt,
+    exhaustedAt: this.exhaustedAt
+  };
+};
+
+module.exports = mongoose.model('CrashChain', CrashChainSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const CrashRoundSchema = new mongoose.Schema({
+  chainId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CrashChain',
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  gameId: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  crashPoint: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  totalPlayers: {
+    type: Number,
+    default: 0
+  },
+  totalWagered: {
+    type: Number,
+    default: 0
+  },
+  totalPayout: {
+    type: Number,
+    default: 0
+  },
+  crashedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+CrashRoundSchema.index({ chainId: 1, round: 1 }, { unique: true });
+CrashRoundSchema.index({ gameId: 1 });
+CrashRoundSchema.index({ crashedAt: -1 });
+
+module.exports = mongoose.model('CrashRound', CrashRoundSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
 
 const GameSchema = new mongoose.Schema({
   name: {
@@ -20,7 +21,12 @@ const GameSchema = new mongoose.Schema({
   provider: {
     type: String,
     required: true,
-    enum: ['pragmatic_play', 'netent', 'evolution_gaming', 'hacksaw_gaming', 'internal']
+    enum: ['pragmatic_play', 'netent', 'evolution_gaming', 'hacksaw_gaming', 'mock', 'internal']
+  },
+  // Game id in the provider's catalog; catalog sync matches games by it
+  providerGameId: {
+    type: String,
+    trim: true
   },
   description: {
     type: String,
@@ -77,7 +83,7 @@ const GameSchema = new mongoose.Schema({
   },
   currencies: [{
     type: String,
-    enum: ['BTC', 'ETH', 'USDT', 'USD', 'EUR']
+    enum: getCurrencyCodes()
   }],
   status: {
     type: String,
@@ -112,6 +118,11 @@ const GameSchema = new mongoose.Schema({
   lastUpdated: {
     type: Date,
     default: Date.now
+  },
+  // Set when catalog sync retires a game its provider no longer lists
+  retiredAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -120,6 +131,7 @@ const GameSchema = new mongoose.Schema({
 // Indexes for performance
 GameSchema.index({ category: 1 });
 GameSchema.index({ provider: 1 });
+GameSchema.index({ provider: 1, providerGameId: 1 });
 GameSchema.index({ status: 1 });
 GameSchema.index({ popularity: -1 });
 GameSchema.index({ slug: 1 });
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Change log of the game catalog: one entry per game inserted, updated,
+// retired or reactivated by a catalog sync
+const GameChangeSchema = new mongoose.Schema({
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogSyncRun',
+    required: true
+  },
+  gameId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Game',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerGameId: String,
+  slug: String,
+  action: {
+    type: String,
+    enum: ['inserted', 'updated', 'retired', 'reactivated'],
+    required: true
+  },
+  // Updated fields as { field: { from, to } }
+  changes: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes
+GameChangeSchema.index({ runId: 1 });
+GameChangeSchema.index({ gameId: 1, createdAt: -1 });
+GameChangeSchema.index({ provider: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GameChange', GameChangeSchema);
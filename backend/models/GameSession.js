@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
 
 const GameSessionSchema = new mongoose.Schema({
   sessionId: {
@@ -14,7 +15,11 @@ const GameSessionSchema = new mongoose.Schema({
   gameId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Game',
-    required: true
+    default: null
+  },
+  gameType: {
+    type: String,
+    trim: true
   },
   status: {
     type: String,
@@ -28,7 +33,7 @@ const GameSessionSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['BTC', 'ETH', 'USDT', 'USD', 'EUR'],
+    enum: getCurrencyCodes(),
     required: true
   },
   result: {
@@ -53,13 +58,18 @@ const GameSessionSchema = new mongoose.Schema({
     }
   },
   provablyFair: {
+    seedPairId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SeedPair',
+      default: null
+    },
     serverSeed: {
       type: String,
-      required: true
+      default: null // Revealed when the seed pair is rotated
     },
     serverSeedHash: {
       type: String,
-      required: true
+      default: null
     },
     clientSeed: {
       type: String,
@@ -107,10 +117,18 @@ GameSessionSchema.index({ sessionId: 1 });
 GameSessionSchema.index({ status: 1 });
 GameSessionSchema.index({ 'result.outcome': 1 });
 GameSessionSchema.index({ startedAt: -1 });
+GameSessionSchema.index({ 'provablyFair.seedPairId': 1 });
 
 // Compound indexes
 GameSessionSchema.index({ userId: 1, gameId: 1, createdAt: -1 });
 GameSessionSchema.index({ userId: 1, status: 1 });
+GameSessionSchema.index({ userId: 1, gameType: 1, status: 1 });
+
+// Multi-step games allow one open session per user
+GameSessionSchema.index(
+  { userId: 1, gameType: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', gameType: { $in: ['mines', 'blackjack'] } } }
+);
 
 // Virtual for session duration in seconds
 GameSessionSchema.virtual('durationSeconds').get(function() {
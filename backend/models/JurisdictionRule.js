@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Game = require('./Game');
+const Bonus = require('./Bonus');
+
+// ISO 3166-1 alpha-2 country, ISO 3166-2 region (CA-ON) or DEFAULT
+const JURISDICTION_CODE = /^(DEFAULT|[A-Z]{2}(-[A-Z0-9]{1,3})?)$/;
+
+// One version of the rules of a jurisdiction. Editing a rule adds a version
+// and marks it current; earlier versions are kept as its history.
+const JurisdictionRuleSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: JURISDICTION_CODE
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  current: {
+    type: Boolean,
+    default: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // blocked: no registration, deposits, play or bonuses; withdrawals stay open
+  // high_risk: allowed with enhanced due diligence
+  status: {
+    type: String,
+    enum: ['allowed', 'high_risk', 'blocked'],
+    default: 'allowed'
+  },
+  // Game slugs (in-house games by game type) and categories not offered
+  blockedGames: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  blockedCategories: [{
+    type: String,
+    enum: Game.schema.path('category').enumValues
+  }],
+  // KYC level needed to deposit, play and withdraw
+  requiredKycLevel: {
+    type: Number,
+    enum: [0, 1, 2, 3],
+    default: 0
+  },
+  // Largest stake per bet, USD equivalent; null for no limit
+  maxBet: {
+    type: Number,
+    min: 0.01,
+    default: null
+  },
+  // Mandatory reality check interval in minutes; null when not required
+  realityCheckInterval: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  bonuses: {
+    allowed: {
+      type: Boolean,
+      default: true
+    },
+    blockedTypes: [{
+      type: String,
+      enum: Bonus.schema.path('type').enumValues
+    }],
+    // Offers with a higher wagering requirement cannot be claimed
+    maxWageringRequirement: {
+      type: Number,
+      min: 1,
+      default: null
+    }
+  },
+  taxReporting: {
+    type: Boolean,
+    default: false
+  },
+  gdprCompliance: {
+    type: Boolean,
+    default: false
+  },
+  licenses: [{
+    type: String,
+    trim: true
+  }],
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+JurisdictionRuleSchema.index({ code: 1, version: -1 }, { unique: true });
+JurisdictionRuleSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { current: true } });
+
+JurisdictionRuleSchema.statics.JURISDICTION_CODE = JURISDICTION_CODE;
+
+module.exports = mongoose.model('JurisdictionRule', JurisdictionRuleSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
+
+// One leg of a double-entry posting. Every posting writes a user leg and a
+// counter leg whose amounts sum to zero, under the same reference key.
+const LedgerEntrySchema = new mongoose.Schema({
+  referenceKey: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  account: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  currency: {
+    type: String,
+    enum: getCurrencyCodes(),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'deposit_reversal', 'withdrawal', 'bet', 'win', 'bonus', 'bonus_release', 'bonus_forfeit', 'refund', 'adjustment'],
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+LedgerEntrySchema.index({ referenceKey: 1, account: 1 }, { unique: true });
+LedgerEntrySchema.index({ userId: 1, currency: 1, createdAt: 1 });
+LedgerEntrySchema.index({ account: 1, currency: 1 });
+LedgerEntrySchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
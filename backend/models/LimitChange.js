@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Limits whose increases wait out the cooling period: deposit, loss and
+// wager limits (USD) and the session time limit (minutes)
+const COOLED_LIMITS = [
+  'dailyDeposit', 'weeklyDeposit', 'monthlyDeposit',
+  'dailyLoss', 'weeklyLoss', 'monthlyLoss',
+  'dailyWager', 'weeklyWager', 'monthlyWager',
+  'sessionTime'
+];
+
+// A raised or removed responsible gaming limit, applied to the user once
+// its cooling period has passed. A newer change of the same limit cancels it.
+const LimitChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  limit: {
+    type: String,
+    enum: COOLED_LIMITS,
+    required: true
+  },
+  // null for no limit
+  from: {
+    type: Number,
+    default: null
+  },
+  to: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'cancelled'],
+    default: 'pending'
+  },
+  effectiveAt: {
+    type: Date,
+    required: true
+  },
+  appliedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+LimitChangeSchema.index({ userId: 1, status: 1, effectiveAt: 1 });
+LimitChangeSchema.index({ userId: 1, createdAt: -1 });
+
+LimitChangeSchema.statics.COOLED_LIMITS = COOLED_LIMITS;
+
+module.exports = mongoose.model('LimitChange', LimitChangeSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const providerConfig = require('../config/providers');
+
+// Game session opened with a provider at launch; wallet callbacks carry its
+// token and are refused when the token is unknown, expired or replayed
+const ProviderSessionSchema = new mongoose.Schema({
+  // Provider key from config/providers.js
+  provider: {
+    type: String,
+    required: true
+  },
+  sessionId: String,
+  token: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  gameId: String,
+  currency: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set by the first authenticate callback; the launch token is single-use
+  authenticatedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+ProviderSessionSchema.index({ provider: 1, token: 1 }, { unique: true });
+ProviderSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: providerConfig.sessionRetention });
+
+// Mark the launch token used; false when it was already authenticated
+ProviderSessionSchema.methods.claimAuthentication = async function() {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, authenticatedAt: null },
+    { $set: { authenticatedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+ProviderSessionSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('ProviderSession', ProviderSessionSchema);
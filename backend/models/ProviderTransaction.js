@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
+
+// One seamless-wallet callback per provider transaction id, with the response
+// sent for it so a retried callback gets the same answer
+const ProviderTransactionSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  transactionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['debit', 'credit', 'rollback'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  roundId: String,
+  gameId: String,
+  // In cents, as sent by the provider
+  amount: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    enum: getCurrencyCodes()
+  },
+  // Rollbacks: transaction id of the callback being reversed
+  referenceTransactionId: String,
+  // pending: being applied; completed: applied; rolled_back: applied and
+  // reversed; cancelled: rolled back before it arrived, never applied
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'rolled_back', 'cancelled'],
+    default: 'pending'
+  },
+  // Credit received before any debit of its round
+  outOfOrder: {
+    type: Boolean,
+    default: false
+  },
+  response: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes
+ProviderTransactionSchema.index({ provider: 1, transactionId: 1 }, { unique: true });
+ProviderTransactionSchema.index({ provider: 1, userId: 1, roundId: 1 });
+
+module.exports = mongoose.model('ProviderTransaction', ProviderTransactionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A reality check shown to a player, and how they answered it. Bets are
+// refused while a check is pending.
+const RealityCheckSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'acknowledged'],
+    default: 'pending'
+  },
+  // Interval in force when the check was issued, minutes
+  interval: {
+    type: Number,
+    required: true
+  },
+  // Play session summary shown to the player; amounts in USD
+  session: {
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    duration: {
+      type: Number, // minutes
+      default: 0
+    },
+    bets: {
+      type: Number,
+      default: 0
+    },
+    totalBet: {
+      type: Number,
+      default: 0
+    },
+    totalWin: {
+      type: Number,
+      default: 0
+    },
+    netResult: {
+      type: Number,
+      default: 0
+    }
+  },
+  response: {
+    action: {
+      type: String,
+      enum: ['continue', 'stop', 'set_limit']
+    },
+    // Limits set with a set_limit answer
+    limits: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    channel: {
+      type: String,
+      enum: ['api', 'socket']
+    },
+    ipAddress: String,
+    userAgent: String,
+    respondedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+RealityCheckSchema.index({ userId: 1, createdAt: -1 });
+RealityCheckSchema.index({ status: 1 });
+
+module.exports = mongoose.model('RealityCheck', RealityCheckSchema);
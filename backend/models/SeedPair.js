@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const SeedPairSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    // rotating: held while a rotation checks for open games on the pair
+    enum: ['active', 'rotating', 'revealed'],
+    default: 'active'
+  },
+  serverSeed: {
+    type: String,
+    required: true,
+    select: false // Only revealed after rotation
+  },
+  serverSeedHash: {
+    type: String,
+    required: true
+  },
+  nextServerSeed: {
+    type: String,
+    required: true,
+    select: false
+  },
+  nextServerSeedHash: {
+    type: String,
+    required: true
+  },
+  clientSeed: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  nonce: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  revealedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+SeedPairSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+// A user can only ever have one active seed pair
+SeedPairSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Method to get the data that is safe to show the user
+SeedPairSchema.methods.toPublic = function() {
+  const data = {
+    id: this._id,
+    status: this.status,
+    serverSeedHash: this.serverSeedHash,
+    nextServerSeedHash: this.nextServerSeedHash,
+    clientSeed: this.clientSeed,
+    nonce: this.nonce,
+    createdAt: this.createdAt,
+    revealedAt: this.revealedAt
+  };
+
+  if (this.status === 'revealed') {
+    data.serverSeed = this.serverSeed;
+  }
+
+  return data;
+};
+
+module.exports = mongoose.model('SeedPair', SeedPairSchema);
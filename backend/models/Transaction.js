@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
+const ExchangeRates = require('../payments/rates/exchangeRates');
 
 const TransactionSchema = new mongoose.Schema({
   userId: {
@@ -8,12 +10,12 @@ const TransactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'bet', 'win', 'bonus', 'refund'],
+    enum: ['deposit', 'deposit_reversal', 'withdrawal', 'bet', 'win', 'bonus', 'bonus_release', 'bonus_forfeit', 'refund'],
     required: true
   },
   currency: {
     type: String,
-    enum: ['BTC', 'ETH', 'USDT', 'USD', 'EUR'],
+    enum: getCurrencyCodes(),
     required: true
   },
   amount: {
@@ -32,7 +34,8 @@ const TransactionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'cancelled', 'expired'],
+    // held: on-chain deposit over the player's deposit limit, not credited yet
+    enum: ['pending', 'held', 'completed', 'failed', 'cancelled', 'expired'],
     default: 'pending'
   },
   address: {
@@ -61,6 +64,12 @@ const TransactionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  referenceKey: {
+    type: String,
+    trim: true,
+    sparse: true,
+    unique: true
+  },
   bonusId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Bonus'
@@ -74,7 +83,21 @@ const TransactionSchema = new mongoose.Schema({
     ipAddress: String,
     webhook: Boolean,
     provider: String,
+    // Fiat deposits: payment ID at the provider, matched by its webhooks
+    providerTransactionId: String,
+    paymentMethod: String,
     externalId: String,
+    roundId: String,
+    // On-chain deposits: one transaction per output paying a deposit address
+    network: String,
+    txHash: String,
+    outputIndex: Number,
+    blockHeight: Number,
+    blockHash: String,
+    // Credits reversed by reorgs; each credit after one gets a new ledger key
+    reversals: Number,
+    // Held deposits: when they were credited, which dates them for the limits
+    releasedAt: Date,
     notes: String
   },
   processedAt: {
@@ -100,18 +123,17 @@ TransactionSchema.index({ createdAt: -1 });
 // Compound indexes
 TransactionSchema.index({ userId: 1, type: 1, status: 1 });
 TransactionSchema.index({ userId: 1, currency: 1, createdAt: -1 });
+TransactionSchema.index(
+  { 'metadata.network': 1, 'metadata.txHash': 1, 'metadata.outputIndex': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.outputIndex': { $exists: true } } }
+);
+TransactionSchema.index({ 'metadata.network': 1, status: 1, 'metadata.blockHeight': 1 });
+TransactionSchema.index({ 'metadata.provider': 1, 'metadata.providerTransactionId': 1 }, { sparse: true });
 
-// Virtual for USD equivalent (simplified)
-TransactionSchema.virtual('usdEquivalent').get(function() {
-  const rates = {
-    BTC: 45000,
-    ETH: 3000,
-    USDT: 1,
-    USD: 1,
-    EUR: 1.1
-  };
-  return this.amount * (rates[this.currency] || 1);
-});
+// USD equivalent at the current exchange rate
+TransactionSchema.methods.getUsdEquivalent = function() {
+  return ExchangeRates.toUSD(this.amount, this.currency);
+};
 
 // Method to mark transaction as completed
 TransactionSchema.methods.markCompleted = function() {
@@ -152,7 +174,7 @@ TransactionSchema.statics.getUserBalance = async function(userId, currency) {
   result.forEach(item => {
     if (['deposit', 'win', 'bonus', 'refund'].includes(item._id)) {
       balance += item.total;
-    } else if (['withdrawal', 'bet'].includes(item._id)) {
+    } else if (['withdrawal', 'deposit_reversal', 'bet', 'bonus_forfeit'].includes(item._id)) {
       balance -= item.total;
     }
   });
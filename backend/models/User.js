@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
+
+// Cash and bonus balances per registered currency, one deposit address per
+// crypto currency
+const walletBalances = () => Object.fromEntries(
+  getCurrencyCodes().map(code => [code, { type: Number, default: 0 }])
+);
+const walletAddresses = Object.fromEntries(
+  getCurrencyCodes('crypto').map(code => [code, { type: String, default: null }])
+);
 
 const UserSchema = new mongoose.Schema({
   email: {
@@ -30,6 +40,14 @@ const UserSchema = new mongoose.Schema({
     required: true,
     length: 2 // ISO country code
   },
+  // ISO 3166-2 region code (CA-ON), for jurisdictions regulated by region
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{2}-[A-Z0-9]{1,3}$/,
+    default: null
+  },
   roles: [{
     type: String,
     enum: ['user', 'admin', 'moderator', 'support'],
@@ -39,6 +57,20 @@ const UserSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Legal name and postcode, hashed with the date of birth and email for
+  // self-exclusion register checks
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  postcode: {
+    type: String,
+    trim: true
+  },
   status: {
     type: String,
     enum: ['active', 'suspended', 'banned', 'pending'],
@@ -110,38 +142,9 @@ const UserSchema = new mongoose.Schema({
     }
   },
   wallet: {
-    balance: {
-      BTC: {
-        type: Number,
-        default: 0
-      },
-      ETH: {
-        type: Number,
-        default: 0
-      },
-      USDT: {
-        type: Number,
-        default: 0
-      },
-      USD: {
-        type: Number,
-        default: 0
-      }
-    },
-    addresses: {
-      BTC: {
-        type: String,
-        default: null
-      },
-      ETH: {
-        type: String,
-        default: null
-      },
-      USDT: {
-        type: String,
-        default: null
-      }
-    }
+    balance: walletBalances(), // Withdrawable funds
+    bonusBalance: walletBalances(), // Bonus funds, released to balance when wagering completes
+    addresses: walletAddresses
   },
   security: {
     twoFactorEnabled: {
@@ -175,7 +178,7 @@ const UserSchema = new mongoose.Schema({
   preferences: {
     currency: {
       type: String,
-      enum: ['BTC', 'ETH', 'USDT', 'USD'],
+      enum: getCurrencyCodes(),
       default: 'USD'
     },
     language: {
@@ -202,11 +205,54 @@ const UserSchema = new mongoose.Schema({
       }
     }
   },
+  // Responsible gaming limits. Deposit, loss (bets less wins) and wager
+  // limits are USD equivalents per calendar day, week (from Monday) and
+  // month; null for no limit
   limits: {
     dailyDeposit: {
       type: Number,
       default: 10000 // USD equivalent
     },
+    weeklyDeposit: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    monthlyDeposit: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    dailyLoss: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    weeklyLoss: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    monthlyLoss: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    dailyWager: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    weeklyWager: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    monthlyWager: {
+      type: Number,
+      min: 0,
+      default: null
+    },
     dailyWithdrawal: {
       type: Number,
       default: 5000 // USD equivalent
@@ -224,6 +270,73 @@ const UserSchema = new mongoose.Schema({
       default: null
     }
   },
+  responsibleGaming: {
+    selfExclusion: {
+      permanent: {
+        type: Boolean,
+        default: false
+      },
+      until: {
+        type: Date,
+        default: null
+      },
+      appliedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    coolingOff: {
+      until: {
+        type: Date,
+        default: null
+      },
+      appliedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    // Last answer of the self-exclusion registers, used while they cannot
+    // be reached
+    registry: {
+      status: {
+        type: String,
+        enum: ['excluded', 'not_excluded', 'previously_excluded', null],
+        default: null
+      },
+      registry: {
+        type: String,
+        default: null // Register that reported the exclusion
+      },
+      until: {
+        type: Date,
+        default: null
+      },
+      checkedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    realityCheck: {
+      interval: {
+        type: Number,
+        min: 0,
+        default: null // minutes; null = platform default, 0 = off
+      },
+      sessionStartedAt: {
+        type: Date,
+        default: null // First bet of the current play session
+      },
+      lastCheckAt: {
+        type: Date,
+        default: null // Last check answered in the current session
+      },
+      pending: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RealityCheck',
+        default: null // Unanswered check; bets are refused until it is answered
+      }
+    }
+  },
   bonuses: {
     welcomeBonus: {
       claimed: {
@@ -304,6 +417,7 @@ UserSchema.index({ 'profile.tier': 1 });
 UserSchema.index({ 'kyc.status': 1 });
 UserSchema.index({ status: 1 });
 UserSchema.index({ country: 1 });
+UserSchema.index({ 'responsibleGaming.realityCheck.sessionStartedAt': 1 });
 
 // Virtual for account lock status
 UserSchema.virtual('isLocked').get(function() {
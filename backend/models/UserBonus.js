@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
 
 const UserBonusSchema = new mongoose.Schema({
   userId: {
@@ -23,7 +24,7 @@ const UserBonusSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    enum: ['BTC', 'ETH', 'USDT', 'USD', 'EUR'],
+    enum: getCurrencyCodes(),
     required: true
   },
   wagering: {
@@ -68,7 +69,7 @@ const UserBonusSchema = new mongoose.Schema({
     },
     originalBonus: {
       name: String,
-      type: String,
+      type: { type: String },
       terms: String
     }
   }
@@ -86,6 +87,18 @@ UserBonusSchema.index({ userId: 1, createdAt: -1 });
 // Compound indexes
 UserBonusSchema.index({ userId: 1, bonusId: 1 });
 
+// One active bonus per user and currency
+UserBonusSchema.index(
+  { userId: 1, currency: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// A deposit triggers at most one bonus
+UserBonusSchema.index(
+  { 'metadata.triggerTransaction': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.triggerTransaction': { $exists: true } } }
+);
+
 // Virtual for completion percentage
 UserBonusSchema.virtual('completionPercentage').get(function() {
   if (this.wagering.required === 0) return 100;
@@ -111,6 +124,38 @@ UserBonusSchema.methods.updateWagering = function(amount) {
   return this.save();
 };
 
+// Static method to add wagering atomically, completing the bonus when the
+// requirement is met. Safe against concurrent bets on the same bonus.
+UserBonusSchema.statics.addWagering = async function(userBonusId, amount) {
+  const userBonus = await this.findOneAndUpdate(
+    { _id: userBonusId, status: 'active' },
+    [
+      { $set: { 'wagering.completed': { $add: ['$wagering.completed', amount] } } },
+      {
+        $set: {
+          'wagering.remaining': {
+            $max: [0, { $subtract: ['$wagering.required', '$wagering.completed'] }]
+          }
+        }
+      }
+    ],
+    { new: true }
+  );
+
+  // Tolerate floating point drift from summing many contributions
+  if (!userBonus || userBonus.wagering.remaining > 1e-8) {
+    return userBonus;
+  }
+
+  const completed = await this.findOneAndUpdate(
+    { _id: userBonusId, status: 'active' },
+    { $set: { status: 'completed', completedAt: new Date(), 'wagering.remaining': 0 } },
+    { new: true }
+  );
+
+  return completed || userBonus;
+};
+
 // Method to forfeit bonus
 UserBonusSchema.methods.forfeit = function(reason) {
   this.status = 'forfeited';
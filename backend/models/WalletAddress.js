@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
 
 const walletAddressSchema = new mongoose.Schema({
   userId: {
@@ -10,7 +11,7 @@ const walletAddressSchema = new mongoose.Schema({
   currency: {
     type: String,
     required: true,
-    enum: ['BTC', 'ETH', 'USDT', 'LTC', 'BCH', 'DOGE', 'USD'],
+    enum: getCurrencyCodes('crypto'),
     index: true
   },
   address: {
@@ -19,10 +20,6 @@ const walletAddressSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
-  privateKey: {
-    type: String,
-    required: true // Encrypted
-  },
   network: {
     type: String,
     required: true,
@@ -36,10 +33,11 @@ const walletAddressSchema = new mongoose.Schema({
   },
   metadata: {
     derivationPath: String,
+    derivationIndex: Number, // Receive-chain index on the network's HD account
     publicKey: String,
     addressType: {
       type: String,
-      enum: ['legacy', 'segwit', 'native_segwit', 'erc20', 'bep20']
+      enum: ['legacy', 'segwit', 'native_segwit', 'ethereum', 'erc20', 'bep20']
     },
     contractAddress: String, // For tokens like USDT
     decimals: {
@@ -77,6 +75,10 @@ const walletAddressSchema = new mongoose.Schema({
 walletAddressSchema.index({ userId: 1, currency: 1 });
 walletAddressSchema.index({ address: 1, currency: 1 });
 walletAddressSchema.index({ status: 1, currency: 1 });
+walletAddressSchema.index(
+  { network: 1, 'metadata.derivationIndex': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.derivationIndex': { $exists: true } } }
+);
 
 // Update timestamp on save
 walletAddressSchema.pre('save', function(next) {
@@ -125,6 +127,14 @@ walletAddressSchema.statics.findByAddress = function(address, currency = null) {
   return this.findOne(query);
 };
 
+walletAddressSchema.statics.getNextDerivationIndex = async function(network) {
+  const last = await this.findOne({ network, 'metadata.derivationIndex': { $exists: true } })
+    .sort({ 'metadata.derivationIndex': -1 })
+    .select('metadata.derivationIndex');
+
+  return last ? last.metadata.derivationIndex + 1 : 0;
+};
+
 walletAddressSchema.statics.getActiveAddresses = function(currency = null) {
   const query = { status: 'active' };
   if (currency) {
@@ -142,8 +152,6 @@ walletAddressSchema.virtual('netBalance').get(function() {
 walletAddressSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
-    // Remove sensitive data from JSON output
-    delete ret.privateKey;
     delete ret.__v;
     return ret;
   }
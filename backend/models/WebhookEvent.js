@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const webhookConfig = require('../config/webhooks');
+
+// Provider event ids already accepted, so a replayed webhook is refused
+const WebhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe', 'paypal', 'skrill', 'blockchain'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: webhookConfig.retention });
+
+// Record an event id before it is handled; false when it was already received
+WebhookEventSchema.statics.claim = async function(provider, eventId) {
+  try {
+    await this.create({ provider, eventId });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Forget an event whose handling failed so the provider's retry is accepted
+WebhookEventSchema.statics.release = function(provider, eventId) {
+  return this.deleteOne({ provider, eventId, processedAt: null });
+};
+
+WebhookEventSchema.statics.markProcessed = function(provider, eventId) {
+  return this.updateOne({ provider, eventId }, { $set: { processedAt: new Date() } });
+};
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
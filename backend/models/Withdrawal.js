@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { getCurrencyCodes } = require('../config/currencies');
+
+const WITHDRAWAL_STATUSES = [
+  'requested',
+  'risk_checked',
+  'awaiting_approval',
+  'approved',
+  'broadcast',
+  'confirmed',
+  'failed',
+  'rejected',
+  'cancelled'
+];
+
+const WithdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Withdrawal transaction whose ledger debit holds the funds
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    unique: true
+  },
+  currency: {
+    type: String,
+    enum: getCurrencyCodes(),
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['crypto', 'fiat'],
+    required: true
+  },
+  // Amount paid out; totalAmount adds the fees and is what the user is debited
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  fees: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  usdValue: Number,
+  destination: {
+    address: String,
+    method: String,
+    accountDetails: String // Encrypted
+  },
+  // Identifies the destination across requests for the new-destination rule
+  destinationKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: WITHDRAWAL_STATUSES,
+    default: 'requested'
+  },
+  risk: {
+    level: {
+      type: String,
+      enum: ['low', 'high']
+    },
+    reasons: [String],
+    checkedAt: Date
+  },
+  requiredApprovals: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  approvals: [{
+    _id: false,
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  autoApproved: {
+    type: Boolean,
+    default: false
+  },
+  rejection: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: Date
+  },
+  txHash: String,
+  payoutReference: String,
+  failureReason: String,
+  history: [{
+    _id: false,
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+WithdrawalSchema.index({ status: 1, createdAt: 1 });
+WithdrawalSchema.index({ userId: 1, createdAt: -1 });
+WithdrawalSchema.index({ userId: 1, destinationKey: 1, status: 1 });
+
+WithdrawalSchema.statics.STATUSES = WITHDRAWAL_STATUSES;
+
+module.exports = mongoose.model('Withdrawal', WithdrawalSchema);
@@ -0,0 +1,599 @@
+const Bonus = require('../models/Bonus');
+const UserBonus = require('../models/UserBonus');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Ledger = require('./ledger');
+const ExchangeRates = require('./rates/exchangeRates');
+const JurisdictionRules = require('../utils/compliance/jurisdictionRules');
+const bonusConfig = require('../config/bonuses');
+
+/**
+ * Bonus claims, wagering progress and forfeiture.
+ *
+ * Bonus funds are credited to the wallet's bonus balance through the ledger
+ * against the house bonus account. A user holds at most one active bonus per
+ * currency; bets in that currency advance its wagering, weighted by game
+ * category. Completing the wagering releases the bonus balance to cash; a
+ * withdrawal in that currency or running out of time forfeits it.
+ *
+ * An offer's fixed `amount`, `maxAmount` and `minDeposit` are in USD and
+ * are converted at the current rate for the currency a bonus is credited in.
+ */
+class BonusManager {
+  /**
+   * List the offers a user can claim right now
+   * @param {string} userId - User ID
+   * @returns {Array} Bonus documents
+   */
+  static async getEligibleBonuses(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const offers = await this.getActiveOffers();
+    const eligible = [];
+
+    for (const bonus of offers) {
+      if (await this.canClaim(user, bonus)) {
+        eligible.push(bonus);
+      }
+    }
+
+    return eligible;
+  }
+
+  /**
+   * Get a user's bonuses, expiring any that ran out first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status }
+   * @returns {Array} UserBonus documents, newest first
+   */
+  static async getUserBonuses(userId, { status = null } = {}) {
+    await this.expireBonuses(userId);
+
+    const query = { userId };
+    if (status) {
+      query.status = status;
+    }
+
+    return UserBonus.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Claim a bonus. Deposit bonuses are calculated from the user's latest
+   * unclaimed deposit within the claim window; other bonuses credit their
+   * fixed amount.
+   * @param {string} userId - User ID
+   * @param {string} bonusId - Bonus ID
+   * @param {string} currency - Currency to credit
+   * @returns {Object} UserBonus document
+   */
+  static async claimBonus(userId, bonusId, currency) {
+    const [user, bonus] = await Promise.all([
+      User.findById(userId),
+      Bonus.findById(bonusId)
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!bonus || !(await this.canClaim(user, bonus))) {
+      throw new Error('Bonus is not available');
+    }
+
+    if (!this.acceptsCurrency(bonus, currency)) {
+      throw new Error(`Bonus is not available in ${currency}`);
+    }
+
+    await this.expireBonuses(userId);
+
+    if (!this.isDepositBonus(bonus)) {
+      return this.grantBonus(user, bonus, currency, await ExchangeRates.fromUSD(bonus.amount, currency));
+    }
+
+    const deposit = await this.findQualifyingDeposit(userId, bonus, currency);
+    if (!deposit) {
+      throw new Error(`Deposit at least ${bonus.minDeposit} USD in ${currency} to claim this bonus`);
+    }
+
+    return this.grantBonus(user, bonus, currency,
+      await this.calculateDepositBonus(bonus, deposit.amount, currency), deposit._id);
+  }
+
+  /**
+   * Handle a completed deposit: add it to the user's deposit total and
+   * credit the first deposit bonus it qualifies for. Never throws, so a
+   * bonus problem cannot fail the deposit.
+   * @param {string} userId - User ID
+   * @param {number} amount - Deposit amount
+   * @param {string} currency - Currency
+   * @param {string} transactionId - Deposit transaction ID
+   * @returns {Object|null} Credited UserBonus
+   */
+  static async onDeposit(userId, amount, currency, transactionId) {
+    try {
+      const usdAmount = await ExchangeRates.toUSD(amount, currency).catch(() => 0);
+
+      // The profile as it was before this deposit decides new-player offers
+      const user = await User.findByIdAndUpdate(userId, {
+        $inc: { 'profile.totalDeposited': usdAmount }
+      });
+      if (!user) {
+        return null;
+      }
+
+      await this.expireBonuses(userId);
+      if (await UserBonus.exists({ userId, currency, status: 'active' })) {
+        return null;
+      }
+
+      const { depositBonusTypes } = bonusConfig;
+      const offers = (await this.getActiveOffers())
+        .filter(bonus => this.isDepositBonus(bonus) &&
+          this.acceptsCurrency(bonus, currency) &&
+          usdAmount >= bonus.minDeposit)
+        .sort((a, b) => depositBonusTypes.indexOf(a.type) - depositBonusTypes.indexOf(b.type));
+
+      for (const bonus of offers) {
+        if (await this.canClaim(user, bonus)) {
+          return await this.grantBonus(user, bonus, currency,
+            await this.calculateDepositBonus(bonus, amount, currency), transactionId);
+        }
+      }
+
+      return null;
+
+    } catch (error) {
+      console.error('Error crediting deposit bonus:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Forfeit the active bonus a reversed deposit triggered
+   * @param {string} transactionId - Deposit transaction ID
+   * @returns {Object|null} Forfeited UserBonus
+   */
+  static async onDepositReversed(transactionId) {
+    const userBonus = await UserBonus.findOne({
+      'metadata.triggerTransaction': transactionId,
+      status: 'active'
+    });
+
+    return userBonus ? this.forfeitBonus(userBonus, 'Qualifying deposit was reversed') : null;
+  }
+
+  /**
+   * Advance wagering on the user's active bonuses in the bet currency.
+   * Never throws, so a bonus problem cannot fail a settled bet.
+   * @param {string} userId - User ID
+   * @param {number} amount - Bet amount
+   * @param {string} currency - Currency
+   * @param {Object} game - { gameType, category, gameId }
+   * @returns {Array} Updated UserBonus documents
+   */
+  static async recordWager(userId, amount, currency, game = {}) {
+    try {
+      const bonuses = await UserBonus.find({
+        userId,
+        currency,
+        status: 'active',
+        expiresAt: { $gt: new Date() }
+      }).populate('bonusId');
+
+      const updated = [];
+      for (const userBonus of bonuses) {
+        const contribution = amount * this.getContributionWeight(userBonus.bonusId, game);
+        if (contribution <= 0) continue;
+
+        const progress = await UserBonus.addWagering(userBonus._id, contribution);
+        if (progress && progress.status === 'completed') {
+          await this.releaseBonusFunds(progress);
+        }
+        updated.push(progress);
+      }
+
+      return updated.filter(Boolean);
+
+    } catch (error) {
+      console.error('Error recording bonus wagering:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Credit winnings, attributing the bonus-funded share of the stake to the
+   * bonus balance. Bonus winnings that arrive after the bonus ended follow it:
+   * released to cash if it completed, removed otherwise.
+   * @param {string} userId - User ID
+   * @param {number} amount - Winnings
+   * @param {string} currency - Currency
+   * @param {Array|RegExp} stakeKeys - Reference keys of the stake postings
+   * @param {Object} options - Ledger posting options
+   * @returns {Object} Ledger posting
+   */
+  static async creditWinnings(userId, amount, currency, stakeKeys, options) {
+    const bonusShare = await Ledger.getBonusShare(userId, stakeKeys);
+    const posting = await Ledger.creditWinnings(userId, amount, currency, { ...options, bonusShare });
+
+    if (!posting.duplicate && posting.bonusAmount > 0) {
+      await this.sweepBonusBalance(userId, currency, posting.referenceKey).catch(error => {
+        console.error('Error sweeping bonus balance:', error);
+      });
+    }
+
+    return posting;
+  }
+
+  /**
+   * Settle a bonus balance left without an active bonus
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency
+   * @param {string} referenceKey - Posting that left the funds
+   * @returns {Object|null} Ledger posting
+   */
+  static async sweepBonusBalance(userId, currency, referenceKey) {
+    if (await UserBonus.exists({ userId, currency, status: 'active' })) {
+      return null;
+    }
+
+    const last = await UserBonus.findOne({ userId, currency }).sort({ createdAt: -1 });
+    const release = !!last && last.status === 'completed';
+
+    return this.moveBonusBalance(userId, currency, {
+      type: release ? 'bonus_release' : 'bonus_forfeit',
+      referenceKey: `bonus-sweep:${referenceKey}`,
+      description: release ? 'Bonus winnings released' : 'Bonus winnings after the bonus ended',
+      bonusId: last ? last.bonusId : undefined,
+      toCash: release
+    });
+  }
+
+  /**
+   * Forfeit the user's active bonuses in a currency and remove their funds
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency
+   * @param {string} reason - Forfeit reason
+   * @returns {Array} Forfeited UserBonus documents
+   */
+  static async forfeitBonuses(userId, currency, reason) {
+    const bonuses = await UserBonus.find({ userId, currency, status: 'active' });
+
+    const forfeited = [];
+    for (const userBonus of bonuses) {
+      const result = await this.forfeitBonus(userBonus, reason);
+      if (result) {
+        forfeited.push(result);
+      }
+    }
+
+    return forfeited;
+  }
+
+  /**
+   * Mark the user's active bonuses past their expiry as expired
+   * @param {string} userId - User ID
+   * @returns {Array} Expired UserBonus documents
+   */
+  static async expireBonuses(userId) {
+    const bonuses = await UserBonus.find({
+      userId,
+      status: 'active',
+      expiresAt: { $lte: new Date() }
+    });
+
+    const expired = [];
+    for (const userBonus of bonuses) {
+      const result = await this.forfeitBonus(userBonus, 'Bonus expired before wagering was completed', 'expired');
+      if (result) {
+        expired.push(result);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * End an active bonus and debit its funds. Only the call that moves the
+   * bonus out of 'active' removes funds.
+   * @param {Object} userBonus - UserBonus document
+   * @param {string} reason - Reason
+   * @param {string} status - 'forfeited' or 'expired'
+   * @returns {Object|null} Updated UserBonus, or null if it was no longer active
+   */
+  static async forfeitBonus(userBonus, reason, status = 'forfeited') {
+    const updated = await UserBonus.findOneAndUpdate(
+      { _id: userBonus._id, status: 'active' },
+      { $set: { status, forfeitedAt: new Date(), forfeitReason: reason } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    await this.removeBonusFunds(updated);
+    return updated;
+  }
+
+  /**
+   * Remove the bonus balance of an ended bonus
+   * @param {Object} userBonus - UserBonus document
+   * @returns {Object|null} Ledger posting
+   */
+  static async removeBonusFunds(userBonus) {
+    return this.moveBonusBalance(userBonus.userId, userBonus.currency, {
+      type: 'bonus_forfeit',
+      referenceKey: `bonus-forfeit:${userBonus._id}`,
+      description: `Bonus ${userBonus.status}: ${userBonus.forfeitReason}`,
+      bonusId: userBonus.bonusId,
+      toCash: false
+    });
+  }
+
+  /**
+   * Release the bonus balance of a completed bonus to cash
+   * @param {Object} userBonus - UserBonus document
+   * @returns {Object|null} Ledger posting
+   */
+  static async releaseBonusFunds(userBonus) {
+    return this.moveBonusBalance(userBonus.userId, userBonus.currency, {
+      type: 'bonus_release',
+      referenceKey: `bonus-release:${userBonus._id}`,
+      description: `${userBonus.metadata.originalBonus.name} bonus wagering completed`,
+      bonusId: userBonus.bonusId,
+      toCash: true
+    });
+  }
+
+  /**
+   * Empty the bonus balance of a currency, into cash or back to the house
+   * @param {string} userId - User ID
+   * @param {string} currency - Currency
+   * @param {Object} options - { type, referenceKey, description, bonusId, toCash }
+   * @returns {Object|null} Ledger posting, null if there was nothing to move
+   */
+  static async moveBonusBalance(userId, currency, { type, referenceKey, description, bonusId, toCash }) {
+    const user = await User.findById(userId).select('wallet.bonusBalance');
+    if (!user || !(Ledger.readBalances(user, currency).bonus > 0)) {
+      return null;
+    }
+
+    return Ledger.post({
+      userId,
+      currency,
+      type,
+      referenceKey,
+      account: Ledger.ACCOUNTS.BONUSES,
+      description,
+      transaction: { bonusId },
+      // The whole balance at the time of the write, including bonus winnings
+      allocate: ({ bonus }) => ({ amount: toCash ? bonus : 0, bonusAmount: -bonus })
+    });
+  }
+
+  /**
+   * Record a claim and credit its funds
+   * @param {Object} user - User document
+   * @param {Object} bonus - Bonus document
+   * @param {string} currency - Currency
+   * @param {number} amount - Bonus amount
+   * @param {string} triggerTransaction - Qualifying deposit (optional)
+   * @returns {Object} UserBonus document
+   */
+  static async grantBonus(user, bonus, currency, amount, triggerTransaction = undefined) {
+    if (!(amount > 0)) {
+      throw new Error('Bonus amount must be positive');
+    }
+
+    // Count the claim against the offer-wide limit
+    const counted = await Bonus.findOneAndUpdate(
+      {
+        _id: bonus._id,
+        $or: [
+          { 'usage.maxClaims': 0 },
+          { $expr: { $lt: ['$usage.totalClaimed', '$usage.maxClaims'] } }
+        ]
+      },
+      { $inc: { 'usage.totalClaimed': 1 } }
+    );
+
+    if (!counted) {
+      throw new Error('Bonus is no longer available');
+    }
+
+    const wageringRequired = amount * bonus.wageringRequirement;
+    let userBonus;
+
+    try {
+      userBonus = await UserBonus.create({
+        userId: user._id,
+        bonusId: bonus._id,
+        amount,
+        currency,
+        wagering: {
+          required: wageringRequired,
+          completed: 0,
+          remaining: wageringRequired
+        },
+        expiresAt: new Date(Date.now() + bonus.validity.claimPeriod * 60 * 60 * 1000),
+        metadata: {
+          triggerTransaction,
+          originalBonus: {
+            name: bonus.name,
+            type: bonus.type,
+            terms: bonus.terms
+          }
+        }
+      });
+
+      await Ledger.creditBonus(user._id, amount, currency, {
+        type: 'bonus',
+        referenceKey: `bonus:${userBonus._id}`,
+        account: Ledger.ACCOUNTS.BONUSES,
+        description: `${bonus.name} bonus`,
+        transaction: { bonusId: bonus._id }
+      });
+
+    } catch (error) {
+      await Bonus.updateOne({ _id: bonus._id }, { $inc: { 'usage.totalClaimed': -1 } });
+      if (userBonus) {
+        await UserBonus.deleteOne({ _id: userBonus._id });
+      }
+
+      if (error.code === 11000) {
+        throw new Error(error.keyPattern && error.keyPattern['metadata.triggerTransaction']
+          ? 'This deposit has already been used for a bonus'
+          : `You already have an active ${currency} bonus`);
+      }
+      throw error;
+    }
+
+    return userBonus;
+  }
+
+  /**
+   * Find the latest completed deposit that can still trigger a bonus
+   * @param {string} userId - User ID
+   * @param {Object} bonus - Bonus document
+   * @param {string} currency - Currency
+   * @returns {Object|null} Transaction document
+   */
+  static async findQualifyingDeposit(userId, bonus, currency) {
+    const used = await UserBonus.distinct('metadata.triggerTransaction', { userId });
+
+    const deposits = await Transaction.find({
+      _id: { $nin: used },
+      userId,
+      type: 'deposit',
+      status: 'completed',
+      currency,
+      processedAt: { $gte: new Date(Date.now() - bonusConfig.depositClaimWindow) }
+    }).sort({ processedAt: -1 });
+
+    // minDeposit is in USD
+    for (const deposit of deposits) {
+      if (await ExchangeRates.toUSD(deposit.amount, currency) >= bonus.minDeposit) {
+        return deposit;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Offers that are active and within their validity dates
+   * @returns {Array} Bonus documents
+   */
+  static async getActiveOffers() {
+    const now = new Date();
+    const offers = await Bonus.find({
+      status: 'active',
+      'validity.startDate': { $lte: now },
+      'validity.endDate': { $gte: now }
+    });
+
+    return offers.filter(bonus => bonus.isActive);
+  }
+
+  /**
+   * Check whether a user may claim an offer
+   * @param {Object} user - User document
+   * @param {Object} bonus - Bonus document
+   * @returns {boolean} True if claimable
+   */
+  static async canClaim(user, bonus) {
+    if (!bonus.isActive || !bonus.isEligibleUser(user)) {
+      return false;
+    }
+
+    if (!(await JurisdictionRules.allowsBonus(user, bonus))) {
+      return false;
+    }
+
+    // Cashback, VIP and tournament rewards without a fixed amount are credited by their own jobs
+    if (!this.isDepositBonus(bonus) && !(bonus.amount > 0)) {
+      return false;
+    }
+
+    const { claimsPerUser } = bonus.usage;
+    if (claimsPerUser > 0) {
+      const claims = await UserBonus.countDocuments({ userId: user._id, bonusId: bonus._id });
+      if (claims >= claimsPerUser) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a bonus is calculated from a deposit
+   * @param {Object} bonus - Bonus document
+   * @returns {boolean} True for percentage deposit bonuses
+   */
+  static isDepositBonus(bonus) {
+    return bonusConfig.depositBonusTypes.includes(bonus.type) && bonus.percentage > 0;
+  }
+
+  /**
+   * Check whether a bonus can be credited in a currency
+   * @param {Object} bonus - Bonus document
+   * @param {string} currency - Currency
+   * @returns {boolean} True if accepted
+   */
+  static acceptsCurrency(bonus, currency) {
+    return !bonus.currencies || bonus.currencies.length === 0 || bonus.currencies.includes(currency);
+  }
+
+  /**
+   * Bonus amount for a deposit, capped at the offer maximum
+   * @param {Object} bonus - Bonus document
+   * @param {number} depositAmount - Deposit amount
+   * @param {string} currency - Deposit currency
+   * @returns {number} Bonus amount in the deposit currency
+   */
+  static async calculateDepositBonus(bonus, depositAmount, currency) {
+    const amount = depositAmount * bonus.percentage / 100;
+    if (!(bonus.maxAmount > 0)) {
+      return amount;
+    }
+
+    return Math.min(amount, await ExchangeRates.fromUSD(bonus.maxAmount, currency));
+  }
+
+  /**
+   * Share of a bet that counts towards a bonus's wagering
+   * @param {Object} bonus - Bonus document (optional)
+   * @param {Object} game - { gameType, category, gameId }
+   * @returns {number} Weight between 0 and 1
+   */
+  static getContributionWeight(bonus, { gameType = null, category = null, gameId = null } = {}) {
+    if (bonus && bonus.games) {
+      const { categories = [], eligible = [], excluded = [] } = bonus.games;
+
+      if (categories.length > 0 && !categories.includes(category)) {
+        return 0;
+      }
+
+      // Game lists are only checked when the catalog game is known
+      if (gameId) {
+        const matches = id => id.toString() === gameId.toString();
+        if (excluded.some(matches) || (eligible.length > 0 && !eligible.some(matches))) {
+          return 0;
+        }
+      }
+    }
+
+    const { gameTypeWeights, categoryWeights } = bonusConfig;
+    if (gameType && gameTypeWeights[gameType] !== undefined) {
+      return gameTypeWeights[gameType];
+    }
+
+    return categoryWeights[category] || 0;
+  }
+}
+
+module.exports = BonusManager;
@@ -0,0 +1,347 @@
+const ChainCursor = require('../../models/ChainCursor');
+const Transaction = require('../../models/Transaction');
+const WalletAddress = require('../../models/WalletAddress');
+const ResponsibleGaming = require('../../utils/compliance/responsibleGaming');
+const JsonRpcChainAdapter = require('./jsonRpcChainAdapter');
+
+// Recent block hashes kept per network to locate the fork point of a reorg
+const DEFAULT_REORG_DEPTH = 100;
+
+// Node endpoints read from the environment, by network
+const RPC_ENDPOINTS = {
+  bitcoin: 'BTC_RPC_URL',
+  litecoin: 'LTC_RPC_URL'
+};
+
+/**
+ * Polls chain adapters for payments to deposit addresses.
+ *
+ * Every output paying a known WalletAddress becomes a pending deposit
+ * transaction. Confirmations advance with each new block and the user is
+ * credited once the currency's confirmation threshold is reached, unless the
+ * deposit would break one of the user's deposit limits: payments cannot be
+ * refused on chain, so such a deposit is held uncredited and released once
+ * the limit allows it. When a
+ * node switches chains, deposits in orphaned blocks that are not mined again
+ * on the new chain are cancelled, and any credit they received is reversed.
+ *
+ * An adapter exposes `network`, `getTipHeight()`, `getBlockHash(height)` and
+ * `getBlock(height)` returning `{ height, hash, payments }`, and optionally a
+ * `startHeight` for the first scan (the current tip otherwise).
+ */
+class DepositWatcher {
+  /**
+   * @param {Object} options - { processor, adapters, interval, reorgDepth }
+   */
+  constructor({ processor, adapters = null, interval = null, reorgDepth = DEFAULT_REORG_DEPTH }) {
+    this.processor = processor;
+    this.adapters = adapters || DepositWatcher.getDefaultAdapters();
+    this.interval = interval !== null
+      ? interval
+      : parseInt(process.env.CHAIN_POLL_INTERVAL || '30') * 1000;
+    this.reorgDepth = reorgDepth;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * JSON-RPC adapters for every network with a configured node
+   * @returns {Array} Chain adapters
+   */
+  static getDefaultAdapters() {
+    return Object.entries(RPC_ENDPOINTS)
+      .filter(([, variable]) => process.env[variable])
+      .map(([network, variable]) => new JsonRpcChainAdapter({ network, url: process.env[variable] }));
+  }
+
+  /**
+   * Start polling. Does nothing without adapters.
+   */
+  start() {
+    if (this.timer || !this.adapters.length) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('Error polling chains:', error));
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Scan every adapter once. Calls made while a scan is running share it.
+   * @returns {Array} Scan summary per network
+   */
+  async poll() {
+    if (!this.polling) {
+      this.polling = (async () => {
+        const results = [];
+        for (const adapter of this.adapters) {
+          try {
+            results.push(await this.pollAdapter(adapter));
+          } catch (error) {
+            console.error(`Error polling ${adapter.network}:`, error);
+            results.push({ network: adapter.network, error: error.message });
+          }
+        }
+        return results;
+      })().finally(() => {
+        this.polling = null;
+      });
+    }
+
+    return this.polling;
+  }
+
+  /**
+   * Scan one chain: roll back orphaned blocks, record payments in new blocks
+   * and settle deposits whose confirmations changed
+   * @param {Object} adapter - Chain adapter
+   * @returns {Object} { network, height, reorged, cancelled, credited }
+   */
+  async pollAdapter(adapter) {
+    const { network } = adapter;
+    const tip = await adapter.getTipHeight();
+
+    let cursor = await ChainCursor.findOne({ network });
+    if (!cursor) {
+      const startHeight = adapter.startHeight !== null && adapter.startHeight !== undefined
+        ? adapter.startHeight
+        : tip + 1;
+      cursor = new ChainCursor({ network, height: startHeight - 1, blocks: [] });
+    }
+
+    // Deposits above the fork point must be mined again on the new chain
+    const forkHeight = await this.findForkHeight(adapter, cursor);
+    const reorged = forkHeight < cursor.height;
+    let orphaned = [];
+
+    if (reorged) {
+      orphaned = await Transaction.find({
+        type: 'deposit',
+        'metadata.network': network,
+        'metadata.blockHeight': { $gt: forkHeight },
+        status: { $in: ['pending', 'held', 'completed'] }
+      }).select('_id');
+
+      cursor.blocks = cursor.blocks.filter(block => block.height <= forkHeight);
+      cursor.height = forkHeight;
+      await cursor.save();
+    }
+
+    for (let height = cursor.height + 1; height <= tip; height++) {
+      const block = await adapter.getBlock(height);
+      await this.recordPayments(network, block);
+
+      cursor.blocks.push({ height: block.height, hash: block.hash });
+      cursor.blocks = cursor.blocks.slice(-this.reorgDepth);
+      cursor.height = block.height;
+      await cursor.save();
+    }
+
+    const mainChain = new Set(cursor.blocks.map(block => block.hash));
+    let cancelled = 0;
+
+    for (const { _id } of orphaned) {
+      const deposit = await Transaction.findById(_id);
+      if (!mainChain.has(deposit.metadata.blockHash)) {
+        await this.cancelDeposit(deposit);
+        cancelled++;
+      }
+    }
+
+    const credited = await this.updateConfirmations(network, cursor.height);
+
+    return { network, height: cursor.height, reorged, cancelled, credited };
+  }
+
+  /**
+   * Highest scanned block that is still on the node's best chain
+   * @param {Object} adapter - Chain adapter
+   * @param {Object} cursor - ChainCursor document
+   * @returns {number} Fork height
+   */
+  async findForkHeight(adapter, cursor) {
+    if (!cursor.blocks.length) {
+      return cursor.height;
+    }
+
+    for (let i = cursor.blocks.length - 1; i >= 0; i--) {
+      const block = cursor.blocks[i];
+      if (await adapter.getBlockHash(block.height) === block.hash) {
+        return block.height;
+      }
+    }
+
+    // Every block since the first scan was replaced; nothing older is tracked
+    if (cursor.blocks.length < this.reorgDepth) {
+      return cursor.blocks[0].height - 1;
+    }
+
+    throw new Error(`Reorganisation on ${adapter.network} deeper than ${cursor.blocks.length} blocks`);
+  }
+
+  /**
+   * Record the payments of a block to known deposit addresses
+   * @param {string} network - Network
+   * @param {Object} block - { height, hash, payments }
+   */
+  async recordPayments(network, block) {
+    const addresses = [...new Set(block.payments.map(payment => payment.address))];
+    if (!addresses.length) {
+      return;
+    }
+
+    const walletAddresses = await WalletAddress.find({ network, address: { $in: addresses } });
+    const byAddress = new Map(walletAddresses.map(walletAddress => [walletAddress.address, walletAddress]));
+
+    for (const payment of block.payments) {
+      const walletAddress = byAddress.get(payment.address);
+      if (!walletAddress || !(payment.amount > 0)) {
+        continue;
+      }
+
+      const result = await Transaction.findOneAndUpdate(
+        {
+          type: 'deposit',
+          'metadata.network': network,
+          'metadata.txHash': payment.txHash,
+          'metadata.outputIndex': payment.outputIndex
+        },
+        {
+          $set: {
+            'metadata.blockHeight': block.height,
+            'metadata.blockHash': block.hash
+          },
+          $setOnInsert: {
+            userId: walletAddress.userId,
+            currency: walletAddress.currency,
+            amount: payment.amount,
+            netAmount: payment.amount,
+            status: 'pending',
+            address: payment.address,
+            requiredConfirmations: this.processor.confirmationsRequired[walletAddress.currency],
+            description: `${walletAddress.currency} deposit`
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+      const deposit = result.value;
+
+      if (!result.lastErrorObject.updatedExisting) {
+        await walletAddress.updateStatistics('deposit', payment.amount);
+      } else if (deposit.status === 'cancelled') {
+        // Cancelled by an earlier reorg and mined again
+        await Transaction.updateOne({ _id: deposit._id, status: 'cancelled' }, { $set: { status: 'pending' } });
+      }
+    }
+  }
+
+  /**
+   * Advance the confirmations of pending deposits and credit those that
+   * reached their threshold, or release held ones the limits now allow
+   * @param {string} network - Network
+   * @param {number} tipHeight - Height of the scanned tip
+   * @returns {number} Deposits credited
+   */
+  async updateConfirmations(network, tipHeight) {
+    const pending = await Transaction.find({
+      type: 'deposit',
+      status: { $in: ['pending', 'held'] },
+      'metadata.network': network,
+      'metadata.blockHeight': { $ne: null }
+    });
+
+    let credited = 0;
+    for (const deposit of pending) {
+      const confirmations = tipHeight - deposit.metadata.blockHeight + 1;
+      await Transaction.updateOne({ _id: deposit._id }, { $set: { confirmations } });
+
+      if (confirmations < deposit.requiredConfirmations || !(await this.checkDepositLimit(deposit))) {
+        continue;
+      }
+
+      if (deposit.status === 'held') {
+        await Transaction.updateOne({ _id: deposit._id }, { $set: { 'metadata.releasedAt': new Date() } });
+      }
+
+      // The ledger marks the transaction completed in the same write
+      await this.processor.creditUserBalance(deposit.userId, deposit.amount, deposit.currency, {
+        referenceKey: this.getReferenceKey(deposit),
+        transactionId: deposit._id,
+        transactionStatus: 'completed',
+        description: deposit.description
+      });
+      credited++;
+    }
+
+    return credited;
+  }
+
+  /**
+   * Check a confirmed deposit against the user's deposit limits, holding it
+   * if it would break one
+   * @param {Object} deposit - Pending or held deposit transaction
+   * @returns {boolean} True if it can be credited
+   */
+  async checkDepositLimit(deposit) {
+    const held = deposit.status === 'held';
+    const limitCheck = await ResponsibleGaming.checkDepositLimit(deposit.userId, deposit.amount, deposit.currency, {
+      logExceeded: !held
+    });
+
+    if (limitCheck.allowed) {
+      return true;
+    }
+
+    if (!held) {
+      await Transaction.updateOne(
+        { _id: deposit._id, status: 'pending' },
+        { $set: { status: 'held', 'metadata.notes': `${limitCheck.reason}; held until the limit allows it` } }
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * Cancel a deposit whose block left the chain, reversing its credit
+   * @param {Object} deposit - Deposit transaction
+   */
+  async cancelDeposit(deposit) {
+    const update = { $set: { status: 'cancelled', confirmations: 0 } };
+
+    if (deposit.status === 'completed') {
+      const reversed = await this.processor.reverseDeposit(deposit);
+      if (!reversed) {
+        return;
+      }
+      update.$inc = { 'metadata.reversals': 1 };
+    }
+
+    await Transaction.updateOne({ _id: deposit._id }, update);
+  }
+
+  /**
+   * Ledger reference of a deposit credit. The number of reversals is part of
+   * the key so a deposit reversed by a reorg is credited again if it is
+   * re-mined, even in the block it was first credited in.
+   * @param {Object} deposit - Deposit transaction
+   * @returns {string} Reference key
+   */
+  getReferenceKey(deposit) {
+    const { txHash, outputIndex, blockHash, reversals } = deposit.metadata;
+    const key = `deposit:${deposit.currency}:${txHash}:${outputIndex}:${blockHash}`;
+    return reversals ? `${key}:${reversals}` : key;
+  }
+}
+
+module.exports = DepositWatcher;
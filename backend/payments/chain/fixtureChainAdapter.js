@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory chain for tests. Blocks are mined on demand and the tip can be
+ * replaced to simulate reorganisations.
+ */
+class FixtureChainAdapter {
+  /**
+   * @param {Object} options - { network, startHeight }
+   */
+  constructor({ network = 'bitcoin', startHeight = 0 } = {}) {
+    this.name = `fixture:${network}`;
+    this.network = network;
+    this.startHeight = startHeight;
+    this.blocks = [];
+    this.mined = 0;
+
+    // Genesis block
+    this.mine();
+  }
+
+  /**
+   * Append a block
+   * @param {Array} payments - [{ txHash, outputIndex, address, amount }]
+   * @returns {Object} Block
+   */
+  mine(payments = []) {
+    const height = this.blocks.length;
+    const block = {
+      height,
+      hash: crypto.createHash('sha256').update(`${this.network}:${height}:${this.mined++}`).digest('hex'),
+      payments: payments.map((payment, index) => ({ outputIndex: index, ...payment }))
+    };
+
+    this.blocks.push(block);
+    return block;
+  }
+
+  /**
+   * Append empty blocks
+   * @param {number} count - Number of blocks
+   */
+  mineEmpty(count) {
+    for (let i = 0; i < count; i++) {
+      this.mine();
+    }
+  }
+
+  /**
+   * Drop the newest blocks, as when the node switches to a longer fork.
+   * Mine the replacement blocks afterwards.
+   * @param {number} depth - Blocks to drop
+   * @returns {Array} Dropped blocks
+   */
+  orphan(depth) {
+    return this.blocks.splice(this.blocks.length - depth, depth);
+  }
+
+  /**
+   * Append blocks dropped earlier, as when the node switches back to the
+   * fork they were on
+   * @param {Array} blocks - Blocks returned by `orphan`
+   */
+  restore(blocks) {
+    this.blocks.push(...blocks);
+  }
+
+  /**
+   * Height of the newest block
+   * @returns {number} Block height
+   */
+  async getTipHeight() {
+    return this.blocks.length - 1;
+  }
+
+  /**
+   * Hash of the block at a height
+   * @param {number} height - Block height
+   * @returns {string|null} Block hash, null above the tip
+   */
+  async getBlockHash(height) {
+    return this.blocks[height] ? this.blocks[height].hash : null;
+  }
+
+  /**
+   * Read the block at a height
+   * @param {number} height - Block height
+   * @returns {Object} Block
+   */
+  async getBlock(height) {
+    if (!this.blocks[height]) {
+      throw new Error(`Block ${height} not found`);
+    }
+    return this.blocks[height];
+  }
+}
+
+module.exports = FixtureChainAdapter;
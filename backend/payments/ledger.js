@@ -0,0 +1,603 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const bonusConfig = require('../config/bonuses');
+
+// Counter accounts for the other side of user postings
+const ACCOUNTS = {
+  GAMES: 'house:games',
+  BONUSES: 'house:bonuses',
+  CRYPTO: 'external:crypto',
+  FIAT: 'external:fiat',
+  OPENING: 'equity:opening',
+  provider: (name) => `provider:${name}`
+};
+
+// Sub-balances of a user wallet: withdrawable cash and bonus funds, each
+// backed by its own user ledger account
+const BALANCES = {
+  cash: { field: 'balance', suffix: '' },
+  bonus: { field: 'bonusBalance', suffix: ':bonus' }
+};
+
+// Tolerance for floating point drift when comparing balances
+const BALANCE_EPSILON = 1e-8;
+
+class Ledger {
+  /**
+   * Ledger account of a user sub-balance
+   * @param {string} userId - User ID
+   * @param {string} balance - 'cash' or 'bonus'
+   * @returns {string} Account name
+   */
+  static userAccount(userId, balance = 'cash') {
+    return `user:${userId}${BALANCES[balance].suffix}`;
+  }
+
+  /**
+   * Read the cash and bonus balances of a user document
+   * @param {Object} user - User document
+   * @param {string} currency - Currency
+   * @returns {Object} { cash, bonus }
+   */
+  static readBalances(user, currency) {
+    const wallet = user.wallet || {};
+    return {
+      cash: (wallet.balance && wallet.balance[currency]) || 0,
+      bonus: (wallet.bonusBalance && wallet.bonusBalance[currency]) || 0
+    };
+  }
+
+  /**
+   * Credit a user balance
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to credit
+   * @param {string} currency - Currency
+   * @param {Object} options - Posting options (see post)
+   * @returns {Object} Posting result
+   */
+  static async credit(userId, amount, currency, options) {
+    return this.post({ ...options, userId, currency, amount: Math.abs(amount) });
+  }
+
+  /**
+   * Debit a user balance, refusing to overdraw it
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to debit
+   * @param {string} currency - Currency
+   * @param {Object} options - Posting options (see post)
+   * @returns {Object} Posting result
+   */
+  static async debit(userId, amount, currency, options) {
+    return this.post({ ...options, userId, currency, amount: -Math.abs(amount) });
+  }
+
+  /**
+   * Credit a user's bonus balance
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to credit
+   * @param {string} currency - Currency
+   * @param {Object} options - Posting options (see post)
+   * @returns {Object} Posting result
+   */
+  static async creditBonus(userId, amount, currency, options) {
+    return this.post({ ...options, userId, currency, amount: 0, bonusAmount: Math.abs(amount) });
+  }
+
+  /**
+   * Debit a user's bonus balance, refusing to overdraw it
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to debit
+   * @param {string} currency - Currency
+   * @param {Object} options - Posting options (see post)
+   * @returns {Object} Posting result
+   */
+  static async debitBonus(userId, amount, currency, options) {
+    return this.post({ ...options, userId, currency, amount: 0, bonusAmount: -Math.abs(amount) });
+  }
+
+  /**
+   * Debit a stake from the cash and bonus balances in spend order
+   * @param {string} userId - User ID
+   * @param {number} amount - Stake
+   * @param {string} currency - Currency
+   * @param {Object} options - Posting options (see post), plus spendOrder
+   * @returns {Object} Posting result
+   */
+  static async stake(userId, amount, currency, { spendOrder = bonusConfig.spendOrder, ...options }) {
+    return this.post({
+      ...options,
+      userId,
+      currency,
+      allocate: balances => this.allocateStake(balances, Math.abs(amount), spendOrder)
+    });
+  }
+
+  /**
+   * Credit winnings, attributing the bonus share of the stake to the bonus balance
+   * @param {string} userId - User ID
+   * @param {number} amount - Winnings
+   * @param {string} currency - Currency
+   * @param {Object} options - Posting options (see post), plus bonusShare (0-1)
+   * @returns {Object} Posting result
+   */
+  static async creditWinnings(userId, amount, currency, { bonusShare = 0, ...options }) {
+    const total = Math.abs(amount);
+    const bonusAmount = total * Math.min(1, Math.max(0, bonusShare));
+
+    return this.post({ ...options, userId, currency, amount: total - bonusAmount, bonusAmount });
+  }
+
+  /**
+   * Split a stake across sub-balances, drawing on each in turn
+   * @param {Object} balances - { cash, bonus }
+   * @param {number} amount - Stake
+   * @param {Array} spendOrder - Sub-balance names, first drawn first
+   * @returns {Object} { amount, bonusAmount } signed for the user
+   */
+  static allocateStake(balances, amount, spendOrder) {
+    const legs = { cash: 0, bonus: 0 };
+    let remaining = amount;
+
+    for (const balance of spendOrder) {
+      const drawn = Math.min(remaining, balances[balance] || 0);
+      if (drawn > 0) {
+        legs[balance] = -drawn;
+        remaining -= drawn;
+      }
+    }
+
+    if (remaining > BALANCE_EPSILON) {
+      throw new Error('Insufficient balance');
+    }
+
+    return { amount: legs.cash, bonusAmount: legs.bonus };
+  }
+
+  /**
+   * Share of the net stake of some postings that came from the bonus balance
+   * @param {string} userId - User ID
+   * @param {Array|RegExp} referenceKeys - Stake postings and their reversals
+   * @returns {number} Bonus share between 0 and 1
+   */
+  static async getBonusShare(userId, referenceKeys) {
+    const cashAccount = this.userAccount(userId);
+    const bonusAccount = this.userAccount(userId, 'bonus');
+
+    const totals = await LedgerEntry.aggregate([
+      {
+        $match: {
+          referenceKey: referenceKeys instanceof RegExp ? referenceKeys : { $in: referenceKeys },
+          account: { $in: [cashAccount, bonusAccount] }
+        }
+      },
+      { $group: { _id: '$account', total: { $sum: '$amount' } } }
+    ]);
+
+    const staked = account => {
+      const item = totals.find(total => total._id === account);
+      return item ? Math.max(0, -item.total) : 0;
+    };
+
+    const cash = staked(cashAccount);
+    const bonus = staked(bonusAccount);
+    return cash + bonus > 0 ? bonus / (cash + bonus) : 0;
+  }
+
+  /**
+   * Post balanced entries and apply them to the user's wallet.
+   * A posting moves the cash balance, the bonus balance or both, with one
+   * counter entry for the net amount (none for transfers between the two).
+   * The balance update, the transaction record and the entries are written in
+   * one MongoDB transaction. Posting the same reference key twice is a no-op
+   * that returns the original result.
+   * @param {Object} posting - Posting data
+   * @param {string} posting.userId - User ID
+   * @param {string} posting.currency - Currency
+   * @param {number} posting.amount - Signed cash amount for the user (negative debits)
+   * @param {number} posting.bonusAmount - Signed bonus amount for the user
+   * @param {Function} posting.allocate - Derives { amount, bonusAmount } from the
+   *   current { cash, bonus } balances inside the transaction (optional)
+   * @param {string} posting.type - Transaction type
+   * @param {string} posting.referenceKey - Idempotency key, unique per balance change
+   * @param {string} posting.account - Counter account
+   * @param {string} posting.description - Description
+   * @param {string} posting.transactionId - Existing transaction to link instead of creating one
+   * @param {string} posting.transactionStatus - Status to set on the linked transaction
+   * @param {Object} posting.transaction - Extra fields for the created transaction
+   * @returns {Object} Posting result
+   */
+  static async post({
+    userId,
+    currency,
+    amount = 0,
+    bonusAmount = 0,
+    allocate = null,
+    type,
+    referenceKey,
+    account,
+    description = null,
+    transactionId = null,
+    transactionStatus = null,
+    transaction = {}
+  }) {
+    if (!referenceKey) {
+      throw new Error('Ledger reference key is required');
+    }
+
+    if (!account) {
+      throw new Error('Ledger counter account is required');
+    }
+
+    if (!allocate && !this.isValidAmount(amount, bonusAmount)) {
+      throw new Error('Ledger amount must be a non-zero number');
+    }
+
+    const existing = await this.getPosting(referenceKey);
+    if (existing) {
+      return this.fillBalances(existing);
+    }
+
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        result = await this.applyPosting({
+          userId,
+          currency,
+          amount,
+          bonusAmount,
+          allocate,
+          type,
+          referenceKey,
+          account,
+          description,
+          transactionId,
+          transactionStatus,
+          transaction
+        }, session);
+      });
+    } catch (error) {
+      // A concurrent request posted the same reference key first
+      if (error.code === 11000) {
+        const duplicate = await this.getPosting(referenceKey);
+        if (duplicate) {
+          return this.fillBalances(duplicate);
+        }
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return result;
+  }
+
+  /**
+   * Write a posting inside an open MongoDB session
+   * @param {Object} posting - Posting data
+   * @param {Object} session - MongoDB session
+   * @returns {Object} Posting result
+   */
+  static async applyPosting(posting, session) {
+    const { userId, currency, type, referenceKey, account } = posting;
+    let { amount, bonusAmount } = posting;
+
+    if (posting.allocate) {
+      const current = await User.findById(userId).select('wallet.balance wallet.bonusBalance').session(session);
+      if (!current) {
+        throw new Error('User not found');
+      }
+
+      ({ amount, bonusAmount } = posting.allocate(this.readBalances(current, currency)));
+      if (!this.isValidAmount(amount, bonusAmount)) {
+        throw new Error('Ledger amount must be a non-zero number');
+      }
+    }
+
+    const legs = { cash: amount, bonus: bonusAmount };
+    const filter = { _id: userId };
+    const increments = {};
+
+    Object.entries(legs).forEach(([balance, legAmount]) => {
+      if (legAmount === 0) return;
+
+      const path = `wallet.${BALANCES[balance].field}.${currency}`;
+      increments[path] = legAmount;
+      if (legAmount < 0) {
+        filter[path] = { $gte: -legAmount };
+      }
+    });
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: increments },
+      { new: true, session }
+    );
+
+    if (!user) {
+      const exists = await User.exists({ _id: userId }).session(session);
+      throw new Error(exists ? 'Insufficient balance' : 'User not found');
+    }
+
+    const balances = this.readBalances(user, currency);
+    const total = amount + bonusAmount;
+    let transactionId = posting.transactionId;
+
+    if (transactionId) {
+      const update = { referenceKey };
+      if (posting.transactionStatus) {
+        update.status = posting.transactionStatus;
+        update.processedAt = new Date();
+      }
+      await Transaction.updateOne({ _id: transactionId }, { $set: update }, { session });
+    } else {
+      // Transfers between sub-balances record the amount moved
+      const recorded = Math.abs(total) > 0 ? Math.abs(total) : Math.abs(amount);
+      const [created] = await Transaction.create([{
+        ...posting.transaction,
+        userId,
+        type,
+        amount: recorded,
+        netAmount: recorded,
+        currency,
+        status: 'completed',
+        referenceKey,
+        description: posting.description,
+        processedAt: new Date()
+      }], { session });
+      transactionId = created._id;
+    }
+
+    const entries = Object.entries(legs)
+      .filter(([, legAmount]) => legAmount !== 0)
+      .map(([balance, legAmount]) => ({
+        referenceKey,
+        account: this.userAccount(userId, balance),
+        userId,
+        currency,
+        amount: legAmount,
+        balanceAfter: balances[balance],
+        type,
+        transactionId,
+        description: posting.description
+      }));
+
+    if (total !== 0) {
+      entries.push({
+        referenceKey,
+        account,
+        currency,
+        amount: -total,
+        type,
+        transactionId,
+        description: posting.description
+      });
+    }
+
+    const written = await LedgerEntry.insertMany(entries, { session });
+
+    return {
+      ...this.formatPosting(written, false),
+      balance: balances.cash,
+      bonusBalance: balances.bonus
+    };
+  }
+
+  /**
+   * Check that a posting moves funds
+   * @param {number} amount - Signed cash amount
+   * @param {number} bonusAmount - Signed bonus amount
+   * @returns {boolean} True if valid
+   */
+  static isValidAmount(amount, bonusAmount) {
+    return Number.isFinite(amount) && Number.isFinite(bonusAmount) &&
+      (amount !== 0 || bonusAmount !== 0);
+  }
+
+  /**
+   * Get a previously written posting
+   * @param {string} referenceKey - Idempotency key
+   * @returns {Object|null} Posting result
+   */
+  static async getPosting(referenceKey) {
+    const entries = await LedgerEntry.find({ referenceKey });
+    return entries.length > 0 ? this.formatPosting(entries, true) : null;
+  }
+
+  /**
+   * Shape the entries of a posting into a result. Balances of sub-balances
+   * the posting did not touch are null.
+   * @param {Array} entries - Ledger entries
+   * @param {boolean} duplicate - Whether the posting already existed
+   * @returns {Object} Posting result
+   */
+  static formatPosting(entries, duplicate) {
+    const userEntries = entries.filter(entry => entry.userId);
+    const [first] = userEntries;
+    const leg = balance => userEntries.find(entry => entry.account === this.userAccount(entry.userId, balance));
+
+    const cashEntry = leg('cash');
+    const bonusEntry = leg('bonus');
+    const cashAmount = cashEntry ? cashEntry.amount : 0;
+    const bonusAmount = bonusEntry ? bonusEntry.amount : 0;
+
+    return {
+      referenceKey: first.referenceKey,
+      transactionId: first.transactionId,
+      userId: first.userId,
+      currency: first.currency,
+      amount: cashAmount + bonusAmount,
+      cashAmount,
+      bonusAmount,
+      balance: cashEntry ? cashEntry.balanceAfter : null,
+      bonusBalance: bonusEntry ? bonusEntry.balanceAfter : null,
+      duplicate,
+      entries
+    };
+  }
+
+  /**
+   * Fill in the sub-balances a replayed posting did not touch from the wallet
+   * @param {Object} posting - Posting result
+   * @returns {Object} Posting result
+   */
+  static async fillBalances(posting) {
+    if (posting.balance !== null && posting.bonusBalance !== null) {
+      return posting;
+    }
+
+    const user = await User.findById(posting.userId).select('wallet.balance wallet.bonusBalance');
+    const balances = user ? this.readBalances(user, posting.currency) : { cash: 0, bonus: 0 };
+
+    return {
+      ...posting,
+      balance: posting.balance !== null ? posting.balance : balances.cash,
+      bonusBalance: posting.bonusBalance !== null ? posting.bonusBalance : balances.bonus
+    };
+  }
+
+  /**
+   * Reverse an earlier posting against the same counter account
+   * @param {string} originalReferenceKey - Reference key of the posting to reverse
+   * @param {Object} options - Posting options for the reversal
+   * @returns {Object} Posting result
+   */
+  static async reverse(originalReferenceKey, options) {
+    const original = await this.getPosting(originalReferenceKey);
+    if (!original) {
+      throw new Error('Ledger posting not found');
+    }
+
+    const counterEntry = original.entries.find(entry => !entry.userId);
+
+    return this.post({
+      ...options,
+      userId: original.userId,
+      currency: original.currency,
+      amount: -original.cashAmount,
+      bonusAmount: -original.bonusAmount,
+      account: counterEntry ? counterEntry.account : options.account
+    });
+  }
+
+  /**
+   * Get a user's ledger entries
+   * @param {string} userId - User ID
+   * @param {Object} options - Filters
+   * @returns {Array} Ledger entries, newest first
+   */
+  static async getEntries(userId, { currency = null, limit = 50, skip = 0 } = {}) {
+    const query = { account: { $in: Object.keys(BALANCES).map(balance => this.userAccount(userId, balance)) } };
+    if (currency) {
+      query.currency = currency;
+    }
+
+    return LedgerEntry.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+  }
+
+  /**
+   * Sum a user's entries per sub-balance and currency
+   * @param {string} userId - User ID
+   * @param {Object} session - Optional MongoDB session
+   * @returns {Object} Ledger balance per currency, by sub-balance
+   */
+  static async getLedgerBalances(userId, session = null) {
+    const accounts = Object.keys(BALANCES).map(balance => this.userAccount(userId, balance));
+    const totals = await LedgerEntry.aggregate([
+      { $match: { account: { $in: accounts } } },
+      { $group: { _id: { account: '$account', currency: '$currency' }, total: { $sum: '$amount' } } }
+    ]).session(session);
+
+    return Object.keys(BALANCES).reduce((balances, balance) => {
+      const account = this.userAccount(userId, balance);
+      balances[balance] = totals
+        .filter(item => item._id.account === account)
+        .reduce((byCurrency, item) => {
+          byCurrency[item._id.currency] = item.total;
+          return byCurrency;
+        }, {});
+      return balances;
+    }, {});
+  }
+
+  /**
+   * Compare a user's wallet against the balances rebuilt from their entries
+   * @param {string} userId - User ID
+   * @param {Object} session - Optional MongoDB session
+   * @returns {Object} Reconciliation report, cash balances first
+   */
+  static async reconcile(userId, session = null) {
+    const user = await User.findById(userId).select('wallet.balance wallet.bonusBalance').session(session);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const ledgerBalances = await this.getLedgerBalances(userId, session);
+    const wallet = user.toObject().wallet;
+
+    const balances = Object.entries(BALANCES).flatMap(([balanceType, { field }]) => {
+      const walletBalances = wallet[field] || {};
+      const ledgerTotals = ledgerBalances[balanceType];
+      const currencies = new Set([...Object.keys(walletBalances), ...Object.keys(ledgerTotals)]);
+
+      return [...currencies].map(currency => {
+        const walletBalance = walletBalances[currency] || 0;
+        const ledgerBalance = ledgerTotals[currency] || 0;
+        const difference = walletBalance - ledgerBalance;
+
+        return {
+          currency,
+          balanceType,
+          walletBalance,
+          ledgerBalance,
+          difference,
+          balanced: Math.abs(difference) < BALANCE_EPSILON
+        };
+      });
+    });
+
+    return {
+      userId,
+      balanced: balances.every(balance => balance.balanced),
+      balances
+    };
+  }
+
+  /**
+   * Overwrite a user's wallet with the balances rebuilt from their entries
+   * @param {string} userId - User ID
+   * @returns {Object} Reconciliation report before the rebuild
+   */
+  static async rebuildBalance(userId) {
+    const session = await mongoose.startSession();
+    let report;
+
+    try {
+      await session.withTransaction(async () => {
+        report = await this.reconcile(userId, session);
+
+        const update = {};
+        report.balances.forEach(({ currency, balanceType, ledgerBalance }) => {
+          update[`wallet.${BALANCES[balanceType].field}.${currency}`] = ledgerBalance;
+        });
+
+        await User.updateOne({ _id: userId }, { $set: update }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return report;
+  }
+}
+
+Ledger.ACCOUNTS = ACCOUNTS;
+Ledger.BALANCES = Object.keys(BALANCES);
+
+module.exports = Ledger;
@@ -4,20 +4,25 @@ const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const WalletAddress = require('../models/WalletAddress');
 const { SecurityMonitor } = require('../utils/securityMonitor');
+const { getCurrency, getCurrencyCodes } = require('../config/currencies');
+const ExchangeRates = require('./rates/exchangeRates');
+const DepositWatcher = require('./chain/depositWatcher');
+const WithdrawalManager = require('./withdrawalManager');
+const JurisdictionRules = require('../utils/compliance/jurisdictionRules');
+const ResponsibleGaming = require('../utils/compliance/responsibleGaming');
 
 class PaymentManager {
   constructor() {
     this.cryptoProcessor = new CryptocurrencyProcessor({
-      masterSeed: process.env.CRYPTO_MASTER_SEED || 'default-seed-change-in-production',
-      encryptionKey: process.env.CRYPTO_ENCRYPTION_KEY || 'default-key-change-in-production',
-      serviceFeeRates: {
-        BTC: 0.001,
-        ETH: 0.001,
-        USDT: 0.001,
-        LTC: 0.001,
-        BCH: 0.001,
-        DOGE: 0.001
-      }
+      // Account-level extended public keys; the seed never reaches this server
+      extendedKeys: {
+        bitcoin: process.env.BTC_XPUB,
+        ethereum: process.env.ETH_XPUB,
+        litecoin: process.env.LTC_XPUB
+      },
+      serviceFeeRates: Object.fromEntries(
+        getCurrencyCodes('crypto').map(code => [code, getCurrency(code).serviceFeeRate])
+      )
     });
 
     this.fiatProcessor = new FiatPaymentProcessor({
@@ -42,6 +47,15 @@ class PaymentManager {
       ...this.cryptoProcessor.getSupportedCurrencies(),
       ...this.fiatProcessor.getSupportedCurrencies()
     ];
+
+    // Crypto deposits are found by polling chain nodes
+    this.depositWatcher = new DepositWatcher({ processor: this.cryptoProcessor });
+
+    // Withdrawals go through risk checks and, when needed, admin review
+    this.withdrawals = new WithdrawalManager({
+      crypto: this.cryptoProcessor,
+      fiat: this.fiatProcessor
+    });
   }
 
   /**
@@ -63,6 +77,16 @@ class PaymentManager {
         throw new Error('Account is not active');
       }
 
+      await JurisdictionRules.assertCanDeposit(user);
+      await ResponsibleGaming.assertNotSelfExcluded(user);
+
+      // Crypto payments cannot be refused once sent, so no address is handed
+      // out while a deposit limit is used up
+      const exhausted = await ResponsibleGaming.getExhaustedDepositLimit(user);
+      if (exhausted) {
+        throw new Error(exhausted.reason);
+      }
+
       // Check if currency is cryptocurrency
       if (this.cryptoProcessor.getSupportedCurrencies().includes(currency)) {
         return await this.generateCryptoDeposit(userId, currency);
@@ -165,6 +189,8 @@ class PaymentManager {
       return {
         type: 'fiat',
         currency,
+        name: getCurrency(currency).name,
+        decimals: getCurrency(currency).decimals,
         method,
         limits: {
           minimum: this.fiatProcessor.getMinimumDeposit(currency),
@@ -191,8 +217,21 @@ class PaymentManager {
 
       // Route to appropriate processor
       if (this.cryptoProcessor.getSupportedCurrencies().includes(currency)) {
-        return await this.cryptoProcessor.processDeposit(depositData);
+        throw new Error('Crypto deposits are credited automatically once confirmed on chain');
       } else if (this.fiatProcessor.getSupportedCurrencies().includes(currency)) {
+        const user = await User.findById(depositData.userId);
+        if (!user) {
+          throw new Error('User not found');
+        }
+        await JurisdictionRules.assertCanDeposit(user);
+        await ResponsibleGaming.assertNotSelfExcluded(user);
+
+        // Crypto deposits over a limit are held by the deposit watcher instead
+        const limitCheck = await ResponsibleGaming.checkDepositLimit(user._id, depositData.amount, currency);
+        if (!limitCheck.allowed) {
+          throw new Error(limitCheck.reason);
+        }
+
         return await this.fiatProcessor.processDeposit(depositData);
       } else {
         throw new Error(`Currency ${currency} not supported`);
@@ -213,12 +252,14 @@ class PaymentManager {
     try {
       const { currency, userId, amount } = withdrawalData;
 
-      // Check user balance
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('User not found');
       }
 
+      await JurisdictionRules.assertCanWithdraw(user);
+
+      // Check user balance
       const balance = user.wallet.balance[currency] || 0;
       if (balance < amount) {
         throw new Error('Insufficient balance');
@@ -239,19 +280,21 @@ class PaymentManager {
         }
       });
 
-      // Route to appropriate processor
-      if (this.cryptoProcessor.getSupportedCurrencies().includes(currency)) {
-        return await this.cryptoProcessor.processWithdrawal(
-          userId,
-          withdrawalData.toAddress,
-          amount,
-          currency
-        );
-      } else if (this.fiatProcessor.getSupportedCurrencies().includes(currency)) {
-        return await this.fiatProcessor.processWithdrawal(withdrawalData);
-      } else {
-        throw new Error(`Currency ${currency} not supported`);
-      }
+      // Hold the funds, forfeit any unfinished bonus and either pay out or
+      // queue for review
+      const withdrawal = await this.withdrawals.request(userId, withdrawalData);
+
+      return {
+        success: true,
+        withdrawalId: withdrawal._id,
+        transactionId: withdrawal.transactionId,
+        status: withdrawal.status,
+        amount: withdrawal.amount,
+        fees: withdrawal.fees,
+        totalAmount: withdrawal.totalAmount,
+        txHash: withdrawal.txHash,
+        failureReason: withdrawal.failureReason
+      };
 
     } catch (error) {
       console.error('Error processing withdrawal:', error);
@@ -271,11 +314,12 @@ class PaymentManager {
         throw new Error('User not found');
       }
 
-      // Get wallet addresses
-      const addresses = await WalletAddress.find({
+      // Deposit addresses are withheld while a deposit limit is used up
+      const depositLimit = await ResponsibleGaming.getExhaustedDepositLimit(user);
+      const addresses = depositLimit ? [] : await WalletAddress.find({
         userId,
         status: 'active'
-      }).select('-privateKey');
+      });
 
       // Get recent transactions
       const recentTransactions = await Transaction.find({
@@ -290,6 +334,7 @@ class PaymentManager {
 
       return {
         balances: user.wallet.balance,
+        bonusBalances: user.wallet.bonusBalance,
         addresses: addresses.reduce((acc, addr) => {
           acc[addr.currency] = {
             address: addr.address,
@@ -298,6 +343,7 @@ class PaymentManager {
           };
           return acc;
         }, {}),
+        depositLimit,
         recentTransactions,
         portfolioValue,
         supportedCurrencies: this.supportedCurrencies
@@ -503,15 +549,87 @@ class PaymentManager {
    * @returns {Object} Processing result
    */
   async handleStripePaymentSuccess(paymentIntent) {
+    return this.completeProviderDeposit('stripe', paymentIntent.id, {
+      amount: paymentIntent.amount_received / 100,
+      currency: paymentIntent.currency
+    });
+  }
+
+  /**
+   * Handle failed Stripe payment
+   * @param {Object} paymentIntent - Stripe payment intent
+   * @returns {Object} Processing result
+   */
+  async handleStripePaymentFailed(paymentIntent) {
+    const error = paymentIntent.last_payment_error;
+    return this.failProviderDeposit('stripe', paymentIntent.id, error ? error.message : 'Payment failed');
+  }
+
+  /**
+   * Handle PayPal webhook
+   * @param {Object} webhookData - PayPal webhook event
+   * @returns {Object} Processing result
+   */
+  async handlePayPalWebhook(webhookData) {
+    const { event_type: type, resource } = webhookData;
+    const related = resource.supplementary_data && resource.supplementary_data.related_ids;
+    const orderId = related ? related.order_id : resource.id;
+
+    switch (type) {
+      case 'PAYMENT.CAPTURE.COMPLETED':
+        return this.completeProviderDeposit('paypal', orderId, {
+          amount: parseFloat(resource.amount.value),
+          currency: resource.amount.currency_code
+        });
+      case 'PAYMENT.CAPTURE.DENIED':
+      case 'PAYMENT.CAPTURE.DECLINED':
+        return this.failProviderDeposit('paypal', orderId, `PayPal capture ${type.split('.').pop().toLowerCase()}`);
+      default:
+        console.log(`Unhandled PayPal webhook type: ${type}`);
+        return { status: 'ignored' };
+    }
+  }
+
+  /**
+   * Handle Skrill status notification
+   * @param {Object} webhookData - Skrill status fields
+   * @returns {Object} Processing result
+   */
+  async handleSkrillWebhook(webhookData) {
+    const { transaction_id: transactionId, status } = webhookData;
+
+    // 2 processed, 0 pending, -1 cancelled, -2 failed, -3 chargeback
+    switch (String(status)) {
+      case '2':
+        return this.completeProviderDeposit('skrill', transactionId, {
+          amount: parseFloat(webhookData.mb_amount),
+          currency: webhookData.mb_currency
+        });
+      case '-1':
+      case '-2':
+        return this.failProviderDeposit('skrill', transactionId, `Skrill status ${status}`);
+      default:
+        return { status: 'ignored' };
+    }
+  }
+
+  /**
+   * Credit a pending fiat deposit confirmed by its provider
+   * @param {string} provider - Provider
+   * @param {string} providerTransactionId - Provider payment ID
+   * @param {Object} received - { amount, currency } reported by the provider
+   * @returns {Object} Processing result
+   */
+  async completeProviderDeposit(provider, providerTransactionId, received) {
     try {
-      // Find transaction by provider transaction ID
       const transaction = await Transaction.findOne({
-        'metadata.providerTransactionId': paymentIntent.id,
+        'metadata.provider': provider,
+        'metadata.providerTransactionId': providerTransactionId,
         type: 'deposit'
       });
 
       if (!transaction) {
-        console.error('Transaction not found for Stripe payment:', paymentIntent.id);
+        console.error(`Transaction not found for ${provider} payment:`, providerTransactionId);
         return { status: 'error', message: 'Transaction not found' };
       }
 
@@ -519,15 +637,22 @@ class PaymentManager {
         return { status: 'already_processed' };
       }
 
-      // Update transaction status
-      transaction.status = 'completed';
-      await transaction.save();
+      if (received.currency.toUpperCase() !== transaction.currency || received.amount < transaction.amount) {
+        await transaction.markFailed(`Provider reported ${received.amount} ${received.currency}`);
+        return { status: 'error', message: 'Amount mismatch' };
+      }
 
-      // Credit user balance
+      // Credit user balance and complete the transaction in one ledger posting;
+      // the reference matches the one used when the deposit was submitted
       await this.fiatProcessor.creditUserBalance(
         transaction.userId,
         transaction.amount,
-        transaction.currency
+        transaction.currency,
+        {
+          referenceKey: `deposit:${provider}:${providerTransactionId}`,
+          transactionId: transaction._id,
+          transactionStatus: 'completed'
+        }
       );
 
       // Log successful deposit
@@ -535,11 +660,11 @@ class PaymentManager {
         userId: transaction.userId,
         eventType: 'deposit_completed',
         severity: 'low',
-        description: `Stripe deposit completed: ${transaction.amount} ${transaction.currency}`,
+        description: `${provider} deposit completed: ${transaction.amount} ${transaction.currency}`,
         metadata: {
           additionalData: {
             transactionId: transaction._id,
-            providerTransactionId: paymentIntent.id,
+            providerTransactionId,
             amount: transaction.amount,
             currency: transaction.currency
           }
@@ -549,11 +674,46 @@ class PaymentManager {
       return { status: 'processed', transactionId: transaction._id };
 
     } catch (error) {
-      console.error('Error handling Stripe payment success:', error);
-      return { status: 'error', message: error.message };
+      console.error(`Error completing ${provider} deposit:`, error);
+      throw error;
     }
   }
 
+  /**
+   * Fail a pending fiat deposit declined by its provider
+   * @param {string} provider - Provider
+   * @param {string} providerTransactionId - Provider payment ID
+   * @param {string} reason - Failure reason
+   * @returns {Object} Processing result
+   */
+  async failProviderDeposit(provider, providerTransactionId, reason) {
+    const transaction = await Transaction.findOneAndUpdate(
+      {
+        'metadata.provider': provider,
+        'metadata.providerTransactionId': providerTransactionId,
+        type: 'deposit',
+        status: 'pending'
+      },
+      { $set: { status: 'failed', processedAt: new Date(), 'metadata.notes': reason } },
+      { new: true }
+    );
+
+    return transaction
+      ? { status: 'failed', transactionId: transaction._id }
+      : { status: 'ignored' };
+  }
+
+  /**
+   * Handle a blockchain notification. The payload is not trusted: it only
+   * triggers an early scan of the configured nodes, which credit deposits
+   * themselves.
+   * @returns {Object} Scan summary
+   */
+  async handleBlockchainWebhook() {
+    const networks = await this.depositWatcher.poll();
+    return { status: 'scanned', networks };
+  }
+
   /**
    * Calculate portfolio value in USD
    * @param {Object} balances - User balances
@@ -561,31 +721,7 @@ class PaymentManager {
    */
   async calculatePortfolioValue(balances) {
     try {
-      // This is a simplified implementation
-      // In production, integrate with real-time price APIs like CoinGecko, CoinMarketCap
-      
-      const prices = {
-        BTC: 45000,
-        ETH: 3000,
-        USDT: 1,
-        LTC: 150,
-        BCH: 400,
-        DOGE: 0.08,
-        USD: 1,
-        EUR: 1.1,
-        GBP: 1.3,
-        CAD: 0.8,
-        AUD: 0.7
-      };
-
-      let totalValue = 0;
-      
-      for (const [currency, balance] of Object.entries(balances)) {
-        const price = prices[currency] || 0;
-        totalValue += balance * price;
-      }
-
-      return totalValue;
+      return await ExchangeRates.sumInUSD({ ...balances });
 
     } catch (error) {
       console.error('Error calculating portfolio value:', error);
@@ -634,12 +770,16 @@ class PaymentManager {
     if (this.cryptoProcessor.getSupportedCurrencies().includes(currency)) {
       return {
         type: 'cryptocurrency',
+        name: getCurrency(currency).name,
+        decimals: getCurrency(currency).decimals,
         ...this.cryptoProcessor.getCurrencyInfo(currency)
       };
     } else if (this.fiatProcessor.getSupportedCurrencies().includes(currency)) {
       return {
         type: 'fiat',
         currency,
+        name: getCurrency(currency).name,
+        decimals: getCurrency(currency).decimals,
         minDeposit: this.fiatProcessor.getMinimumDeposit(currency),
         maxDeposit: this.fiatProcessor.getMaximumDeposit(currency),
         minWithdrawal: this.fiatProcessor.getMinimumWithdrawal(currency),
@@ -1,26 +1,22 @@
 const crypto = require('crypto');
 const axios = require('axios');
+const { getCurrency, getCurrencyCodes, getCurrencyLimit } = require('../../config/currencies');
+const HDWallet = require('../wallets/hdWallet');
+const { SecurityMonitor } = require('../../utils/securityMonitor');
+
+// Attempts at claiming a fresh address index before giving up
+const MAX_INDEX_ATTEMPTS = 5;
 
 class CryptocurrencyProcessor {
   constructor(config) {
     this.config = config;
-    this.supportedCurrencies = ['BTC', 'ETH', 'USDT', 'LTC', 'BCH', 'DOGE'];
-    this.networks = {
-      BTC: 'bitcoin',
-      ETH: 'ethereum',
-      USDT: 'ethereum', // ERC-20
-      LTC: 'litecoin',
-      BCH: 'bitcoin-cash',
-      DOGE: 'dogecoin'
-    };
-    this.confirmationsRequired = {
-      BTC: 3,
-      ETH: 12,
-      USDT: 12,
-      LTC: 6,
-      BCH: 6,
-      DOGE: 6
-    };
+    this.supportedCurrencies = getCurrencyCodes('crypto');
+    this.networks = Object.fromEntries(
+      this.supportedCurrencies.map(code => [code, getCurrency(code).network])
+    );
+    this.confirmationsRequired = Object.fromEntries(
+      this.supportedCurrencies.map(code => [code, getCurrency(code).confirmations])
+    );
   }
 
   /**
@@ -35,32 +31,13 @@ class CryptocurrencyProcessor {
         throw new Error(`Currency ${currency} not supported`);
       }
 
-      // Generate unique address using deterministic wallet
-      const addressData = await this.createAddress(userId, currency);
-      
-      // Store address in database
-      const WalletAddress = require('../../models/WalletAddress');
-      
-      const walletAddress = new WalletAddress({
-        userId,
-        currency,
-        address: addressData.address,
-        privateKey: this.encryptPrivateKey(addressData.privateKey),
-        network: this.networks[currency],
-        status: 'active',
-        metadata: {
-          derivationPath: addressData.derivationPath,
-          publicKey: addressData.publicKey
-        }
-      });
-
-      await walletAddress.save();
+      const walletAddress = await this.createAddress(userId, currency);
 
       return {
-        address: addressData.address,
+        address: walletAddress.address,
         currency,
         network: this.networks[currency],
-        qrCode: this.generateQRCode(addressData.address, currency),
+        qrCode: this.generateQRCode(walletAddress.address, currency),
         confirmationsRequired: this.confirmationsRequired[currency]
       };
 
@@ -71,246 +48,89 @@ class CryptocurrencyProcessor {
   }
 
   /**
-   * Create cryptocurrency address
+   * Derive the next address on the network's HD account and store it.
+   * Indexes are allocated sequentially per network; a concurrent request
+   * that took the same index makes this one retry with the next.
    * @param {string} userId - User ID
    * @param {string} currency - Currency
-   * @returns {Object} Address data
+   * @returns {Object} WalletAddress document
    */
   async createAddress(userId, currency) {
-    // This is a simplified implementation
-    // In production, use proper HD wallet libraries like bitcoinjs-lib, ethers.js
-    
-    const seed = crypto.createHash('sha256')
-      .update(`${this.config.masterSeed}:${userId}:${currency}`)
-      .digest();
-
-    // Generate address based on currency
-    switch (currency) {
-      case 'BTC':
-        return this.generateBitcoinAddress(seed, userId);
-      case 'ETH':
-      case 'USDT':
-        return this.generateEthereumAddress(seed, userId);
-      case 'LTC':
-        return this.generateLitecoinAddress(seed, userId);
-      default:
-        throw new Error(`Address generation not implemented for ${currency}`);
-    }
-  }
-
-  /**
-   * Generate Bitcoin address (simplified)
-   * @param {Buffer} seed - Seed
-   * @param {string} userId - User ID
-   * @returns {Object} Bitcoin address data
-   */
-  generateBitcoinAddress(seed, userId) {
-    // Simplified Bitcoin address generation
-    // In production, use bitcoinjs-lib or similar
-    const hash = crypto.createHash('sha256').update(seed).digest('hex');
-    const address = `bc1q${hash.substring(0, 40)}`; // Simplified bech32
-    
-    return {
-      address,
-      privateKey: hash,
-      publicKey: crypto.createHash('sha256').update(hash).digest('hex'),
-      derivationPath: `m/44'/0'/0'/0/${userId}`
-    };
-  }
-
-  /**
-   * Generate Ethereum address (simplified)
-   * @param {Buffer} seed - Seed
-   * @param {string} userId - User ID
-   * @returns {Object} Ethereum address data
-   */
-  generateEthereumAddress(seed, userId) {
-    // Simplified Ethereum address generation
-    // In production, use ethers.js or web3.js
-    const hash = crypto.createHash('sha256').update(seed).digest('hex');
-    const address = `0x${hash.substring(0, 40)}`; // Simplified Ethereum address
-    
-    return {
-      address,
-      privateKey: hash,
-      publicKey: crypto.createHash('sha256').update(hash).digest('hex'),
-      derivationPath: `m/44'/60'/0'/0/${userId}`
-    };
-  }
+    const WalletAddress = require('../../models/WalletAddress');
+    const network = this.networks[currency];
+    const extendedKey = this.config.extendedKeys[network];
 
-  /**
-   * Generate Litecoin address (simplified)
-   * @param {Buffer} seed - Seed
-   * @param {string} userId - User ID
-   * @returns {Object} Litecoin address data
-   */
-  generateLitecoinAddress(seed, userId) {
-    // Simplified Litecoin address generation
-    const hash = crypto.createHash('sha256').update(seed).digest('hex');
-    const address = `ltc1q${hash.substring(0, 40)}`; // Simplified bech32
-    
-    return {
-      address,
-      privateKey: hash,
-      publicKey: crypto.createHash('sha256').update(hash).digest('hex'),
-      derivationPath: `m/44'/2'/0'/0/${userId}`
-    };
-  }
-
-  /**
-   * Process cryptocurrency deposit
-   * @param {Object} depositData - Deposit transaction data
-   * @returns {Object} Processing result
-   */
-  async processDeposit(depositData) {
-    try {
-      const {
-        txHash,
-        address,
-        amount,
-        currency,
-        confirmations,
-        blockHeight
-      } = depositData;
-
-      // Find wallet address
-      const WalletAddress = require('../../models/WalletAddress');
-      const walletAddress = await WalletAddress.findOne({ address, currency });
-      
-      if (!walletAddress) {
-        throw new Error('Wallet address not found');
-      }
-
-      // Check if transaction already processed
-      const Transaction = require('../../models/Transaction');
-      const existingTx = await Transaction.findOne({
-        'metadata.txHash': txHash,
-        type: 'deposit'
-      });
-
-      if (existingTx) {
-        return { status: 'already_processed', transaction: existingTx };
-      }
+    if (!HDWallet.isSupportedNetwork(network)) {
+      throw new Error(`Address generation not implemented for ${currency}`);
+    }
 
-      // Verify transaction on blockchain
-      const isValid = await this.verifyTransaction(txHash, address, amount, currency);
-      if (!isValid) {
-        throw new Error('Transaction verification failed');
-      }
+    if (!extendedKey) {
+      throw new Error(`No extended public key configured for ${network}`);
+    }
 
-      // Check confirmations
-      const requiredConfirmations = this.confirmationsRequired[currency];
-      const status = confirmations >= requiredConfirmations ? 'confirmed' : 'pending';
+    for (let attempt = 0; attempt < MAX_INDEX_ATTEMPTS; attempt++) {
+      const index = await WalletAddress.getNextDerivationIndex(network);
+      const addressData = HDWallet.deriveAddress(extendedKey, index, network);
 
-      // Create transaction record
-      const transaction = new Transaction({
-        userId: walletAddress.userId,
-        type: 'deposit',
-        amount,
-        currency,
-        status,
-        metadata: {
-          txHash,
-          address,
-          confirmations,
-          blockHeight,
-          requiredConfirmations,
-          network: this.networks[currency]
+      try {
+        return await WalletAddress.create({
+          userId,
+          currency,
+          address: addressData.address,
+          network,
+          status: 'active',
+          metadata: {
+            derivationPath: addressData.derivationPath,
+            derivationIndex: addressData.derivationIndex,
+            publicKey: addressData.publicKey,
+            addressType: addressData.addressType
+          }
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
         }
-      });
-
-      await transaction.save();
-
-      // Credit user balance if confirmed
-      if (status === 'confirmed') {
-        await this.creditUserBalance(walletAddress.userId, amount, currency);
-        
-        // Update transaction status
-        transaction.status = 'completed';
-        await transaction.save();
       }
-
-      return {
-        status: 'processed',
-        transaction,
-        credited: status === 'confirmed'
-      };
-
-    } catch (error) {
-      console.error('Error processing deposit:', error);
-      throw error;
     }
+
+    throw new Error(`Could not allocate a ${network} address index`);
   }
 
   /**
-   * Process cryptocurrency withdrawal
+   * Validate a cryptocurrency withdrawal and work out its fees
    * @param {string} userId - User ID
-   * @param {string} toAddress - Destination address
-   * @param {number} amount - Amount to withdraw
-   * @param {string} currency - Currency
-   * @returns {Object} Withdrawal result
+   * @param {Object} withdrawalData - { toAddress, amount, currency }
+   * @returns {Object} Withdrawal details for the withdrawal pipeline
    */
-  async processWithdrawal(userId, toAddress, amount, currency) {
-    try {
-      // Validate withdrawal
-      await this.validateWithdrawal(userId, toAddress, amount, currency);
+  async prepareWithdrawal(userId, { toAddress, amount, currency }) {
+    await this.validateWithdrawal(userId, toAddress, amount, currency);
 
-      // Calculate fees
-      const fees = await this.calculateWithdrawalFees(amount, currency);
-      const totalAmount = amount + fees.networkFee + fees.serviceFee;
+    const fees = await this.calculateWithdrawalFees(amount, currency);
 
-      // Check user balance
-      const User = require('../../models/User');
-      const user = await User.findById(userId);
-      const balance = user.wallet.balance[currency] || 0;
-
-      if (balance < totalAmount) {
-        throw new Error('Insufficient balance');
-      }
-
-      // Create withdrawal transaction
-      const Transaction = require('../../models/Transaction');
-      const transaction = new Transaction({
-        userId,
-        type: 'withdrawal',
-        amount: totalAmount,
-        currency,
-        status: 'pending',
-        metadata: {
-          toAddress,
-          withdrawalAmount: amount,
-          networkFee: fees.networkFee,
-          serviceFee: fees.serviceFee,
-          network: this.networks[currency]
-        }
-      });
-
-      await transaction.save();
-
-      // Deduct from user balance
-      await this.debitUserBalance(userId, totalAmount, currency);
-
-      // Submit to blockchain (simplified)
-      const txHash = await this.submitWithdrawal(toAddress, amount, currency);
-
-      // Update transaction with tx hash
-      transaction.metadata.txHash = txHash;
-      transaction.status = 'submitted';
-      await transaction.save();
-
-      return {
-        success: true,
-        transactionId: transaction._id,
-        txHash,
-        amount,
-        fees,
-        estimatedConfirmationTime: this.getEstimatedConfirmationTime(currency)
-      };
+    return {
+      kind: 'crypto',
+      amount,
+      fees: fees.total,
+      totalAmount: amount + fees.total,
+      destination: { address: toAddress },
+      destinationKey: `${this.networks[currency]}:${toAddress}`,
+      estimatedTime: this.getEstimatedConfirmationTime(currency)
+    };
+  }
 
-    } catch (error) {
-      console.error('Error processing withdrawal:', error);
-      throw error;
-    }
+  /**
+   * Send an approved withdrawal to the blockchain
+   * @param {Object} withdrawal - Withdrawal document
+   * @returns {Object} { txHash }
+   */
+  async broadcastWithdrawal(withdrawal) {
+    const txHash = await this.submitWithdrawal(
+      withdrawal.destination.address,
+      withdrawal.amount,
+      withdrawal.currency
+    );
+
+    return { txHash };
   }
 
   /**
@@ -342,7 +162,7 @@ class CryptocurrencyProcessor {
     const User = require('../../models/User');
     const user = await User.findById(userId);
     
-    if (user.kyc.status !== 'approved' && amount > 100) { // $100 limit for unverified
+    if (user.kyc.status !== 'verified' && amount > 100) { // $100 limit for unverified
       throw new Error('KYC verification required for large withdrawals');
     }
 
@@ -403,57 +223,97 @@ class CryptocurrencyProcessor {
   }
 
   /**
-   * Verify transaction on blockchain
-   * @param {string} txHash - Transaction hash
-   * @param {string} address - Address
+   * Credit user balance through the ledger and apply any deposit bonus
+   * @param {string} userId - User ID
    * @param {number} amount - Amount
    * @param {string} currency - Currency
-   * @returns {boolean} Verification result
+   * @param {Object} options - Ledger posting options (referenceKey required)
+   * @returns {Object} Ledger posting
    */
-  async verifyTransaction(txHash, address, amount, currency) {
-    try {
-      // This is a simplified implementation
-      // In production, query actual blockchain APIs
-      
-      // Simulate blockchain verification
-      console.log(`Verifying transaction ${txHash} for ${amount} ${currency} to ${address}`);
-      
-      // In production, use blockchain explorers or node APIs:
-      // - Bitcoin: BlockCypher, Blockstream API
-      // - Ethereum: Etherscan, Infura, Alchemy
-      // - Multi-chain: Moralis, CovalentHQ
-      
-      return true; // Simplified verification
+  async creditUserBalance(userId, amount, currency, options) {
+    const Ledger = require('../ledger');
+    const BonusManager = require('../bonusManager');
+    const posting = await Ledger.credit(userId, amount, currency, {
+      type: 'deposit',
+      account: Ledger.ACCOUNTS.CRYPTO,
+      ...options
+    });
 
-    } catch (error) {
-      console.error('Error verifying transaction:', error);
-      return false;
+    // Retried notifications return the original posting and must not trigger a second bonus
+    if (!posting.duplicate) {
+      await BonusManager.onDeposit(userId, amount, currency, posting.transactionId);
     }
+
+    return posting;
   }
 
   /**
-   * Credit user balance
-   * @param {string} userId - User ID
-   * @param {number} amount - Amount
-   * @param {string} currency - Currency
+   * Reverse the credit of a deposit whose block was orphaned, and forfeit any
+   * bonus it triggered. A user who already spent the funds cannot be debited;
+   * the deposit is then marked failed and flagged for review.
+   * @param {Object} deposit - Completed deposit transaction
+   * @returns {Object|null} Reversal posting, null if it could not be posted
    */
-  async creditUserBalance(userId, amount, currency) {
-    const User = require('../../models/User');
-    await User.findByIdAndUpdate(userId, {
-      $inc: { [`wallet.balance.${currency}`]: amount }
-    });
+  async reverseDeposit(deposit) {
+    const Ledger = require('../ledger');
+    const BonusManager = require('../bonusManager');
+    const Transaction = require('../../models/Transaction');
+
+    try {
+      const posting = await Ledger.reverse(deposit.referenceKey, {
+        type: 'deposit_reversal',
+        referenceKey: `deposit-reorg:${deposit.referenceKey}`,
+        description: `${deposit.currency} deposit removed by a chain reorganisation`
+      });
+
+      if (!posting.duplicate) {
+        await BonusManager.onDepositReversed(deposit._id);
+      }
+
+      return posting;
+
+    } catch (error) {
+      if (error.message !== 'Insufficient balance') {
+        throw error;
+      }
+
+      await Transaction.updateOne(
+        { _id: deposit._id },
+        { $set: { status: 'failed', 'metadata.notes': 'Orphaned by a reorg after the funds were spent' } }
+      );
+
+      await SecurityMonitor.logEvent({
+        userId: deposit.userId,
+        eventType: 'deposit_reorg',
+        severity: 'high',
+        description: `Could not reverse orphaned ${deposit.amount} ${deposit.currency} deposit`,
+        metadata: {
+          additionalData: {
+            transactionId: deposit._id,
+            txHash: deposit.metadata.txHash,
+            outputIndex: deposit.metadata.outputIndex
+          }
+        }
+      });
+
+      return null;
+    }
   }
 
   /**
-   * Debit user balance
+   * Debit user balance through the ledger
    * @param {string} userId - User ID
    * @param {number} amount - Amount
    * @param {string} currency - Currency
+   * @param {Object} options - Ledger posting options (referenceKey required)
+   * @returns {Object} Ledger posting
    */
-  async debitUserBalance(userId, amount, currency) {
-    const User = require('../../models/User');
-    await User.findByIdAndUpdate(userId, {
-      $inc: { [`wallet.balance.${currency}`]: -amount }
+  async debitUserBalance(userId, amount, currency, options) {
+    const Ledger = require('../ledger');
+    return Ledger.debit(userId, amount, currency, {
+      type: 'withdrawal',
+      account: Ledger.ACCOUNTS.CRYPTO,
+      ...options
     });
   }
 
@@ -495,30 +355,6 @@ class CryptocurrencyProcessor {
     }
   }
 
-  /**
-   * Encrypt private key
-   * @param {string} privateKey - Private key
-   * @returns {string} Encrypted private key
-   */
-  encryptPrivateKey(privateKey) {
-    const cipher = crypto.createCipher('aes-256-cbc', this.config.encryptionKey);
-    let encrypted = cipher.update(privateKey, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    return encrypted;
-  }
-
-  /**
-   * Decrypt private key
-   * @param {string} encryptedKey - Encrypted private key
-   * @returns {string} Decrypted private key
-   */
-  decryptPrivateKey(encryptedKey) {
-    const decipher = crypto.createDecipher('aes-256-cbc', this.config.encryptionKey);
-    let decrypted = decipher.update(encryptedKey, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  }
-
   /**
    * Generate QR code for address
    * @param {string} address - Cryptocurrency address
@@ -540,14 +376,9 @@ class CryptocurrencyProcessor {
   isValidAddress(address, currency) {
     // Simplified address validation
     // In production, use proper validation libraries
-    const patterns = {
-      BTC: /^(bc1|[13])[a-zA-HJ-NP-Z0-9]{25,62}$/,
-      ETH: /^0x[a-fA-F0-9]{40}$/,
-      USDT: /^0x[a-fA-F0-9]{40}$/, // ERC-20
-      LTC: /^(ltc1|[LM3])[a-zA-HJ-NP-Z0-9]{25,62}$/
-    };
+    const pattern = getCurrency(currency)?.addressPattern;
 
-    return patterns[currency]?.test(address) || false;
+    return pattern?.test(address) || false;
   }
 
   /**
@@ -558,16 +389,7 @@ class CryptocurrencyProcessor {
   async getNetworkFee(currency) {
     // Simplified fee calculation
     // In production, query real-time network fees
-    const fees = {
-      BTC: 0.0001,
-      ETH: 0.002,
-      USDT: 0.002,
-      LTC: 0.001,
-      BCH: 0.0001,
-      DOGE: 1
-    };
-
-    return fees[currency] || 0.001;
+    return getCurrency(currency)?.networkFee || 0.001;
   }
 
   /**
@@ -576,16 +398,7 @@ class CryptocurrencyProcessor {
    * @returns {number} Minimum amount
    */
   getMinimumWithdrawal(currency) {
-    const minimums = {
-      BTC: 0.001,
-      ETH: 0.01,
-      USDT: 10,
-      LTC: 0.01,
-      BCH: 0.01,
-      DOGE: 100
-    };
-
-    return minimums[currency] || 0.01;
+    return getCurrencyLimit(currency, 'minWithdrawal', 0.01);
   }
 
   /**
@@ -594,16 +407,7 @@ class CryptocurrencyProcessor {
    * @returns {number} Maximum amount
    */
   getMaximumWithdrawal(currency) {
-    const maximums = {
-      BTC: 10,
-      ETH: 100,
-      USDT: 50000,
-      LTC: 100,
-      BCH: 100,
-      DOGE: 1000000
-    };
-
-    return maximums[currency] || 1000;
+    return getCurrencyLimit(currency, 'maxWithdrawal', 1000);
   }
 
   /**
@@ -612,16 +416,7 @@ class CryptocurrencyProcessor {
    * @returns {number} Daily limit
    */
   getDailyWithdrawalLimit(currency) {
-    const limits = {
-      BTC: 5,
-      ETH: 50,
-      USDT: 25000,
-      LTC: 50,
-      BCH: 50,
-      DOGE: 500000
-    };
-
-    return limits[currency] || 500;
+    return getCurrencyLimit(currency, 'dailyWithdrawal', 500);
   }
 
   /**
@@ -630,16 +425,7 @@ class CryptocurrencyProcessor {
    * @returns {string} Estimated time
    */
   getEstimatedConfirmationTime(currency) {
-    const times = {
-      BTC: '30-60 minutes',
-      ETH: '2-5 minutes',
-      USDT: '2-5 minutes',
-      LTC: '15-30 minutes',
-      BCH: '10-20 minutes',
-      DOGE: '5-10 minutes'
-    };
-
-    return times[currency] || '10-30 minutes';
+    return getCurrency(currency)?.confirmationTime || '10-30 minutes';
   }
 
   /**
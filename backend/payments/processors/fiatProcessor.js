@@ -1,10 +1,11 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const { getCurrencyCodes, getCurrencyLimit } = require('../../config/currencies');
 
 class FiatPaymentProcessor {
   constructor(config) {
     this.config = config;
-    this.supportedCurrencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+    this.supportedCurrencies = getCurrencyCodes('fiat');
     this.supportedMethods = ['credit_card', 'debit_card', 'bank_transfer', 'e_wallet'];
     this.providers = {
       stripe: this.initializeStripe(),
@@ -120,11 +121,12 @@ class FiatPaymentProcessor {
 
       // Credit user balance if successful
       if (result.status === 'completed') {
-        await this.creditUserBalance(userId, amount, currency);
-        
-        // Update transaction status
-        transaction.status = 'completed';
-        await transaction.save();
+        // The ledger marks the transaction completed in the same write
+        await this.creditUserBalance(userId, amount, currency, {
+          referenceKey: `deposit:${provider}:${result.transactionId}`,
+          transactionId: transaction._id,
+          transactionStatus: 'completed'
+        });
       }
 
       return {
@@ -266,7 +268,7 @@ class FiatPaymentProcessor {
         transaction_id: transactionId,
         return_url: `${process.env.FRONTEND_URL}/deposit/success`,
         cancel_url: `${process.env.FRONTEND_URL}/deposit/cancel`,
-        status_url: `${process.env.BASE_URL}/api/payments/skrill/webhook`,
+        status_url: `${process.env.BASE_URL}/api/payments/webhook/skrill`,
         language: 'EN',
         amount: amount.toFixed(2),
         currency,
@@ -293,73 +295,43 @@ class FiatPaymentProcessor {
   }
 
   /**
-   * Process fiat withdrawal
-   * @param {Object} withdrawalData - Withdrawal data
-   * @returns {Object} Processing result
+   * Validate a fiat withdrawal and work out its fees
+   * @param {string} userId - User ID
+   * @param {Object} withdrawalData - { amount, currency, withdrawalMethod, accountDetails }
+   * @returns {Object} Withdrawal details for the withdrawal pipeline
    */
-  async processWithdrawal(withdrawalData) {
-    try {
-      const {
-        userId,
-        amount,
-        currency,
-        withdrawalMethod,
-        accountDetails
-      } = withdrawalData;
-
-      // Validate withdrawal
-      await this.validateWithdrawal(userId, amount, currency, withdrawalMethod);
-
-      // Calculate fees
-      const fees = this.calculateWithdrawalFees(amount, currency, withdrawalMethod);
-      const totalAmount = amount + fees;
-
-      // Check user balance
-      const User = require('../../models/User');
-      const user = await User.findById(userId);
-      const balance = user.wallet.balance[currency] || 0;
-
-      if (balance < totalAmount) {
-        throw new Error('Insufficient balance');
-      }
-
-      // Create withdrawal transaction
-      const Transaction = require('../../models/Transaction');
-      const transaction = new Transaction({
-        userId,
-        type: 'withdrawal',
-        amount: totalAmount,
-        currency,
-        status: 'pending',
-        metadata: {
-          withdrawalAmount: amount,
-          fees,
-          withdrawalMethod,
-          accountDetails: this.encryptAccountDetails(accountDetails)
-        }
-      });
+  async prepareWithdrawal(userId, { amount, currency, withdrawalMethod, accountDetails }) {
+    await this.validateWithdrawal(userId, amount, currency, withdrawalMethod);
 
-      await transaction.save();
-
-      // Deduct from user balance
-      await this.debitUserBalance(userId, totalAmount, currency);
+    const fees = this.calculateWithdrawalFees(amount, currency, withdrawalMethod);
+    // Account details are stored encrypted; the hash recognises repeat destinations
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify(accountDetails || {}))
+      .digest('hex');
 
-      // Process withdrawal (manual review for fiat)
-      // In production, integrate with banking APIs or manual approval system
-
-      return {
-        success: true,
-        transactionId: transaction._id,
-        amount,
-        fees,
-        status: 'pending_review',
-        estimatedProcessingTime: this.getEstimatedProcessingTime(withdrawalMethod)
-      };
+    return {
+      kind: 'fiat',
+      amount,
+      fees,
+      totalAmount: amount + fees,
+      destination: {
+        method: withdrawalMethod,
+        accountDetails: this.encryptAccountDetails(accountDetails)
+      },
+      destinationKey: `${withdrawalMethod}:${fingerprint}`,
+      estimatedTime: this.getEstimatedProcessingTime(withdrawalMethod)
+    };
+  }
 
-    } catch (error) {
-      console.error('Error processing fiat withdrawal:', error);
-      throw error;
-    }
+  /**
+   * Hand an approved withdrawal to the payout provider
+   * @param {Object} withdrawal - Withdrawal document
+   * @returns {Object} { payoutReference }
+   */
+  async broadcastWithdrawal(withdrawal) {
+    // Bank and e-wallet payouts are settled by the finance team; the
+    // reference ties the payout back to the withdrawal
+    return { payoutReference: `PO-${withdrawal._id}` };
   }
 
   /**
@@ -415,7 +387,7 @@ class FiatPaymentProcessor {
     const User = require('../../models/User');
     const user = await User.findById(userId);
     
-    if (user.kyc.status !== 'approved') {
+    if (user.kyc.status !== 'verified') {
       throw new Error('KYC verification required for fiat withdrawals');
     }
 
@@ -634,28 +606,44 @@ class FiatPaymentProcessor {
   }
 
   /**
-   * Credit user balance
+   * Credit user balance through the ledger and apply any deposit bonus
    * @param {string} userId - User ID
    * @param {number} amount - Amount
    * @param {string} currency - Currency
+   * @param {Object} options - Ledger posting options (referenceKey required)
+   * @returns {Object} Ledger posting
    */
-  async creditUserBalance(userId, amount, currency) {
-    const User = require('../../models/User');
-    await User.findByIdAndUpdate(userId, {
-      $inc: { [`wallet.balance.${currency}`]: amount }
+  async creditUserBalance(userId, amount, currency, options) {
+    const Ledger = require('../ledger');
+    const BonusManager = require('../bonusManager');
+    const posting = await Ledger.credit(userId, amount, currency, {
+      type: 'deposit',
+      account: Ledger.ACCOUNTS.FIAT,
+      ...options
     });
+
+    // Retried notifications return the original posting and must not trigger a second bonus
+    if (!posting.duplicate) {
+      await BonusManager.onDeposit(userId, amount, currency, posting.transactionId);
+    }
+
+    return posting;
   }
 
   /**
-   * Debit user balance
+   * Debit user balance through the ledger
    * @param {string} userId - User ID
    * @param {number} amount - Amount
    * @param {string} currency - Currency
+   * @param {Object} options - Ledger posting options (referenceKey required)
+   * @returns {Object} Ledger posting
    */
-  async debitUserBalance(userId, amount, currency) {
-    const User = require('../../models/User');
-    await User.findByIdAndUpdate(userId, {
-      $inc: { [`wallet.balance.${currency}`]: -amount }
+  async debitUserBalance(userId, amount, currency, options) {
+    const Ledger = require('../ledger');
+    return Ledger.debit(userId, amount, currency, {
+      type: 'withdrawal',
+      account: Ledger.ACCOUNTS.FIAT,
+      ...options
     });
   }
 
@@ -677,15 +665,7 @@ class FiatPaymentProcessor {
    * @returns {number} Minimum amount
    */
   getMinimumDeposit(currency) {
-    const minimums = {
-      USD: 10,
-      EUR: 10,
-      GBP: 8,
-      CAD: 12,
-      AUD: 15
-    };
-
-    return minimums[currency] || 10;
+    return getCurrencyLimit(currency, 'minDeposit', 10);
   }
 
   /**
@@ -694,15 +674,7 @@ class FiatPaymentProcessor {
    * @returns {number} Maximum amount
    */
   getMaximumDeposit(currency) {
-    const maximums = {
-      USD: 10000,
-      EUR: 9000,
-      GBP: 8000,
-      CAD: 12000,
-      AUD: 15000
-    };
-
-    return maximums[currency] || 10000;
+    return getCurrencyLimit(currency, 'maxDeposit', 10000);
   }
 
   /**
@@ -711,15 +683,7 @@ class FiatPaymentProcessor {
    * @returns {number} Minimum amount
    */
   getMinimumWithdrawal(currency) {
-    const minimums = {
-      USD: 20,
-      EUR: 20,
-      GBP: 15,
-      CAD: 25,
-      AUD: 30
-    };
-
-    return minimums[currency] || 20;
+    return getCurrencyLimit(currency, 'minWithdrawal', 20);
   }
 
   /**
@@ -728,15 +692,7 @@ class FiatPaymentProcessor {
    * @returns {number} Maximum amount
    */
   getMaximumWithdrawal(currency) {
-    const maximums = {
-      USD: 5000,
-      EUR: 4500,
-      GBP: 4000,
-      CAD: 6000,
-      AUD: 7500
-    };
-
-    return maximums[currency] || 5000;
+    return getCurrencyLimit(currency, 'maxWithdrawal', 5000);
   }
 
   /**
@@ -745,15 +701,7 @@ class FiatPaymentProcessor {
    * @returns {number} Daily limit
    */
   getDailyDepositLimit(currency) {
-    const limits = {
-      USD: 5000,
-      EUR: 4500,
-      GBP: 4000,
-      CAD: 6000,
-      AUD: 7500
-    };
-
-    return limits[currency] || 5000;
+    return getCurrencyLimit(currency, 'dailyDeposit', 5000);
   }
 
   /**
@@ -762,15 +710,7 @@ class FiatPaymentProcessor {
    * @returns {number} Daily limit
    */
   getDailyWithdrawalLimit(currency) {
-    const limits = {
-      USD: 2500,
-      EUR: 2250,
-      GBP: 2000,
-      CAD: 3000,
-      AUD: 3750
-    };
-
-    return limits[currency] || 2500;
+    return getCurrencyLimit(currency, 'dailyWithdrawal', 2500);
   }
 
   /**
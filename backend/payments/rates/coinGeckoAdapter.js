@@ -0,0 +1,83 @@
+const { getCurrency } = require('../../config/currencies');
+
+// CoinGecko coin ids of the registered crypto currencies
+const COIN_IDS = {
+  BTC: 'bitcoin',
+  ETH: 'ethereum',
+  USDT: 'tether',
+  LTC: 'litecoin',
+  BCH: 'bitcoin-cash',
+  DOGE: 'dogecoin'
+};
+
+/**
+ * CoinGecko /simple/price adapter for HttpRateSource. Crypto prices are
+ * quoted in USD directly; fiat rates are derived from the BTC price in USD
+ * and in the fiat currency.
+ */
+class CoinGeckoAdapter {
+  /**
+   * @param {Object} options - { baseUrl, apiKey }
+   */
+  constructor(options = {}) {
+    this.name = 'coingecko';
+    this.baseUrl = options.baseUrl || 'https://api.coingecko.com/api/v3';
+    this.apiKey = options.apiKey || null;
+  }
+
+  /**
+   * Build the price request
+   * @param {Array} currencies - Currency codes
+   * @returns {Object} axios request config
+   */
+  buildRequest(currencies) {
+    const ids = new Set(['bitcoin']); // Reference coin for fiat rates
+    const vsCurrencies = new Set(['usd']);
+
+    currencies.forEach(code => {
+      if (COIN_IDS[code]) {
+        ids.add(COIN_IDS[code]);
+      } else if (getCurrency(code)?.type === 'fiat') {
+        vsCurrencies.add(code.toLowerCase());
+      }
+    });
+
+    return {
+      url: `${this.baseUrl}/simple/price`,
+      params: {
+        ids: [...ids].join(','),
+        vs_currencies: [...vsCurrencies].join(',')
+      },
+      headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {}
+    };
+  }
+
+  /**
+   * Read USD prices from the response
+   * @param {Object} data - Response body
+   * @param {Array} currencies - Requested currency codes
+   * @returns {Object} USD price per unit
+   */
+  parseResponse(data, currencies) {
+    const rates = {};
+    const btc = data.bitcoin || {};
+
+    currencies.forEach(code => {
+      if (COIN_IDS[code]) {
+        const price = data[COIN_IDS[code]]?.usd;
+        if (price > 0) rates[code] = price;
+        return;
+      }
+
+      // USD per unit of fiat = BTC in USD / BTC in fiat
+      const btcInFiat = btc[code.toLowerCase()];
+      if (btc.usd > 0 && btcInFiat > 0) {
+        rates[code] = btc.usd / btcInFiat;
+      }
+    });
+
+    return rates;
+  }
+}
+
+module.exports = CoinGeckoAdapter;
@@ -0,0 +1,234 @@
+const { getCurrencyCodes, isSupportedCurrency } = require('../../config/currencies');
+const StaticRateSource = require('./staticRateSource');
+const HttpRateSource = require('./httpRateSource');
+const CoinGeckoAdapter = require('./coinGeckoAdapter');
+
+/**
+ * USD exchange rates for every registered currency.
+ *
+ * Rates come from an ordered list of sources; the first source that quotes a
+ * currency wins. Rates are cached for `ttl` ms. When a refresh fails, a cached
+ * rate keeps being served until it is `maxAge` ms old; after that lookups
+ * throw instead of converting with a stale price.
+ */
+class ExchangeRates {
+  /**
+   * Replace the sources and cache settings. Clears the cache.
+   * @param {Object} options - { sources, ttl, maxAge }
+   */
+  static configure(options = {}) {
+    this.sources = options.sources || this.getDefaultSources();
+    this.ttl = options.ttl !== undefined
+      ? options.ttl
+      : parseInt(process.env.EXCHANGE_RATE_TTL || '60') * 1000;
+    this.maxAge = options.maxAge !== undefined
+      ? options.maxAge
+      : parseInt(process.env.EXCHANGE_RATE_MAX_AGE || '900') * 1000;
+    this.clearCache();
+  }
+
+  /**
+   * Sources used when none are configured: the fixture table in tests or
+   * when EXCHANGE_RATE_SOURCE=static, CoinGecko otherwise
+   * @returns {Array} Rate sources
+   */
+  static getDefaultSources() {
+    const source = process.env.EXCHANGE_RATE_SOURCE ||
+      (process.env.NODE_ENV === 'test' ? 'static' : 'coingecko');
+
+    if (source === 'static') {
+      return [new StaticRateSource()];
+    }
+
+    return [new HttpRateSource(new CoinGeckoAdapter({
+      baseUrl: process.env.COINGECKO_API_URL,
+      apiKey: process.env.COINGECKO_API_KEY
+    }))];
+  }
+
+  /**
+   * Drop every cached rate
+   */
+  static clearCache() {
+    this.cache = new Map();
+    this.refreshing = null;
+  }
+
+  /**
+   * Get the USD price of one unit of a currency
+   * @param {string} currency - Currency code
+   * @returns {number} USD per unit
+   */
+  static async getRate(currency) {
+    const rates = await this.getRates([currency]);
+    return rates[currency];
+  }
+
+  /**
+   * Get USD prices, refreshing expired rates first
+   * @param {Array} currencies - Currency codes (default: all registered)
+   * @returns {Object} USD per unit, by currency code
+   */
+  static async getRates(currencies = getCurrencyCodes()) {
+    if (!this.sources) {
+      this.configure();
+    }
+
+    currencies.forEach(currency => {
+      if (!isSupportedCurrency(currency)) {
+        throw new Error(`Currency ${currency} not supported`);
+      }
+    });
+
+    const expired = currencies.filter(currency => !this.isFresh(currency));
+    if (expired.length > 0) {
+      await this.refresh();
+    }
+
+    const now = Date.now();
+    return Object.fromEntries(currencies.map(currency => {
+      if (currency === ExchangeRates.BASE_CURRENCY) {
+        return [currency, 1];
+      }
+
+      const entry = this.cache.get(currency);
+      if (!entry) {
+        throw new Error(`No exchange rate available for ${currency}`);
+      }
+
+      if (now - entry.fetchedAt > this.maxAge) {
+        throw new Error(`Exchange rate for ${currency} is stale`);
+      }
+
+      return [currency, entry.rate];
+    }));
+  }
+
+  /**
+   * Convert an amount to USD
+   * @param {number} amount - Amount in the currency
+   * @param {string} currency - Currency code
+   * @returns {number} USD amount
+   */
+  static async toUSD(amount, currency) {
+    return amount * await this.getRate(currency);
+  }
+
+  /**
+   * Convert a USD amount to a currency
+   * @param {number} amount - USD amount
+   * @param {string} currency - Currency code
+   * @returns {number} Amount in the currency
+   */
+  static async fromUSD(amount, currency) {
+    return amount / await this.getRate(currency);
+  }
+
+  /**
+   * Convert between two currencies through USD
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency code
+   * @param {string} to - Target currency code
+   * @returns {number} Amount in the target currency
+   */
+  static async convert(amount, from, to) {
+    if (from === to) {
+      return amount;
+    }
+
+    const rates = await this.getRates([from, to]);
+    return amount * rates[from] / rates[to];
+  }
+
+  /**
+   * Sum amounts held in several currencies, in USD
+   * @param {Object} amounts - Amount by currency code
+   * @returns {number} USD total
+   */
+  static async sumInUSD(amounts) {
+    const currencies = Object.keys(amounts).filter(currency => amounts[currency]);
+    if (currencies.length === 0) {
+      return 0;
+    }
+
+    const rates = await this.getRates(currencies);
+    return currencies.reduce((sum, currency) => sum + amounts[currency] * rates[currency], 0);
+  }
+
+  /**
+   * Check whether a cached rate is within its TTL
+   * @param {string} currency - Currency code
+   * @returns {boolean} True if no refresh is needed
+   */
+  static isFresh(currency) {
+    if (currency === ExchangeRates.BASE_CURRENCY) {
+      return true;
+    }
+
+    const entry = this.cache.get(currency);
+    return !!entry && Date.now() - entry.fetchedAt <= this.ttl;
+  }
+
+  /**
+   * Fetch every registered currency from the sources. Concurrent callers
+   * share one refresh.
+   */
+  static async refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.fetchFromSources(getCurrencyCodes())
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * Ask each source in turn for the currencies still missing
+   * @param {Array} currencies - Currency codes
+   */
+  static async fetchFromSources(currencies) {
+    let remaining = currencies.filter(currency => currency !== ExchangeRates.BASE_CURRENCY);
+
+    for (const source of this.sources) {
+      if (remaining.length === 0) break;
+
+      try {
+        const rates = await source.fetchRates(remaining);
+        const fetchedAt = Date.now();
+
+        remaining = remaining.filter(currency => {
+          const rate = rates[currency];
+          if (!Number.isFinite(rate) || rate <= 0) {
+            return true;
+          }
+
+          this.cache.set(currency, { rate, source: source.name, fetchedAt });
+          return false;
+        });
+      } catch (error) {
+        console.error(`Exchange rate source ${source.name} failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Describe the cached rates, for monitoring
+   * @returns {Array} [{ currency, rate, source, ageMs, stale }]
+   */
+  static getStatus() {
+    const now = Date.now();
+    return [...(this.cache || new Map()).entries()].map(([currency, entry]) => ({
+      currency,
+      rate: entry.rate,
+      source: entry.source,
+      ageMs: now - entry.fetchedAt,
+      stale: now - entry.fetchedAt > this.maxAge
+    }));
+  }
+}
+
+ExchangeRates.BASE_CURRENCY = 'USD';
+
+module.exports = ExchangeRates;
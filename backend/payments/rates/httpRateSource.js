@@ -0,0 +1,38 @@
+const axios = require('axios');
+
+/**
+ * Rate source backed by an HTTP price API. The API specifics live in an
+ * adapter with two methods:
+ *   buildRequest(currencies) -> axios request config
+ *   parseResponse(data, currencies) -> { CODE: usdPricePerUnit }
+ */
+class HttpRateSource {
+  /**
+   * @param {Object} adapter - Price API adapter
+   * @param {Object} options - { httpClient, timeout }
+   */
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.name = adapter.name;
+    this.httpClient = options.httpClient || axios;
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Get USD prices
+   * @param {Array} currencies - Currency codes
+   * @returns {Object} USD price per unit for the currencies the API quoted
+   */
+  async fetchRates(currencies) {
+    const request = this.adapter.buildRequest(currencies);
+    const response = await this.httpClient.request({
+      method: 'GET',
+      timeout: this.timeout,
+      ...request
+    });
+
+    return this.adapter.parseResponse(response.data, currencies);
+  }
+}
+
+module.exports = HttpRateSource;
@@ -0,0 +1,154 @@
+const { HDKey } = require('@scure/bip32');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { bech32, createBase58check } = require('@scure/base');
+const { sha256 } = require('@noble/hashes/sha256');
+const { ripemd160 } = require('@noble/hashes/ripemd160');
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
+
+const base58check = createBase58check(sha256);
+
+// Derivation scheme per network. Bitcoin and Litecoin use native SegWit
+// (BIP84) accounts, Ethereum and its tokens the BIP44 account.
+const NETWORKS = {
+  bitcoin: { purpose: 84, coinType: 0, addressType: 'native_segwit', hrp: 'bc' },
+  litecoin: { purpose: 84, coinType: 2, addressType: 'native_segwit', hrp: 'ltc' },
+  ethereum: { purpose: 44, coinType: 60, addressType: 'ethereum' }
+};
+
+// Account-level keys (m/purpose'/coin'/account') sit at depth 3
+const ACCOUNT_DEPTH = 3;
+
+// Deposit addresses are derived on the external (receive) chain
+const RECEIVE_CHAIN = 0;
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Deposit address derivation from account extended public keys.
+ *
+ * Only public keys are ever loaded: the xpub of each network's account is
+ * configured, addresses are derived as m/purpose'/coin'/account'/0/index,
+ * and the private keys stay with the offline wallet that holds the seed.
+ */
+class HDWallet {
+  /**
+   * Check whether addresses can be derived on a network
+   * @param {string} network - Network name
+   * @returns {boolean} True if supported
+   */
+  static isSupportedNetwork(network) {
+    return Object.prototype.hasOwnProperty.call(NETWORKS, network);
+  }
+
+  /**
+   * Parse an account extended public key. Any version prefix (xpub, zpub,
+   * Ltub...) is accepted; private keys are refused.
+   * @param {string} extendedKey - Base58check extended public key
+   * @returns {HDKey} Account key
+   */
+  static parseExtendedKey(extendedKey) {
+    let payload;
+    try {
+      payload = base58check.decode(extendedKey);
+    } catch (error) {
+      throw new Error('Invalid extended public key');
+    }
+
+    if (payload.length !== 78) {
+      throw new Error('Invalid extended public key');
+    }
+
+    // Private keys are serialized as 0x00 || key
+    if (payload[45] === 0) {
+      throw new Error('Extended private keys must not be configured');
+    }
+
+    const version = ((payload[0] << 24) | (payload[1] << 16) | (payload[2] << 8) | payload[3]) >>> 0;
+    const account = HDKey.fromExtendedKey(extendedKey, { public: version, private: 0 });
+
+    if (account.depth !== ACCOUNT_DEPTH) {
+      throw new Error('Extended public key must be an account-level key');
+    }
+
+    return account;
+  }
+
+  /**
+   * Derive a deposit address
+   * @param {string} extendedKey - Account extended public key for the network
+   * @param {number} index - Address index on the receive chain
+   * @param {string} network - Network name
+   * @returns {Object} { address, publicKey, derivationPath, derivationIndex, addressType }
+   */
+  static deriveAddress(extendedKey, index, network) {
+    const params = NETWORKS[network];
+    if (!params) {
+      throw new Error(`Address derivation not implemented for ${network}`);
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+      throw new Error('Invalid address index');
+    }
+
+    const account = this.parseExtendedKey(extendedKey);
+    const { publicKey } = account.deriveChild(RECEIVE_CHAIN).deriveChild(index);
+
+    const address = params.addressType === 'native_segwit'
+      ? this.encodeNativeSegwit(publicKey, params.hrp)
+      : this.encodeEthereum(publicKey);
+
+    return {
+      address,
+      publicKey: Buffer.from(publicKey).toString('hex'),
+      derivationPath: `m/${params.purpose}'/${params.coinType}'/${account.index - HARDENED_OFFSET}'/${RECEIVE_CHAIN}/${index}`,
+      derivationIndex: index,
+      addressType: params.addressType
+    };
+  }
+
+  /**
+   * Encode a pay-to-witness-public-key-hash address (bech32, witness v0)
+   * @param {Uint8Array} publicKey - Compressed public key
+   * @param {string} hrp - Human-readable part ('bc', 'ltc'...)
+   * @returns {string} Address
+   */
+  static encodeNativeSegwit(publicKey, hrp) {
+    const program = ripemd160(sha256(publicKey));
+    return bech32.encode(hrp, [0, ...bech32.toWords(program)]);
+  }
+
+  /**
+   * Encode an EIP-55 checksummed Ethereum address
+   * @param {Uint8Array} publicKey - Compressed public key
+   * @returns {string} Address
+   */
+  static encodeEthereum(publicKey) {
+    // Keccak-256 of the uncompressed point without its 0x04 prefix
+    const uncompressed = secp256k1.ProjectivePoint.fromHex(publicKey).toRawBytes(false);
+    const hash = keccak256(uncompressed.subarray(1));
+
+    return this.toChecksumAddress(Buffer.from(hash.subarray(-20)).toString('hex'));
+  }
+
+  /**
+   * Apply the EIP-55 mixed-case checksum to a hex address
+   * @param {string} address - Address, with or without 0x
+   * @returns {string} Checksummed address
+   */
+  static toChecksumAddress(address) {
+    const hex = address.toLowerCase().replace(/^0x/, '');
+    if (!/^[0-9a-f]{40}$/.test(hex)) {
+      throw new Error('Invalid Ethereum address');
+    }
+
+    const hash = Buffer.from(keccak256(hex)).toString('hex');
+
+    return '0x' + [...hex]
+      .map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char))
+      .join('');
+  }
+}
+
+HDWallet.NETWORKS = NETWORKS;
+
+module.exports = HDWallet;
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const webhookConfig = require('../../config/webhooks');
+
+// PayPal signing certificates by URL
+const certificateCache = new Map();
+
+let crcTable = null;
+
+/**
+ * Verifies payment webhook signatures.
+ *
+ * Each verifier checks the provider's signature over the raw request body,
+ * refuses signed timestamps outside the tolerance window and returns the
+ * provider's event id, which the caller records to refuse replays. Any
+ * failure throws.
+ */
+class WebhookVerifier {
+  /**
+   * Verify a webhook request
+   * @param {string} provider - stripe, paypal, skrill or blockchain
+   * @param {Object} request - { headers, rawBody, body }
+   * @returns {Object} { eventId, payload }
+   */
+  static async verify(provider, request) {
+    switch (provider) {
+      case 'stripe':
+        return this.verifyStripe(request);
+      case 'paypal':
+        return this.verifyPayPal(request);
+      case 'skrill':
+        return this.verifySkrill(request);
+      case 'blockchain':
+        return this.verifyBlockchain(request);
+      default:
+        throw new Error(`Unknown webhook provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Stripe: `Stripe-Signature: t=<unix>,v1=<hex>` where v1 is an HMAC-SHA256
+   * of `<t>.<raw body>` with the endpoint signing secret
+   * @param {Object} request - Webhook request
+   * @returns {Object} { eventId, payload }
+   */
+  static verifyStripe({ headers, rawBody }) {
+    const secret = this.requireSecret(webhookConfig.stripe.secret, 'stripe');
+    const header = headers['stripe-signature'];
+    if (!header || !rawBody) {
+      throw new Error('Missing Stripe signature');
+    }
+
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    this.checkTimestamp(parseInt(timestamp) * 1000);
+
+    const expected = this.hmac(secret, `${timestamp}.${rawBody.toString('utf8')}`);
+    if (!signatures.some(signature => this.safeEqual(signature, expected))) {
+      throw new Error('Invalid Stripe signature');
+    }
+
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    return { eventId: payload.id, payload };
+  }
+
+  /**
+   * PayPal: the transmission signature is an RSA-SHA256 signature over
+   * `<transmission id>|<transmission time>|<webhook id>|<crc32 of raw body>`,
+   * checked against the certificate PayPal links in the request
+   * @param {Object} request - Webhook request
+   * @returns {Object} { eventId, payload }
+   */
+  static async verifyPayPal({ headers, rawBody }) {
+    const webhookId = this.requireSecret(webhookConfig.paypal.webhookId, 'paypal');
+    const transmissionId = headers['paypal-transmission-id'];
+    const transmissionTime = headers['paypal-transmission-time'];
+    const signature = headers['paypal-transmission-sig'];
+    const certUrl = headers['paypal-cert-url'];
+    const algorithm = headers['paypal-auth-algo'];
+
+    if (!transmissionId || !transmissionTime || !signature || !certUrl || !rawBody) {
+      throw new Error('Missing PayPal transmission headers');
+    }
+
+    if (algorithm && algorithm !== 'SHA256withRSA') {
+      throw new Error(`Unsupported PayPal signature algorithm: ${algorithm}`);
+    }
+
+    this.checkTimestamp(Date.parse(transmissionTime));
+
+    const certificate = await this.getPayPalCertificate(certUrl);
+    const message = `${transmissionId}|${transmissionTime}|${webhookId}|${this.crc32(rawBody)}`;
+    const valid = crypto.createVerify('RSA-SHA256')
+      .update(message)
+      .verify(certificate.publicKey, signature, 'base64');
+
+    if (!valid) {
+      throw new Error('Invalid PayPal signature');
+    }
+
+    const payload = JSON.parse(rawBody.toString('utf8'));
+    return { eventId: payload.id, payload };
+  }
+
+  /**
+   * Skrill: status posts carry `sha2sig` (or `md5sig`), the uppercase digest
+   * of merchant_id, transaction_id, the uppercase MD5 of the secret word,
+   * mb_amount, mb_currency and status. Skrill sends no timestamp; replays
+   * are refused by event id alone.
+   * @param {Object} request - Webhook request
+   * @returns {Object} { eventId, payload }
+   */
+  static verifySkrill({ body }) {
+    const secretWord = this.requireSecret(webhookConfig.skrill.secretWord, 'skrill');
+    const fields = body || {};
+    const signature = fields.sha2sig || fields.md5sig;
+
+    if (!signature || !fields.transaction_id) {
+      throw new Error('Missing Skrill signature');
+    }
+
+    const message = [
+      fields.merchant_id,
+      fields.transaction_id,
+      crypto.createHash('md5').update(secretWord).digest('hex').toUpperCase(),
+      fields.mb_amount,
+      fields.mb_currency,
+      fields.status
+    ].join('');
+    const expected = crypto.createHash(fields.sha2sig ? 'sha256' : 'md5')
+      .update(message)
+      .digest('hex')
+      .toUpperCase();
+
+    if (!this.safeEqual(String(signature).toUpperCase(), expected)) {
+      throw new Error('Invalid Skrill signature');
+    }
+
+    // Every status change of a payment is posted separately
+    return { eventId: `${fields.mb_transaction_id || fields.transaction_id}:${fields.status}`, payload: fields };
+  }
+
+  /**
+   * Blockchain notifications: `X-Webhook-Signature` is an HMAC-SHA256 of
+   * `<X-Webhook-Timestamp>.<raw body>` with WEBHOOK_SECRET, and
+   * `X-Webhook-Id` identifies the notification
+   * @param {Object} request - Webhook request
+   * @returns {Object} { eventId, payload }
+   */
+  static verifyBlockchain({ headers, rawBody, body }) {
+    const secret = this.requireSecret(webhookConfig.blockchain.secret, 'blockchain');
+    const timestamp = headers['x-webhook-timestamp'];
+    const signature = headers['x-webhook-signature'];
+    const eventId = headers['x-webhook-id'];
+
+    if (!timestamp || !signature || !eventId) {
+      throw new Error('Missing webhook signature headers');
+    }
+
+    this.checkTimestamp(parseInt(timestamp) * 1000);
+
+    const expected = this.hmac(secret, `${timestamp}.${rawBody ? rawBody.toString('utf8') : ''}`);
+    if (!this.safeEqual(signature, expected)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return { eventId, payload: body };
+  }
+
+  /**
+   * Fetch a PayPal signing certificate from an allowed PayPal host
+   * @param {string} certUrl - Certificate URL from the request
+   * @returns {crypto.X509Certificate} Certificate
+   */
+  static async getPayPalCertificate(certUrl) {
+    let url;
+    try {
+      url = new URL(certUrl);
+    } catch (error) {
+      throw new Error('Invalid PayPal certificate URL');
+    }
+
+    if (url.protocol !== 'https:' || !webhookConfig.paypal.certHosts.includes(url.hostname)) {
+      throw new Error('PayPal certificate URL is not a PayPal host');
+    }
+
+    if (!certificateCache.has(url.href)) {
+      const response = await axios.get(url.href, { responseType: 'text', timeout: 5000 });
+      certificateCache.set(url.href, new crypto.X509Certificate(response.data));
+    }
+
+    const certificate = certificateCache.get(url.href);
+    const now = Date.now();
+    if (now < Date.parse(certificate.validFrom) || now > Date.parse(certificate.validTo)) {
+      certificateCache.delete(url.href);
+      throw new Error('PayPal certificate is not valid');
+    }
+
+    return certificate;
+  }
+
+  /**
+   * Refuse timestamps outside the tolerance window
+   * @param {number} time - Signed time in milliseconds
+   */
+  static checkTimestamp(time) {
+    if (!Number.isFinite(time)) {
+      throw new Error('Missing webhook timestamp');
+    }
+
+    if (Math.abs(Date.now() - time) > webhookConfig.tolerance) {
+      throw new Error('Webhook timestamp outside the tolerance window');
+    }
+  }
+
+  /**
+   * Fail closed when a provider's secret is not configured
+   * @param {string} secret - Configured secret
+   * @param {string} provider - Provider
+   * @returns {string} Secret
+   */
+  static requireSecret(secret, provider) {
+    if (!secret) {
+      throw new Error(`Webhook secret for ${provider} not configured`);
+    }
+    return secret;
+  }
+
+  /**
+   * Hex HMAC-SHA256
+   * @param {string} secret - Key
+   * @param {string} message - Message
+   * @returns {string} Hex digest
+   */
+  static hmac(secret, message) {
+    return crypto.createHmac('sha256', secret).update(message).digest('hex');
+  }
+
+  /**
+   * Constant-time string comparison
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} Equal
+   */
+  static safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  /**
+   * CRC-32 (IEEE) as an unsigned decimal, as PayPal signs it
+   * @param {Buffer} buffer - Data
+   * @returns {number} Checksum
+   */
+  static crc32(buffer) {
+    if (!crcTable) {
+      crcTable = new Int32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c;
+      }
+    }
+
+    let crc = -1;
+    for (const byte of buffer) {
+      crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+  }
+}
+
+module.exports = WebhookVerifier;
@@ -0,0 +1,449 @@
+const Withdrawal = require('../models/Withdrawal');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Ledger = require('./ledger');
+const BonusManager = require('./bonusManager');
+const ExchangeRates = require('./rates/exchangeRates');
+const { SecurityMonitor } = require('../utils/securityMonitor');
+const withdrawalConfig = require('../config/withdrawals');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Withdrawal pipeline:
+ * requested → risk_checked → awaiting_approval → approved → broadcast → confirmed
+ *
+ * The user's cash balance is debited when the withdrawal is requested, so the
+ * funds are held while it waits. Low-risk withdrawals skip the review queue;
+ * the rest need one admin approval, or two from different admins above the
+ * four-eyes threshold. The user can cancel a withdrawal while it waits for
+ * review. A cancelled, rejected or failed withdrawal is refunded. Every
+ * transition is a conditional update on the current status, so concurrent
+ * admin actions cannot apply twice.
+ */
+class WithdrawalManager {
+  /**
+   * @param {Object} processors - { crypto, fiat } payment processors
+   */
+  constructor(processors) {
+    this.processors = processors;
+  }
+
+  /**
+   * Processor that handles a currency
+   * @param {string} currency - Currency
+   * @returns {Object} Payment processor
+   */
+  getProcessor(currency) {
+    const processor = Object.values(this.processors)
+      .find(candidate => candidate.getSupportedCurrencies().includes(currency));
+
+    if (!processor) {
+      throw new Error(`Currency ${currency} not supported`);
+    }
+
+    return processor;
+  }
+
+  /**
+   * Request a withdrawal: hold the funds, forfeit any unfinished bonus,
+   * check the risk and either broadcast it or queue it for review
+   * @param {string} userId - User ID
+   * @param {Object} withdrawalData - { currency, amount, toAddress } or fiat { withdrawalMethod, accountDetails }
+   * @returns {Object} Withdrawal document
+   */
+  async request(userId, withdrawalData) {
+    const { currency } = withdrawalData;
+    const processor = this.getProcessor(currency);
+
+    const details = await processor.prepareWithdrawal(userId, withdrawalData);
+    const usdValue = await ExchangeRates.toUSD(details.amount, currency);
+
+    const transaction = await Transaction.create({
+      userId,
+      type: 'withdrawal',
+      amount: details.totalAmount,
+      fee: details.fees,
+      netAmount: details.amount,
+      currency,
+      status: 'pending',
+      address: details.destination.address,
+      description: `${currency} withdrawal`
+    });
+
+    let withdrawal = await Withdrawal.create({
+      userId,
+      transactionId: transaction._id,
+      currency,
+      kind: details.kind,
+      amount: details.amount,
+      fees: details.fees,
+      totalAmount: details.totalAmount,
+      usdValue,
+      destination: details.destination,
+      destinationKey: details.destinationKey,
+      requiredApprovals: usdValue >= withdrawalConfig.fourEyesMinUsd ? 2 : 1,
+      history: [{ status: 'requested' }]
+    });
+
+    // Hold the funds; bonus funds in wallet.bonusBalance cannot be withdrawn
+    try {
+      await processor.debitUserBalance(userId, details.totalAmount, currency, {
+        referenceKey: this.getReferenceKey(withdrawal),
+        transactionId: transaction._id,
+        description: transaction.description
+      });
+    } catch (error) {
+      await transaction.markFailed(error.message);
+      await this.transition(withdrawal._id, ['requested'], 'failed', { failureReason: error.message });
+      throw error;
+    }
+
+    // Bonus funds cannot be withdrawn: an unfinished bonus in this currency
+    // is forfeited, but only once the cash is held, so a refused withdrawal
+    // keeps it. Forfeiting leaves the cash balance as it is.
+    try {
+      await BonusManager.forfeitBonuses(userId, currency, 'Withdrawal requested before wagering was completed');
+    } catch (error) {
+      await this.failRequest(withdrawal, error.message);
+      throw error;
+    }
+
+    // The funds are held by now: a risk check that cannot run sends the
+    // withdrawal to review rather than leaving it stuck in 'requested'
+    let risk;
+    try {
+      risk = await this.assessRisk(withdrawal);
+    } catch (error) {
+      console.error('Error assessing withdrawal risk:', error);
+      risk = { level: 'high', reasons: ['risk_check_failed'], checkedAt: new Date() };
+    }
+    withdrawal = await this.transition(withdrawal._id, ['requested'], 'risk_checked', { risk });
+
+    if (risk.level === 'low' && withdrawal.requiredApprovals === 1) {
+      await this.transition(withdrawal._id, ['risk_checked'], 'approved', { autoApproved: true }, {
+        notes: 'Approved automatically'
+      });
+      return this.broadcast(withdrawal._id);
+    }
+
+    return this.transition(withdrawal._id, ['risk_checked'], 'awaiting_approval', {}, {
+      notes: risk.reasons.join(', ')
+    });
+  }
+
+  /**
+   * Run the risk rules against a withdrawal
+   * @param {Object} withdrawal - Withdrawal document
+   * @returns {Object} { level, reasons, checkedAt }
+   */
+  async assessRisk(withdrawal) {
+    const { risk: rules, autoApproveMaxUsd } = withdrawalConfig;
+    const user = await User.findById(withdrawal.userId);
+    const reasons = [];
+
+    if (user.kyc.status !== 'verified') {
+      reasons.push('kyc_unverified');
+    }
+
+    if (Date.now() - user.createdAt.getTime() < rules.minAccountAge) {
+      reasons.push('new_account');
+    }
+
+    if (withdrawal.usdValue > autoApproveMaxUsd) {
+      reasons.push('amount_over_auto_approve_limit');
+    }
+
+    const knownDestination = await Withdrawal.exists({
+      userId: withdrawal.userId,
+      destinationKey: withdrawal.destinationKey,
+      status: 'confirmed'
+    });
+    if (!knownDestination) {
+      reasons.push('new_destination');
+    }
+
+    const recentRequests = await Withdrawal.countDocuments({
+      userId: withdrawal.userId,
+      createdAt: { $gte: new Date(Date.now() - DAY) }
+    });
+    if (recentRequests > rules.maxDailyRequests) {
+      reasons.push('request_velocity');
+    }
+
+    const securityChanges = await SecurityMonitor.getUserEvents(withdrawal.userId, {
+      eventType: { $in: rules.securityEvents },
+      startDate: new Date(Date.now() - rules.securityChangeWindow),
+      limit: 1
+    });
+    if (securityChanges.length) {
+      reasons.push('recent_security_change');
+    }
+
+    return {
+      level: reasons.length ? 'high' : 'low',
+      reasons,
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * Record an admin approval; the last required approval broadcasts
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} adminId - Approving admin
+   * @param {string} notes - Notes (optional)
+   * @returns {Object} Withdrawal document
+   */
+  async approve(withdrawalId, adminId, notes = undefined) {
+    const withdrawal = await this.getWithdrawal(withdrawalId);
+
+    if (String(withdrawal.userId) === String(adminId)) {
+      throw new Error('Admins cannot approve their own withdrawals');
+    }
+
+    const approved = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawalId, status: 'awaiting_approval', 'approvals.adminId': { $ne: adminId } },
+      {
+        $push: {
+          approvals: { adminId, notes },
+          history: { status: 'awaiting_approval', by: adminId, notes: notes || 'Approved' }
+        }
+      },
+      { new: true }
+    );
+
+    if (!approved) {
+      throw new Error(withdrawal.status === 'awaiting_approval'
+        ? 'Withdrawal already approved by this admin'
+        : `Withdrawal is ${withdrawal.status}`);
+    }
+
+    if (approved.approvals.length < approved.requiredApprovals) {
+      return approved;
+    }
+
+    const moved = await this.transition(withdrawalId, ['awaiting_approval'], 'approved', {}, { by: adminId });
+    return moved ? this.broadcast(withdrawalId) : this.getWithdrawal(withdrawalId);
+  }
+
+  /**
+   * Cancel a queued withdrawal for its user and refund it. Only withdrawals
+   * awaiting approval can be cancelled; once approved they may already be
+   * on their way.
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} userId - User cancelling it
+   * @returns {Object} Withdrawal document
+   */
+  async cancel(withdrawalId, userId) {
+    const withdrawal = await this.getWithdrawal(withdrawalId);
+    if (String(withdrawal.userId) !== String(userId)) {
+      throw new Error('Withdrawal not found');
+    }
+
+    const cancelled = await this.transition(withdrawalId, ['awaiting_approval'], 'cancelled', {}, {
+      by: userId,
+      notes: 'Cancelled by user'
+    });
+
+    if (!cancelled) {
+      const current = await this.getWithdrawal(withdrawalId);
+      throw new Error(`Withdrawal is ${current.status}`);
+    }
+
+    await this.refund(cancelled, 'Withdrawal cancelled', 'cancelled');
+    return cancelled;
+  }
+
+  /**
+   * Reject a queued withdrawal and refund it
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} adminId - Rejecting admin
+   * @param {string} reason - Reason shown to the user
+   * @returns {Object} Withdrawal document
+   */
+  async reject(withdrawalId, adminId, reason) {
+    const rejected = await this.transition(withdrawalId, ['awaiting_approval'], 'rejected', {
+      rejection: { adminId, reason, at: new Date() }
+    }, { by: adminId, notes: reason });
+
+    if (!rejected) {
+      const withdrawal = await this.getWithdrawal(withdrawalId);
+      throw new Error(`Withdrawal is ${withdrawal.status}`);
+    }
+
+    await this.refund(rejected, `Withdrawal rejected: ${reason}`, 'cancelled');
+    return rejected;
+  }
+
+  /**
+   * Submit an approved withdrawal to its processor
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Object} Withdrawal document
+   */
+  async broadcast(withdrawalId) {
+    // Claim the withdrawal first so it can only be submitted once
+    const claimed = await this.transition(withdrawalId, ['approved'], 'broadcast');
+    if (!claimed) {
+      const withdrawal = await this.getWithdrawal(withdrawalId);
+      throw new Error(`Withdrawal is ${withdrawal.status}`);
+    }
+
+    let result;
+    try {
+      result = await this.getProcessor(claimed.currency).broadcastWithdrawal(claimed);
+    } catch (error) {
+      return this.fail(withdrawalId, error.message);
+    }
+
+    return Withdrawal.findByIdAndUpdate(withdrawalId, {
+      $set: { txHash: result.txHash, payoutReference: result.payoutReference }
+    }, { new: true });
+  }
+
+  /**
+   * Mark a broadcast withdrawal as confirmed
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {Object} options - { txHash, adminId }
+   * @returns {Object} Withdrawal document
+   */
+  async confirm(withdrawalId, { txHash = undefined, adminId = undefined } = {}) {
+    const update = txHash ? { txHash } : {};
+    const confirmed = await this.transition(withdrawalId, ['broadcast'], 'confirmed', update, { by: adminId });
+
+    if (!confirmed) {
+      const withdrawal = await this.getWithdrawal(withdrawalId);
+      throw new Error(`Withdrawal is ${withdrawal.status}`);
+    }
+
+    await Transaction.updateOne(
+      { _id: confirmed.transactionId },
+      { $set: { status: 'completed', processedAt: new Date(), txHash: confirmed.txHash } }
+    );
+    await User.updateOne(
+      { _id: confirmed.userId },
+      { $inc: { 'profile.totalWithdrawn': confirmed.usdValue || 0 } }
+    );
+
+    return confirmed;
+  }
+
+  /**
+   * Fail an approved or broadcast withdrawal and refund it
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {string} reason - Failure reason
+   * @param {string} adminId - Admin, when failed by hand (optional)
+   * @returns {Object} Withdrawal document
+   */
+  async fail(withdrawalId, reason, adminId = undefined) {
+    const failed = await this.transition(withdrawalId, ['approved', 'broadcast'], 'failed', {
+      failureReason: reason
+    }, { by: adminId, notes: reason });
+
+    if (!failed) {
+      const withdrawal = await this.getWithdrawal(withdrawalId);
+      throw new Error(`Withdrawal is ${withdrawal.status}`);
+    }
+
+    await this.refund(failed, `Withdrawal failed: ${reason}`, 'failed');
+    return failed;
+  }
+
+  /**
+   * Fail a withdrawal still being requested and refund its held funds
+   * @param {Object} withdrawal - Withdrawal document
+   * @param {string} reason - Failure reason
+   * @returns {Object} Withdrawal document
+   */
+  async failRequest(withdrawal, reason) {
+    const failed = await this.transition(withdrawal._id, ['requested'], 'failed', {
+      failureReason: reason
+    }, { notes: reason });
+
+    await this.refund(withdrawal, `Withdrawal failed: ${reason}`, 'failed');
+    return failed;
+  }
+
+  /**
+   * Withdrawals in a status, oldest first
+   * @param {Object} options - { status, limit, skip }
+   * @returns {Object} { withdrawals, total }
+   */
+  async getQueue({ status = 'awaiting_approval', limit = 50, skip = 0 } = {}) {
+    const [withdrawals, total] = await Promise.all([
+      Withdrawal.find({ status })
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('userId', 'username email kyc.status'),
+      Withdrawal.countDocuments({ status })
+    ]);
+
+    return { withdrawals, total };
+  }
+
+  /**
+   * Get a withdrawal
+   * @param {string} withdrawalId - Withdrawal ID
+   * @returns {Object} Withdrawal document
+   */
+  async getWithdrawal(withdrawalId) {
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+    return withdrawal;
+  }
+
+  /**
+   * Move a withdrawal between statuses if it is still in one of `from`
+   * @param {string} withdrawalId - Withdrawal ID
+   * @param {Array} from - Allowed current statuses
+   * @param {string} to - New status
+   * @param {Object} update - Fields to set
+   * @param {Object} entry - History details { by, notes }
+   * @returns {Object|null} Updated withdrawal, null if the status had changed
+   */
+  async transition(withdrawalId, from, to, update = {}, entry = {}) {
+    return Withdrawal.findOneAndUpdate(
+      { _id: withdrawalId, status: { $in: from } },
+      {
+        $set: { ...update, status: to },
+        $push: { history: { status: to, at: new Date(), ...entry } }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Return the held funds to the user
+   * @param {Object} withdrawal - Withdrawal document
+   * @param {string} description - Refund description
+   * @param {string} transactionStatus - Final status of the withdrawal transaction
+   * @returns {Object} Ledger posting
+   */
+  async refund(withdrawal, description, transactionStatus) {
+    const posting = await Ledger.reverse(this.getReferenceKey(withdrawal), {
+      type: 'refund',
+      referenceKey: `withdrawal-refund:${withdrawal.transactionId}`,
+      description
+    });
+
+    await Transaction.updateOne(
+      { _id: withdrawal.transactionId },
+      { $set: { status: transactionStatus, processedAt: new Date(), 'metadata.notes': description } }
+    );
+
+    return posting;
+  }
+
+  /**
+   * Ledger reference of the debit that holds a withdrawal's funds
+   * @param {Object} withdrawal - Withdrawal document
+   * @returns {string} Reference key
+   */
+  getReferenceKey(withdrawal) {
+    return `withdrawal:${withdrawal.transactionId}`;
+  }
+}
+
+module.exports = WithdrawalManager;
@@ -0,0 +1,167 @@
+const { isSupportedCurrency } = require('../config/currencies');
+
+const CRASH_ROOM = 'crash';
+
+class CrashGateway {
+  /**
+   * @param {Object} io - Socket.IO server
+   * @param {Object} gameManager - Shared GameManager instance
+   */
+  constructor(io, gameManager) {
+    this.io = io;
+    this.gameManager = gameManager;
+
+    // Route every crash round event from the game manager to the crash room
+    this.gameManager.setCrashBroadcaster((event, data) => this.broadcast(event, data));
+  }
+
+  /**
+   * Register crash command handlers on a connected socket
+   * @param {Object} socket - Socket.IO socket
+   */
+  registerSocket(socket) {
+    socket.on('crash:join', (ack) => {
+      socket.join(CRASH_ROOM);
+      this.reply(ack, {
+        success: true,
+        gameState: this.gameManager.getCrashGameState()
+      });
+    });
+
+    socket.on('crash:leave', (ack) => {
+      socket.leave(CRASH_ROOM);
+      this.reply(ack, { success: true });
+    });
+
+    socket.on('crash:bet', async (payload, ack) => {
+      try {
+        const user = this.requireUser(socket);
+        const { betAmount, currency, autoCashOut } = this.validateBet(payload);
+
+        const result = await this.gameManager.playCrash(user.id, betAmount, currency, autoCashOut);
+
+        this.reply(ack, {
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        this.reply(ack, {
+          success: false,
+          message: error.message
+        });
+      }
+    });
+
+    socket.on('crash:cashout', async (ack) => {
+      try {
+        const user = this.requireUser(socket);
+        const result = await this.gameManager.crashCashOut(user.id);
+
+        this.reply(ack, {
+          success: true,
+          ...result
+        });
+      } catch (error) {
+        this.reply(ack, {
+          success: false,
+          message: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Broadcast a crash round event to everyone watching the game
+   * @param {string} event - Event name without the `crash:` prefix
+   * @param {Object} data - Event payload
+   */
+  broadcast(event, data) {
+    this.io.to(CRASH_ROOM).emit(`crash:${event}`, this.sanitize(event, data));
+  }
+
+  /**
+   * Strip fields that should not be pushed to every client
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @returns {Object} Public payload
+   */
+  sanitize(event, data = {}) {
+    if (event === 'crashed') {
+      return {
+        gameId: data.gameId,
+        crashPoint: data.crashPoint,
+        chainId: data.chainId,
+        round: data.round,
+        hash: data.hash,
+        players: (data.players || []).map(player => ({
+          userId: player.userId,
+          betAmount: player.betAmount,
+          cashOutMultiplier: player.cashOutMultiplier,
+          payout: player.payout,
+          result: player.result
+        }))
+      };
+    }
+
+    return data;
+  }
+
+  /**
+   * Validate a bet command payload
+   * @param {Object} payload - Bet payload
+   * @returns {Object} Normalized bet
+   */
+  validateBet(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('Invalid bet payload');
+    }
+
+    const betAmount = parseFloat(payload.betAmount);
+    if (!Number.isFinite(betAmount) || betAmount < 0.01 || betAmount > 1000) {
+      throw new Error('Bet amount must be between 0.01 and 1000');
+    }
+
+    if (!isSupportedCurrency(payload.currency)) {
+      throw new Error('Unsupported currency');
+    }
+
+    let autoCashOut = null;
+    if (payload.autoCashOut !== undefined && payload.autoCashOut !== null) {
+      autoCashOut = parseFloat(payload.autoCashOut);
+      if (!Number.isFinite(autoCashOut) || autoCashOut < 1.01 || autoCashOut > 1000) {
+        throw new Error('Auto cash out must be between 1.01 and 1000');
+      }
+    }
+
+    return {
+      betAmount,
+      currency: payload.currency,
+      autoCashOut
+    };
+  }
+
+  /**
+   * Get the authenticated user of a socket
+   * @param {Object} socket - Socket.IO socket
+   * @returns {Object} User payload
+   */
+  requireUser(socket) {
+    if (!socket.data.user) {
+      throw new Error('Authentication required');
+    }
+    return socket.data.user;
+  }
+
+  /**
+   * Call an acknowledgement callback if the client supplied one
+   * @param {Function} ack - Acknowledgement callback
+   * @param {Object} response - Response payload
+   */
+  reply(ack, response) {
+    if (typeof ack === 'function') {
+      ack(response);
+    }
+  }
+}
+
+module.exports = CrashGateway;
@@ -0,0 +1,53 @@
+const RealityChecks = require('../utils/compliance/realityChecks');
+
+class RealityCheckGateway {
+  /**
+   * Register reality check command handlers on a connected socket. Checks
+   * themselves are pushed to the user's room by RealityChecks.
+   * @param {Object} socket - Socket.IO socket
+   */
+  registerSocket(socket) {
+    socket.on('reality_check:acknowledge', async (payload, ack) => {
+      try {
+        const user = socket.data.user;
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const { action, limits = null } = payload || {};
+        const check = await RealityChecks.acknowledge(user.id, {
+          action,
+          limits: action === 'set_limit' ? limits : null
+        }, {
+          channel: 'socket',
+          ipAddress: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent']
+        });
+
+        this.reply(ack, {
+          success: true,
+          realityCheck: RealityChecks.toPayload(check),
+          action
+        });
+      } catch (error) {
+        this.reply(ack, {
+          success: false,
+          message: error.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Call an acknowledgement callback if the client supplied one
+   * @param {Function} ack - Acknowledgement callback
+   * @param {Object} response - Response payload
+   */
+  reply(ack, response) {
+    if (typeof ack === 'function') {
+      ack(response);
+    }
+  }
+}
+
+module.exports = RealityCheckGateway;
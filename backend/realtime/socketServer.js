@@ -0,0 +1,181 @@
+const { Server } = require('socket.io');
+const User = require('../models/User');
+const SessionManager = require('../utils/sessionManager');
+const CrashGateway = require('./crashGateway');
+const RealityCheckGateway = require('./realityCheckGateway');
+
+class SocketServer {
+  constructor() {
+    this.io = null;
+    this.crashGateway = null;
+    this.realityCheckGateway = null;
+  }
+
+  /**
+   * Attach Socket.IO to the HTTP server and register game gateways
+   * @param {Object} httpServer - Node HTTP server
+   * @param {Object} options - Server options
+   * @param {Object} options.gameManager - Shared GameManager instance
+   * @param {Array|string} options.corsOrigin - Allowed CORS origins
+   * @returns {Object} Socket.IO server
+   */
+  initialize(httpServer, { gameManager, corsOrigin = '*' }) {
+    if (this.io) {
+      return this.io;
+    }
+
+    this.io = new Server(httpServer, {
+      cors: {
+        origin: corsOrigin,
+        credentials: true,
+        methods: ['GET', 'POST']
+      },
+      pingInterval: 25000,
+      pingTimeout: 20000
+    });
+
+    this.io.use((socket, next) => this.authenticate(socket, next));
+
+    this.crashGateway = new CrashGateway(this.io, gameManager);
+    this.realityCheckGateway = new RealityCheckGateway();
+
+    this.io.on('connection', (socket) => {
+      const user = socket.data.user;
+
+      // Private room for per-user notifications (balance, reality checks, ...)
+      if (user) {
+        socket.join(this.getUserRoom(user.id));
+      }
+
+      this.crashGateway.registerSocket(socket);
+      this.realityCheckGateway.registerSocket(socket);
+    });
+
+    return this.io;
+  }
+
+  /**
+   * Authenticate a socket handshake with the JWT issued by SessionManager.
+   * Connections without a token are accepted as spectators.
+   * @param {Object} socket - Socket.IO socket
+   * @param {Function} next - Middleware callback
+   */
+  async authenticate(socket, next) {
+    const token = this.extractToken(socket.handshake);
+    socket.data.user = null;
+
+    if (!token) {
+      return next();
+    }
+
+    try {
+      const decoded = SessionManager.verifyAccessToken(token);
+
+      const user = await User.findById(decoded.user.id).select('-password -security.twoFactorSecret');
+      if (!user) {
+        return next(new Error('Token is not valid - user not found'));
+      }
+
+      if (user.status !== 'active') {
+        return next(new Error('Account is suspended or inactive'));
+      }
+
+      if (user.isLocked) {
+        return next(new Error('Account is temporarily locked due to failed login attempts'));
+      }
+
+      if (decoded.sessionId && decoded.deviceFingerprint) {
+        const currentDeviceFingerprint = SessionManager.generateDeviceFingerprint(
+          socket.handshake.address,
+          socket.handshake.headers['user-agent']
+        );
+
+        if (decoded.deviceFingerprint !== currentDeviceFingerprint) {
+          return next(new Error('Session invalid - device mismatch'));
+        }
+
+        const isValidSession = await SessionManager.validateSession(
+          decoded.sessionId,
+          decoded.deviceFingerprint
+        );
+
+        if (!isValidSession) {
+          return next(new Error('Session expired or invalid'));
+        }
+      }
+
+      if (user.security.passwordChangedAt) {
+        const passwordChangedTimestamp = Math.floor(user.security.passwordChangedAt.getTime() / 1000);
+        if (decoded.iat < passwordChangedTimestamp) {
+          return next(new Error('Token invalid - password was changed'));
+        }
+      }
+
+      socket.data.user = {
+        ...decoded.user,
+        id: user._id.toString()
+      };
+      socket.data.sessionId = decoded.sessionId;
+
+      next();
+    } catch (error) {
+      console.error('Socket auth error:', error.message);
+      next(new Error('Token is not valid'));
+    }
+  }
+
+  /**
+   * Read the access token from the handshake auth payload or headers
+   * @param {Object} handshake - Socket.IO handshake
+   * @returns {string|null} Token
+   */
+  extractToken(handshake) {
+    if (handshake.auth && handshake.auth.token) {
+      return handshake.auth.token;
+    }
+
+    const headers = handshake.headers || {};
+    if (headers['x-auth-token']) {
+      return headers['x-auth-token'];
+    }
+
+    if (headers.authorization) {
+      return headers.authorization.replace('Bearer ', '');
+    }
+
+    return null;
+  }
+
+  /**
+   * Get private room name for a user
+   * @param {string} userId - User ID
+   * @returns {string} Room name
+   */
+  getUserRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  /**
+   * Emit an event to every socket of a user
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  emitToUser(userId, event, data) {
+    if (!this.io) return;
+    this.io.to(this.getUserRoom(userId.toString())).emit(event, data);
+  }
+
+  /**
+   * Close the Socket.IO server
+   */
+  async close() {
+    if (!this.io) return;
+    await this.io.close();
+    this.io = null;
+    this.crashGateway = null;
+    this.realityCheckGateway = null;
+  }
+}
+
+module.exports = new SocketServer();
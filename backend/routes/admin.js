@@ -4,7 +4,14 @@ const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Game = require('../models/Game');
 const GameSession = require('../models/GameSession');
+const GameChange = require('../models/GameChange');
+const CatalogSyncRun = require('../models/CatalogSyncRun');
+const JurisdictionRule = require('../models/JurisdictionRule');
+const Ledger = require('../payments/ledger');
+const ExchangeRates = require('../payments/rates/exchangeRates');
 const { SecurityMonitor } = require('../utils/securityMonitor');
+const JurisdictionRules = require('../utils/compliance/jurisdictionRules');
+const { paymentManager } = require('./payments');
 const auth = require('../middleware/authEnhanced');
 const adminAuth = require('../middleware/adminAuth');
 
@@ -316,6 +323,7 @@ router.get('/users/:id', async (req, res) => {
 router.put('/users/:id', [
   body('status').optional().isIn(['active', 'suspended', 'banned']),
   body('kyc.status').optional().isIn(['pending', 'approved', 'rejected']),
+  body('kyc.level').optional().isInt({ min: 0, max: 3 }),
   body('vip.level').optional().isInt({ min: 0, max: 10 }),
   body('limits.dailyDeposit').optional().isFloat({ min: 0 }),
   body('limits.dailyWithdrawal').optional().isFloat({ min: 0 })
@@ -486,6 +494,14 @@ router.put('/transactions/:id', [
       });
     }
 
+    // Withdrawal status follows the review pipeline, which also moves the held funds
+    if (transaction.type === 'withdrawal') {
+      return res.status(400).json({
+        success: false,
+        message: 'Withdrawals are managed through /api/admin/withdrawals'
+      });
+    }
+
     const oldStatus = transaction.status;
     transaction.status = status;
     if (adminNotes) {
@@ -524,6 +540,239 @@ router.put('/transactions/:id', [
   }
 });
 
+// @route   GET /api/admin/withdrawals
+// @desc    Get the withdrawal review queue (or withdrawals in another status)
+// @access  Private (Admin)
+router.get('/withdrawals', async (req, res) => {
+  try {
+    const { status = 'awaiting_approval', page = 1, limit = 50 } = req.query;
+
+    const { withdrawals, total } = await paymentManager.withdrawals.getQueue({
+      status,
+      limit: parseInt(limit),
+      skip: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching withdrawals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * Build a handler for an admin withdrawal action
+ * @param {string} action - Action name for the audit log
+ * @param {Function} apply - (req) => updated withdrawal
+ * @returns {Function} Express handler
+ */
+const withdrawalAction = (action, apply) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const withdrawal = await apply(req);
+
+    await SecurityMonitor.logEvent({
+      userId: req.user.id,
+      eventType: 'admin_action',
+      severity: 'medium',
+      description: `Admin ${action} withdrawal ${req.params.id}`,
+      metadata: {
+        additionalData: {
+          withdrawalId: req.params.id,
+          targetUserId: withdrawal.userId,
+          status: withdrawal.status,
+          notes: req.body.notes || req.body.reason
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { withdrawal }
+    });
+
+  } catch (error) {
+    if (error.message === 'Withdrawal not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @route   POST /api/admin/withdrawals/:id/approve
+// @desc    Approve a queued withdrawal; the last required approval pays it out
+// @access  Private (Admin)
+router.post('/withdrawals/:id/approve', [
+  body('notes').optional().isString().isLength({ max: 500 })
+], withdrawalAction('approved', req =>
+  paymentManager.withdrawals.approve(req.params.id, req.user.id, req.body.notes)
+));
+
+// @route   POST /api/admin/withdrawals/:id/reject
+// @desc    Reject a queued withdrawal and refund the held funds
+// @access  Private (Admin)
+router.post('/withdrawals/:id/reject', [
+  body('reason').isString().trim().isLength({ min: 1, max: 500 })
+], withdrawalAction('rejected', req =>
+  paymentManager.withdrawals.reject(req.params.id, req.user.id, req.body.reason)
+));
+
+// @route   POST /api/admin/withdrawals/:id/confirm
+// @desc    Mark a broadcast withdrawal as confirmed
+// @access  Private (Admin)
+router.post('/withdrawals/:id/confirm', [
+  body('txHash').optional().isString().trim()
+], withdrawalAction('confirmed', req =>
+  paymentManager.withdrawals.confirm(req.params.id, { txHash: req.body.txHash, adminId: req.user.id })
+));
+
+// @route   POST /api/admin/withdrawals/:id/fail
+// @desc    Mark an approved or broadcast withdrawal as failed and refund it
+// @access  Private (Admin)
+router.post('/withdrawals/:id/fail', [
+  body('reason').isString().trim().isLength({ min: 1, max: 500 })
+], withdrawalAction('failed', req =>
+  paymentManager.withdrawals.fail(req.params.id, req.body.reason, req.user.id)
+));
+
+// @route   GET /api/admin/ledger/:userId
+// @desc    Get a user's ledger entries and reconcile them against the wallet
+// @access  Private (Admin)
+router.get('/ledger/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { currency, page = 1, limit = 50 } = req.query;
+
+    const reconciliation = await Ledger.reconcile(userId);
+    const entries = await Ledger.getEntries(userId, {
+      currency,
+      limit: parseInt(limit),
+      skip: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reconciliation,
+        entries
+      }
+    });
+
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error fetching ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/ledger/:userId/rebuild
+// @desc    Reset a user's wallet to the balances rebuilt from the ledger
+// @access  Private (Admin)
+router.post('/ledger/:userId/rebuild', async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const reconciliation = await Ledger.rebuildBalance(userId);
+
+    await SecurityMonitor.logEvent({
+      userId: req.user.id,
+      eventType: 'admin_action',
+      severity: reconciliation.balanced ? 'low' : 'high',
+      description: `Admin rebuilt wallet balances from ledger for user ${userId}`,
+      metadata: {
+        additionalData: {
+          targetUserId: userId,
+          balances: reconciliation.balances
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: reconciliation
+    });
+
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error rebuilding ledger balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/exchange-rates
+// @desc    Get cached exchange rates with their source and age
+// @access  Private (Admin)
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    // Refresh expired rates first; failures leave the cached rates in place
+    await ExchangeRates.getRates().catch(error => {
+      console.error('Error refreshing exchange rates:', error.message);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: ExchangeRates.BASE_CURRENCY,
+        rates: ExchangeRates.getStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/admin/games/sessions
 // @desc    Get game sessions with filtering
 // @access  Private (Admin)
@@ -587,6 +836,242 @@ router.get('/games/sessions', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/games/catalog-syncs
+// @desc    Get game catalog sync reports, newest first
+// @access  Private (Admin)
+router.get('/games/catalog-syncs', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, trigger } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [syncs, total] = await Promise.all([
+      CatalogSyncRun.find(query)
+        .populate('triggeredBy', 'username')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CatalogSyncRun.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        syncs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching catalog syncs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/games/catalog-syncs/:id
+// @desc    Get a catalog sync report with the game changes it made
+// @access  Private (Admin)
+router.get('/games/catalog-syncs/:id', async (req, res) => {
+  try {
+    const { action, provider, page = 1, limit = 100 } = req.query;
+
+    const sync = await CatalogSyncRun.findById(req.params.id)
+      .populate('triggeredBy', 'username');
+
+    if (!sync) {
+      return res.status(404).json({
+        success: false,
+        message: 'Catalog sync not found'
+      });
+    }
+
+    const query = { runId: sync._id };
+    if (action) query.action = action;
+    if (provider) query.provider = provider;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [changes, total] = await Promise.all([
+      GameChange.find(query)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      GameChange.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        sync,
+        changes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching catalog sync:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/jurisdictions
+// @desc    Get the current jurisdiction rules, built-in and stored
+// @access  Private (Admin)
+router.get('/jurisdictions', async (req, res) => {
+  try {
+    const { status, source } = req.query;
+
+    let rules = [...(await JurisdictionRules.getRules({ fresh: true })).values()];
+    if (status) rules = rules.filter(rule => rule.status === status);
+    if (source) rules = rules.filter(rule => rule.source === source);
+    rules.sort((a, b) => a.code.localeCompare(b.code));
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+
+  } catch (error) {
+    console.error('Error fetching jurisdiction rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/jurisdictions/:code
+// @desc    Get a jurisdiction's current rule and its stored versions
+// @access  Private (Admin)
+router.get('/jurisdictions/:code', async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+
+    const rules = await JurisdictionRules.getRules({ fresh: true });
+    const history = await JurisdictionRules.getHistory(code);
+
+    if (!rules.has(code) && !history.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Jurisdiction rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rule: rules.get(code) || null,
+        history
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching jurisdiction rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/jurisdictions/:code
+// @desc    Store a new version of a jurisdiction's rule; fields left out keep their value
+// @access  Private (Admin)
+router.put('/jurisdictions/:code', [
+  body('name').optional().isString().trim(),
+  body('status').optional().isIn(['allowed', 'high_risk', 'blocked']),
+  body('blockedGames').optional().isArray(),
+  body('blockedCategories').optional().isArray(),
+  body('requiredKycLevel').optional().isInt({ min: 0, max: 3 }).toInt(),
+  body('maxBet').optional({ nullable: true }).isFloat({ min: 0.01 }).toFloat(),
+  body('realityCheckInterval').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('bonuses').optional().isObject(),
+  body('bonuses.allowed').optional().isBoolean(),
+  body('bonuses.blockedTypes').optional().isArray(),
+  body('bonuses.maxWageringRequirement').optional({ nullable: true }).isFloat({ min: 1 }),
+  body('taxReporting').optional().isBoolean(),
+  body('gdprCompliance').optional().isBoolean(),
+  body('licenses').optional().isArray(),
+  body('reason').isString().trim().isLength({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const code = req.params.code.toUpperCase();
+    if (!JurisdictionRule.JURISDICTION_CODE.test(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Jurisdiction code must be an ISO 3166-1 country code, an ISO 3166-2 region code or DEFAULT'
+      });
+    }
+
+    const rule = await JurisdictionRules.update(code, req.body, {
+      adminId: req.user.id,
+      reason: req.body.reason
+    });
+
+    await SecurityMonitor.logEvent({
+      userId: req.user.id,
+      eventType: 'admin_action',
+      severity: 'high',
+      description: `Admin updated jurisdiction rule ${code} to version ${rule.version}`,
+      metadata: {
+        additionalData: {
+          code,
+          version: rule.version,
+          status: rule.status,
+          reason: rule.reason
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { rule }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.message === 'Rule was updated by another request') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error updating jurisdiction rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/admin/security/events
 // @desc    Get security events
 // @access  Private (Admin)
@@ -72,14 +72,6 @@ router.post('/register', [
       kyc: {
         status: 'pending',
         level: 0
-      },
-      wallet: {
-        balance: {
-          BTC: 0,
-          ETH: 0,
-          USDT: 0,
-          USD: 0
-        }
       }
     });
 
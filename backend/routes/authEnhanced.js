@@ -5,6 +5,8 @@ const User = require('../models/User');
 const auth = require('../middleware/auth');
 const TwoFactorAuth = require('../utils/twoFactorAuth');
 const SessionManager = require('../utils/sessionManager');
+const JurisdictionRules = require('../utils/compliance/jurisdictionRules');
+const ResponsibleGaming = require('../utils/compliance/responsibleGaming');
 const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimiting');
 
 const router = express.Router();
@@ -19,6 +21,10 @@ router.post('/register', [
   body('username').isLength({ min: 3, max: 20 }).isAlphanumeric(),
   body('dateOfBirth').isISO8601(),
   body('country').isLength({ min: 2, max: 3 }),
+  body('region').optional({ nullable: true }).matches(/^([A-Za-z]{2}-)?[A-Za-z0-9]{1,3}$/),
+  body('firstName').optional().trim().isLength({ min: 1, max: 50 }),
+  body('lastName').optional().trim().isLength({ min: 1, max: 50 }),
+  body('postcode').optional().trim().isLength({ min: 2, max: 12 }),
   body('acceptTerms').isBoolean().equals('true'),
   body('acceptPrivacy').isBoolean().equals('true')
 ], async (req, res) => {
@@ -31,7 +37,7 @@ router.post('/register', [
       });
     }
 
-    const { email, password, username, dateOfBirth, country, phone, acceptTerms, acceptPrivacy } = req.body;
+    const { email, password, username, dateOfBirth, country, region, phone, firstName, lastName, postcode, acceptTerms, acceptPrivacy } = req.body;
 
     // Check if user already exists
     let user = await User.findOne({ 
@@ -56,15 +62,54 @@ router.post('/register', [
       });
     }
 
-    // Check for restricted countries (example list)
-    const restrictedCountries = ['US', 'UK', 'FR', 'AU', 'NL'];
-    if (restrictedCountries.includes(country.toUpperCase())) {
+    // Check the jurisdiction rules of the country or region
+    const regionCode = JurisdictionRules.regionCode(country, region);
+    if (regionCode && !regionCode.startsWith(`${country.toUpperCase()}-`)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Region does not belong to the selected country'
+      });
+    }
+
+    const jurisdiction = await JurisdictionRules.resolve(country, regionCode);
+    if (jurisdiction.status === 'blocked') {
       return res.status(400).json({
         success: false,
         message: 'Registration is not available in your country'
       });
     }
 
+    // Players on a self-exclusion register cannot open an account, nor can
+    // anyone while the registers cannot be reached. Registers match players
+    // by name, date of birth and postcode, so those are required wherever a
+    // register covers the country.
+    const exclusion = await ResponsibleGaming.getRegister().check({
+      email,
+      dateOfBirth,
+      country: country.toUpperCase(),
+      firstName,
+      lastName,
+      postcode
+    });
+    if (exclusion.excluded) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are registered with a self-exclusion scheme'
+      });
+    }
+    if (exclusion.incomplete) {
+      return res.status(400).json({
+        success: false,
+        message: 'First name, last name and postcode are required in your country'
+      });
+    }
+    if (exclusion.unavailable) {
+      return res.status(503).json({
+        success: false,
+        message: 'Self-exclusion checks are unavailable, please try again later'
+      });
+    }
+
     // Hash password
     const salt = await bcrypt.genSalt(12);
     const hashedPassword = await bcrypt.hash(password, salt);
@@ -76,7 +121,11 @@ router.post('/register', [
       username,
       dateOfBirth,
       country: country.toUpperCase(),
+      region: regionCode,
       phone,
+      firstName,
+      lastName,
+      postcode,
       profile: {
         tier: 'Bronze',
         totalWagered: 0,
@@ -87,14 +136,6 @@ router.post('/register', [
         status: 'pending',
         level: 0
       },
-      wallet: {
-        balance: {
-          BTC: 0,
-          ETH: 0,
-          USDT: 0,
-          USD: 0
-        }
-      },
       metadata: {
         registrationIp: req.ip,
         registrationUserAgent: req.get('User-Agent'),
@@ -236,6 +277,17 @@ router.post('/login', [
       }
     }
 
+    // Players on a self-exclusion register are kept out. While the
+    // registers cannot be reached login goes ahead; deposits and bets wait
+    // for the check.
+    const exclusion = await ResponsibleGaming.getRegister().check(user, { fresh: true });
+    if (exclusion.excluded) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are registered with a self-exclusion scheme'
+      });
+    }
+
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
 
@@ -279,6 +331,7 @@ router.post('/login', [
         tier: user.profile.tier,
         kycStatus: user.kyc.status,
         balance: user.wallet.balance,
+        bonusBalance: user.wallet.bonusBalance,
         twoFactorEnabled: user.security.twoFactorEnabled
       }
     });
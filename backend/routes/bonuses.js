@@ -0,0 +1,133 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const auth = require('../middleware/authEnhanced');
+const BonusManager = require('../payments/bonusManager');
+const { getCurrencyCodes } = require('../config/currencies');
+
+const router = express.Router();
+
+// Apply auth middleware to all bonus routes
+router.use(auth);
+
+// @route   GET /api/bonuses
+// @desc    Get the bonus offers the user can claim
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const bonuses = await BonusManager.getEligibleBonuses(req.user.id);
+
+    res.json({
+      success: true,
+      data: bonuses.map(bonus => ({
+        id: bonus._id,
+        name: bonus.name,
+        type: bonus.type,
+        description: bonus.description,
+        terms: bonus.terms,
+        amount: bonus.amount,
+        percentage: bonus.percentage,
+        maxAmount: bonus.maxAmount,
+        minDeposit: bonus.minDeposit,
+        wageringRequirement: bonus.wageringRequirement,
+        currencies: bonus.currencies,
+        categories: bonus.games.categories,
+        validUntil: bonus.validity.endDate
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching bonuses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/bonuses/mine
+// @desc    Get the user's claimed bonuses and wagering progress
+// @access  Private
+router.get('/mine', [
+  query('status').optional().isIn(['active', 'completed', 'forfeited', 'expired'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const bonuses = await BonusManager.getUserBonuses(req.user.id, {
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: bonuses.map(userBonus => ({
+        id: userBonus._id,
+        bonusId: userBonus.bonusId,
+        name: userBonus.metadata.originalBonus.name,
+        status: userBonus.status,
+        amount: userBonus.amount,
+        currency: userBonus.currency,
+        wagering: userBonus.wagering,
+        completionPercentage: userBonus.completionPercentage,
+        claimedAt: userBonus.claimedAt,
+        expiresAt: userBonus.expiresAt,
+        completedAt: userBonus.completedAt,
+        forfeitedAt: userBonus.forfeitedAt,
+        forfeitReason: userBonus.forfeitReason
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching user bonuses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/bonuses/:id/claim
+// @desc    Claim a bonus offer
+// @access  Private
+router.post('/:id/claim', [
+  param('id').isMongoId(),
+  body('currency').isIn(getCurrencyCodes())
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const userBonus = await BonusManager.claimBonus(req.user.id, req.params.id, req.body.currency);
+
+    res.json({
+      success: true,
+      message: 'Bonus claimed',
+      data: {
+        id: userBonus._id,
+        amount: userBonus.amount,
+        currency: userBonus.currency,
+        wagering: userBonus.wagering,
+        expiresAt: userBonus.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error claiming bonus:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
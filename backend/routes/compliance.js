@@ -2,7 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const ResponsibleGaming = require('../utils/compliance/responsibleGaming');
 const GeolocationCompliance = require('../utils/compliance/geolocation');
+const RealityChecks = require('../utils/compliance/realityChecks');
 const User = require('../models/User');
+const RealityCheck = require('../models/RealityCheck');
+const { getCurrencyCodes } = require('../config/currencies');
 const auth = require('../middleware/authEnhanced');
 
 const router = express.Router();
@@ -49,11 +52,42 @@ router.get('/responsible-gaming/status', async (req, res) => {
   }
 });
 
+// @route   GET /api/compliance/responsible-gaming/limits
+// @desc    Get user's responsible gaming limits, current and pending values
+// @access  Private
+router.get('/responsible-gaming/limits', async (req, res) => {
+  try {
+    const limits = await ResponsibleGaming.getLimits(req.user.id);
+
+    if (!limits) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: limits
+    });
+
+  } catch (error) {
+    console.error('Error getting limits:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/compliance/responsible-gaming/limits
-// @desc    Update user's responsible gaming limits
+// @desc    Update user's responsible gaming limits; raised limits apply
+//          after the cooling period
 // @access  Private
 router.post('/responsible-gaming/limits', [
-  body('dailyDeposit').optional().isFloat({ min: 0 }),
+  ...['Deposit', 'Loss', 'Wager'].flatMap(kind => ['daily', 'weekly', 'monthly'].map(period =>
+    body(`${period}${kind}`).optional({ nullable: true }).isFloat({ min: 0 })
+  )),
   body('dailyWithdrawal').optional().isFloat({ min: 0 }),
   body('sessionTime').optional().isInt({ min: 0 })
 ], async (req, res) => {
@@ -74,7 +108,8 @@ router.post('/responsible-gaming/limits', [
     if (result.success) {
       res.json({
         success: true,
-        message: result.message
+        message: result.message,
+        data: await ResponsibleGaming.getLimits(userId)
       });
     } else {
       res.status(400).json({
@@ -150,28 +185,136 @@ router.post('/responsible-gaming/self-exclusion', [
 });
 
 // @route   GET /api/compliance/responsible-gaming/reality-check
-// @desc    Get reality check information
+// @desc    Get the reality check interval, pending check and current session
 // @access  Private
 router.get('/responsible-gaming/reality-check', async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    const realityCheck = await ResponsibleGaming.sendRealityCheck(userId);
+    const status = await RealityChecks.getStatus(req.user.id);
 
-    if (realityCheck) {
-      res.json({
-        success: true,
-        data: realityCheck
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Error getting reality check:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/compliance/responsible-gaming/reality-check
+// @desc    Set the reality check interval (minutes, 0 turns checks off)
+// @access  Private
+router.put('/responsible-gaming/reality-check', [
+  body('interval').isInt({ min: 0, max: 1440 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
       });
-    } else {
-      res.status(500).json({
+    }
+
+    const interval = await RealityChecks.updateInterval(req.user.id, req.body.interval);
+
+    res.json({
+      success: true,
+      data: { interval }
+    });
+
+  } catch (error) {
+    if (error.message.startsWith('Reality checks are required')) {
+      return res.status(400).json({
         success: false,
-        message: 'Unable to generate reality check'
+        message: error.message
+      });
+    }
+
+    console.error('Error updating reality check interval:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/compliance/responsible-gaming/reality-check/acknowledge
+// @desc    Answer the pending reality check: continue, stop or set_limit
+// @access  Private
+router.post('/responsible-gaming/reality-check/acknowledge', [
+  body('action').isIn(['continue', 'stop', 'set_limit']),
+  body('limits').if(body('action').equals('set_limit')).isObject(),
+  body('limits.*').isFloat({ min: 0 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
       });
     }
 
+    const { action, limits } = req.body;
+    const check = await RealityChecks.acknowledge(req.user.id, {
+      action,
+      limits: action === 'set_limit' ? limits : null
+    }, {
+      channel: 'api',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      data: { realityCheck: check }
+    });
+
   } catch (error) {
-    console.error('Error getting reality check:', error);
+    console.error('Error acknowledging reality check:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/compliance/responsible-gaming/reality-check/history
+// @desc    Get the user's past reality checks and answers
+// @access  Private
+router.get('/responsible-gaming/reality-check/history', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [checks, total] = await Promise.all([
+      RealityCheck.find({ userId: req.user.id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      RealityCheck.countDocuments({ userId: req.user.id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        realityChecks: checks,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error getting reality check history:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -232,7 +375,7 @@ router.post('/geolocation/verify', async (req, res) => {
 router.get('/geolocation/requirements', async (req, res) => {
   try {
     const userId = req.user.id;
-    const user = await User.findById(userId).select('country');
+    const user = await User.findById(userId).select('country region');
     
     if (!user || !user.country) {
       return res.status(400).json({
@@ -241,12 +384,13 @@ router.get('/geolocation/requirements', async (req, res) => {
       });
     }
 
-    const requirements = GeolocationCompliance.getComplianceRequirements(user.country);
+    const requirements = await GeolocationCompliance.getComplianceRequirements(user.country, user.region);
 
     res.json({
       success: true,
       data: {
         country: user.country,
+        region: user.region,
         requirements
       }
     });
@@ -306,7 +450,8 @@ router.get('/age-verification/status', async (req, res) => {
 // @desc    Check if deposit is within limits
 // @access  Private
 router.post('/deposit-limit-check', [
-  body('amount').isFloat({ min: 0.01 })
+  body('amount').isFloat({ min: 0.01 }),
+  body('currency').optional().isIn(getCurrencyCodes())
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -318,9 +463,9 @@ router.post('/deposit-limit-check', [
     }
 
     const userId = req.user.id;
-    const { amount } = req.body;
+    const { amount, currency = 'USD' } = req.body;
 
-    const limitCheck = await ResponsibleGaming.checkDailyDepositLimit(userId, amount);
+    const limitCheck = await ResponsibleGaming.checkDepositLimit(userId, amount, currency);
 
     res.json({
       success: true,
@@ -340,7 +485,8 @@ router.post('/deposit-limit-check', [
 // @desc    Check if withdrawal is within limits
 // @access  Private
 router.post('/withdrawal-limit-check', [
-  body('amount').isFloat({ min: 0.01 })
+  body('amount').isFloat({ min: 0.01 }),
+  body('currency').optional().isIn(getCurrencyCodes())
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -352,9 +498,9 @@ router.post('/withdrawal-limit-check', [
     }
 
     const userId = req.user.id;
-    const { amount } = req.body;
+    const { amount, currency = 'USD' } = req.body;
 
-    const limitCheck = await ResponsibleGaming.checkDailyWithdrawalLimit(userId, amount);
+    const limitCheck = await ResponsibleGaming.checkDailyWithdrawalLimit(userId, amount, currency);
 
     res.json({
       success: true,
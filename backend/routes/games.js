@@ -1,9 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const auth = require('../middleware/authEnhanced');
 const Game = require('../models/Game');
 const GameSession = require('../models/GameSession');
 const GameManager = require('../games/gameManager');
+const SeedManager = require('../games/utils/seedManager');
+const { getCurrencyCodes } = require('../config/currencies');
 const { SecurityMonitor } = require('../utils/securityMonitor');
 
 const router = express.Router();
@@ -41,6 +43,81 @@ router.get('/list', async (req, res) => {
   }
 });
 
+// @route   GET /api/games/seeds
+// @desc    Get the user's active provably fair seed pair
+// @access  Private
+router.get('/seeds', auth, async (req, res) => {
+  try {
+    const seedPair = await SeedManager.getActiveSeedPair(req.user.id);
+
+    res.json({
+      success: true,
+      seedPair: seedPair.toPublic()
+    });
+
+  } catch (error) {
+    console.error('Error fetching seed pair:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/games/seeds/history
+// @desc    Get the user's revealed seed pairs for verification
+// @access  Private
+router.get('/seeds/history', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const seedPairs = await SeedManager.getRevealedSeedPairs(req.user.id, limit);
+
+    res.json({
+      success: true,
+      seedPairs
+    });
+
+  } catch (error) {
+    console.error('Error fetching seed history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/games/seeds/rotate
+// @desc    Reveal the current server seed and activate the committed next one
+// @access  Private
+router.post('/seeds/rotate', [
+  auth,
+  body('clientSeed').optional().isString().trim().isLength({ min: 1, max: 64 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await SeedManager.rotateSeedPair(req.user.id, req.body.clientSeed);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error rotating seed pair:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/games/:slug
 // @desc    Get game details
 // @access  Public
@@ -77,8 +154,8 @@ router.get('/:slug', async (req, res) => {
 // @access  Private
 router.post('/crash/play', [
   auth,
-  body('betAmount').isFloat({ min: 0.01, max: 1000 }),
-  body('currency').isIn(['BTC', 'ETH', 'USDT', 'USD']),
+  body('betAmount').isFloat({ min: 0.01, max: 1000 }).toFloat(),
+  body('currency').isIn(getCurrencyCodes()),
   body('autoCashOut').optional().isFloat({ min: 1.01, max: 1000 })
 ], async (req, res) => {
   try {
@@ -152,17 +229,80 @@ router.get('/crash/state', (req, res) => {
   }
 });
 
+// @route   GET /api/games/crash/chain
+// @desc    Get the published terminating hash of the crash hash chain
+// @access  Public
+router.get('/crash/chain', async (req, res) => {
+  try {
+    const chain = await gameManager.crashChain.getChainInfo(req.query.chainId);
+
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hash chain not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      chain
+    });
+
+  } catch (error) {
+    console.error('Error fetching crash chain:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/games/crash/verify-chain
+// @desc    Verify a span of past crash rounds against the hash chain
+// @access  Public
+router.get('/crash/verify-chain', [
+  query('from').isInt({ min: 1 }),
+  query('to').isInt({ min: 1 }),
+  query('chainId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const verification = await gameManager.crashChain.verifySpan(
+      parseInt(req.query.from),
+      parseInt(req.query.to),
+      req.query.chainId
+    );
+
+    res.json({
+      success: true,
+      verification
+    });
+
+  } catch (error) {
+    console.error('Error verifying crash chain:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/games/dice/play
 // @desc    Play dice game
 // @access  Private
 router.post('/dice/play', [
   auth,
-  body('betAmount').isFloat({ min: 0.01, max: 1000 }),
-  body('currency').isIn(['BTC', 'ETH', 'USDT', 'USD']),
+  body('betAmount').isFloat({ min: 0.01, max: 1000 }).toFloat(),
+  body('currency').isIn(getCurrencyCodes()),
   body('target').isFloat({ min: 0, max: 100 }),
-  body('direction').isIn(['over', 'under']),
-  body('clientSeed').optional().isString(),
-  body('nonce').optional().isInt({ min: 0 })
+  body('direction').isIn(['over', 'under'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -173,7 +313,7 @@ router.post('/dice/play', [
       });
     }
 
-    const { betAmount, currency, target, direction, clientSeed, nonce = 0 } = req.body;
+    const { betAmount, currency, target, direction } = req.body;
     const userId = req.user.id;
 
     const result = await gameManager.playDice(
@@ -181,9 +321,7 @@ router.post('/dice/play', [
       betAmount, 
       currency, 
       target, 
-      direction, 
-      clientSeed, 
-      nonce
+      direction
     );
 
     res.json({
@@ -205,11 +343,9 @@ router.post('/dice/play', [
 // @access  Private
 router.post('/plinko/play', [
   auth,
-  body('betAmount').isFloat({ min: 0.01, max: 100 }),
-  body('currency').isIn(['BTC', 'ETH', 'USDT', 'USD']),
-  body('risk').isIn(['low', 'medium', 'high']),
-  body('clientSeed').optional().isString(),
-  body('nonce').optional().isInt({ min: 0 })
+  body('betAmount').isFloat({ min: 0.01, max: 100 }).toFloat(),
+  body('currency').isIn(getCurrencyCodes()),
+  body('risk').isIn(['low', 'medium', 'high'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -220,16 +356,14 @@ router.post('/plinko/play', [
       });
     }
 
-    const { betAmount, currency, risk, clientSeed, nonce = 0 } = req.body;
+    const { betAmount, currency, risk } = req.body;
     const userId = req.user.id;
 
     const result = await gameManager.playPlinko(
       userId, 
       betAmount, 
       currency, 
-      risk, 
-      clientSeed, 
-      nonce
+      risk
     );
 
     res.json({
@@ -246,11 +380,417 @@ router.post('/plinko/play', [
   }
 });
 
+// @route   POST /api/games/limbo/play
+// @desc    Play Limbo game
+// @access  Private
+router.post('/limbo/play', [
+  auth,
+  body('betAmount').isFloat({ min: 0.01, max: 1000 }).toFloat(),
+  body('currency').isIn(getCurrencyCodes()),
+  body('target').isFloat({ min: 1.01, max: 1000000 }).toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { betAmount, currency, target } = req.body;
+    const userId = req.user.id;
+
+    const result = await gameManager.playLimbo(userId, betAmount, currency, target);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error playing Limbo:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/keno/play
+// @desc    Play Keno game
+// @access  Private
+router.post('/keno/play', [
+  auth,
+  body('betAmount').isFloat({ min: 0.01, max: 1000 }).toFloat(),
+  body('currency').isIn(getCurrencyCodes()),
+  body('picks').isArray({ min: 1, max: 10 }),
+  body('picks.*').isInt({ min: 1, max: 40 }).toInt(),
+  body('risk').optional().isIn(['classic', 'low', 'medium', 'high'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { betAmount, currency, picks, risk = 'classic' } = req.body;
+    const userId = req.user.id;
+
+    const result = await gameManager.playKeno(userId, betAmount, currency, picks, risk);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error playing Keno:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/roulette/play
+// @desc    Spin European roulette with a slip of bets
+// @access  Private
+router.post('/roulette/play', [
+  auth,
+  body('currency').isIn(getCurrencyCodes()),
+  body('bets').isArray({ min: 1, max: 50 }),
+  body('bets.*.type').isIn([
+    'straight', 'split', 'street', 'corner', 'sixline',
+    'dozen', 'column', 'red', 'black', 'odd', 'even', 'low', 'high'
+  ]),
+  body('bets.*.amount').isFloat({ min: 0.01, max: 1000 }).toFloat(),
+  body('bets.*.numbers').optional().isArray({ min: 1, max: 6 }),
+  body('bets.*.numbers.*').isInt({ min: 0, max: 36 }).toInt(),
+  body('bets.*.value').optional().isInt({ min: 1, max: 3 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currency, bets } = req.body;
+    const userId = req.user.id;
+
+    const result = await gameManager.playRoulette(userId, currency, bets);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error playing Roulette:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/mines/start
+// @desc    Start a Mines game
+// @access  Private
+router.post('/mines/start', [
+  auth,
+  body('betAmount').isFloat({ min: 0.01, max: 1000 }).toFloat(),
+  body('currency').isIn(getCurrencyCodes()),
+  body('mineCount').isInt({ min: 1, max: 24 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { betAmount, currency, mineCount } = req.body;
+    const userId = req.user.id;
+
+    const result = await gameManager.startMines(userId, betAmount, currency, mineCount);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error starting Mines:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/mines/reveal
+// @desc    Reveal a tile in the active Mines game
+// @access  Private
+router.post('/mines/reveal', [
+  auth,
+  body('tile').isInt({ min: 0, max: 24 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await gameManager.revealMinesTile(req.user.id, req.body.tile);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error revealing Mines tile:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/mines/cashout
+// @desc    Cash out the active Mines game
+// @access  Private
+router.post('/mines/cashout', auth, async (req, res) => {
+  try {
+    const result = await gameManager.cashOutMines(req.user.id);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error cashing out Mines:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/games/mines/active
+// @desc    Get the user's active Mines game
+// @access  Private
+router.get('/mines/active', auth, async (req, res) => {
+  try {
+    const game = await gameManager.getMinesGame(req.user.id);
+
+    res.json({
+      success: true,
+      game
+    });
+
+  } catch (error) {
+    console.error('Error fetching Mines game:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/games/blackjack/start
+// @desc    Deal a Blackjack hand
+// @access  Private
+router.post('/blackjack/start', [
+  auth,
+  body('betAmount').isFloat({ min: 0.01, max: 1000 }).toFloat(),
+  body('currency').isIn(getCurrencyCodes())
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { betAmount, currency } = req.body;
+    const userId = req.user.id;
+
+    const result = await gameManager.startBlackjack(userId, betAmount, currency);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error starting Blackjack:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/blackjack/hit
+// @desc    Draw a card to the active Blackjack hand
+// @access  Private
+router.post('/blackjack/hit', auth, async (req, res) => {
+  try {
+    const result = await gameManager.blackjackAction(req.user.id, 'hit');
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error in Blackjack hit:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/blackjack/stand
+// @desc    Stand on the active Blackjack hand
+// @access  Private
+router.post('/blackjack/stand', auth, async (req, res) => {
+  try {
+    const result = await gameManager.blackjackAction(req.user.id, 'stand');
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error in Blackjack stand:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/blackjack/double
+// @desc    Double the bet on the active Blackjack hand and draw one card
+// @access  Private
+router.post('/blackjack/double', auth, async (req, res) => {
+  try {
+    const result = await gameManager.blackjackAction(req.user.id, 'double');
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error in Blackjack double:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/blackjack/split
+// @desc    Split a pair into two Blackjack hands
+// @access  Private
+router.post('/blackjack/split', auth, async (req, res) => {
+  try {
+    const result = await gameManager.blackjackAction(req.user.id, 'split');
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error in Blackjack split:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/games/blackjack/insurance
+// @desc    Take or decline insurance when the dealer shows an ace
+// @access  Private
+router.post('/blackjack/insurance', [
+  auth,
+  body('accept').isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await gameManager.blackjackAction(req.user.id, 'insurance', {
+      accept: req.body.accept
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error in Blackjack insurance:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/games/blackjack/active
+// @desc    Get the user's active Blackjack hand
+// @access  Private
+router.get('/blackjack/active', auth, async (req, res) => {
+  try {
+    const game = await gameManager.getBlackjackGame(req.user.id);
+
+    res.json({
+      success: true,
+      game
+    });
+
+  } catch (error) {
+    console.error('Error fetching Blackjack game:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   POST /api/games/verify
 // @desc    Verify provably fair game result
 // @access  Public
 router.post('/verify', [
-  body('gameType').isIn(['crash', 'dice', 'plinko']),
+  body('gameType').isIn(['crash', 'dice', 'plinko', 'mines', 'limbo', 'keno', 'blackjack', 'roulette']),
   body('gameResult').isObject()
 ], async (req, res) => {
   try {
@@ -533,6 +1073,21 @@ router.get('/config/:gameType', (req, res) => {
       case 'crash':
         config = gameManager.crashGame.config;
         break;
+      case 'mines':
+        config = gameManager.minesGame.getConfig();
+        break;
+      case 'limbo':
+        config = gameManager.limboGame.getConfig();
+        break;
+      case 'keno':
+        config = gameManager.kenoGame.getConfig();
+        break;
+      case 'blackjack':
+        config = gameManager.blackjackGame.getConfig();
+        break;
+      case 'roulette':
+        config = gameManager.rouletteGame.getConfig();
+        break;
       default:
         return res.status(404).json({
           success: false,
@@ -556,3 +1111,5 @@ router.get('/config/:gameType', (req, res) => {
 
 module.exports = router;
 
+// Shared with the Socket.IO gateway so REST and socket bets hit the same crash round
+module.exports.gameManager = gameManager;
@@ -1,7 +1,10 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/authEnhanced');
+const verifyWebhook = require('../middleware/webhookAuth');
+const WebhookEvent = require('../models/WebhookEvent');
 const PaymentManager = require('../payments/paymentManager');
+const { getCurrencyCodes } = require('../config/currencies');
 const { SecurityMonitor } = require('../utils/securityMonitor');
 
 const router = express.Router();
@@ -63,7 +66,7 @@ router.get('/wallet', auth, async (req, res) => {
 // @access  Private
 router.post('/deposit/generate', [
   auth,
-  body('currency').isIn(['BTC', 'ETH', 'USDT', 'LTC', 'BCH', 'DOGE', 'USD', 'EUR', 'GBP', 'CAD', 'AUD']),
+  body('currency').isIn(getCurrencyCodes()),
   body('method').optional().isIn(['credit_card', 'debit_card', 'bank_transfer', 'e_wallet'])
 ], async (req, res) => {
   try {
@@ -99,7 +102,7 @@ router.post('/deposit/generate', [
 // @access  Private
 router.post('/deposit/process', [
   auth,
-  body('currency').isIn(['BTC', 'ETH', 'USDT', 'LTC', 'BCH', 'DOGE', 'USD', 'EUR', 'GBP', 'CAD', 'AUD']),
+  body('currency').isIn(getCurrencyCodes()),
   body('amount').isFloat({ min: 0.01 }),
   body('provider').optional().isIn(['stripe', 'paypal', 'skrill']),
   body('paymentMethod').optional().isIn(['credit_card', 'debit_card', 'bank_transfer', 'e_wallet']),
@@ -140,7 +143,7 @@ router.post('/deposit/process', [
 // @access  Private
 router.post('/withdraw', [
   auth,
-  body('currency').isIn(['BTC', 'ETH', 'USDT', 'LTC', 'BCH', 'DOGE', 'USD', 'EUR', 'GBP', 'CAD', 'AUD']),
+  body('currency').isIn(getCurrencyCodes()),
   body('amount').isFloat({ min: 0.01 }),
   body('toAddress').optional().isString(), // For crypto
   body('withdrawalMethod').optional().isIn(['bank_transfer', 'e_wallet', 'credit_card']), // For fiat
@@ -241,70 +244,43 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
-// @route   POST /api/payments/webhook/stripe
-// @desc    Handle Stripe webhook
-// @access  Public (webhook)
-router.post('/webhook/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-  try {
-    const sig = req.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+// Handle a webhook that passed verification. A failed event is released so
+// the provider's retry is accepted.
+const handleVerifiedWebhook = async (req, res) => {
+  const { provider, eventId, payload } = req.webhook;
 
-    // Verify webhook signature (simplified)
-    // In production, use Stripe's webhook signature verification
-
-    const event = JSON.parse(req.body);
-    
-    const result = await paymentManager.handleWebhook('stripe', event);
+  try {
+    const result = await paymentManager.handleWebhook(provider, payload);
+    await WebhookEvent.markProcessed(provider, eventId);
 
     res.json({ received: true, result });
 
   } catch (error) {
-    console.error('Stripe webhook error:', error);
+    console.error(`${provider} webhook error:`, error);
+    await WebhookEvent.release(provider, eventId);
     res.status(400).json({ error: error.message });
   }
-});
+};
+
+// @route   POST /api/payments/webhook/stripe
+// @desc    Handle Stripe webhook
+// @access  Public (Stripe-Signature)
+router.post('/webhook/stripe', verifyWebhook('stripe'), handleVerifiedWebhook);
 
 // @route   POST /api/payments/webhook/paypal
 // @desc    Handle PayPal webhook
-// @access  Public (webhook)
-router.post('/webhook/paypal', async (req, res) => {
-  try {
-    const result = await paymentManager.handleWebhook('paypal', req.body);
-    res.json({ received: true, result });
-
-  } catch (error) {
-    console.error('PayPal webhook error:', error);
-    res.status(400).json({ error: error.message });
-  }
-});
+// @access  Public (PayPal transmission signature)
+router.post('/webhook/paypal', verifyWebhook('paypal'), handleVerifiedWebhook);
 
 // @route   POST /api/payments/webhook/skrill
-// @desc    Handle Skrill webhook
-// @access  Public (webhook)
-router.post('/webhook/skrill', async (req, res) => {
-  try {
-    const result = await paymentManager.handleWebhook('skrill', req.body);
-    res.json({ received: true, result });
-
-  } catch (error) {
-    console.error('Skrill webhook error:', error);
-    res.status(400).json({ error: error.message });
-  }
-});
+// @desc    Handle Skrill status notification
+// @access  Public (Skrill sha2sig/md5sig)
+router.post('/webhook/skrill', verifyWebhook('skrill'), handleVerifiedWebhook);
 
 // @route   POST /api/payments/webhook/blockchain
-// @desc    Handle blockchain webhook (for crypto deposits)
-// @access  Public (webhook)
-router.post('/webhook/blockchain', async (req, res) => {
-  try {
-    const result = await paymentManager.handleWebhook('blockchain', req.body);
-    res.json({ received: true, result });
-
-  } catch (error) {
-    console.error('Blockchain webhook error:', error);
-    res.status(400).json({ error: error.message });
-  }
-});
+// @desc    Handle blockchain webhook (triggers a deposit scan)
+// @access  Public (X-Webhook-Signature)
+router.post('/webhook/blockchain', verifyWebhook('blockchain'), handleVerifiedWebhook);
 
 // @route   GET /api/payments/transaction/:id
 // @desc    Get specific transaction details
@@ -347,7 +323,7 @@ router.get('/transaction/:id', auth, async (req, res) => {
 router.post('/verify-address', [
   auth,
   body('address').notEmpty(),
-  body('currency').isIn(['BTC', 'ETH', 'USDT', 'LTC', 'BCH', 'DOGE'])
+  body('currency').isIn(getCurrencyCodes('crypto'))
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -442,11 +418,30 @@ router.post('/cancel/:id', auth, async (req, res) => {
     const userId = req.user.id;
 
     const Transaction = require('../models/Transaction');
-    const transaction = await Transaction.findOne({
-      _id: id,
-      userId,
-      status: 'pending'
-    });
+    const Withdrawal = require('../models/Withdrawal');
+    let transaction;
+
+    // Withdrawals are cancelled through their pipeline, which refunds them
+    // once and stops them being approved afterwards
+    const withdrawal = await Withdrawal.findOne({ transactionId: id, userId });
+    if (withdrawal) {
+      try {
+        await paymentManager.withdrawals.cancel(withdrawal._id, userId);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      transaction = await Transaction.findById(id);
+    } else {
+      // Claim the pending transaction atomically so it can only be cancelled once
+      transaction = await Transaction.findOneAndUpdate(
+        { _id: id, userId, status: 'pending', type: { $ne: 'withdrawal' } },
+        { $set: { status: 'cancelled', processedAt: new Date() } },
+        { new: true }
+      );
+    }
 
     if (!transaction) {
       return res.status(404).json({
@@ -455,18 +450,6 @@ router.post('/cancel/:id', auth, async (req, res) => {
       });
     }
 
-    // Update transaction status
-    transaction.status = 'cancelled';
-    await transaction.save();
-
-    // Refund balance if it was a withdrawal
-    if (transaction.type === 'withdrawal') {
-      const User = require('../models/User');
-      await User.findByIdAndUpdate(userId, {
-        $inc: { [`wallet.balance.${transaction.currency}`]: transaction.amount }
-      });
-    }
-
     // Log cancellation
     await SecurityMonitor.logEvent({
       userId,
@@ -579,4 +562,5 @@ router.get('/limits', auth, async (req, res) => {
 });
 
 module.exports = router;
+module.exports.paymentManager = paymentManager;
 
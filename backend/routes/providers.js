@@ -3,10 +3,24 @@ const { body, validationResult } = require('express-validator');
 const auth = require('../middleware/authEnhanced');
 const { ProviderManager } = require('../games/providers/providerManager');
 const Game = require('../models/Game');
+const User = require('../models/User');
+const JurisdictionRules = require('../utils/compliance/jurisdictionRules');
+const RealityChecks = require('../utils/compliance/realityChecks');
+const ResponsibleGaming = require('../utils/compliance/responsibleGaming');
+const { getCurrencyCodes } = require('../config/currencies');
 const { SecurityMonitor } = require('../utils/securityMonitor');
+const providerAuth = require('../middleware/providerAuth');
 
 const router = express.Router();
 const providerManager = new ProviderManager();
+const verifyProviderCallback = providerAuth(providerManager);
+
+// Game.provider value of a provider key; other values (e.g. internal) are used as is
+const gameProviderOf = key => (
+  providerManager.getAvailableProviders().includes(key)
+    ? providerManager.getProvider(key).gameProvider
+    : key
+);
 
 // @route   GET /api/providers/list
 // @desc    Get list of available providers
@@ -30,7 +44,7 @@ router.get('/list', (req, res) => {
 });
 
 // @route   POST /api/providers/sync-games
-// @desc    Sync games from all providers
+// @desc    Sync the game catalog of every provider now; returns the sync report
 // @access  Private (Admin only)
 router.post('/sync-games', auth, async (req, res) => {
   try {
@@ -42,8 +56,11 @@ router.post('/sync-games', auth, async (req, res) => {
       });
     }
 
-    const results = await providerManager.syncAllGames();
-    
+    const results = await providerManager.syncAllGames({
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
     res.json({
       success: true,
       results
@@ -64,7 +81,7 @@ router.post('/sync-games', auth, async (req, res) => {
 router.post('/:provider/launch', [
   auth,
   body('gameId').notEmpty(),
-  body('currency').optional().isIn(['BTC', 'ETH', 'USDT', 'USD']),
+  body('currency').optional().isIn(getCurrencyCodes()),
   body('language').optional().isString(),
   body('mode').optional().isIn(['real', 'demo'])
 ], async (req, res) => {
@@ -84,7 +101,7 @@ router.post('/:provider/launch', [
     // Check if game exists
     const game = await Game.findOne({ 
       slug: gameId, 
-      provider: provider,
+      provider: gameProviderOf(provider),
       status: 'active' 
     });
 
@@ -95,6 +112,15 @@ router.post('/:provider/launch', [
       });
     }
 
+    // Real money play must be allowed in the user's jurisdiction, is closed
+    // to self-excluded users, and waits for a pending reality check
+    if (mode === 'real') {
+      const user = await User.findById(userId);
+      RealityChecks.assertNoPendingCheck(user);
+      await ResponsibleGaming.assertNotSelfExcluded(user);
+      await JurisdictionRules.assertCanPlay(user, game);
+    }
+
     // Launch game
     const launchData = await providerManager.launchGame(provider, gameId, userId, {
       currency,
@@ -133,321 +159,22 @@ router.post('/:provider/launch', [
   }
 });
 
-// @route   POST /api/providers/pragmatic/balance
-// @desc    Get user balance for Pragmatic Play
-// @access  Provider callback
-router.post('/pragmatic/balance', async (req, res) => {
-  try {
-    const { user_id, currency, session_id } = req.body;
-
-    // Validate request signature (implement signature validation)
-    // This is a simplified version - in production, validate the signature
-
-    const balanceData = await providerManager.getBalance('pragmatic', user_id, currency);
-    
-    res.json(balanceData);
-
-  } catch (error) {
-    console.error('Pragmatic balance error:', error);
-    res.status(400).json({
-      error_code: 'BALANCE_ERROR',
-      message: error.message
-    });
-  }
-});
-
-// @route   POST /api/providers/pragmatic/transaction
-// @desc    Process transaction for Pragmatic Play
-// @access  Provider callback
-router.post('/pragmatic/transaction', async (req, res) => {
-  try {
-    const transactionData = req.body;
-
-    // Validate request signature (implement signature validation)
-    // This is a simplified version - in production, validate the signature
-
-    const result = await providerManager.processTransaction('pragmatic', transactionData);
-    
-    res.json(result);
-
-  } catch (error) {
-    console.error('Pragmatic transaction error:', error);
-    res.status(400).json({
-      status: 'error',
-      error_code: 'TRANSACTION_ERROR',
-      message: error.message
-    });
-  }
-});
-
-// @route   POST /api/providers/evolution/authenticate
-// @desc    Authenticate user for Evolution Gaming
-// @access  Provider callback
-router.post('/evolution/authenticate', async (req, res) => {
-  try {
-    const { token, user_id } = req.body;
-
-    // Validate token and get user data
-    const User = require('../models/User');
-    const user = await User.findById(user_id);
-
-    if (!user) {
-      return res.status(404).json({
-        status: 'FAILED',
-        uuid: user_id,
-        currency: 'USD',
-        cash: 0,
-        bonus: 0,
-        error: {
-          code: 1,
-          message: 'User not found'
-        }
-      });
-    }
-
-    res.json({
-      status: 'OK',
-      uuid: user_id,
-      currency: 'USD',
-      cash: Math.round((user.wallet.balance.USD || 0) * 100), // Convert to cents
-      bonus: 0, // Implement bonus balance if needed
-      session: {
-        id: token,
-        ip: req.ip
-      }
-    });
-
-  } catch (error) {
-    console.error('Evolution authentication error:', error);
-    res.status(500).json({
-      status: 'FAILED',
-      error: {
-        code: 99,
-        message: 'Internal server error'
-      }
-    });
-  }
-});
-
-// @route   POST /api/providers/evolution/balance
-// @desc    Get user balance for Evolution Gaming
-// @access  Provider callback
-router.post('/evolution/balance', async (req, res) => {
+// @route   POST /api/providers/:provider/:action
+// @desc    Handle a seamless-wallet callback, e.g. /pragmatic/transaction,
+//          /evolution/debit or /netent/callback; the provider's adapter parses
+//          the request and formats the response
+// @access  Provider callback (allowlisted source, signed, with a launched session)
+router.post('/:provider/:action', verifyProviderCallback, async (req, res) => {
   try {
-    const { uuid } = req.body;
+    const { status, body } = await providerManager.handleCallback(req.params.provider, req.params.action, req);
 
-    const balanceData = await providerManager.getBalance('evolution', uuid, 'USD');
-    
-    res.json({
-      status: 'OK',
-      uuid,
-      currency: 'USD',
-      cash: balanceData.balance,
-      bonus: 0
-    });
+    res.status(status).json(body);
 
   } catch (error) {
-    console.error('Evolution balance error:', error);
-    res.status(400).json({
-      status: 'FAILED',
-      error: {
-        code: 2,
-        message: error.message
-      }
-    });
-  }
-});
-
-// @route   POST /api/providers/evolution/debit
-// @desc    Process debit transaction for Evolution Gaming
-// @access  Provider callback
-router.post('/evolution/debit', async (req, res) => {
-  try {
-    const { uuid, transaction, game } = req.body;
-
-    const transactionData = {
-      user_id: uuid,
-      transaction_id: transaction.id,
-      amount: transaction.amount,
-      currency: 'USD',
-      transaction_type: 'debit',
-      game_id: game.id,
-      round_id: transaction.refId,
-      game_data: game
-    };
-
-    const result = await providerManager.processTransaction('evolution', transactionData);
-    
-    if (result.status === 'success') {
-      res.json({
-        status: 'OK',
-        uuid,
-        currency: 'USD',
-        cash: result.balance,
-        bonus: 0,
-        transaction: {
-          id: transaction.id,
-          refId: transaction.refId
-        }
-      });
-    } else {
-      res.status(400).json({
-        status: 'FAILED',
-        error: {
-          code: 3,
-          message: result.message
-        }
-      });
-    }
-
-  } catch (error) {
-    console.error('Evolution debit error:', error);
-    res.status(400).json({
-      status: 'FAILED',
-      error: {
-        code: 3,
-        message: error.message
-      }
-    });
-  }
-});
-
-// @route   POST /api/providers/evolution/credit
-// @desc    Process credit transaction for Evolution Gaming
-// @access  Provider callback
-router.post('/evolution/credit', async (req, res) => {
-  try {
-    const { uuid, transaction, game } = req.body;
-
-    const transactionData = {
-      user_id: uuid,
-      transaction_id: transaction.id,
-      amount: transaction.amount,
-      currency: 'USD',
-      transaction_type: 'credit',
-      game_id: game.id,
-      round_id: transaction.refId,
-      game_data: game
-    };
-
-    const result = await providerManager.processTransaction('evolution', transactionData);
-    
-    if (result.status === 'success') {
-      res.json({
-        status: 'OK',
-        uuid,
-        currency: 'USD',
-        cash: result.balance,
-        bonus: 0,
-        transaction: {
-          id: transaction.id,
-          refId: transaction.refId
-        }
-      });
-    } else {
-      res.status(400).json({
-        status: 'FAILED',
-        error: {
-          code: 4,
-          message: result.message
-        }
-      });
-    }
-
-  } catch (error) {
-    console.error('Evolution credit error:', error);
-    res.status(400).json({
-      status: 'FAILED',
-      error: {
-        code: 4,
-        message: error.message
-      }
-    });
-  }
-});
-
-// @route   POST /api/providers/netent/callback
-// @desc    Handle NetEnt game callbacks
-// @access  Provider callback
-router.post('/netent/callback', async (req, res) => {
-  try {
-    const { method, params } = req.body;
-
-    switch (method) {
-      case 'balance':
-        const balanceData = await providerManager.getBalance('netent', params.userId, params.currency);
-        res.json({
-          jsonrpc: '2.0',
-          result: {
-            balance: balanceData.balance,
-            currency: params.currency
-          },
-          id: req.body.id
-        });
-        break;
-
-      case 'debit':
-        const debitResult = await providerManager.processTransaction('netent', {
-          user_id: params.userId,
-          transaction_id: params.transactionId,
-          amount: params.amount,
-          currency: params.currency,
-          transaction_type: 'debit',
-          game_id: params.gameId,
-          round_id: params.roundId
-        });
-
-        res.json({
-          jsonrpc: '2.0',
-          result: {
-            balance: debitResult.balance,
-            transactionId: params.transactionId
-          },
-          id: req.body.id
-        });
-        break;
-
-      case 'credit':
-        const creditResult = await providerManager.processTransaction('netent', {
-          user_id: params.userId,
-          transaction_id: params.transactionId,
-          amount: params.amount,
-          currency: params.currency,
-          transaction_type: 'credit',
-          game_id: params.gameId,
-          round_id: params.roundId
-        });
-
-        res.json({
-          jsonrpc: '2.0',
-          result: {
-            balance: creditResult.balance,
-            transactionId: params.transactionId
-          },
-          id: req.body.id
-        });
-        break;
-
-      default:
-        res.status(400).json({
-          jsonrpc: '2.0',
-          error: {
-            code: -32601,
-            message: 'Method not found'
-          },
-          id: req.body.id
-        });
-    }
-
-  } catch (error) {
-    console.error('NetEnt callback error:', error);
+    console.error('Provider callback error:', error);
     res.status(500).json({
-      jsonrpc: '2.0',
-      error: {
-        code: -32603,
-        message: 'Internal error'
-      },
-      id: req.body.id
+      success: false,
+      message: 'Server error'
     });
   }
 });
@@ -461,7 +188,7 @@ router.get('/:provider/games', async (req, res) => {
     const { category, limit = 50, page = 1 } = req.query;
 
     const query = { 
-      provider: provider,
+      provider: gameProviderOf(provider),
       status: 'active'
     };
 
@@ -614,4 +341,5 @@ router.get('/games/new', async (req, res) => {
 });
 
 module.exports = router;
+module.exports.providerManager = providerManager;
 
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const ResponsibleGaming = require('../utils/compliance/responsibleGaming');
+const { getCurrencyCodes } = require('../config/currencies');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -31,7 +33,7 @@ router.get('/profile', auth, async (req, res) => {
 router.put('/profile', [
   auth,
   body('phone').optional().isMobilePhone(),
-  body('preferences.currency').optional().isIn(['BTC', 'ETH', 'USDT', 'USD']),
+  body('preferences.currency').optional().isIn(getCurrencyCodes()),
   body('preferences.language').optional().isLength({ min: 2, max: 5 }),
   body('preferences.theme').optional().isIn(['light', 'dark'])
 ], async (req, res) => {
@@ -87,11 +89,12 @@ router.put('/profile', [
 // @access  Private
 router.get('/balance', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('wallet.balance');
+    const user = await User.findById(req.user.id).select('wallet.balance wallet.bonusBalance');
     
     res.json({
       success: true,
-      balance: user.wallet.balance
+      balance: user.wallet.balance,
+      bonusBalance: user.wallet.bonusBalance
     });
   } catch (error) {
     console.error('Get balance error:', error);
@@ -103,13 +106,16 @@ router.get('/balance', auth, async (req, res) => {
 });
 
 // @route   PUT /api/users/limits
-// @desc    Update user limits (self-imposed)
+// @desc    Update user limits (self-imposed); raised limits apply after
+//          the cooling period
 // @access  Private
 router.put('/limits', [
   auth,
-  body('dailyDeposit').optional().isNumeric().isFloat({ min: 0 }),
-  body('dailyWithdrawal').optional().isNumeric().isFloat({ min: 0 }),
-  body('sessionTime').optional().isNumeric().isInt({ min: 0 })
+  ...['Deposit', 'Loss', 'Wager'].flatMap(kind => ['daily', 'weekly', 'monthly'].map(period =>
+    body(`${period}${kind}`).optional({ nullable: true }).isFloat({ min: 0 })
+  )),
+  body('dailyWithdrawal').optional().isFloat({ min: 0 }),
+  body('sessionTime').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -120,23 +126,20 @@ router.put('/limits', [
       });
     }
 
-    const { dailyDeposit, dailyWithdrawal, sessionTime } = req.body;
-    const updateFields = {};
-
-    if (dailyDeposit !== undefined) updateFields['limits.dailyDeposit'] = dailyDeposit;
-    if (dailyWithdrawal !== undefined) updateFields['limits.dailyWithdrawal'] = dailyWithdrawal;
-    if (sessionTime !== undefined) updateFields['limits.sessionTime'] = sessionTime;
+    const result = await ResponsibleGaming.updateLimits(req.user.id, req.body);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
 
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { $set: updateFields },
-      { new: true }
-    ).select('limits');
+    const { limits } = await ResponsibleGaming.getLimits(req.user.id);
 
     res.json({
       success: true,
-      message: 'Limits updated successfully',
-      limits: user.limits
+      message: result.message,
+      limits
     });
   } catch (error) {
     console.error('Update limits error:', error);
@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -11,6 +12,14 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a load balancer, req.ip is taken from X-Forwarded-For; provider
+// callback allowlists depend on it. Set to the number of proxy hops or
+// their addresses.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', String(hops) === process.env.TRUST_PROXY ? hops : process.env.TRUST_PROXY);
+}
+
 // Import security middleware
 const { 
   generalLimiter, 
@@ -18,6 +27,8 @@ const {
   suspiciousActivityDetector 
 } = require('./middleware/rateLimiting');
 const SessionManager = require('./utils/sessionManager');
+const SocketServer = require('./realtime/socketServer');
+const RealityChecks = require('./utils/compliance/realityChecks');
 
 // Initialize session manager
 SessionManager.initRedis().catch(err => {
@@ -48,10 +59,12 @@ app.use(speedLimiter);
 app.use(suspiciousActivityDetector);
 
 // CORS configuration
+const corsOrigin = process.env.NODE_ENV === 'production' 
+  ? ['https://genesisbet.com', 'https://www.genesisbet.com']
+  : '*';
+
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? ['https://genesisbet.com', 'https://www.genesisbet.com']
-    : '*',
+  origin: corsOrigin,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token']
@@ -92,12 +105,20 @@ const {
   adminLimiter 
 } = require('./middleware/rateLimiting');
 
+// Games router also exposes the GameManager instance used by the socket gateway
+const gamesRouter = require('./routes/games');
+// Payments router exposes the PaymentManager that owns the deposit watcher
+const paymentsRouter = require('./routes/payments');
+// Providers router exposes the ProviderManager that owns the catalog sync
+const providersRouter = require('./routes/providers');
+
 // API Routes with specific rate limiting
 app.use('/api/auth', authLimiter, require('./routes/authEnhanced'));
 app.use('/api/users', require('./routes/users'));
-app.use('/api/games', gameLimiter, require('./routes/games'));
-app.use('/api/payments', paymentLimiter, require('./routes/payments'));
-app.use('/api/providers', require('./routes/providers'));
+app.use('/api/games', gameLimiter, gamesRouter);
+app.use('/api/payments', paymentLimiter, paymentsRouter);
+app.use('/api/bonuses', require('./routes/bonuses'));
+app.use('/api/providers', providersRouter);
 app.use('/api/admin', adminLimiter, require('./routes/admin'));
 app.use('/api/compliance', generalLimiter, require('./routes/compliance'));
 
@@ -174,8 +195,25 @@ app.use('*', (req, res) => {
   });
 });
 
+// HTTP server shared by Express and Socket.IO
+const server = http.createServer(app);
+
+SocketServer.initialize(server, {
+  gameManager: gamesRouter.gameManager,
+  corsOrigin
+});
+
+// Poll the configured chain nodes for crypto deposits
+paymentsRouter.paymentManager.depositWatcher.start();
+
+// Sync the provider game catalogs on a schedule
+providersRouter.providerManager.catalogSync.start();
+
+// Issue reality checks to players whose interval has passed
+RealityChecks.start();
+
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+server.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
@@ -0,0 +1,172 @@
+// Builds the geolocation fixture databases in this directory from NETWORKS:
+// country.csv and asn.csv in the DB-IP lite layout, and country.mmdb and
+// asn.mmdb in the MaxMind DB format. Run with `node tests/fixtures/geoip/build.js`
+// after changing NETWORKS.
+
+const fs = require('fs');
+const path = require('path');
+const { parseIp, toBigInt } = require('../../../utils/compliance/geoip/ipAddress');
+
+const NETWORKS = [
+  { network: '81.2.69.0/24', country: 'GB', city: 'London', asn: 20712, organization: 'Andrews & Arnold Ltd' },
+  { network: '91.64.0.0/14', country: 'DE', city: 'Berlin', asn: 3209, organization: 'Vodafone GmbH' },
+  { network: '18.184.0.0/15', country: 'DE', asn: 16509, organization: 'Amazon.com, Inc.' },
+  { network: '95.24.0.0/13', country: 'RU', asn: 8402, organization: 'PJSC "Vimpelcom"' },
+  { network: '185.188.60.0/22', country: 'MT', asn: 15735, organization: 'GO p.l.c.' },
+  { network: '2a02:8100::/27', country: 'DE', asn: 3209, organization: 'Vodafone GmbH' },
+  // Listed in the ASN database only
+  { network: '45.33.0.0/17', asn: 63949, organization: 'Akamai Connected Cloud' }
+];
+
+const COUNTRY_NAMES = { GB: 'United Kingdom', DE: 'Germany', RU: 'Russia', MT: 'Malta' };
+
+// First and last address of a CIDR network
+const range = network => {
+  const [address, prefix] = network.split('/');
+  const { version, bytes } = parseIp(address);
+  const bits = version === 4 ? 32 : 128;
+  const hostBits = BigInt(bits - parseInt(prefix));
+  const start = (toBigInt(bytes) >> hostBits) << hostBits;
+  const end = start | ((1n << hostBits) - 1n);
+
+  const format = value => {
+    if (version === 4) {
+      return [24n, 16n, 8n, 0n].map(shift => (value >> shift) & 0xffn).join('.');
+    }
+    return Array.from({ length: 8 }, (_, index) => ((value >> BigInt(112 - index * 16)) & 0xffffn).toString(16)).join(':');
+  };
+
+  return { version, bytes, prefix: parseInt(prefix), start: format(start), end: format(end) };
+};
+
+const csvField = value => (/[",]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// MaxMind DB data field
+const encode = value => {
+  // Sizes up to 284
+  const header = (type, size) => {
+    const sizeBits = size < 29 ? size : 29;
+    const bytes = [type > 7 ? sizeBits : (type << 5) | sizeBits];
+    if (type > 7) {
+      bytes.push(type - 7);
+    }
+    if (size >= 29) {
+      bytes.push(size - 29);
+    }
+    return Buffer.from(bytes);
+  };
+
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([header(2, bytes.length), bytes]);
+  }
+  if (typeof value === 'number') {
+    const bytes = [];
+    for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) {
+      bytes.unshift(rest % 256);
+    }
+    return Buffer.concat([header(6, bytes.length), Buffer.from(bytes)]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([header(11, value.length), ...value.map(encode)]);
+  }
+
+  const keys = Object.keys(value);
+  return Buffer.concat([header(7, keys.length), ...keys.flatMap(key => [encode(key), encode(value[key])])]);
+};
+
+// IPv6 search tree with 24-bit records; IPv4 networks go under ::/96.
+// Repeated records are written as pointers to the first copy.
+const writeMmdb = (file, databaseType, entries) => {
+  const nodes = [[null, null]];
+  const data = [];
+  const written = new Map();
+  let dataSize = 0;
+
+  for (const { network, record } of entries) {
+    const { version, bytes, prefix } = range(network);
+    const address = version === 4 ? Buffer.concat([Buffer.alloc(12), bytes]) : bytes;
+    const bits = version === 4 ? prefix + 96 : prefix;
+    let encoded = encode(record);
+    const first = written.get(encoded.toString('hex'));
+    if (first !== undefined) {
+      encoded = Buffer.from([(1 << 5) | (first >> 8), first & 0xff]);
+    } else {
+      written.set(encoded.toString('hex'), dataSize);
+    }
+
+    let node = 0;
+    for (let index = 0; index < bits; index++) {
+      const bit = (address[index >> 3] >> (7 - (index & 7))) & 1;
+      if (index === bits - 1) {
+        nodes[node][bit] = { offset: dataSize };
+      } else {
+        if (typeof nodes[node][bit] !== 'number') {
+          nodes.push([null, null]);
+          nodes[node][bit] = nodes.length - 1;
+        }
+        node = nodes[node][bit];
+      }
+    }
+
+    data.push(encoded);
+    dataSize += encoded.length;
+  }
+
+  const tree = Buffer.alloc(nodes.length * 6);
+  nodes.forEach((records, index) => records.forEach((value, bit) => {
+    let record = nodes.length;
+    if (typeof value === 'number') {
+      record = value;
+    } else if (value) {
+      record = nodes.length + 16 + value.offset;
+    }
+    tree.writeUIntBE(record, index * 6 + bit * 3, 3);
+  }));
+
+  const metadata = encode({
+    node_count: nodes.length,
+    record_size: 24,
+    ip_version: 6,
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: 1700000000,
+    description: { en: 'GenesisBet geolocation test fixture' }
+  });
+
+  fs.writeFileSync(path.join(__dirname, file), Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    ...data,
+    Buffer.from('abcdef4d61784d696e642e636f6d', 'hex'),
+    metadata
+  ]));
+};
+
+const countries = NETWORKS.filter(entry => entry.country);
+
+// With a header row, which the resolver skips
+fs.writeFileSync(path.join(__dirname, 'country.csv'), ['start_ip,end_ip,country_code', ...countries.map(entry => {
+  const { start, end } = range(entry.network);
+  return [start, end, entry.country].join(',');
+})].join('\n') + '\n');
+
+fs.writeFileSync(path.join(__dirname, 'asn.csv'), ['start_ip,end_ip,asn,organization', ...NETWORKS.map(entry => {
+  const { start, end } = range(entry.network);
+  return [start, end, entry.asn, csvField(entry.organization)].join(',');
+})].join('\n') + '\n');
+
+writeMmdb('country.mmdb', 'GeoLite2-City', countries.map(entry => ({
+  network: entry.network,
+  record: {
+    country: { iso_code: entry.country, names: { en: COUNTRY_NAMES[entry.country] } },
+    ...(entry.city ? { city: { names: { en: entry.city } } } : {})
+  }
+})));
+
+writeMmdb('asn.mmdb', 'GeoLite2-ASN', NETWORKS.map(entry => ({
+  network: entry.network,
+  record: { autonomous_system_number: entry.asn, autonomous_system_organization: entry.organization }
+})));
@@ -2,6 +2,8 @@ const request = require('supertest');
 const app = require('../../server');
 const User = require('../../models/User');
 const GameSession = require('../../models/GameSession');
+const BlackjackGame = require('../../games/engines/blackjackGame');
+const Ledger = require('../../payments/ledger');
 const bcrypt = require('bcryptjs');
 
 describe('Games Routes', () => {
@@ -16,7 +18,7 @@ describe('Games Routes', () => {
       email: 'test@example.com',
       password: hashedPassword,
       dateOfBirth: new Date('1990-01-01'),
-      country: 'US',
+      country: 'CY',
       status: 'active',
       wallet: {
         USD: { balance: 1000 }
@@ -115,6 +117,40 @@ describe('Games Routes', () => {
     });
   });
 
+  describe('POST /api/games/blackjack/start', () => {
+    it('should stake a string bet as a number and charge the double', async () => {
+      await Ledger.credit(userId, 100, 'USD', {
+        type: 'deposit',
+        referenceKey: 'deposit:blackjack-test',
+        account: Ledger.ACCOUNTS.FIAT
+      });
+
+      // Player 6 and 5, dealer 10 and 7, then a 10 for the double
+      const top = [5, 9, 4, 6, 22];
+      jest.spyOn(BlackjackGame.prototype, 'generateDeck').mockReturnValue([
+        ...top,
+        ...Array.from({ length: 52 }, (_, i) => i).filter(i => !top.includes(i))
+      ]);
+
+      await request(app)
+        .post('/api/games/blackjack/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ betAmount: '10', currency: 'USD' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/games/blackjack/double')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      const session = await GameSession.findOne({ userId, gameType: 'blackjack' });
+      expect(session.betAmount).toBe(20);
+      expect(session.gameData.playerHands[0].bet).toBe(20);
+      expect((await User.findById(userId)).wallet.balance.USD).toBe(120);
+    });
+  });
+
   describe('POST /api/games/dice/play', () => {
     it('should play dice game successfully', async () => {
       const gameData = {
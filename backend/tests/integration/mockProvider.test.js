@@ -0,0 +1,97 @@
+process.env.MOCK_PROVIDER_ENABLED = 'true';
+process.env.MOCK_PROVIDER_SECRET = 'mock-secret';
+
+const request = require('supertest');
+const app = require('../../server');
+const User = require('../../models/User');
+const Ledger = require('../../payments/ledger');
+const MockGameClient = require('../../games/providers/mockGameClient');
+const { ProviderManager } = require('../../games/providers/providerManager');
+
+describe('Mock provider end to end', () => {
+  let userId;
+  let client;
+  let session;
+
+  const balance = async () => (await User.findById(userId)).wallet.balance.USD;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'mockplayer',
+      email: 'mock@example.com',
+      password: 'hashedpassword',
+      dateOfBirth: new Date('1990-01-01'),
+      country: 'CY'
+    });
+    userId = String(user._id);
+
+    await Ledger.credit(userId, 100, 'USD', {
+      type: 'deposit',
+      referenceKey: 'deposit:mock-provider-test',
+      account: Ledger.ACCOUNTS.FIAT
+    });
+
+    const { token } = await new ProviderManager().launchGame('mock', 'mock-slot', userId, { currency: 'USD' });
+    session = { token, userId, currency: 'USD' };
+
+    client = new MockGameClient({
+      secret: 'mock-secret',
+      send: async (path, body, headers) => {
+        const response = await request(app).post(path).set(headers).send(body);
+        return { status: response.status, body: response.body };
+      }
+    });
+  });
+
+  it('should report the balance in cents', async () => {
+    const { status, body } = await client.balance(session);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ ok: true, balance: 10000 });
+  });
+
+  it('should settle a winning round through the ledger', async () => {
+    const { bet, win } = await client.playRound({ ...session, stake: 1000, payout: 2500 });
+
+    expect(bet.body).toMatchObject({ ok: true, balance: 9000 });
+    expect(win.body).toMatchObject({ ok: true, balance: 11500 });
+    expect(await balance()).toBe(115);
+    expect((await Ledger.reconcile(userId)).balanced).toBe(true);
+  });
+
+  it('should map wallet errors to the mock error format', async () => {
+    const { bet, win } = await client.playRound({ ...session, stake: 50000 });
+
+    expect(bet.body).toMatchObject({ ok: false, error: 'INSUFFICIENT_FUNDS' });
+    expect(win).toBeNull();
+    expect(await balance()).toBe(100);
+  });
+
+  it('should reverse a bet on rollback', async () => {
+    const bet = await client.bet({ ...session, amount: 1000, transactionId: 'bet-1', roundId: 'r1' });
+    expect(bet.body.ok).toBe(true);
+
+    const rollback = await client.rollback({ ...session, referenceTransactionId: 'bet-1', roundId: 'r1' });
+
+    expect(rollback.body).toMatchObject({ ok: true, balance: 10000 });
+    expect(await balance()).toBe(100);
+  });
+
+  it('should refuse unsigned calls and unknown session tokens', async () => {
+    const unsigned = await request(app)
+      .post('/api/providers/mock/wallet')
+      .send({ type: 'balance', ...session });
+    expect(unsigned.status).toBe(401);
+    expect(unsigned.body).toMatchObject({ ok: false, error: 'AUTHENTICATION_FAILED' });
+
+    const { body } = await client.balance({ ...session, token: 'not-launched' });
+    expect(body).toMatchObject({ ok: false, error: 'INVALID_SESSION' });
+  });
+
+  it('should answer 404 for a provider that is not configured', async () => {
+    await request(app)
+      .post('/api/providers/unknown/wallet')
+      .send({})
+      .expect(404);
+  });
+});
@@ -1,13 +1,14 @@
 require('./testConfig'); // Load test configuration and mocks
 
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 
 let mongoServer;
 
 // Setup before all tests
 beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
+  // Single-node replica set: the wallet ledger writes in MongoDB transactions
+  mongoServer = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const mongoUri = mongoServer.getUri();
   
   await mongoose.connect(mongoUri, {
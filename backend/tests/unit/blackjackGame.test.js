@@ -0,0 +1,225 @@
+const BlackjackGame = require('../../games/engines/blackjackGame');
+const ProvablyFair = require('../../games/utils/provablyFair');
+
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+// Card index of a rank, spread over the suits so repeated ranks stay distinct
+const card = (rank, suit = 0) => suit * 13 + RANKS.indexOf(rank);
+
+describe('Blackjack Game', () => {
+  const blackjackGame = new BlackjackGame();
+  const seeds = {
+    serverSeed: 'd'.repeat(64),
+    serverSeedHash: ProvablyFair.generateServerSeedHash('d'.repeat(64)),
+    clientSeed: 'client-seed',
+    nonce: 9
+  };
+
+  // Deal from a fixed top of the deck (player, dealer, player, dealer, ...)
+  const dealFrom = (topCards, betAmount = 10) => {
+    const rest = Array.from({ length: 52 }, (_, i) => i).filter(i => !topCards.includes(i));
+    const spy = jest.spyOn(blackjackGame, 'generateDeck').mockReturnValue([...topCards, ...rest]);
+    const state = blackjackGame.startGame('user123', betAmount, seeds);
+    spy.mockRestore();
+    return state;
+  };
+
+  describe('generateDeck', () => {
+    it('should be a deterministic permutation of 52 cards', () => {
+      const hash = ProvablyFair.generateResult(seeds.serverSeed, seeds.clientSeed, seeds.nonce);
+      const deck = blackjackGame.generateDeck(hash);
+
+      expect(deck).toHaveLength(52);
+      expect(new Set(deck).size).toBe(52);
+      expect(blackjackGame.generateDeck(hash)).toEqual(deck);
+    });
+  });
+
+  describe('calculateHandValue', () => {
+    it('should count aces as 1 or 11', () => {
+      expect(blackjackGame.calculateHandValue([card('A'), card('6')])).toEqual({ total: 17, soft: true });
+      expect(blackjackGame.calculateHandValue([card('A'), card('6'), card('K')])).toEqual({ total: 17, soft: false });
+      expect(blackjackGame.calculateHandValue([card('A'), card('A', 1), card('9')])).toEqual({ total: 21, soft: true });
+    });
+  });
+
+  describe('playing a hand', () => {
+    it('should pay 3:2 for a natural blackjack', async () => {
+      const state = await dealFrom([card('A'), card('9'), card('K'), card('7')]);
+
+      expect(state.phase).toBe('complete');
+      const result = blackjackGame.finishGame(state);
+      expect(result.playerHands[0].result).toBe('blackjack');
+      expect(result.payout).toBe(25);
+    });
+
+    it('should hide the hole card and deck until the hand is complete', async () => {
+      const state = await dealFrom([card('10'), card('9'), card('7'), card('7', 1)]);
+      const view = blackjackGame.getPublicState(state);
+
+      expect(view.dealer.cards).toHaveLength(1);
+      expect(view.dealer.hiddenCards).toBe(1);
+      expect(view.deck).toBeNull();
+      expect(view.provablyFair.resultHash).toBeNull();
+      expect(view.availableActions).toEqual(['hit', 'stand', 'double']);
+    });
+
+    it('should bust the player and skip the dealer draw', async () => {
+      const state = await dealFrom([card('10'), card('9'), card('6'), card('7'), card('K', 1)]);
+      const next = blackjackGame.hit(state);
+
+      expect(next.playerHands[0].status).toBe('busted');
+      expect(next.phase).toBe('complete');
+      expect(next.dealerCards).toHaveLength(2);
+      expect(blackjackGame.finishGame(next).payout).toBe(0);
+    });
+
+    it('should play the dealer to 17 after the player stands', async () => {
+      const state = await dealFrom([card('10'), card('6'), card('9'), card('5'), card('3'), card('2')]);
+      const next = blackjackGame.stand(state);
+
+      // Dealer 11 draws 3 and 2 to 16, then the ace of hearts for a soft 17
+      expect(next.dealerCards).toEqual([card('6'), card('5'), card('3'), card('2'), card('A')]);
+      expect(next.phase).toBe('complete');
+      expect(blackjackGame.finishGame(next).playerHands[0].result).toBe('win');
+    });
+
+    it('should double the bet and draw exactly one card', async () => {
+      const state = await dealFrom([card('6'), card('10'), card('5'), card('7'), card('10', 1)]);
+      const next = blackjackGame.double(state);
+
+      expect(next.playerHands[0].cards).toHaveLength(3);
+      expect(next.playerHands[0].bet).toBe(20);
+      expect(blackjackGame.getTotalWager(next)).toBe(20);
+
+      // Player 21 against dealer 17
+      const result = blackjackGame.finishGame(next);
+      expect(result.playerHands[0].result).toBe('win');
+      expect(result.payout).toBe(40);
+    });
+
+    it('should charge a string bet as a number when doubling', async () => {
+      const state = await dealFrom([card('6'), card('10'), card('5'), card('7'), card('10', 1)], '10');
+
+      const next = blackjackGame.double(state);
+
+      expect(state.betAmount).toBe(10);
+      expect(next.playerHands[0].bet).toBe(20);
+      expect(blackjackGame.getTotalWager(next) - blackjackGame.getTotalWager(state)).toBe(10);
+      await expect(blackjackGame.startGame('user123', 'ten', seeds)).rejects.toThrow('Bet amount must be between');
+    });
+
+    it('should split a pair into two hands with their own bets', async () => {
+      const state = await dealFrom([card('8'), card('10'), card('8', 1), card('7'), card('3'), card('K')]);
+      const next = blackjackGame.split(state);
+
+      expect(next.playerHands).toHaveLength(2);
+      expect(next.playerHands.map(hand => hand.bet)).toEqual([10, 10]);
+      expect(next.playerHands[0].cards).toEqual([card('8'), card('3')]);
+      expect(next.playerHands[1].cards).toEqual([card('8', 1), card('K')]);
+      expect(blackjackGame.getAvailableActions(next)).not.toContain('split');
+      expect(() => blackjackGame.split(next)).toThrow('You can only split once per round');
+    });
+
+    it('should settle insurance when the dealer has blackjack', async () => {
+      const state = await dealFrom([card('10'), card('A'), card('9'), card('K')]);
+      expect(state.phase).toBe('insurance');
+      expect(() => blackjackGame.hit(state)).toThrow('Accept or decline insurance first');
+
+      const next = blackjackGame.insurance(state, true);
+      const result = blackjackGame.finishGame(next);
+
+      expect(next.phase).toBe('complete');
+      expect(result.betAmount).toBe(15);
+      // Hand lost, insurance pays 2:1 on 5
+      expect(result.payout).toBe(15);
+      expect(result.outcome).toBe('push');
+    });
+
+    it('should reject actions outside of play', async () => {
+      const state = await dealFrom([card('10'), card('9'), card('7'), card('8')]);
+      const next = blackjackGame.stand(state);
+
+      expect(() => blackjackGame.hit(next)).toThrow('Hand is not in play');
+      expect(() => blackjackGame.insurance(next, true)).toThrow('Insurance is not available');
+    });
+  });
+
+  describe('verifyGame', () => {
+    it('should rebuild the deck from the seeds and verify the dealt cards', async () => {
+      const state = await blackjackGame.startGame('user123', 10, seeds);
+      let next = state.phase === 'insurance' ? blackjackGame.insurance(state, false) : state;
+      if (next.phase === 'player') {
+        next = blackjackGame.stand(next);
+      }
+
+      const result = blackjackGame.finishGame(next);
+      result.provablyFair.serverSeed = seeds.serverSeed;
+
+      const verification = BlackjackGame.verifyGame(result);
+      expect(verification.verified).toBe(true);
+      expect(verification.calculatedDeck).toHaveLength(52);
+    });
+
+    it('should fail verification when a card was swapped', async () => {
+      let state = await blackjackGame.startGame('user123', 10, seeds);
+      if (state.phase === 'insurance') state = blackjackGame.insurance(state, false);
+      if (state.phase === 'player') state = blackjackGame.stand(state);
+
+      const result = blackjackGame.finishGame(state);
+      result.provablyFair.serverSeed = seeds.serverSeed;
+      result.dealerCards = [...result.dealerCards.slice(0, -1), result.deck[51]];
+
+      expect(BlackjackGame.verifyGame(result).verified).toBe(false);
+    });
+
+    describe('with a fixed deck', () => {
+      const topCards = [card('8'), card('10'), card('8', 1), card('7'), card('3'), card('10', 1), card('9')];
+      const rest = Array.from({ length: 52 }, (_, i) => i).filter(i => !topCards.includes(i));
+
+      beforeEach(() => {
+        jest.spyOn(BlackjackGame.prototype, 'generateDeck').mockReturnValue([...topCards, ...rest]);
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      // Split eights: 8+3 hits to 20, 8+10 stands, dealer stands on 17
+      const playSplit = async () => {
+        let state = await blackjackGame.startGame('user123', 10, seeds);
+        state = blackjackGame.split(state);
+        state = blackjackGame.hit(state);
+        state = blackjackGame.stand(state);
+        state = blackjackGame.stand(state);
+
+        const result = blackjackGame.finishGame(state);
+        result.provablyFair.serverSeed = seeds.serverSeed;
+        return result;
+      };
+
+      it('should verify a split hand dealt in order', async () => {
+        const result = await playSplit();
+
+        expect(result.playerHands.map(hand => hand.cards)).toEqual([
+          [card('8'), card('3'), card('9')],
+          [card('8', 1), card('10', 1)]
+        ]);
+        expect(BlackjackGame.verifyGame(result).cardsMatch).toBe(true);
+      });
+
+      it('should fail verification when dealt cards are out of order', async () => {
+        const result = await playSplit();
+        const [first, second] = result.playerHands;
+        result.playerHands = [
+          { ...first, cards: [first.cards[0], first.cards[2], first.cards[1]] },
+          second
+        ];
+
+        const verification = BlackjackGame.verifyGame(result);
+        expect(verification.cardsMatch).toBe(false);
+        expect(verification.verified).toBe(false);
+      });
+    });
+  });
+});
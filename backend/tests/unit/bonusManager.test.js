@@ -0,0 +1,252 @@
+const BonusManager = require('../../payments/bonusManager');
+const Ledger = require('../../payments/ledger');
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+const Bonus = require('../../models/Bonus');
+const UserBonus = require('../../models/UserBonus');
+const User = require('../../models/User');
+
+describe('BonusManager', () => {
+  let userId;
+
+  const createBonus = (overrides = {}) => Bonus.create({
+    name: 'First Deposit',
+    type: 'welcome',
+    terms: 'Test terms',
+    percentage: 100,
+    maxAmount: 50,
+    minDeposit: 10,
+    wageringRequirement: 10,
+    currencies: ['USD'],
+    validity: {
+      startDate: new Date(Date.now() - 60 * 60 * 1000),
+      endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      claimPeriod: 24
+    },
+    ...overrides
+  });
+
+  const deposit = async (referenceKey, amount, currency = 'USD') => {
+    const posting = await Ledger.credit(userId, amount, currency, {
+      type: 'deposit',
+      referenceKey,
+      account: currency === 'USD' ? Ledger.ACCOUNTS.FIAT : Ledger.ACCOUNTS.CRYPTO
+    });
+    return BonusManager.onDeposit(userId, amount, currency, posting.transactionId);
+  };
+
+  const balance = async () => (await User.findById(userId)).wallet.balance.USD;
+  const bonusBalance = async () => (await User.findById(userId)).wallet.bonusBalance.USD;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'bonususer',
+      email: 'bonus@example.com',
+      password: 'hashedpassword',
+      dateOfBirth: new Date('1990-01-01'),
+      country: 'CY'
+    });
+    userId = user._id;
+
+    jest.spyOn(ExchangeRates, 'getRate').mockImplementation(async currency => (currency === 'BTC' ? 50000 : 1));
+  });
+
+  describe('getContributionWeight', () => {
+    it('should weight bets by game type, then by category', () => {
+      expect(BonusManager.getContributionWeight(null, { gameType: 'dice', category: 'provably_fair' })).toBe(1);
+      expect(BonusManager.getContributionWeight(null, { gameType: 'blackjack', category: 'provably_fair' })).toBe(0.1);
+      expect(BonusManager.getContributionWeight(null, { category: 'live_casino' })).toBe(0.1);
+      expect(BonusManager.getContributionWeight(null, {})).toBe(0);
+    });
+
+    it('should not count categories or games the bonus excludes', () => {
+      const bonus = { games: { categories: ['slots'], eligible: [], excluded: ['game1'] } };
+
+      expect(BonusManager.getContributionWeight(bonus, { category: 'provably_fair' })).toBe(0);
+      expect(BonusManager.getContributionWeight(bonus, { category: 'slots', gameId: 'game1' })).toBe(0);
+      expect(BonusManager.getContributionWeight(bonus, { category: 'slots', gameId: 'game2' })).toBe(1);
+    });
+  });
+
+  describe('onDeposit', () => {
+    it('should credit a capped deposit bonus on a qualifying deposit', async () => {
+      await createBonus();
+
+      const userBonus = await deposit('deposit:test:1', 80);
+
+      expect(userBonus.amount).toBe(50);
+      expect(userBonus.wagering.required).toBe(500);
+      expect(await balance()).toBe(80);
+      expect(await bonusBalance()).toBe(50);
+      expect((await User.findById(userId)).profile.totalDeposited).toBe(80);
+    });
+
+    it('should skip deposits below the minimum and users with an active bonus', async () => {
+      await createBonus({ eligibility: { newUsersOnly: false } });
+
+      expect(await deposit('deposit:test:1', 5)).toBeNull();
+      expect(await deposit('deposit:test:2', 20)).not.toBeNull();
+      expect(await deposit('deposit:test:3', 20)).toBeNull();
+      expect(await UserBonus.countDocuments({ userId })).toBe(1);
+    });
+
+    it('should qualify and cap deposits in other currencies by their USD value', async () => {
+      await createBonus({ currencies: ['BTC'] });
+
+      // $5 is under the $10 minimum however many units it is
+      expect(await deposit('deposit:test:1', 0.0001, 'BTC')).toBeNull();
+
+      // $100 deposit, bonus capped at $50
+      const userBonus = await deposit('deposit:test:2', 0.002, 'BTC');
+
+      expect(userBonus.currency).toBe('BTC');
+      expect(userBonus.amount).toBeCloseTo(0.001, 10);
+      expect((await User.findById(userId)).wallet.bonusBalance.BTC).toBeCloseTo(0.001, 10);
+    });
+
+    it('should honour new-player offers and claims per user', async () => {
+      await createBonus({ eligibility: { newUsersOnly: true } });
+
+      await deposit('deposit:test:1', 20);
+      await UserBonus.updateMany({ userId }, { $set: { status: 'completed' } });
+
+      expect(await deposit('deposit:test:2', 20)).toBeNull();
+    });
+  });
+
+  describe('claimBonus', () => {
+    it('should credit a fixed bonus once', async () => {
+      const bonus = await createBonus({ type: 'vip', percentage: 0, amount: 5 });
+
+      const userBonus = await BonusManager.claimBonus(userId, bonus._id, 'USD');
+
+      expect(userBonus.amount).toBe(5);
+      expect(await balance()).toBe(0);
+      expect(await bonusBalance()).toBe(5);
+      await expect(BonusManager.claimBonus(userId, bonus._id, 'USD')).rejects.toThrow('Bonus is not available');
+    });
+
+    it('should claim a deposit bonus against a recent unclaimed deposit', async () => {
+      const bonus = await createBonus({ type: 'reload' });
+      await Ledger.credit(userId, 30, 'USD', {
+        type: 'deposit',
+        referenceKey: 'deposit:test:1',
+        account: Ledger.ACCOUNTS.FIAT
+      });
+
+      const userBonus = await BonusManager.claimBonus(userId, bonus._id, 'USD');
+
+      expect(userBonus.amount).toBe(30);
+      expect(userBonus.metadata.triggerTransaction).toBeDefined();
+    });
+
+    it('should credit fixed bonuses and check deposits at their USD value', async () => {
+      const fixed = await createBonus({ type: 'vip', percentage: 0, amount: 5, currencies: ['BTC'] });
+      const reload = await createBonus({ type: 'reload', currencies: ['BTC'] });
+      await Ledger.credit(userId, 0.0001, 'BTC', {
+        type: 'deposit',
+        referenceKey: 'deposit:test:1',
+        account: Ledger.ACCOUNTS.CRYPTO
+      });
+
+      expect((await BonusManager.claimBonus(userId, fixed._id, 'BTC')).amount).toBeCloseTo(0.0001, 10);
+      await UserBonus.updateMany({ userId }, { $set: { status: 'completed' } });
+
+      await expect(BonusManager.claimBonus(userId, reload._id, 'BTC'))
+        .rejects.toThrow('Deposit at least 10 USD in BTC to claim this bonus');
+    });
+
+    it('should reject currencies the offer does not accept', async () => {
+      const bonus = await createBonus({ type: 'vip', percentage: 0, amount: 5 });
+
+      await expect(BonusManager.claimBonus(userId, bonus._id, 'EUR')).rejects.toThrow('Bonus is not available in EUR');
+    });
+  });
+
+  describe('recordWager', () => {
+    it('should advance wagering by the weighted bet and complete the bonus', async () => {
+      await createBonus({ maxAmount: 10, wageringRequirement: 2 });
+      await deposit('deposit:test:1', 10);
+
+      let [progress] = await BonusManager.recordWager(userId, 100, 'USD', { gameType: 'blackjack', category: 'provably_fair' });
+      expect(progress.wagering.completed).toBe(10);
+      expect(progress.status).toBe('active');
+
+      [progress] = await BonusManager.recordWager(userId, 10, 'USD', { gameType: 'dice', category: 'provably_fair' });
+      expect(progress.wagering.remaining).toBe(0);
+      expect(progress.status).toBe('completed');
+      expect(await balance()).toBe(20);
+      expect(await bonusBalance()).toBe(0);
+    });
+
+    it('should ignore bets in other currencies', async () => {
+      await createBonus();
+      await deposit('deposit:test:1', 10);
+
+      expect(await BonusManager.recordWager(userId, 100, 'EUR', { category: 'slots' })).toEqual([]);
+    });
+  });
+
+  describe('creditWinnings', () => {
+    it('should credit winnings in proportion to the bonus share of the stake', async () => {
+      await createBonus();
+      await deposit('deposit:test:1', 20);
+      await Ledger.stake(userId, 40, 'USD', { type: 'bet', referenceKey: 'bet:round1' });
+
+      const posting = await BonusManager.creditWinnings(userId, 80, 'USD', ['bet:round1'], {
+        type: 'win',
+        referenceKey: 'win:round1'
+      });
+
+      expect(posting.cashAmount).toBe(40);
+      expect(posting.bonusAmount).toBe(40);
+      expect(await balance()).toBe(40);
+      expect(await bonusBalance()).toBe(40);
+    });
+
+    it('should sweep bonus winnings once the bonus has ended', async () => {
+      await createBonus();
+      await deposit('deposit:test:1', 20);
+      await Ledger.stake(userId, 40, 'USD', { spendOrder: ['bonus', 'cash'], type: 'bet', referenceKey: 'bet:round1' });
+      await BonusManager.forfeitBonuses(userId, 'USD', 'Withdrawal requested');
+
+      await BonusManager.creditWinnings(userId, 40, 'USD', ['bet:round1'], {
+        type: 'win',
+        referenceKey: 'win:round1'
+      });
+
+      expect(await balance()).toBe(20);
+      expect(await bonusBalance()).toBe(0);
+
+      const reconciliation = await Ledger.reconcile(userId);
+      expect(reconciliation.balanced).toBe(true);
+    });
+  });
+
+  describe('forfeitBonuses', () => {
+    it('should forfeit an unfinished bonus and remove its funds once', async () => {
+      await createBonus();
+      await deposit('deposit:test:1', 20);
+
+      const [forfeited] = await BonusManager.forfeitBonuses(userId, 'USD', 'Withdrawal requested');
+
+      expect(forfeited.status).toBe('forfeited');
+      expect(await balance()).toBe(20);
+      expect(await bonusBalance()).toBe(0);
+      expect(await BonusManager.forfeitBonuses(userId, 'USD', 'Withdrawal requested')).toEqual([]);
+
+      const reconciliation = await Ledger.reconcile(userId);
+      expect(reconciliation.balanced).toBe(true);
+    });
+
+    it('should expire bonuses past their deadline', async () => {
+      await createBonus();
+      await deposit('deposit:test:1', 20);
+      await UserBonus.updateMany({ userId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      const [expired] = await BonusManager.expireBonuses(userId);
+
+      expect(expired.status).toBe('expired');
+      expect(await balance()).toBe(20);
+    });
+  });
+});
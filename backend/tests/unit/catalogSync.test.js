@@ -0,0 +1,126 @@
+const CatalogSync = require('../../games/providers/catalogSync');
+const ProviderBase = require('../../games/providers/providerBase');
+const Game = require('../../models/Game');
+const GameChange = require('../../models/GameChange');
+
+describe('CatalogSync', () => {
+  let pragmatic;
+  let netent;
+  let sync;
+
+  const entry = (id, fields = {}) => ({
+    providerGameId: id,
+    name: `Game ${id}`,
+    slug: `game-${id}`,
+    category: 'slots',
+    thumbnail: `https://cdn.example.com/${id}.png`,
+    minBet: 0.2,
+    maxBet: 100,
+    ...fields
+  });
+
+  class FakeProvider extends ProviderBase {
+    async getGames() {
+      if (this.failure) {
+        throw new Error(this.failure);
+      }
+      return this.catalog;
+    }
+  }
+
+  const games = provider => Game.find({ provider }).sort({ slug: 1 });
+
+  beforeEach(() => {
+    pragmatic = new FakeProvider({ key: 'pragmatic', name: 'Pragmatic Play', gameProvider: 'pragmatic_play' });
+    netent = new FakeProvider({ key: 'netent', name: 'NetEnt', gameProvider: 'netent' });
+    pragmatic.catalog = [entry('1'), entry('2'), entry('3')];
+    netent.catalog = [entry('ne-1', { slug: 'starburst' })];
+
+    sync = new CatalogSync({
+      providerManager: { providers: new Map([['pragmatic', pragmatic], ['netent', netent]]) },
+      interval: 0,
+      maxRetireShare: 0.5
+    });
+  });
+
+  it('should insert new games and report them', async () => {
+    const run = await sync.sync();
+
+    expect(run.status).toBe('completed');
+    expect(run.providers.map(result => result.inserted)).toEqual([3, 1]);
+    expect(await Game.countDocuments({ status: 'active' })).toBe(4);
+    expect(await GameChange.countDocuments({ runId: run._id, action: 'inserted' })).toBe(4);
+  });
+
+  it('should update changed fields and log the difference', async () => {
+    await sync.sync();
+    pragmatic.catalog = [entry('1', { rtp: 94.5 }), entry('2'), entry('3')];
+
+    const run = await sync.sync();
+
+    expect(run.providers[0]).toMatchObject({ updated: 1, unchanged: 2 });
+    const change = await GameChange.findOne({ runId: run._id, action: 'updated' });
+    expect(change.changes.rtp).toEqual({ from: 96, to: 94.5 });
+  });
+
+  it('should retire games no longer listed and reactivate them when they return', async () => {
+    await sync.sync();
+    pragmatic.catalog = [entry('1'), entry('2')];
+
+    await sync.sync();
+    const retired = await Game.findOne({ providerGameId: '3' });
+    expect(retired.status).toBe('inactive');
+    expect(retired.retiredAt).toBeInstanceOf(Date);
+
+    pragmatic.catalog = [entry('1'), entry('2'), entry('3')];
+    const run = await sync.sync();
+
+    expect(run.providers[0].reactivated).toBe(1);
+    expect((await Game.findOne({ providerGameId: '3' })).status).toBe('active');
+  });
+
+  it('should leave other providers untouched when one fails', async () => {
+    await sync.sync();
+    pragmatic.failure = 'Provider API error: timeout';
+    netent.catalog = [entry('ne-1', { slug: 'starburst', name: 'Starburst' })];
+
+    const run = await sync.sync();
+
+    expect(run.status).toBe('partial');
+    expect(run.providers[0]).toMatchObject({ status: 'failed', error: 'Provider API error: timeout' });
+    expect(run.providers[1]).toMatchObject({ status: 'synced', updated: 1 });
+    expect((await games('pragmatic_play')).every(game => game.status === 'active')).toBe(true);
+  });
+
+  it('should not retire anything from an empty or truncated catalog', async () => {
+    await sync.sync();
+
+    pragmatic.catalog = [];
+    let run = await sync.sync();
+    expect(run.providers[0].status).toBe('failed');
+
+    pragmatic.catalog = [entry('1')];
+    run = await sync.sync();
+    expect(run.providers[0].retirementSkipped).toBe(true);
+    expect(await Game.countDocuments({ provider: 'pragmatic_play', status: 'active' })).toBe(3);
+  });
+
+  it('should skip invalid entries without retiring their games', async () => {
+    await sync.sync();
+    pragmatic.catalog = [entry('1'), entry('2'), entry('3', { category: 'lottery' })];
+
+    const run = await sync.sync();
+
+    expect(run.providers[0].invalid).toHaveLength(1);
+    expect(run.providers[0].retired).toBe(0);
+    expect((await Game.findOne({ providerGameId: '3' })).status).toBe('active');
+  });
+
+  it('should keep slugs unique across providers', async () => {
+    netent.catalog = [entry('ne-1', { slug: 'game-1' })];
+
+    await sync.sync();
+
+    expect((await games('netent'))[0].slug).toBe('game-1-netent');
+  });
+});
@@ -0,0 +1,47 @@
+const {
+  registerCurrency,
+  getCurrency,
+  getCurrencyCodes,
+  isSupportedCurrency,
+  getCurrencyLimit
+} = require('../../config/currencies');
+
+describe('Currency Registry', () => {
+  it('should list crypto and fiat currencies separately', () => {
+    expect(getCurrencyCodes('crypto')).toEqual(['BTC', 'ETH', 'USDT', 'LTC', 'BCH', 'DOGE']);
+    expect(getCurrencyCodes('fiat')).toEqual(['USD', 'EUR', 'GBP', 'CAD', 'AUD']);
+    expect(getCurrencyCodes()).toHaveLength(11);
+  });
+
+  it('should check support by type', () => {
+    expect(isSupportedCurrency('LTC')).toBe(true);
+    expect(isSupportedCurrency('LTC', 'crypto')).toBe(true);
+    expect(isSupportedCurrency('LTC', 'fiat')).toBe(false);
+    expect(isSupportedCurrency('XRP')).toBe(false);
+  });
+
+  it('should fall back when a currency has no such limit', () => {
+    expect(getCurrencyLimit('BTC', 'minWithdrawal', 0.01)).toBe(0.001);
+    expect(getCurrencyLimit('BTC', 'minDeposit', 5)).toBe(5);
+    expect(getCurrencyLimit('XRP', 'minWithdrawal', 0.01)).toBe(0.01);
+  });
+
+  it('should reject invalid or duplicate registrations', () => {
+    expect(() => registerCurrency('BTC', { type: 'crypto', network: 'bitcoin' }))
+      .toThrow('Currency BTC is already registered');
+    expect(() => registerCurrency('xrp', { type: 'crypto', network: 'ripple' }))
+      .toThrow('Invalid currency code xrp');
+    expect(() => registerCurrency('XAU', { type: 'commodity' }))
+      .toThrow('must be of type crypto or fiat');
+    expect(() => registerCurrency('XRP', { type: 'crypto' }))
+      .toThrow('Crypto currency XRP needs a network');
+  });
+
+  it('should freeze registered definitions', () => {
+    const btc = getCurrency('BTC');
+
+    expect(Object.isFrozen(btc)).toBe(true);
+    expect(btc.network).toBe('bitcoin');
+    expect(btc.addressPattern.test('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq')).toBe(true);
+  });
+});
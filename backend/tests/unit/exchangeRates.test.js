@@ -0,0 +1,137 @@
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+const StaticRateSource = require('../../payments/rates/staticRateSource');
+const HttpRateSource = require('../../payments/rates/httpRateSource');
+const CoinGeckoAdapter = require('../../payments/rates/coinGeckoAdapter');
+
+// Source that counts calls and can be switched off
+const createSource = (name, rates) => ({
+  name,
+  calls: 0,
+  failing: false,
+  async fetchRates(currencies) {
+    this.calls++;
+    if (this.failing) {
+      throw new Error(`${name} is down`);
+    }
+    return Object.fromEntries(currencies.filter(code => rates[code]).map(code => [code, rates[code]]));
+  }
+});
+
+describe('Exchange Rates', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ExchangeRates.configure({ sources: [new StaticRateSource()] });
+  });
+
+  describe('conversion', () => {
+    beforeEach(() => {
+      ExchangeRates.configure({ sources: [new StaticRateSource()], ttl: 60000, maxAge: 900000 });
+    });
+
+    it('should convert to and from USD', async () => {
+      expect(await ExchangeRates.toUSD(2, 'BTC')).toBe(90000);
+      expect(await ExchangeRates.fromUSD(1000, 'ETH')).toBeCloseTo(1000 / 3000, 10);
+      expect(await ExchangeRates.toUSD(50, 'USD')).toBe(50);
+    });
+
+    it('should convert between two currencies through USD', async () => {
+      expect(await ExchangeRates.convert(1, 'BTC', 'ETH')).toBe(15);
+      expect(await ExchangeRates.convert(5, 'EUR', 'EUR')).toBe(5);
+    });
+
+    it('should sum mixed balances in USD', async () => {
+      expect(await ExchangeRates.sumInUSD({ BTC: 0.1, USDT: 500, EUR: 0 })).toBe(5000);
+      expect(await ExchangeRates.sumInUSD({})).toBe(0);
+    });
+
+    it('should reject unregistered currencies', async () => {
+      await expect(ExchangeRates.getRate('XRP')).rejects.toThrow('Currency XRP not supported');
+    });
+  });
+
+  describe('caching', () => {
+    it('should serve cached rates within the TTL', async () => {
+      const source = createSource('primary', { BTC: 40000 });
+      ExchangeRates.configure({ sources: [source], ttl: 60000, maxAge: 900000 });
+
+      await ExchangeRates.getRate('BTC');
+      now += 30000;
+      await ExchangeRates.getRate('BTC');
+      expect(source.calls).toBe(1);
+
+      now += 60000;
+      await ExchangeRates.getRate('BTC');
+      expect(source.calls).toBe(2);
+    });
+
+    it('should share one refresh between concurrent lookups', async () => {
+      const source = createSource('primary', { BTC: 40000, ETH: 2000 });
+      ExchangeRates.configure({ sources: [source], ttl: 60000, maxAge: 900000 });
+
+      await Promise.all([ExchangeRates.getRate('BTC'), ExchangeRates.getRate('ETH')]);
+      expect(source.calls).toBe(1);
+    });
+
+    it('should fill missing currencies from the next source', async () => {
+      const primary = createSource('primary', { BTC: 40000 });
+      const fallback = createSource('fallback', { BTC: 1, ETH: 2000 });
+      ExchangeRates.configure({ sources: [primary, fallback], ttl: 60000, maxAge: 900000 });
+
+      expect(await ExchangeRates.getRates(['BTC', 'ETH'])).toEqual({ BTC: 40000, ETH: 2000 });
+      expect(ExchangeRates.getStatus().find(rate => rate.currency === 'ETH').source).toBe('fallback');
+    });
+  });
+
+  describe('staleness', () => {
+    it('should keep serving a cached rate while a refresh fails, until it is too old', async () => {
+      const source = createSource('primary', { BTC: 40000 });
+      ExchangeRates.configure({ sources: [source], ttl: 60000, maxAge: 300000 });
+
+      await ExchangeRates.getRate('BTC');
+      source.failing = true;
+
+      now += 120000;
+      expect(await ExchangeRates.getRate('BTC')).toBe(40000);
+
+      now += 300000;
+      await expect(ExchangeRates.getRate('BTC')).rejects.toThrow('Exchange rate for BTC is stale');
+      expect(ExchangeRates.getStatus()[0].stale).toBe(true);
+    });
+
+    it('should throw when no source has ever quoted a currency', async () => {
+      ExchangeRates.configure({ sources: [createSource('empty', {})], ttl: 60000, maxAge: 300000 });
+
+      await expect(ExchangeRates.getRate('DOGE')).rejects.toThrow('No exchange rate available for DOGE');
+    });
+  });
+
+  describe('HttpRateSource with CoinGeckoAdapter', () => {
+    it('should request crypto ids and fiat quotes and derive fiat rates from BTC', async () => {
+      const httpClient = {
+        request: jest.fn().mockResolvedValue({
+          data: {
+            bitcoin: { usd: 50000, eur: 40000 },
+            ethereum: { usd: 2500 }
+          }
+        })
+      };
+      const source = new HttpRateSource(new CoinGeckoAdapter({ baseUrl: 'https://prices.test' }), { httpClient });
+
+      const rates = await source.fetchRates(['BTC', 'ETH', 'EUR', 'DOGE']);
+
+      expect(rates).toEqual({ BTC: 50000, ETH: 2500, EUR: 1.25 });
+      expect(httpClient.request).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://prices.test/simple/price',
+        params: { ids: 'bitcoin,ethereum,dogecoin', vs_currencies: 'usd,eur' }
+      }));
+    });
+  });
+});
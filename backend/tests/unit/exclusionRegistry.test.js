@@ -0,0 +1,210 @@
+const User = require('../../models/User');
+const ResponsibleGaming = require('../../utils/compliance/responsibleGaming');
+const ExclusionRegister = require('../../utils/compliance/exclusion/exclusionRegister');
+const RegistryAdapter = require('../../utils/compliance/exclusion/registryAdapter');
+const createStandInRegistry = require('../../utils/compliance/exclusion/standInRegistry');
+const { hashIdentity } = require('../../utils/compliance/exclusion/identityHash');
+
+const SALT = 'shared-salt';
+
+describe('Self-exclusion registers', () => {
+  const identity = {
+    firstName: 'Siobhán',
+    lastName: "O'Brien",
+    dateOfBirth: '1990-01-01',
+    email: 'Siobhan@Example.com',
+    postcode: 'sw1a 1aa',
+    country: 'GB'
+  };
+
+  const player = (fields = {}) => new User({
+    username: 'player',
+    password: 'hashedpassword',
+    ...identity,
+    ...fields
+  });
+
+  let standIn;
+  let server;
+  let url;
+
+  const registry = (options = {}) => new ExclusionRegister({
+    registries: [{
+      type: 'http',
+      name: 'stand-in',
+      countries: ['GB'],
+      url,
+      apiKey: 'registry-key',
+      salt: SALT,
+      reportExclusions: true,
+      ...options
+    }],
+    cache: { maxEntries: 100, ttl: 900 },
+    graceHours: 24
+  });
+
+  beforeAll(done => {
+    standIn = createStandInRegistry({ apiKey: 'registry-key' });
+    server = standIn.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    standIn.locals.exclusions.length = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('hashIdentity', () => {
+    it('matches the same person however the details are written', () => {
+      const hashes = hashIdentity(identity, SALT);
+
+      expect(hashIdentity({
+        ...identity,
+        firstName: 'SIOBHAN',
+        lastName: 'obrien',
+        email: ' siobhan@example.com',
+        postcode: 'SW1A1AA',
+        dateOfBirth: new Date('1990-01-01T00:00:00Z')
+      }, SALT)).toEqual(hashes);
+      expect(hashIdentity(identity, 'other-salt').person).not.toBe(hashes.person);
+      expect(hashes.person).not.toContain('obrien');
+    });
+
+    it('has no person hash without a name or postcode', () => {
+      const hashes = hashIdentity({ ...identity, postcode: undefined }, SALT);
+
+      expect(hashes.person).toBeNull();
+      expect(hashes.email).toBe(hashIdentity(identity, SALT).email);
+    });
+  });
+
+  describe('check', () => {
+    it('reports players excluded on the register and caches the answer', async () => {
+      standIn.locals.exclusions.push({ ...hashIdentity({ ...identity, email: 'old@example.com' }, SALT), until: null });
+      const register = registry();
+      const adapter = register.registries[0];
+      jest.spyOn(adapter, 'check');
+
+      const user = player();
+      user.isNew = false;
+      const result = await register.check(user);
+
+      expect(result).toMatchObject({ excluded: true, status: 'excluded', registry: 'stand-in', until: null, source: 'registry' });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, {
+        $set: { 'responsibleGaming.registry': expect.objectContaining({ status: 'excluded', registry: 'stand-in' }) }
+      });
+
+      await register.check(user);
+      expect(adapter.check).toHaveBeenCalledTimes(1);
+
+      await register.check(user, { fresh: true });
+      expect(adapter.check).toHaveBeenCalledTimes(2);
+    });
+
+    it('answers previously excluded once an exclusion has ended', async () => {
+      standIn.locals.exclusions.push({ ...hashIdentity(identity, SALT), until: new Date(Date.now() - 1000) });
+
+      expect(await registry().check(player())).toMatchObject({ excluded: false, status: 'previously_excluded' });
+    });
+
+    it('only asks registers covering the player', async () => {
+      standIn.locals.exclusions.push({ ...hashIdentity(identity, SALT), until: null });
+
+      expect(await registry().check(player({ country: 'SE' }))).toMatchObject({ excluded: false, status: null, source: null });
+    });
+
+    it('falls back to the last answer while the register is down, then reports it unavailable', async () => {
+      const register = registry({ url: 'http://127.0.0.1:1', timeout: 1000 });
+      const user = player();
+
+      user.responsibleGaming.registry = { status: 'excluded', registry: 'stand-in', until: null, checkedAt: new Date(Date.now() - 60 * 60 * 1000) };
+      expect(await register.check(user)).toMatchObject({ excluded: true, source: 'last_known' });
+
+      user.responsibleGaming.registry.checkedAt = new Date(Date.now() - 48 * 60 * 60 * 1000);
+      expect(await register.check(user)).toMatchObject({ excluded: false, unavailable: true });
+
+      // Nothing is known of players who have not registered yet
+      expect(await register.check({ ...identity })).toMatchObject({ unavailable: true });
+    });
+
+    it('does not check players by email alone', async () => {
+      const register = registry();
+      jest.spyOn(register.registries[0], 'check');
+
+      expect(await register.check({ ...identity, postcode: undefined }))
+        .toMatchObject({ excluded: false, unavailable: true, incomplete: true });
+      expect(register.registries[0].check).not.toHaveBeenCalled();
+
+      // An exclusion found by another register still stands
+      standIn.locals.exclusions.push({ ...hashIdentity(identity, SALT), until: null });
+      const both = new ExclusionRegister({
+        registries: [...registry().registries, ...registry({ name: 'other' }).registries],
+        cache: { maxEntries: 100, ttl: 900 },
+        graceHours: 24
+      });
+      jest.spyOn(both.registries[1], 'hash').mockReturnValue({ person: null, email: 'hash' });
+      expect(await both.check({ ...identity })).toMatchObject({ excluded: true, registry: 'stand-in' });
+    });
+
+    it('refuses a wrong API key as a register failure', async () => {
+      expect(await registry({ apiKey: 'wrong' }).check({ ...identity })).toMatchObject({ unavailable: true });
+    });
+
+    it('accepts an adapter class and refuses one outside the interface', () => {
+      class CustomRegistry extends RegistryAdapter {}
+
+      expect(ExclusionRegister.resolveAdapter(CustomRegistry)).toBe(CustomRegistry);
+      expect(() => ExclusionRegister.resolveAdapter(class {})).toThrow('does not extend RegistryAdapter');
+    });
+  });
+
+  it('reports self-exclusions to registers that take them', async () => {
+    const until = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+    const reported = await registry().report(player(), { until });
+
+    expect(reported).toEqual([{ registry: 'stand-in', reference: expect.any(String) }]);
+    expect(await registry().check({ ...identity, email: 'new@example.com' })).toMatchObject({ excluded: true, until });
+    expect(await registry({ reportExclusions: false }).report(player(), { until })).toEqual([]);
+  });
+
+  describe('assertNotSelfExcluded', () => {
+    beforeEach(() => {
+      ResponsibleGaming.register = registry();
+    });
+
+    afterEach(() => {
+      ResponsibleGaming.register = null;
+    });
+
+    it('refuses players excluded here or on a register', async () => {
+      await expect(ResponsibleGaming.assertNotSelfExcluded(player())).resolves.toBeUndefined();
+
+      await expect(ResponsibleGaming.assertNotSelfExcluded(player({ responsibleGaming: { selfExclusion: { permanent: true } } })))
+        .rejects.toThrow('Account is self-excluded');
+
+      standIn.locals.exclusions.push({ ...hashIdentity(identity, SALT), until: null });
+      await expect(ResponsibleGaming.assertNotSelfExcluded(player({ email: 'other@example.com' })))
+        .rejects.toThrow('You are registered with a self-exclusion scheme');
+    });
+
+    it('refuses players while the register cannot be reached', async () => {
+      ResponsibleGaming.register = registry({ url: 'http://127.0.0.1:1', timeout: 1000 });
+
+      await expect(ResponsibleGaming.assertNotSelfExcluded(player()))
+        .rejects.toThrow('Self-exclusion checks are unavailable, please try again later');
+    });
+
+    it('refuses players without a name and postcode to check', async () => {
+      await expect(ResponsibleGaming.assertNotSelfExcluded(player({ postcode: undefined })))
+        .rejects.toThrow('Your first name, last name and postcode are needed for self-exclusion checks');
+    });
+  });
+});
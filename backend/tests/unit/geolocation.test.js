@@ -0,0 +1,136 @@
+const path = require('path');
+const axios = require('axios');
+const GeoLocator = require('../../utils/compliance/geoip/geoLocator');
+const GeoResolver = require('../../utils/compliance/geoip/geoResolver');
+const GeolocationCompliance = require('../../utils/compliance/geolocation');
+const { SecurityMonitor } = require('../../utils/securityMonitor');
+
+const fixture = file => path.join(__dirname, '../fixtures/geoip', file);
+
+const DATABASES = {
+  mmdb: { type: 'mmdb', countryPath: fixture('country.mmdb'), asnPath: fixture('asn.mmdb') },
+  csv: { type: 'csv', countryPath: fixture('country.csv'), asnPath: fixture('asn.csv') }
+};
+
+const locator = (resolvers, options = {}) => new GeoLocator({
+  resolvers,
+  cache: { maxEntries: 100, ttl: 3600 },
+  datacenterAsns: [16509, 63949],
+  ...options
+});
+
+// Resolver that counts lookups and can be switched off
+class CountingResolver extends GeoResolver {
+  async resolve(ip) {
+    this.calls = (this.calls || 0) + 1;
+    if (this.failing) {
+      throw new Error('Resolver unavailable');
+    }
+    return this.config.locations[ip] || null;
+  }
+}
+
+describe('IP geolocation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe.each(Object.keys(DATABASES))('%s database', type => {
+    const geo = locator([DATABASES[type]]);
+
+    it('should locate IPv4, IPv4-mapped and IPv6 addresses', async () => {
+      expect(await geo.locate('81.2.69.142')).toMatchObject({
+        success: true,
+        countryCode: 'GB',
+        country: 'United Kingdom',
+        asn: 20712,
+        isp: 'Andrews & Arnold Ltd',
+        vpn: false,
+        source: type
+      });
+      expect(await geo.locate('::ffff:95.31.255.255')).toMatchObject({ countryCode: 'RU', asnOrganization: 'PJSC "Vimpelcom"' });
+      expect(await geo.locate('2a02:8101::1')).toMatchObject({ countryCode: 'DE', asn: 3209 });
+    });
+
+    it('should flag datacenter networks as VPN use', async () => {
+      expect(await geo.locate('18.185.3.3')).toMatchObject({ countryCode: 'DE', hosting: true, vpn: true });
+    });
+
+    it('should not locate addresses outside the database', async () => {
+      expect(await geo.locate('95.32.0.0')).toEqual({ success: false, error: 'Unable to determine location' });
+      expect(await geo.locate('not-an-ip')).toEqual({ success: false, error: 'Invalid IP address' });
+    });
+  });
+
+  it('should read city names from a City database', async () => {
+    const location = await locator([DATABASES.mmdb]).locate('91.65.1.2');
+
+    expect(location).toMatchObject({ countryCode: 'DE', city: 'Berlin' });
+  });
+
+  it('should fall back to the next resolver and keep the ASN found first', async () => {
+    const fallback = new CountingResolver({
+      name: 'fallback',
+      locations: { '45.33.1.1': { countryCode: 'US', country: 'United States', asn: 1 } }
+    });
+
+    const location = await locator([DATABASES.csv, fallback]).locate('45.33.1.1');
+
+    expect(location).toMatchObject({ countryCode: 'US', asn: 63949, vpn: true, source: 'fallback' });
+  });
+
+  it('should skip a failing resolver', async () => {
+    const failing = new CountingResolver({ name: 'failing', locations: {} });
+    failing.failing = true;
+
+    expect(await locator([failing, DATABASES.csv]).locate('81.2.69.1')).toMatchObject({ countryCode: 'GB' });
+    expect(await locator([failing]).locate('81.2.69.1')).toEqual({
+      success: false,
+      error: 'Geolocation service unavailable'
+    });
+  });
+
+  it('should cache located addresses and evict the least recently used', async () => {
+    const resolver = new CountingResolver({
+      locations: {
+        '10.0.0.1': { countryCode: 'DE' },
+        '10.0.0.2': { countryCode: 'MT' },
+        '10.0.0.3': { countryCode: 'SE' }
+      }
+    });
+    const geo = locator([resolver], { cache: { maxEntries: 2, ttl: 3600 } });
+
+    await geo.locate('10.0.0.1');
+    await geo.locate('10.0.0.2');
+    await geo.locate('10.0.0.1');
+    await geo.locate('10.0.0.3');
+    expect(resolver.calls).toBe(3);
+
+    await geo.locate('10.0.0.1');
+    expect(resolver.calls).toBe(3);
+    await geo.locate('10.0.0.2');
+    expect(resolver.calls).toBe(4);
+  });
+
+  it('should parse ip-api responses in the HTTP resolver', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({
+      data: { status: 'success', country: 'Malta', countryCode: 'MT', as: 'AS15735 GO p.l.c.', hosting: false }
+    });
+
+    const location = await locator([{ type: 'http', url: 'https://geo.example.com/json/' }]).locate('185.188.60.1');
+
+    expect(axios.get).toHaveBeenCalledWith('https://geo.example.com/json/185.188.60.1', expect.any(Object));
+    expect(location).toMatchObject({ countryCode: 'MT', asn: 15735, asnOrganization: 'GO p.l.c.', vpn: false });
+  });
+
+  it('should refuse VPN access located from the local databases', async () => {
+    jest.spyOn(SecurityMonitor, 'logEvent').mockResolvedValue();
+    GeolocationCompliance.locator = locator([DATABASES.mmdb]);
+
+    const result = await GeolocationCompliance.validateUserAccess(null, '18.184.0.10', 'jest');
+
+    GeolocationCompliance.locator = null;
+    expect(result).toMatchObject({ allowed: false, reason: 'VPN or proxy usage is not permitted' });
+    expect(SecurityMonitor.logEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'vpn_proxy_detected' }));
+  });
+});
@@ -0,0 +1,68 @@
+const HDWallet = require('../../payments/wallets/hdWallet');
+
+// Account keys of the BIP39 test mnemonic "abandon abandon ... about"
+const BTC_ACCOUNT = 'xpub6CatWdiZiodmUeTDp8LT5or8nmbKNcuyvz7WyksVFkKB4RHwCD3XyuvPEbvqAQY3rAPshWcMLoP2fMFMKHPJ4ZeZXYVUhLv1VMrjPC7PW6V';
+const BTC_ACCOUNT_ZPUB = 'zpub6rFR7y4Q2AijBEqTUquhVz398htDFrtymD9xYYfG1m4wAcvPhXNfE3EfH1r1ADqtfSdVCToUG868RvUUkgDKf31mGDtKsAYz2oz2AGutZYs';
+const ETH_ACCOUNT = 'xpub6DCoCpSuQZB2jawqnGMEPS63ePKWkwWPH4TU45Q7LPXWuNd8TMtVxRrgjtEshuqpK3mdhaWHPFsBngh5GFZaM6si3yZdUsT8ddYM3PwnATt';
+const LTC_ACCOUNT = 'xpub6CjGURuDpczf6uNrCCwfhVizn5J3hsWcvZ2m6GAdmAjZnoWJPrx6TFPjGSftc2o5fvox6ubQjSXmjjaHZjwYMH7SGFpHHb9Jg24zBf66mbE';
+
+describe('HDWallet', () => {
+  describe('deriveAddress', () => {
+    it('should derive the BIP84 test vector addresses', () => {
+      const first = HDWallet.deriveAddress(BTC_ACCOUNT, 0, 'bitcoin');
+
+      expect(first.address).toBe('bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+      expect(first.publicKey).toBe('0330d54fd0dd420a6e5f8d3624f5f3482cae350f79d5f0753bf5beef9c2d91af3c');
+      expect(first.derivationPath).toBe("m/84'/0'/0'/0/0");
+      expect(first.addressType).toBe('native_segwit');
+
+      expect(HDWallet.deriveAddress(BTC_ACCOUNT, 1, 'bitcoin').address)
+        .toBe('bc1qnjg0jd8228aq7egyzacy8cys3knf9xvrerkf9g');
+    });
+
+    it('should accept SLIP-132 version prefixes', () => {
+      expect(HDWallet.deriveAddress(BTC_ACCOUNT_ZPUB, 0, 'bitcoin').address)
+        .toBe('bc1qcr8te4kr609gcawutmrza0j4xv80jy8z306fyu');
+    });
+
+    it('should derive checksummed Ethereum addresses', () => {
+      const first = HDWallet.deriveAddress(ETH_ACCOUNT, 0, 'ethereum');
+
+      expect(first.address).toBe('0x9858EfFD232B4033E47d90003D41EC34EcaEda94');
+      expect(first.derivationPath).toBe("m/44'/60'/0'/0/0");
+    });
+
+    it('should derive Litecoin native SegWit addresses', () => {
+      const first = HDWallet.deriveAddress(LTC_ACCOUNT, 0, 'litecoin');
+
+      expect(first.address).toBe('ltc1qjmxnz78nmc8nq77wuxh25n2es7rzm5c2rkk4wh');
+      expect(first.derivationPath).toBe("m/84'/2'/0'/0/0");
+    });
+
+    it('should reject unsupported networks and invalid indexes', () => {
+      expect(() => HDWallet.deriveAddress(BTC_ACCOUNT, 0, 'dogecoin')).toThrow('not implemented');
+      expect(() => HDWallet.deriveAddress(BTC_ACCOUNT, -1, 'bitcoin')).toThrow('Invalid address index');
+      expect(() => HDWallet.deriveAddress(BTC_ACCOUNT, 2 ** 31, 'bitcoin')).toThrow('Invalid address index');
+    });
+  });
+
+  describe('parseExtendedKey', () => {
+    it('should refuse private and non-account keys', () => {
+      const masterPrivate = 'xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi';
+      const masterPublic = 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8';
+
+      expect(() => HDWallet.parseExtendedKey(masterPrivate)).toThrow('Extended private keys must not be configured');
+      expect(() => HDWallet.parseExtendedKey(masterPublic)).toThrow('account-level');
+      expect(() => HDWallet.parseExtendedKey('xpub-not-a-key')).toThrow('Invalid extended public key');
+    });
+  });
+
+  describe('toChecksumAddress', () => {
+    it('should apply the EIP-55 checksum', () => {
+      expect(HDWallet.toChecksumAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'))
+        .toBe('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed');
+      expect(HDWallet.toChecksumAddress('FB6916095CA1DF60BB79CE92CE3EA74C37C5D359'))
+        .toBe('0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const JurisdictionRule = require('../../models/JurisdictionRule');
+const JurisdictionRules = require('../../utils/compliance/jurisdictionRules');
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+
+describe('Jurisdiction rules', () => {
+  let stored;
+
+  const user = (country, fields = {}) => ({ country, region: null, kyc: { level: 0 }, ...fields });
+
+  beforeEach(() => {
+    stored = [];
+    JurisdictionRules.invalidate();
+    jest.spyOn(JurisdictionRule, 'find').mockImplementation(() => ({ lean: () => Promise.resolve(stored) }));
+    jest.spyOn(ExchangeRates, 'getRate').mockImplementation(async currency => (currency === 'BTC' ? 60000 : 1));
+  });
+
+  describe('resolve', () => {
+    it('falls back from region to country to DEFAULT', async () => {
+      expect(await JurisdictionRules.resolve('CA', 'ON')).toMatchObject({ code: 'CA-ON', status: 'blocked' });
+      expect(await JurisdictionRules.resolve('CA', 'CA-BC')).toMatchObject({ code: 'CA', status: 'allowed', requiredKycLevel: 2 });
+      expect(await JurisdictionRules.resolve('CY')).toMatchObject({ code: 'DEFAULT', status: 'allowed' });
+    });
+
+    it('lets stored rules replace built-in ones', async () => {
+      stored = [{ code: 'GB', version: 2, status: 'allowed', maxBet: 5, bonuses: { allowed: false } }];
+
+      const rule = await JurisdictionRules.resolve('gb');
+
+      expect(rule).toMatchObject({ code: 'GB', version: 2, source: 'stored', status: 'allowed', maxBet: 5 });
+      expect(rule.bonuses).toEqual({ allowed: false, blockedTypes: [], maxWageringRequirement: null });
+    });
+
+    it('caches rules until invalidated', async () => {
+      await JurisdictionRules.resolve('DE');
+      await JurisdictionRules.resolve('MT');
+      expect(JurisdictionRule.find).toHaveBeenCalledTimes(1);
+
+      JurisdictionRules.invalidate();
+      await JurisdictionRules.resolve('DE');
+      expect(JurisdictionRule.find).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('assertCanPlay', () => {
+    const dice = { slug: 'dice', category: 'provably_fair' };
+
+    it('rejects blocked jurisdictions and missing KYC', async () => {
+      await expect(JurisdictionRules.assertCanPlay(user('US'), dice)).rejects.toThrow('Gaming is not available in your jurisdiction');
+      await expect(JurisdictionRules.assertCanPlay(user('DE', { kyc: { level: 2 } }), dice))
+        .rejects.toThrow('KYC level 3 verification is required in your jurisdiction');
+      await expect(JurisdictionRules.assertCanPlay(user('DE', { kyc: { level: 3 } }), dice)).resolves.toMatchObject({ code: 'DE' });
+    });
+
+    it('rejects blocked games and categories', async () => {
+      stored = [{ code: 'CY', version: 1, blockedGames: ['crash'], blockedCategories: ['live_casino'] }];
+
+      await expect(JurisdictionRules.assertCanPlay(user('CY'), { slug: 'crash', category: 'provably_fair' }))
+        .rejects.toThrow('This game is not available in your jurisdiction');
+      await expect(JurisdictionRules.assertCanPlay(user('CY'), { slug: 'evo-roulette', category: 'live_casino' }))
+        .rejects.toThrow('This game is not available in your jurisdiction');
+      await expect(JurisdictionRules.assertCanPlay(user('CY'), dice)).resolves.toMatchObject({ code: 'CY' });
+    });
+
+    it('caps stakes at the USD equivalent of the maximum bet', async () => {
+      stored = [{ code: 'CY', version: 1, maxBet: 100 }];
+
+      await expect(JurisdictionRules.assertCanPlay(user('CY'), dice, { amount: 100, currency: 'USDT' })).resolves.toBeDefined();
+      await expect(JurisdictionRules.assertCanPlay(user('CY'), dice, { amount: 0.002, currency: 'BTC' }))
+        .rejects.toThrow('Maximum bet in your jurisdiction is 100 USD');
+    });
+  });
+
+  describe('deposits and withdrawals', () => {
+    it('keeps withdrawals open in blocked jurisdictions', async () => {
+      await expect(JurisdictionRules.assertCanDeposit(user('US'))).rejects.toThrow('Deposits are not available in your jurisdiction');
+      await expect(JurisdictionRules.assertCanWithdraw(user('US'))).resolves.toMatchObject({ code: 'US' });
+    });
+
+    it('requires the KYC level of the region', async () => {
+      await expect(JurisdictionRules.assertCanWithdraw(user('CA', { region: 'CA-BC', kyc: { level: 1 } })))
+        .rejects.toThrow('KYC level 2 verification is required in your jurisdiction');
+    });
+  });
+
+  describe('allowsBonus', () => {
+    it('applies blocked types and the wagering cap', async () => {
+      stored = [{ code: 'CY', version: 1, bonuses: { blockedTypes: ['cashback'], maxWageringRequirement: 30 } }];
+
+      expect(await JurisdictionRules.allowsBonus(user('CY'), { type: 'cashback', wageringRequirement: 1 })).toBe(false);
+      expect(await JurisdictionRules.allowsBonus(user('CY'), { type: 'welcome', wageringRequirement: 35 })).toBe(false);
+      expect(await JurisdictionRules.allowsBonus(user('CY'), { type: 'welcome', wageringRequirement: 30 })).toBe(true);
+      expect(await JurisdictionRules.allowsBonus(user('US'), { type: 'welcome', wageringRequirement: 30 })).toBe(false);
+    });
+  });
+});
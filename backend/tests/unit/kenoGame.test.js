@@ -0,0 +1,70 @@
+const KenoGame = require('../../games/engines/kenoGame');
+const ProvablyFair = require('../../games/utils/provablyFair');
+
+describe('Keno Game', () => {
+  const kenoGame = new KenoGame();
+  const seeds = {
+    serverSeed: 'd'.repeat(64),
+    serverSeedHash: ProvablyFair.generateServerSeedHash('d'.repeat(64)),
+    clientSeed: 'client-seed',
+    nonce: 11
+  };
+
+  describe('generateDraw', () => {
+    it('should draw 10 distinct numbers between 1 and 40', () => {
+      const hash = ProvablyFair.generateResult(seeds.serverSeed, seeds.clientSeed, seeds.nonce);
+      const draw = kenoGame.generateDraw(hash);
+
+      expect(draw).toHaveLength(10);
+      expect(new Set(draw).size).toBe(10);
+      draw.forEach(number => {
+        expect(number).toBeGreaterThanOrEqual(1);
+        expect(number).toBeLessThanOrEqual(40);
+      });
+    });
+  });
+
+  describe('paytables', () => {
+    it('should keep every paytable row close to 99% RTP', () => {
+      Object.keys(kenoGame.paytables).forEach(risk => {
+        for (let picks = 1; picks <= 10; picks++) {
+          const rtp = kenoGame.calculateRTP(risk, picks);
+          expect(rtp).toBeGreaterThan(98.5);
+          expect(rtp).toBeLessThan(99.1);
+        }
+      });
+    });
+
+    it('should have one multiplier per possible hit count', () => {
+      Object.values(kenoGame.paytables).forEach(paytable => {
+        for (let picks = 1; picks <= 10; picks++) {
+          expect(paytable[picks]).toHaveLength(picks + 1);
+        }
+      });
+    });
+  });
+
+  describe('playGame', () => {
+    it('should count hits and pay from the paytable', async () => {
+      const picks = [1, 5, 9, 13, 17];
+      const result = await kenoGame.playGame('user1', 10, picks, 'medium', seeds);
+
+      const expectedHits = picks.filter(number => result.drawnNumbers.includes(number));
+      expect(result.hits).toEqual(expectedHits);
+      expect(result.multiplier).toBe(kenoGame.paytables.medium[5][expectedHits.length]);
+      expect(result.payout).toBeCloseTo(10 * result.multiplier);
+    });
+
+    it('should reject duplicate picks', async () => {
+      await expect(kenoGame.playGame('user1', 10, [3, 3], 'classic', seeds))
+        .rejects.toThrow('Picks must be unique');
+    });
+
+    it('should verify once the server seed is revealed', async () => {
+      const result = await kenoGame.playGame('user1', 10, [2, 4, 6], 'high', seeds);
+      result.provablyFair = { ...result.provablyFair, serverSeed: seeds.serverSeed };
+
+      expect(KenoGame.verifyGame(result).verified).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const Ledger = require('../../payments/ledger');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Transaction = require('../../models/Transaction');
+const User = require('../../models/User');
+
+describe('Ledger', () => {
+  let userId;
+
+  const bet = (referenceKey, amount) => Ledger.debit(userId, amount, 'USD', {
+    type: 'bet',
+    referenceKey,
+    account: Ledger.ACCOUNTS.GAMES
+  });
+
+  const deposit = (referenceKey, amount) => Ledger.credit(userId, amount, 'USD', {
+    type: 'deposit',
+    referenceKey,
+    account: Ledger.ACCOUNTS.FIAT
+  });
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'ledgeruser',
+      email: 'ledger@example.com',
+      password: 'hashedpassword',
+      dateOfBirth: new Date('1990-01-01'),
+      country: 'US'
+    });
+    userId = user._id;
+  });
+
+  describe('post', () => {
+    it('should write balanced entries with a completed transaction', async () => {
+      const posting = await deposit('deposit:test:1', 100);
+
+      expect(posting.balance).toBe(100);
+      expect(posting.duplicate).toBe(false);
+
+      const entries = await LedgerEntry.find({ referenceKey: 'deposit:test:1' });
+      expect(entries).toHaveLength(2);
+      expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBe(0);
+
+      const transaction = await Transaction.findById(posting.transactionId);
+      expect(transaction.status).toBe('completed');
+      expect(transaction.referenceKey).toBe('deposit:test:1');
+    });
+
+    it('should apply a reference key only once', async () => {
+      await deposit('deposit:test:1', 100);
+      const retry = await deposit('deposit:test:1', 100);
+
+      const user = await User.findById(userId);
+      expect(retry.duplicate).toBe(true);
+      expect(user.wallet.balance.USD).toBe(100);
+      expect(await Transaction.countDocuments({ userId })).toBe(1);
+    });
+
+    it('should refuse to overdraw the balance', async () => {
+      await deposit('deposit:test:1', 10);
+
+      await expect(bet('bet:session_1', 25)).rejects.toThrow('Insufficient balance');
+
+      const user = await User.findById(userId);
+      expect(user.wallet.balance.USD).toBe(10);
+      expect(await LedgerEntry.countDocuments({ referenceKey: 'bet:session_1' })).toBe(0);
+    });
+
+    it('should never let concurrent debits overdraw the balance', async () => {
+      await deposit('deposit:test:1', 50);
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 10 }, (_, index) => bet(`bet:session_${index}`, 10))
+      );
+
+      const user = await User.findById(userId);
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(5);
+      expect(user.wallet.balance.USD).toBe(0);
+    });
+
+    it('should link an existing transaction instead of creating one', async () => {
+      const pending = await Transaction.create({
+        userId,
+        type: 'deposit',
+        amount: 20,
+        netAmount: 20,
+        currency: 'USD',
+        status: 'pending'
+      });
+
+      await Ledger.credit(userId, 20, 'USD', {
+        type: 'deposit',
+        referenceKey: 'deposit:stripe:pi_1',
+        account: Ledger.ACCOUNTS.FIAT,
+        transactionId: pending._id,
+        transactionStatus: 'completed'
+      });
+
+      const transaction = await Transaction.findById(pending._id);
+      expect(transaction.status).toBe('completed');
+      expect(await Transaction.countDocuments({ userId })).toBe(1);
+    });
+  });
+
+  describe('stake', () => {
+    const bonus = (referenceKey, amount) => Ledger.creditBonus(userId, amount, 'USD', {
+      type: 'bonus',
+      referenceKey,
+      account: Ledger.ACCOUNTS.BONUSES
+    });
+
+    it('should split a stake across the balances in spend order', () => {
+      const balances = { cash: 10, bonus: 50 };
+
+      expect(Ledger.allocateStake(balances, 30, ['cash', 'bonus'])).toEqual({ amount: -10, bonusAmount: -20 });
+      expect(Ledger.allocateStake(balances, 30, ['bonus', 'cash'])).toEqual({ amount: 0, bonusAmount: -30 });
+      expect(() => Ledger.allocateStake(balances, 70, ['cash', 'bonus'])).toThrow('Insufficient balance');
+    });
+
+    it('should debit both balances and attribute winnings by bonus share', async () => {
+      await deposit('deposit:test:1', 10);
+      await bonus('bonus:test:1', 30);
+
+      const stake = await Ledger.stake(userId, 40, 'USD', {
+        spendOrder: ['cash', 'bonus'],
+        type: 'bet',
+        referenceKey: 'bet:session_1',
+        account: Ledger.ACCOUNTS.GAMES
+      });
+
+      expect(stake.cashAmount).toBe(-10);
+      expect(stake.bonusAmount).toBe(-30);
+      expect(await Ledger.getBonusShare(userId, ['bet:session_1'])).toBe(0.75);
+
+      const win = await Ledger.creditWinnings(userId, 100, 'USD', {
+        bonusShare: 0.75,
+        type: 'win',
+        referenceKey: 'win:session_1',
+        account: Ledger.ACCOUNTS.GAMES
+      });
+
+      expect(win.balance).toBe(25);
+      expect(win.bonusBalance).toBe(75);
+
+      const report = await Ledger.reconcile(userId);
+      const usd = report.balances.filter(balance => balance.currency === 'USD');
+
+      expect(report.balanced).toBe(true);
+      expect(usd.map(balance => balance.balanceType)).toEqual(['cash', 'bonus']);
+    });
+  });
+
+  describe('reverse', () => {
+    it('should post the opposite amount against the original counter account', async () => {
+      await deposit('deposit:test:1', 30);
+      await Ledger.debit(userId, 30, 'USD', {
+        type: 'withdrawal',
+        referenceKey: 'withdrawal:1',
+        account: Ledger.ACCOUNTS.CRYPTO
+      });
+
+      const refund = await Ledger.reverse('withdrawal:1', {
+        type: 'refund',
+        referenceKey: 'refund:1'
+      });
+
+      expect(refund.balance).toBe(30);
+      const counter = refund.entries.find(entry => !entry.userId);
+      expect(counter.account).toBe(Ledger.ACCOUNTS.CRYPTO);
+    });
+  });
+
+  describe('reconciliation', () => {
+    it('should match the wallet when every change went through the ledger', async () => {
+      await deposit('deposit:test:1', 100);
+      await bet('bet:session_1', 40);
+
+      const report = await Ledger.reconcile(userId);
+      const usd = report.balances.find(balance => balance.currency === 'USD');
+
+      expect(report.balanced).toBe(true);
+      expect(usd.ledgerBalance).toBe(60);
+    });
+
+    it('should detect and repair balance changes made outside the ledger', async () => {
+      await deposit('deposit:test:1', 100);
+      await User.updateOne({ _id: userId }, { $inc: { 'wallet.balance.USD': 5 } });
+
+      const report = await Ledger.rebuildBalance(userId);
+      const usd = report.balances.find(balance => balance.currency === 'USD');
+
+      expect(report.balanced).toBe(false);
+      expect(usd.difference).toBe(5);
+
+      const user = await User.findById(userId);
+      expect(user.wallet.balance.USD).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const LimboGame = require('../../games/engines/limboGame');
+const ProvablyFair = require('../../games/utils/provablyFair');
+
+describe('Limbo Game', () => {
+  const limboGame = new LimboGame();
+  const seeds = {
+    serverSeed: 'c'.repeat(64),
+    serverSeedHash: ProvablyFair.generateServerSeedHash('c'.repeat(64)),
+    clientSeed: 'client-seed',
+    nonce: 3
+  };
+
+  describe('generateLimboResult', () => {
+    it('should never return less than 1x', () => {
+      // Float 0 gives 0.99x before clamping
+      expect(limboGame.generateLimboResult('00000000')).toBe(1);
+    });
+
+    it('should follow the crash formula floored to 2 decimals', () => {
+      // Float 0.5 gives 0.99 / 0.5 = 1.98
+      expect(limboGame.generateLimboResult('80000000')).toBe(1.98);
+    });
+
+    it('should cap the result at the maximum target', () => {
+      expect(limboGame.generateLimboResult('ffffffff')).toBe(limboGame.config.maxTarget);
+    });
+  });
+
+  describe('playGame', () => {
+    it('should pay the target multiplier when the result reaches it', async () => {
+      const result = await limboGame.playGame('user1', 10, 1.5, seeds);
+
+      expect(result.isWin).toBe(result.resultMultiplier >= 1.5);
+      expect(result.payout).toBe(result.isWin ? 15 : 0);
+      expect(result.provablyFair.serverSeed).toBeNull();
+    });
+
+    it('should reject targets with more than 2 decimals', async () => {
+      await expect(limboGame.playGame('user1', 10, 1.234, seeds))
+        .rejects.toThrow('Target can have at most 2 decimal places');
+    });
+
+    it('should verify once the server seed is revealed', async () => {
+      const result = await limboGame.playGame('user1', 10, 2, seeds);
+      result.provablyFair = { ...result.provablyFair, serverSeed: seeds.serverSeed };
+
+      expect(LimboGame.verifyGame(result).verified).toBe(true);
+    });
+  });
+
+  describe('calculateWinChance', () => {
+    it('should include the house edge', () => {
+      expect(limboGame.calculateWinChance(2)).toBe(49.5);
+      expect(limboGame.calculateWinChance(99)).toBe(1);
+    });
+  });
+});
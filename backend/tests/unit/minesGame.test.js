@@ -0,0 +1,138 @@
+const MinesGame = require('../../games/engines/minesGame');
+const ProvablyFair = require('../../games/utils/provablyFair');
+
+describe('Mines Game', () => {
+  const minesGame = new MinesGame();
+  const seeds = {
+    serverSeed: 'b'.repeat(64),
+    serverSeedHash: ProvablyFair.generateServerSeedHash('b'.repeat(64)),
+    clientSeed: 'client-seed',
+    nonce: 7
+  };
+
+  describe('generateMinePositions', () => {
+    it('should place the requested number of distinct mines on the board', () => {
+      const hash = ProvablyFair.generateResult(seeds.serverSeed, seeds.clientSeed, seeds.nonce);
+
+      [1, 3, 12, 24].forEach(mineCount => {
+        const positions = minesGame.generateMinePositions(hash, mineCount);
+
+        expect(positions).toHaveLength(mineCount);
+        expect(new Set(positions).size).toBe(mineCount);
+        positions.forEach(tile => {
+          expect(tile).toBeGreaterThanOrEqual(0);
+          expect(tile).toBeLessThan(25);
+        });
+      });
+    });
+
+    it('should be deterministic for the same seeds', () => {
+      const hash = ProvablyFair.generateResult(seeds.serverSeed, seeds.clientSeed, seeds.nonce);
+
+      expect(minesGame.generateMinePositions(hash, 5)).toEqual(minesGame.generateMinePositions(hash, 5));
+    });
+
+    it('should keep fewer mines as a prefix of more mines', () => {
+      const hash = ProvablyFair.generateResult(seeds.serverSeed, seeds.clientSeed, seeds.nonce);
+      const five = minesGame.generateMinePositions(hash, 5);
+      const ten = minesGame.generateMinePositions(hash, 10);
+
+      five.forEach(tile => expect(ten).toContain(tile));
+    });
+  });
+
+  describe('calculateMultiplier', () => {
+    it('should apply the house edge to the fair odds', () => {
+      expect(minesGame.calculateMultiplier(3, 0)).toBe(1);
+      // 25/22 * 0.99 = 1.125
+      expect(minesGame.calculateMultiplier(3, 1)).toBe(1.12);
+      // 24 mines, one safe tile: 25 * 0.99
+      expect(minesGame.calculateMultiplier(24, 1)).toBe(24.75);
+    });
+
+    it('should grow with every safe reveal', () => {
+      const table = minesGame.getMultiplierTable(5);
+
+      expect(table).toHaveLength(21);
+      for (let i = 1; i < table.length; i++) {
+        expect(table[i]).toBeGreaterThan(table[i - 1]);
+      }
+    });
+  });
+
+  describe('game flow', () => {
+    it('should pay the multiplier of the last safe reveal on cash out', async () => {
+      let state = await minesGame.startGame('user1', 10, 3, seeds);
+      const safeTiles = [...Array(25).keys()].filter(tile => !state.minePositions.includes(tile));
+
+      state = minesGame.revealTile(state, safeTiles[0]);
+      state = minesGame.revealTile(state, safeTiles[1]);
+
+      const result = minesGame.finishGame(state);
+
+      expect(state.hitMine).toBe(false);
+      expect(result.isWin).toBe(true);
+      expect(result.multiplier).toBe(minesGame.calculateMultiplier(3, 2));
+      expect(result.payout).toBeCloseTo(10 * result.multiplier);
+    });
+
+    it('should end the game with no payout when a mine is revealed', async () => {
+      let state = await minesGame.startGame('user1', 10, 3, seeds);
+      state = minesGame.revealTile(state, state.minePositions[0]);
+
+      const result = minesGame.finishGame(state);
+
+      expect(state.hitMine).toBe(true);
+      expect(state.completed).toBe(true);
+      expect(result.isWin).toBe(false);
+      expect(result.payout).toBe(0);
+    });
+
+    it('should complete the game after the last safe tile', async () => {
+      let state = await minesGame.startGame('user1', 1, 24, seeds);
+      const safeTile = [...Array(25).keys()].find(tile => !state.minePositions.includes(tile));
+
+      state = minesGame.revealTile(state, safeTile);
+
+      expect(state.completed).toBe(true);
+    });
+
+    it('should reject revealing the same tile twice', async () => {
+      let state = await minesGame.startGame('user1', 1, 1, seeds);
+      const safeTile = [...Array(25).keys()].find(tile => !state.minePositions.includes(tile));
+      state = minesGame.revealTile(state, safeTile);
+
+      expect(() => minesGame.revealTile(state, safeTile)).toThrow('Tile already revealed');
+    });
+
+    it('should reject a cash out before any reveal', async () => {
+      const state = await minesGame.startGame('user1', 1, 3, seeds);
+
+      expect(() => minesGame.finishGame(state)).toThrow('Reveal at least one tile before cashing out');
+    });
+  });
+
+  describe('verifyGame', () => {
+    it('should verify a finished game once the server seed is revealed', async () => {
+      let state = await minesGame.startGame('user1', 10, 5, seeds);
+      const safeTile = [...Array(25).keys()].find(tile => !state.minePositions.includes(tile));
+      state = minesGame.revealTile(state, safeTile);
+
+      const result = minesGame.finishGame(state);
+      result.provablyFair = { ...result.provablyFair, serverSeed: seeds.serverSeed };
+
+      expect(MinesGame.verifyGame(result).verified).toBe(true);
+    });
+
+    it('should reject tampered mine positions', async () => {
+      let state = await minesGame.startGame('user1', 10, 5, seeds);
+      state = minesGame.revealTile(state, state.minePositions[0]);
+
+      const result = minesGame.finishGame(state);
+      result.provablyFair = { ...result.provablyFair, serverSeed: seeds.serverSeed };
+      result.minePositions = [0, 1, 2, 3, 4];
+
+      expect(MinesGame.verifyGame(result).minesMatch).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const ProvablyFair = require('../../games/utils/provablyFair');
+
+describe('Provably Fair Utility', () => {
+  describe('hash chain', () => {
+    const seed = 'a'.repeat(64);
+    const length = 2500;
+    const checkpointInterval = 1000;
+
+    // Full chain computed the slow way: element i-1 = sha256(element i)
+    const fullChain = [];
+    fullChain[length] = seed;
+    for (let i = length; i > 0; i--) {
+      fullChain[i - 1] = ProvablyFair.hashChainLink(fullChain[i]);
+    }
+
+    const { terminatingHash, checkpoints } = ProvablyFair.generateHashChain(seed, length, checkpointInterval);
+
+    it('should publish the last element of the chain as terminating hash', () => {
+      expect(terminatingHash).toBe(fullChain[0]);
+    });
+
+    it('should rebuild any round from checkpoints', () => {
+      [1, 2, 999, 1000, 1001, 2000, 2499, 2500].forEach(round => {
+        expect(ProvablyFair.getHashChainElement(checkpoints, length, checkpointInterval, round))
+          .toBe(fullChain[round]);
+      });
+    });
+
+    it('should reject rounds outside of the chain', () => {
+      expect(() => ProvablyFair.getHashChainElement(checkpoints, length, checkpointInterval, length + 1))
+        .toThrow('Round is outside of the hash chain');
+    });
+
+    it('should verify a span of rounds anchored on the terminating hash', () => {
+      const rounds = [1, 2, 3, 5].map(round => ({
+        round,
+        hash: fullChain[round],
+        crashPoint: ProvablyFair.generateCrashMultiplier(fullChain[round])
+      }));
+
+      const result = ProvablyFair.verifyHashChain(rounds, { round: 0, hash: terminatingHash });
+
+      expect(result.verified).toBe(true);
+      expect(result.rounds.every(round => round.linkValid)).toBe(true);
+    });
+
+    it('should reject a round whose hash is not on the chain', () => {
+      const rounds = [10, 11, 12].map(round => ({
+        round,
+        hash: fullChain[round],
+        crashPoint: ProvablyFair.generateCrashMultiplier(fullChain[round])
+      }));
+      rounds[1].hash = ProvablyFair.generateServerSeed();
+      rounds[1].crashPoint = ProvablyFair.generateCrashMultiplier(rounds[1].hash);
+
+      const result = ProvablyFair.verifyHashChain(rounds, { round: 9, hash: fullChain[9] });
+
+      expect(result.verified).toBe(false);
+      expect(result.rounds[0].linkValid).toBe(true);
+      expect(result.rounds[1].linkValid).toBe(false);
+    });
+
+    it('should reject a tampered crash point', () => {
+      const rounds = [{
+        round: 1,
+        hash: fullChain[1],
+        crashPoint: ProvablyFair.generateCrashMultiplier(fullChain[1]) + 1
+      }];
+
+      const result = ProvablyFair.verifyHashChain(rounds, { round: 0, hash: terminatingHash });
+
+      expect(result.verified).toBe(false);
+      expect(result.rounds[0].crashPointValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  ProviderManager,
+  ProviderBase,
+  PragmaticPlayProvider,
+  EvolutionGamingProvider,
+  NetEntProvider,
+  MockProvider
+} = require('../../games/providers/providerManager');
+
+describe('Provider adapters', () => {
+  describe('registration', () => {
+    it('should register enabled entries under their key', () => {
+      const manager = new ProviderManager([
+        { key: 'mock', adapter: 'mockProvider', enabled: true, secretKey: 'secret' },
+        { key: 'netent', adapter: 'netEnt', enabled: false }
+      ]);
+
+      expect(manager.getAvailableProviders()).toEqual(['mock']);
+      expect(manager.getProvider('mock')).toBeInstanceOf(MockProvider);
+    });
+
+    it('should accept an adapter class and refuse one outside the interface', () => {
+      class CustomProvider extends ProviderBase {}
+
+      expect(ProviderManager.resolveAdapter(CustomProvider)).toBe(CustomProvider);
+      expect(() => ProviderManager.resolveAdapter(class {})).toThrow('does not extend ProviderBase');
+    });
+  });
+
+  describe('callbacks', () => {
+    it('should map vendor callbacks to wallet operations', () => {
+      const pragmatic = new PragmaticPlayProvider({});
+      expect(pragmatic.parseCallback('transaction', { transaction_type: 'refund' }).operation).toBe('rollback');
+
+      const evolution = new EvolutionGamingProvider({});
+      const cancel = evolution.parseCallback('cancel', { uuid: 'u1', transaction: { id: 'tx-1', amount: 100 } });
+      expect(cancel).toMatchObject({
+        operation: 'rollback',
+        data: { transaction_id: 'cancel:tx-1', reference_transaction_id: 'tx-1' }
+      });
+
+      const netent = new NetEntProvider({});
+      const debit = netent.parseCallback('callback', { method: 'debit', params: { userId: 'u1', transactionId: 'tx-2' } });
+      expect(debit).toMatchObject({ operation: 'debit', data: { user_id: 'u1', transaction_id: 'tx-2' } });
+    });
+
+    it('should refuse unknown actions with UNKNOWN_ACTION', () => {
+      const netent = new NetEntProvider({});
+
+      expect(() => netent.parseCallback('balance', {})).toThrow(expect.objectContaining({ walletCode: 'UNKNOWN_ACTION' }));
+      expect(() => netent.parseCallback('callback', { method: 'jackpot' }))
+        .toThrow(expect.objectContaining({ walletCode: 'UNKNOWN_ACTION' }));
+    });
+
+    it('should map wallet errors to each vendor format', () => {
+      const error = { status: 'error', error_code: 'INSUFFICIENT_FUNDS', message: 'Insufficient balance' };
+
+      expect(new PragmaticPlayProvider({}).formatError('debit', error).body).toMatchObject({ error: 1 });
+      expect(new EvolutionGamingProvider({}).formatError('debit', error, { data: { user_id: 'u1' } })).toMatchObject({
+        status: 400,
+        body: { status: 'INSUFFICIENT_FUNDS', error: { code: 3 } }
+      });
+      expect(new NetEntProvider({}).formatError('debit', error, { body: { id: 7 } })).toMatchObject({
+        status: 200,
+        body: { error: { code: -32000, data: { errorCode: 'INSUFFICIENT_FUNDS' } }, id: 7 }
+      });
+    });
+  });
+
+  describe('mock provider', () => {
+    const provider = new MockProvider({ secretKey: 'mock-secret' });
+    const rawBody = Buffer.from(JSON.stringify({ type: 'balance', userId: 'u1', currency: 'USD' }));
+    const now = () => Math.floor(Date.now() / 1000);
+    const request = (timestamp, secret = 'mock-secret') => ({
+      headers: {
+        'x-mock-timestamp': String(timestamp),
+        'x-mock-signature': MockProvider.sign(secret, timestamp, rawBody)
+      },
+      rawBody
+    });
+
+    it('should verify the HMAC of the timestamp and raw body', () => {
+      expect(provider.verifyCallback(request(now()))).toBe(true);
+      expect(provider.verifyCallback(request(now(), 'other'))).toBe(false);
+      expect(provider.verifyCallback(request(now() - 3600))).toBe(false);
+      expect(provider.verifyCallback({ headers: {}, rawBody })).toBe(false);
+    });
+
+    it('should serve a local catalog and launch without a network', async () => {
+      const games = await provider.getGames();
+      const launch = await provider.launchGame(games[0].slug, 'u1', { currency: 'EUR' });
+
+      expect(games.every(game => game.provider === 'mock')).toBe(true);
+      expect(launch.gameUrl).toContain('/mock-games/mock-slot');
+      expect(launch.sessionId).toMatch(/^mock_/);
+    });
+  });
+});
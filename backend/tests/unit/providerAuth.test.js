@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const providerAuth = require('../../middleware/providerAuth');
+const ProviderSession = require('../../models/ProviderSession');
+const { ProviderManager } = require('../../games/providers/providerManager');
+
+describe('Provider callback authentication', () => {
+  const userId = '64b7f0c2a1b2c3d4e5f60718';
+  const manager = new ProviderManager([
+    { key: 'pragmatic', adapter: 'pragmaticPlay', enabled: true, secretKey: 'pp-secret', allowedIps: ['10.0.0.0/24'] },
+    { key: 'evolution', adapter: 'evolutionGaming', enabled: true, secretKey: 'evo-token' },
+    { key: 'netent', adapter: 'netEnt', enabled: true, secretKey: 'ne-secret' }
+  ]);
+  const middleware = providerAuth(manager);
+
+  const pragmaticHash = params => crypto.createHash('md5').update(
+    Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&') + 'pp-secret'
+  ).digest('hex');
+
+  const session = (fields = {}) => Object.assign(new ProviderSession({
+    provider: 'pragmatic',
+    token: 'launch-token',
+    userId,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }), fields);
+
+  const run = async ({ provider = 'pragmatic', action = 'balance', body = {}, query = {}, headers = {}, ip = '10.0.0.5', rawBody }) => {
+    const req = {
+      params: { provider, action },
+      body,
+      query,
+      headers,
+      rawBody: rawBody || Buffer.from(JSON.stringify(body)),
+      ip,
+      get: () => 'test-agent'
+    };
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+    return { req, res, next };
+  };
+
+  const pragmaticBalance = (extra = {}) => {
+    const params = { user_id: userId, currency: 'USD', token: 'launch-token', ...extra };
+    return { ...params, hash: pragmaticHash(params) };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ProviderSession, 'findOne').mockResolvedValue(session());
+  });
+
+  it('should accept a signed callback from an allowed address with a live session', async () => {
+    const { req, next } = await run({ body: pragmaticBalance() });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.providerCallback.session.token).toBe('launch-token');
+  });
+
+  it('should refuse sources outside the allowlist in the provider format', async () => {
+    const { res, next } = await run({ body: pragmaticBalance(), ip: '::ffff:192.168.1.10' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Source address not allowed' }));
+  });
+
+  it('should accept IPv4-mapped addresses inside the allowlist', async () => {
+    const { next } = await run({ body: pragmaticBalance(), ip: '::ffff:10.0.0.9' });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should refuse a tampered Pragmatic hash', async () => {
+    const body = { ...pragmaticBalance(), currency: 'EUR' };
+
+    const { res, next } = await run({ action: 'transaction', body: { ...body, transaction_type: 'debit' } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 5, error_code: 'AUTHENTICATION_FAILED' }));
+  });
+
+  it('should refuse unknown, foreign and expired sessions', async () => {
+    ProviderSession.findOne.mockResolvedValueOnce(null);
+    let result = await run({ action: 'transaction', body: pragmaticBalance({ transaction_type: 'debit' }) });
+    expect(result.res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 4, error_code: 'INVALID_SESSION' }));
+
+    ProviderSession.findOne.mockResolvedValueOnce(session({ userId: '64b7f0c2a1b2c3d4e5f60719' }));
+    result = await run({ action: 'transaction', body: pragmaticBalance({ transaction_type: 'debit' }) });
+    expect(result.res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Session token belongs to another user' }));
+
+    ProviderSession.findOne.mockResolvedValueOnce(session({ expiresAt: new Date(Date.now() - 1000) }));
+    result = await run({ action: 'transaction', body: pragmaticBalance({ transaction_type: 'debit' }) });
+    expect(result.res.json).toHaveBeenCalledWith(expect.objectContaining({ error_code: 'SESSION_EXPIRED' }));
+  });
+
+  it('should settle credits on an expired session', async () => {
+    ProviderSession.findOne.mockResolvedValue(session({ expiresAt: new Date(Date.now() - 1000) }));
+
+    const { next } = await run({ action: 'transaction', body: pragmaticBalance({ transaction_type: 'credit' }) });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should refuse a replayed Evolution launch token', async () => {
+    const launched = session({ provider: 'evolution' });
+    jest.spyOn(launched, 'claimAuthentication').mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    ProviderSession.findOne.mockResolvedValue(launched);
+
+    const callback = { action: 'authenticate', provider: 'evolution', body: { token: 'launch-token', user_id: userId }, query: { authToken: 'evo-token' } };
+    const first = await run(callback);
+    const replay = await run(callback);
+
+    expect(first.next).toHaveBeenCalled();
+    expect(replay.next).not.toHaveBeenCalled();
+    expect(replay.res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'INVALID_SID' }));
+  });
+
+  it('should refuse an Evolution callback without the operator auth token', async () => {
+    const { res } = await run({ provider: 'evolution', action: 'balance', body: { sid: 'launch-token', uuid: userId }, query: { authToken: 'wrong' } });
+
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'INVALID_TOKEN_ID' }));
+  });
+
+  it('should refuse a replayed NetEnt signature outside the tolerance window', async () => {
+    const body = { jsonrpc: '2.0', method: 'balance', params: { userId, currency: 'USD', token: 'launch-token' }, id: 1 };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const signed = timestamp => ({
+      'x-netent-timestamp': String(timestamp),
+      'x-netent-signature': crypto.createHmac('sha256', 'ne-secret').update(`${timestamp}.${rawBody}`).digest('hex')
+    });
+    const now = Math.floor(Date.now() / 1000);
+
+    const fresh = await run({ provider: 'netent', action: 'callback', body, rawBody, headers: signed(now) });
+    const replay = await run({ provider: 'netent', action: 'callback', body, rawBody, headers: signed(now - 3600) });
+
+    expect(fresh.next).toHaveBeenCalled();
+    expect(replay.res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: expect.objectContaining({ code: -32000, data: { errorCode: 'AUTHENTICATION_FAILED' } })
+    }));
+  });
+
+  it('should answer 404 for a provider that is not configured', async () => {
+    const { res } = await run({ provider: 'unknown' });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
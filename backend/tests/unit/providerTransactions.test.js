@@ -0,0 +1,113 @@
+const { PragmaticPlayProvider } = require('../../games/providers/providerManager');
+const Ledger = require('../../payments/ledger');
+const ProviderTransaction = require('../../models/ProviderTransaction');
+const User = require('../../models/User');
+
+describe('Provider wallet transactions', () => {
+  let userId;
+  let provider;
+
+  const balance = async () => (await User.findById(userId)).wallet.balance.USD;
+  const callback = (transaction_type, transaction_id, amount, extra = {}) => provider.processTransaction({
+    user_id: userId,
+    transaction_id,
+    transaction_type,
+    amount,
+    currency: 'USD',
+    game_id: 'vs20olympgate',
+    round_id: 'round-1',
+    ...extra
+  });
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'provideruser',
+      email: 'provider@example.com',
+      password: 'hashedpassword',
+      dateOfBirth: new Date('1990-01-01'),
+      country: 'CY'
+    });
+    userId = user._id;
+
+    await Ledger.credit(userId, 100, 'USD', {
+      type: 'deposit',
+      referenceKey: 'deposit:provider-test',
+      account: Ledger.ACCOUNTS.FIAT
+    });
+
+    provider = new PragmaticPlayProvider({ name: 'Pragmatic Play' });
+  });
+
+  it('should return the original response when a debit is retried', async () => {
+    const first = await callback('debit', 'tx-1', 1000);
+    await callback('credit', 'tx-2', 500);
+
+    const retry = await callback('debit', 'tx-1', 1000);
+
+    expect(retry).toEqual(first);
+    expect(first.balance).toBe(9000);
+    expect(await balance()).toBe(95);
+  });
+
+  it('should replay a retried debit whose amount arrives as a string', async () => {
+    const first = await callback('debit', 'tx-1', '1000');
+
+    const retry = await callback('debit', 'tx-1', '1000');
+
+    expect(first.status).toBe('success');
+    expect(retry).toEqual(first);
+    expect(await balance()).toBe(90);
+  });
+
+  it('should refuse a transaction id reused with different details', async () => {
+    await callback('debit', 'tx-1', 1000);
+
+    const result = await callback('debit', 'tx-1', 2000);
+
+    expect(result.error_code).toBe('DUPLICATE_TRANSACTION');
+    expect(await balance()).toBe(90);
+  });
+
+  it('should reverse a debit on rollback, once', async () => {
+    await callback('debit', 'tx-1', 1000);
+
+    const rollback = await callback('refund', 'rb-1', 0, { reference_transaction_id: 'tx-1' });
+    await callback('refund', 'rb-1', 0, { reference_transaction_id: 'tx-1' });
+    await callback('refund', 'rb-2', 0, { reference_transaction_id: 'tx-1' });
+
+    expect(rollback.status).toBe('success');
+    expect(await balance()).toBe(100);
+    expect((await ProviderTransaction.findOne({ transactionId: 'tx-1' })).status).toBe('rolled_back');
+    expect((await Ledger.reconcile(userId)).balanced).toBe(true);
+  });
+
+  it('should refuse a debit whose rollback arrived first', async () => {
+    const rollback = await callback('rollback', 'rb-1', 0, { reference_transaction_id: 'tx-1' });
+    expect(rollback.status).toBe('success');
+
+    const debit = await callback('debit', 'tx-1', 1000);
+
+    expect(debit.error_code).toBe('TRANSACTION_CANCELLED');
+    expect(await balance()).toBe(100);
+  });
+
+  it('should accept a credit before the debit of its round', async () => {
+    const credit = await callback('credit', 'tx-2', 500);
+    const debit = await callback('debit', 'tx-1', 1000);
+
+    expect(credit.status).toBe('success');
+    expect(debit.status).toBe('success');
+    expect(await balance()).toBe(95);
+    expect((await ProviderTransaction.findOne({ transactionId: 'tx-2' })).outOfOrder).toBe(true);
+  });
+
+  it('should let a failed debit be retried', async () => {
+    const failed = await callback('debit', 'tx-1', 50000);
+    expect(failed.status).toBe('error');
+    expect(await ProviderTransaction.exists({ transactionId: 'tx-1' })).toBeNull();
+
+    const retry = await callback('debit', 'tx-1', 50000);
+    expect(retry.status).toBe('error');
+    expect(await balance()).toBe(100);
+  });
+});
@@ -0,0 +1,187 @@
+const User = require('../../models/User');
+const RealityCheck = require('../../models/RealityCheck');
+const Transaction = require('../../models/Transaction');
+const JurisdictionRule = require('../../models/JurisdictionRule');
+const JurisdictionRules = require('../../utils/compliance/jurisdictionRules');
+const ResponsibleGaming = require('../../utils/compliance/responsibleGaming');
+const RealityChecks = require('../../utils/compliance/realityChecks');
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+
+describe('Reality checks', () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+  const player = (realityCheck = {}, fields = {}) => new User({
+    username: 'player',
+    email: 'player@example.com',
+    password: 'hashedpassword',
+    dateOfBirth: new Date('1990-01-01'),
+    country: 'CY',
+    responsibleGaming: { realityCheck },
+    ...fields
+  });
+
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    RealityChecks.defaultInterval = 60;
+    RealityChecks.idleTimeout = 30 * 60 * 1000;
+    JurisdictionRules.invalidate();
+
+    jest.spyOn(JurisdictionRule, 'find').mockImplementation(() => ({ lean: () => Promise.resolve(stored) }));
+    jest.spyOn(ExchangeRates, 'getRates').mockImplementation(async currencies => Object.fromEntries(
+      currencies.map(currency => [currency, currency === 'BTC' ? 60000 : 1])
+    ));
+    jest.spyOn(RealityChecks, 'notify').mockImplementation(() => {});
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(RealityCheck.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  describe('getInterval', () => {
+    it('uses the player interval, then the default, capped by the jurisdiction', async () => {
+      expect(await RealityChecks.getInterval(player())).toBe(60);
+      expect(await RealityChecks.getInterval(player({ interval: 0 }))).toBe(0);
+      expect(await RealityChecks.getInterval(player({ interval: 90 }))).toBe(90);
+
+      stored = [{ code: 'CY', version: 1, realityCheckInterval: 45 }];
+      JurisdictionRules.invalidate();
+
+      expect(await RealityChecks.getInterval(player({ interval: 90 }))).toBe(45);
+      expect(await RealityChecks.getInterval(player({ interval: 0 }))).toBe(45);
+      expect(await RealityChecks.getInterval(player({ interval: 20 }))).toBe(20);
+    });
+
+    it('refuses intervals the jurisdiction does not allow', async () => {
+      stored = [{ code: 'CY', version: 1, realityCheckInterval: 45 }];
+      jest.spyOn(User, 'findById').mockResolvedValue(player());
+
+      await expect(RealityChecks.updateInterval('64b7f0c2a1b2c3d4e5f60718', 0))
+        .rejects.toThrow('Reality checks are required at least every 45 minutes in your jurisdiction');
+      await expect(RealityChecks.updateInterval('64b7f0c2a1b2c3d4e5f60718', 60))
+        .rejects.toThrow('Reality checks are required at least every 45 minutes in your jurisdiction');
+    });
+  });
+
+  describe('getSessionStats', () => {
+    it('sums bets and wins across currencies in USD', async () => {
+      jest.spyOn(Transaction, 'aggregate').mockResolvedValue([
+        { _id: { type: 'bet', currency: 'USDT' }, amount: 150, count: 12 },
+        { _id: { type: 'bet', currency: 'BTC' }, amount: 0.001, count: 3 },
+        { _id: { type: 'win', currency: 'USDT' }, amount: 90, count: 5 }
+      ]);
+
+      const stats = await RealityChecks.getSessionStats(player()._id, minutesAgo(75));
+
+      expect(stats).toMatchObject({ duration: 75, bets: 15, totalBet: 210, totalWin: 90, netResult: -120 });
+    });
+  });
+
+  describe('scan', () => {
+    it('issues checks to active players whose interval has passed', async () => {
+      const due = player({ sessionStartedAt: minutesAgo(70) });
+      const answered = player({ sessionStartedAt: minutesAgo(70), lastCheckAt: minutesAgo(10) });
+      const waiting = player({ sessionStartedAt: minutesAgo(200), pending: player()._id });
+      const started = player();
+
+      jest.spyOn(Transaction, 'aggregate')
+        .mockResolvedValueOnce([due, answered, waiting, started].map(user => ({ _id: user._id, firstBetAt: minutesAgo(5) })))
+        .mockResolvedValue([{ _id: { type: 'bet', currency: 'USD' }, amount: 40, count: 4 }]);
+      jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve([due, answered, waiting, started]) });
+
+      const issued = await RealityChecks.scan();
+
+      expect(issued).toHaveLength(1);
+      expect(issued[0]).toMatchObject({ userId: due._id, interval: 60, status: 'pending' });
+      expect(issued[0].session).toMatchObject({ duration: 70, bets: 4, totalBet: 40, netResult: -40 });
+      expect(RealityChecks.notify).toHaveBeenCalledWith(due._id, 'reality_check', expect.objectContaining({ interval: 60 }));
+
+      // The first bet starts the session of a player who had none
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: started._id, 'responsibleGaming.realityCheck.sessionStartedAt': null },
+        { $set: { 'responsibleGaming.realityCheck.sessionStartedAt': expect.any(Date) } }
+      );
+    });
+
+    it('does not issue a check another server issued first', async () => {
+      const due = player({ sessionStartedAt: minutesAgo(70) });
+
+      jest.spyOn(Transaction, 'aggregate')
+        .mockResolvedValueOnce([{ _id: due._id, firstBetAt: minutesAgo(5) }])
+        .mockResolvedValue([]);
+      jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve([due]) });
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await RealityChecks.scan()).toEqual([]);
+      expect(RealityCheck.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acknowledge', () => {
+    const checkId = '64b7f0c2a1b2c3d4e5f60719';
+
+    beforeEach(() => {
+      jest.spyOn(RealityCheck, 'findOneAndUpdate').mockImplementation((query, update) => Promise.resolve(
+        new RealityCheck({ _id: checkId, userId: player()._id, interval: 60, session: { startedAt: minutesAgo(60) }, ...update.$set })
+      ));
+    });
+
+    it('records a continue and restarts the interval', async () => {
+      const user = player({ sessionStartedAt: minutesAgo(60), pending: checkId });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      const check = await RealityChecks.acknowledge(user._id, { action: 'continue' }, { channel: 'socket', ipAddress: '10.0.0.1' });
+
+      expect(check.status).toBe('acknowledged');
+      expect(check.response).toMatchObject({ action: 'continue', channel: 'socket', ipAddress: '10.0.0.1' });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: user._id, 'responsibleGaming.realityCheck.pending': user.responsibleGaming.realityCheck.pending },
+        { $set: { 'responsibleGaming.realityCheck.pending': null, 'responsibleGaming.realityCheck.lastCheckAt': expect.any(Date) } }
+      );
+    });
+
+    it('ends the session on stop', async () => {
+      const user = player({ sessionStartedAt: minutesAgo(60), pending: checkId });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      await RealityChecks.acknowledge(user._id, { action: 'stop' });
+
+      expect(User.updateOne).toHaveBeenCalledWith(expect.anything(), {
+        $set: {
+          'responsibleGaming.realityCheck.pending': null,
+          'responsibleGaming.realityCheck.sessionStartedAt': null,
+          'responsibleGaming.realityCheck.lastCheckAt': null
+        }
+      });
+    });
+
+    it('sets limits before continuing', async () => {
+      const user = player({ sessionStartedAt: minutesAgo(60), pending: checkId });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(ResponsibleGaming, 'updateLimits').mockResolvedValue({ success: true });
+
+      await expect(RealityChecks.acknowledge(user._id, { action: 'set_limit', limits: { colour: 'red' } }))
+        .rejects.toThrow('At least one limit is required');
+
+      const check = await RealityChecks.acknowledge(user._id, { action: 'set_limit', limits: { sessionTime: 90 } });
+
+      expect(ResponsibleGaming.updateLimits).toHaveBeenCalledWith(user._id, { sessionTime: 90 });
+      expect(check.response.limits).toEqual({ sessionTime: 90 });
+    });
+
+    it('refuses an answer without a pending check', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(player());
+
+      await expect(RealityChecks.acknowledge('64b7f0c2a1b2c3d4e5f60718', { action: 'continue' }))
+        .rejects.toThrow('No reality check is waiting for an answer');
+    });
+  });
+
+  it('refuses bets while a check is pending', () => {
+    expect(() => RealityChecks.assertNoPendingCheck(player())).not.toThrow();
+    expect(() => RealityChecks.assertNoPendingCheck(player({ pending: '64b7f0c2a1b2c3d4e5f60719' })))
+      .toThrow('Please answer the reality check before placing another bet');
+  });
+});
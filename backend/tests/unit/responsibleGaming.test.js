@@ -27,9 +27,9 @@ describe('Responsible Gaming Utility', () => {
     userId = user._id;
   });
 
-  describe('checkDailyDepositLimit', () => {
+  describe('checkDepositLimit', () => {
     it('should allow deposit within limit', async () => {
-      const result = await ResponsibleGaming.checkDailyDepositLimit(userId, 500);
+      const result = await ResponsibleGaming.checkDepositLimit(userId, 500);
       
       expect(result.allowed).toBe(true);
     });
@@ -48,7 +48,7 @@ describe('Responsible Gaming Utility', () => {
         createdAt: new Date(today.getTime() + 1000)
       });
 
-      const result = await ResponsibleGaming.checkDailyDepositLimit(userId, 300);
+      const result = await ResponsibleGaming.checkDepositLimit(userId, 300);
       
       expect(result.allowed).toBe(false);
       expect(result.reason).toContain('Daily deposit limit exceeded');
@@ -58,7 +58,7 @@ describe('Responsible Gaming Utility', () => {
     });
 
     it('should allow deposit exactly at limit', async () => {
-      const result = await ResponsibleGaming.checkDailyDepositLimit(userId, 1000);
+      const result = await ResponsibleGaming.checkDepositLimit(userId, 1000);
       
       expect(result.allowed).toBe(true);
     });
@@ -231,44 +231,5 @@ describe('Responsible Gaming Utility', () => {
       expect(updatedUser.limits.dailyDeposit).toBe(1000); // Should remain unchanged
     });
   });
-
-  describe('sendRealityCheck', () => {
-    beforeEach(async () => {
-      // Set last login to simulate session start
-      await User.findByIdAndUpdate(userId, {
-        lastLogin: new Date(Date.now() - 2 * 60 * 60 * 1000) // 2 hours ago
-      });
-
-      // Create some game sessions
-      await GameSession.create({
-        userId,
-        gameType: 'dice',
-        betAmount: 50,
-        winAmount: 30,
-        status: 'completed',
-        startTime: new Date(Date.now() - 90 * 60 * 1000) // 90 minutes ago
-      });
-
-      await GameSession.create({
-        userId,
-        gameType: 'crash',
-        betAmount: 25,
-        winAmount: 0,
-        status: 'completed',
-        startTime: new Date(Date.now() - 60 * 60 * 1000) // 60 minutes ago
-      });
-    });
-
-    it('should generate reality check with session statistics', async () => {
-      const result = await ResponsibleGaming.sendRealityCheck(userId);
-      
-      expect(result).toBeTruthy();
-      expect(result.sessionDuration).toBeGreaterThan(100); // More than 100 minutes
-      expect(result.gamesPlayed).toBe(2);
-      expect(result.totalBet).toBe(75);
-      expect(result.totalWin).toBe(30);
-      expect(result.netResult).toBe(-45); // Loss of 45
-    });
-  });
 });
 
@@ -0,0 +1,283 @@
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const LimitChange = require('../../models/LimitChange');
+const ResponsibleGaming = require('../../utils/compliance/responsibleGaming');
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+const { SecurityMonitor } = require('../../utils/securityMonitor');
+const { PragmaticPlayProvider, ProviderBase } = require('../../games/providers/providerManager');
+const PaymentManager = require('../../payments/paymentManager');
+const JurisdictionRules = require('../../utils/compliance/jurisdictionRules');
+const JurisdictionRule = require('../../models/JurisdictionRule');
+const Game = require('../../models/Game');
+
+describe('Responsible gaming limits', () => {
+  const player = (limits = {}) => new User({
+    username: 'player',
+    email: 'player@example.com',
+    password: 'hashedpassword',
+    dateOfBirth: new Date('1990-01-01'),
+    country: 'CY',
+    lastLogin: new Date(),
+    limits
+  });
+
+  // Period totals as the aggregate groups them: one row per type and currency
+  const totals = rows => jest.spyOn(Transaction, 'aggregate').mockResolvedValue(rows.map(([type, currency, daily, weekly, monthly]) => ({
+    _id: { type, currency },
+    daily,
+    weekly,
+    monthly
+  })));
+
+  let due;
+
+  beforeEach(() => {
+    due = [];
+    jest.spyOn(LimitChange, 'find').mockImplementation(() => ({ sort: () => Promise.resolve(due) }));
+    jest.spyOn(LimitChange, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(LimitChange, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(LimitChange, 'create').mockImplementation(async data => new LimitChange(data));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(SecurityMonitor, 'logEvent').mockResolvedValue();
+    jest.spyOn(ExchangeRates, 'getRates').mockImplementation(async currencies => Object.fromEntries(
+      currencies.map(currency => [currency, currency === 'BTC' ? 60000 : 1])
+    ));
+    jest.spyOn(ExchangeRates, 'toUSD').mockImplementation(async (amount, currency) => amount * (currency === 'BTC' ? 60000 : 1));
+  });
+
+  describe('periodStart', () => {
+    it('starts days at midnight, weeks on Monday and months on the first', () => {
+      const now = new Date(2026, 9, 15, 18, 30); // Thursday
+
+      expect(ResponsibleGaming.periodStart('daily', now)).toEqual(new Date(2026, 9, 15));
+      expect(ResponsibleGaming.periodStart('weekly', now)).toEqual(new Date(2026, 9, 12));
+      expect(ResponsibleGaming.periodStart('monthly', now)).toEqual(new Date(2026, 9, 1));
+      expect(ResponsibleGaming.periodStart('weekly', new Date(2026, 9, 18, 12))).toEqual(new Date(2026, 9, 12));
+    });
+  });
+
+  describe('checkBetLimits', () => {
+    it('refuses a bet that would take net losses past the loss limit', async () => {
+      totals([
+        ['bet', 'USDT', 100, 400, 900],
+        ['bet', 'BTC', 0, 0.001, 0.001],
+        ['win', 'USDT', 20, 50, 100]
+      ]);
+
+      await expect(ResponsibleGaming.checkBetLimits(player({ dailyLoss: 100 }), 10, 'USDT')).resolves.toBeUndefined();
+      await expect(ResponsibleGaming.checkBetLimits(player({ dailyLoss: 100 }), 30, 'USDT'))
+        .rejects.toThrow('Daily loss limit reached');
+      await expect(ResponsibleGaming.checkBetLimits(player({ weeklyLoss: 450 }), 50, 'USDT'))
+        .rejects.toThrow('Weekly loss limit reached');
+    });
+
+    it('counts every bet towards the wager limit', async () => {
+      totals([
+        ['bet', 'USDT', 100, 100, 2950],
+        ['win', 'USDT', 100, 100, 2950]
+      ]);
+
+      await expect(ResponsibleGaming.checkBetLimits(player({ monthlyWager: 3000 }), 50, 'USDT')).resolves.toBeUndefined();
+      await expect(ResponsibleGaming.checkBetLimits(player({ monthlyWager: 3000 }), 60, 'USDT'))
+        .rejects.toThrow('Monthly wager limit reached');
+    });
+
+    it('skips the totals when no loss or wager limit is set', async () => {
+      jest.spyOn(Transaction, 'aggregate');
+
+      await ResponsibleGaming.checkBetLimits(player(), 1000, 'USDT');
+
+      expect(Transaction.aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkDepositLimit', () => {
+    it('checks every period with a deposit limit', async () => {
+      totals([['deposit', 'USDT', 0, 900, 900]]);
+      jest.spyOn(User, 'findById').mockResolvedValue(player({ dailyDeposit: 500, weeklyDeposit: 1000 }));
+
+      expect(await ResponsibleGaming.checkDepositLimit('64b7f0c2a1b2c3d4e5f60718', 200, 'USDT')).toMatchObject({
+        allowed: false,
+        reason: 'Weekly deposit limit exceeded',
+        period: 'weekly',
+        currentTotal: 900,
+        remaining: 100
+      });
+    });
+  });
+
+  describe('getExhaustedDepositLimit', () => {
+    it('reports the first period whose deposit limit is used up', async () => {
+      totals([['deposit', 'USDT', 200, 1000, 1000]]);
+
+      expect(await ResponsibleGaming.getExhaustedDepositLimit(player({ dailyDeposit: 500, weeklyDeposit: 1000 }))).toEqual({
+        period: 'weekly',
+        limit: 1000,
+        reason: 'Weekly deposit limit reached'
+      });
+      expect(await ResponsibleGaming.getExhaustedDepositLimit(player({ dailyDeposit: 500 }))).toBeNull();
+    });
+
+    it('counts held deposits in the period they were released in', async () => {
+      totals([]);
+
+      await ResponsibleGaming.getExhaustedDepositLimit(player({ dailyDeposit: 500 }));
+
+      const [{ $match: match }, { $group: group }] = Transaction.aggregate.mock.calls[0][0];
+      expect(match.$and[1].$or).toContainEqual({ 'metadata.releasedAt': { $gte: expect.any(Date) } });
+      expect(JSON.stringify(group.daily)).toContain('$metadata.releasedAt');
+    });
+
+    it('counts fiat deposits still pending at their provider', async () => {
+      totals([]);
+
+      await ResponsibleGaming.getExhaustedDepositLimit(player({ dailyDeposit: 500 }));
+
+      const [{ $match: match }] = Transaction.aggregate.mock.calls[0][0];
+      expect(match.$and[0].$or).toEqual([
+        { status: 'completed' },
+        { type: 'deposit', status: 'pending', 'metadata.providerTransactionId': { $exists: true } }
+      ]);
+    });
+
+    it('hands out no crypto deposit address while a deposit limit is used up', async () => {
+      const manager = new PaymentManager();
+      const user = player({ dailyDeposit: 500 });
+      totals([['deposit', 'BTC', 0.01, 0.01, 0.01]]);
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(JurisdictionRules, 'assertCanDeposit').mockResolvedValue();
+      jest.spyOn(ResponsibleGaming, 'assertNotSelfExcluded').mockResolvedValue();
+      jest.spyOn(manager.cryptoProcessor, 'generateDepositAddress');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(manager.generateDeposit(user._id, 'BTC')).rejects.toThrow('Daily deposit limit reached');
+      expect(manager.cryptoProcessor.generateDepositAddress).not.toHaveBeenCalled();
+    });
+
+    it('re-checks held deposits without logging the refusal again', async () => {
+      totals([['deposit', 'USDT', 400, 400, 400]]);
+      jest.spyOn(User, 'findById').mockResolvedValue(player({ dailyDeposit: 500 }));
+
+      const check = await ResponsibleGaming.checkDepositLimit('64b7f0c2a1b2c3d4e5f60718', 200, 'USDT', { logExceeded: false });
+
+      expect(check).toMatchObject({ allowed: false, reason: 'Daily deposit limit exceeded' });
+      expect(SecurityMonitor.logEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateLimits', () => {
+    it('applies lowered limits at once and holds raised ones for the cooling period', async () => {
+      const user = player({ dailyDeposit: 1000, weeklyLoss: 500, sessionTime: 60 });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      const result = await ResponsibleGaming.updateLimits(user._id, {
+        dailyDeposit: 300,
+        weeklyLoss: null,
+        sessionTime: 120,
+        colour: 'red'
+      });
+
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, { $set: { 'limits.dailyDeposit': 300 } });
+      expect(result.pending).toEqual([
+        { limit: 'weeklyLoss', value: null, effectiveAt: expect.any(Date) },
+        { limit: 'sessionTime', value: 120, effectiveAt: expect.any(Date) }
+      ]);
+      expect(result.pending[0].effectiveAt.getTime() - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+      expect(LimitChange.create).toHaveBeenCalledWith(expect.objectContaining({ limit: 'weeklyLoss', from: 500, to: null }));
+    });
+
+    it('replaces a pending raise with the newer change', async () => {
+      const user = player({ dailyWager: 200 });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      await ResponsibleGaming.updateLimits(user._id, { dailyWager: 200 });
+
+      expect(LimitChange.updateMany).toHaveBeenCalledWith(
+        { userId: user._id, limit: 'dailyWager', status: 'pending' },
+        { $set: { status: 'cancelled', cancelledAt: expect.any(Date) } }
+      );
+      expect(LimitChange.create).not.toHaveBeenCalled();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyDueLimitChanges', () => {
+    it('applies raises whose cooling period has passed', async () => {
+      const user = player({ dailyLoss: 100 });
+      due = [new LimitChange({ userId: user._id, limit: 'dailyLoss', from: 100, to: 250, effectiveAt: new Date() })];
+
+      await ResponsibleGaming.applyDueLimitChanges(user);
+
+      expect(user.limits.dailyLoss).toBe(250);
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: user._id }, { $set: { 'limits.dailyLoss': 250 } });
+    });
+
+    it('leaves a change another request applied first', async () => {
+      const user = player({ dailyLoss: 100 });
+      due = [new LimitChange({ userId: user._id, limit: 'dailyLoss', from: 100, to: 250, effectiveAt: new Date() })];
+      LimitChange.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await ResponsibleGaming.applyDueLimitChanges(user);
+
+      expect(user.limits.dailyLoss).toBe(100);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('provider debits', () => {
+    const provider = new PragmaticPlayProvider({});
+    let rules;
+
+    beforeEach(() => {
+      rules = [];
+      JurisdictionRules.invalidate();
+      jest.spyOn(JurisdictionRule, 'find').mockImplementation(() => ({ lean: () => Promise.resolve(rules) }));
+      jest.spyOn(Game, 'findOne').mockResolvedValue(new Game({
+        name: 'Gates of Olympus',
+        slug: 'pragmatic_play-vs20olympgate',
+        category: 'slots',
+        provider: 'pragmatic_play',
+        providerGameId: 'vs20olympgate'
+      }));
+    });
+
+    it('refuses provider debits over a limit with the vendor limit error', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(player({ dailyWager: 10 }));
+      jest.spyOn(ResponsibleGaming, 'checkBetLimits').mockRejectedValue(new Error('Daily wager limit reached'));
+
+      const error = await provider.checkBetLimits('64b7f0c2a1b2c3d4e5f60718', 20, 'USD', 'vs20olympgate').catch(caught => caught);
+
+      expect(error.walletCode).toBe(ProviderBase.WALLET_ERRORS.LIMIT_EXCEEDED);
+      expect(provider.formatError('debit', { error_code: error.walletCode, message: error.message }).body).toMatchObject({ error: 50 });
+    });
+
+    it('refuses provider debits over the jurisdiction maximum bet', async () => {
+      rules = [{ code: 'CY', status: 'allowed', maxBet: 5 }];
+      jest.spyOn(User, 'findById').mockResolvedValue(player());
+      jest.spyOn(ResponsibleGaming, 'checkBetLimits').mockResolvedValue();
+
+      const error = await provider.checkBetLimits('64b7f0c2a1b2c3d4e5f60718', 20, 'USD', 'vs20olympgate').catch(caught => caught);
+
+      expect(error.walletCode).toBe(ProviderBase.WALLET_ERRORS.LIMIT_EXCEEDED);
+      expect(error.message).toBe('Maximum bet in your jurisdiction is 5 USD');
+      expect(Game.findOne).toHaveBeenCalledWith({
+        provider: 'pragmatic_play',
+        $or: [{ providerGameId: 'vs20olympgate' }, { slug: 'vs20olympgate' }]
+      });
+      await expect(provider.checkBetLimits('64b7f0c2a1b2c3d4e5f60718', 5, 'USD', 'vs20olympgate')).resolves.toBeUndefined();
+    });
+
+    it('refuses provider debits while a reality check is pending', async () => {
+      const user = player();
+      user.responsibleGaming.realityCheck.pending = '64b7f0c2a1b2c3d4e5f60719';
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(ResponsibleGaming, 'checkBetLimits').mockResolvedValue();
+
+      const error = await provider.checkBetLimits('64b7f0c2a1b2c3d4e5f60718', 1, 'USD', 'vs20olympgate').catch(caught => caught);
+
+      expect(error.walletCode).toBe(ProviderBase.WALLET_ERRORS.LIMIT_EXCEEDED);
+      expect(error.message).toBe('Please answer the reality check before placing another bet');
+      expect(ResponsibleGaming.checkBetLimits).not.toHaveBeenCalled();
+    });
+  });
+});
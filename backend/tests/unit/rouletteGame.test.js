@@ -0,0 +1,127 @@
+const RouletteGame = require('../../games/engines/rouletteGame');
+const ProvablyFair = require('../../games/utils/provablyFair');
+
+describe('Roulette Game', () => {
+  const rouletteGame = new RouletteGame();
+
+  describe('validateBets', () => {
+    it('should accept every bet type on the layout', () => {
+      const slip = rouletteGame.validateBets([
+        { type: 'straight', numbers: [0], amount: 1 },
+        { type: 'split', numbers: [5, 2], amount: 1 },
+        { type: 'street', numbers: [34, 35, 36], amount: 1 },
+        { type: 'corner', numbers: [0, 1, 2, 3], amount: 1 },
+        { type: 'sixline', numbers: [31, 32, 33, 34, 35, 36], amount: 1 },
+        { type: 'dozen', value: 3, amount: 1 },
+        { type: 'column', value: 1, amount: 1 },
+        { type: 'red', amount: 1 },
+        { type: 'high', amount: 1 }
+      ]);
+
+      expect(slip).toHaveLength(9);
+      // Numbers are normalized to ascending order
+      expect(slip[1].numbers).toEqual([2, 5]);
+    });
+
+    it('should reject chips that are not on a legal placement', () => {
+      expect(() => rouletteGame.validateBets([{ type: 'split', numbers: [3, 4], amount: 1 }]))
+        .toThrow('Bet 1: invalid split placement');
+      expect(() => rouletteGame.validateBets([{ type: 'street', numbers: [2, 3, 4], amount: 1 }]))
+        .toThrow('invalid street placement');
+      expect(() => rouletteGame.validateBets([{ type: 'corner', numbers: [3, 4, 6, 7], amount: 1 }]))
+        .toThrow('invalid corner placement');
+      expect(() => rouletteGame.validateBets([{ type: 'straight', numbers: [37], amount: 1 }]))
+        .toThrow('invalid straight placement');
+      expect(() => rouletteGame.validateBets([{ type: 'dozen', value: 4, amount: 1 }]))
+        .toThrow('dozen must be 1, 2 or 3');
+      expect(() => rouletteGame.validateBets([{ type: 'red', amount: 0 }]))
+        .toThrow('amount must be at least 0.01');
+      expect(() => rouletteGame.validateBets([{ type: 'basket', amount: 1 }]))
+        .toThrow('unknown bet type');
+    });
+
+    it('should enforce the slip limits', () => {
+      expect(() => rouletteGame.validateBets([])).toThrow('Place at least one bet');
+      expect(() => rouletteGame.validateBets([
+        { type: 'red', amount: 600 },
+        { type: 'black', amount: 600 }
+      ])).toThrow('Total bet must not exceed 1000');
+    });
+  });
+
+  describe('settleBets', () => {
+    it('should pay 36 / numbers covered on a win', () => {
+      const slip = rouletteGame.validateBets([
+        { type: 'straight', numbers: [17], amount: 1 },
+        { type: 'split', numbers: [17, 20], amount: 1 },
+        { type: 'street', numbers: [16, 17, 18], amount: 1 },
+        { type: 'corner', numbers: [17, 18, 20, 21], amount: 1 },
+        { type: 'sixline', numbers: [13, 14, 15, 16, 17, 18], amount: 1 },
+        { type: 'dozen', value: 2, amount: 1 },
+        { type: 'column', value: 2, amount: 1 },
+        { type: 'black', amount: 1 },
+        { type: 'odd', amount: 1 },
+        { type: 'low', amount: 1 },
+        { type: 'red', amount: 1 }
+      ]);
+
+      const payouts = rouletteGame.settleBets(slip, 17).map(bet => bet.payout);
+      expect(payouts).toEqual([36, 18, 12, 9, 6, 3, 3, 2, 2, 2, 0]);
+    });
+
+    it('should lose every outside bet on zero', () => {
+      const slip = rouletteGame.validateBets([
+        { type: 'red', amount: 1 },
+        { type: 'even', amount: 1 },
+        { type: 'low', amount: 1 },
+        { type: 'dozen', value: 1, amount: 1 },
+        { type: 'split', numbers: [0, 1], amount: 1 }
+      ]);
+
+      expect(rouletteGame.settleBets(slip, 0).map(bet => bet.isWin)).toEqual([false, false, false, false, true]);
+    });
+
+    it('should return 36/37 of the stake on every bet type', () => {
+      const bets = [
+        { type: 'straight', numbers: [7], amount: 1 },
+        { type: 'corner', numbers: [0, 1, 2, 3], amount: 1 },
+        { type: 'column', value: 3, amount: 1 },
+        { type: 'even', amount: 1 }
+      ];
+
+      bets.forEach(bet => {
+        const [normalized] = rouletteGame.validateBets([bet]);
+        let total = 0;
+        for (let number = 0; number <= 36; number++) {
+          total += rouletteGame.settleBets([normalized], number)[0].payout;
+        }
+        expect(total / 37).toBeCloseTo(36 / 37, 10);
+      });
+    });
+  });
+
+  describe('playGame and verifyGame', () => {
+    it('should settle the slip against one result and verify it', async () => {
+      const seeds = {
+        serverSeed: 'e'.repeat(64),
+        serverSeedHash: ProvablyFair.generateServerSeedHash('e'.repeat(64)),
+        clientSeed: 'client-seed',
+        nonce: 3
+      };
+      const result = await rouletteGame.playGame('user123', [
+        { type: 'red', amount: 5 },
+        { type: 'straight', numbers: [0], amount: 1 }
+      ], seeds);
+
+      expect(result.betAmount).toBe(6);
+      expect(result.bets).toHaveLength(2);
+      expect(result.result).toEqual(ProvablyFair.generateRouletteResult(result.provablyFair.resultHash));
+
+      result.provablyFair.serverSeed = seeds.serverSeed;
+      expect(RouletteGame.verifyGame(result).verified).toBe(true);
+
+      result.payout += 1;
+      expect(RouletteGame.verifyGame(result).verified).toBe(false);
+    });
+  });
+});
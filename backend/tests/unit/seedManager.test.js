@@ -0,0 +1,188 @@
+const SeedManager = require('../../games/utils/seedManager');
+const ProvablyFair = require('../../games/utils/provablyFair');
+const SeedPair = require('../../models/SeedPair');
+const GameSession = require('../../models/GameSession');
+const User = require('../../models/User');
+
+describe('Seed Manager', () => {
+  let userId;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'seeduser',
+      email: 'seed@example.com',
+      password: 'hashedpassword',
+      dateOfBirth: new Date('1990-01-01'),
+      country: 'US'
+    });
+    userId = user._id;
+  });
+
+  describe('getActiveSeedPair', () => {
+    it('should create a committed seed pair on first use', async () => {
+      const seedPair = await SeedManager.getActiveSeedPair(userId);
+
+      expect(seedPair.status).toBe('active');
+      expect(seedPair.nonce).toBe(0);
+      expect(seedPair.serverSeedHash).toHaveLength(64);
+      expect(seedPair.nextServerSeedHash).toHaveLength(64);
+      expect(seedPair.serverSeed).toBeUndefined();
+    });
+
+    it('should return the same pair on subsequent calls', async () => {
+      const first = await SeedManager.getActiveSeedPair(userId);
+      const second = await SeedManager.getActiveSeedPair(userId);
+
+      expect(second._id.toString()).toBe(first._id.toString());
+    });
+  });
+
+  describe('reserveNonce', () => {
+    it('should hand out sequential nonces', async () => {
+      const first = await SeedManager.reserveNonce(userId);
+      const second = await SeedManager.reserveNonce(userId);
+      const third = await SeedManager.reserveNonce(userId);
+
+      expect([first.nonce, second.nonce, third.nonce]).toEqual([0, 1, 2]);
+    });
+
+    it('should never hand out the same nonce to concurrent bets', async () => {
+      await SeedManager.getActiveSeedPair(userId);
+
+      const reservations = await Promise.all(
+        Array.from({ length: 10 }, () => SeedManager.reserveNonce(userId))
+      );
+      const nonces = reservations.map(seeds => seeds.nonce).sort((a, b) => a - b);
+
+      expect(nonces).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    });
+
+    it('should return a server seed matching the committed hash', async () => {
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      expect(ProvablyFair.generateServerSeedHash(seeds.serverSeed)).toBe(seeds.serverSeedHash);
+    });
+  });
+
+  describe('rotateSeedPair', () => {
+    it('should reveal the previous server seed and activate the committed next one', async () => {
+      const before = await SeedManager.getActiveSeedPair(userId);
+      await SeedManager.reserveNonce(userId);
+
+      const result = await SeedManager.rotateSeedPair(userId, 'my-new-client-seed');
+
+      expect(result.previous.status).toBe('revealed');
+      expect(ProvablyFair.generateServerSeedHash(result.previous.serverSeed))
+        .toBe(before.serverSeedHash);
+      expect(result.previous.nonce).toBe(1);
+
+      expect(result.active.serverSeedHash).toBe(before.nextServerSeedHash);
+      expect(result.active.clientSeed).toBe('my-new-client-seed');
+      expect(result.active.nonce).toBe(0);
+      expect(result.active.serverSeed).toBeUndefined();
+    });
+
+    it('should reveal the server seed on sessions played with the previous pair', async () => {
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      await GameSession.collection.insertOne({
+        sessionId: 'session_seed_test',
+        userId,
+        status: 'completed',
+        betAmount: 1,
+        currency: 'USD',
+        provablyFair: {
+          seedPairId: seeds.seedPairId,
+          serverSeed: null,
+          serverSeedHash: seeds.serverSeedHash,
+          clientSeed: seeds.clientSeed,
+          nonce: seeds.nonce,
+          revealed: false
+        }
+      });
+
+      await SeedManager.rotateSeedPair(userId);
+
+      const session = await GameSession.findOne({ sessionId: 'session_seed_test' });
+      expect(session.provablyFair.revealed).toBe(true);
+      expect(session.provablyFair.serverSeed).toBe(seeds.serverSeed);
+    });
+
+    const openGame = async (gameType) => {
+      const seeds = await SeedManager.reserveNonce(userId);
+
+      await GameSession.collection.insertOne({
+        sessionId: `session_open_${gameType}`,
+        userId,
+        gameType,
+        status: 'active',
+        betAmount: 1,
+        currency: 'USD',
+        provablyFair: {
+          seedPairId: seeds.seedPairId,
+          serverSeed: null,
+          serverSeedHash: seeds.serverSeedHash,
+          clientSeed: seeds.clientSeed,
+          nonce: seeds.nonce,
+          revealed: false
+        }
+      });
+
+      return seeds;
+    };
+
+    it('should refuse to rotate while a Mines game is open', async () => {
+      const seeds = await openGame('mines');
+
+      await expect(SeedManager.rotateSeedPair(userId))
+        .rejects.toThrow('Finish your current Mines or Blackjack game before rotating seeds');
+
+      const seedPair = await SeedPair.findById(seeds.seedPairId).select('+serverSeed');
+      expect(seedPair.status).toBe('active');
+      expect(seedPair.toPublic().serverSeed).toBeUndefined();
+
+      const session = await GameSession.findOne({ sessionId: 'session_open_mines' });
+      expect(session.provablyFair.revealed).toBe(false);
+      expect(session.provablyFair.serverSeed).toBeNull();
+    });
+
+    it('should refuse to rotate while a Blackjack hand is open', async () => {
+      const seeds = await openGame('blackjack');
+
+      await expect(SeedManager.rotateSeedPair(userId))
+        .rejects.toThrow('Finish your current Mines or Blackjack game before rotating seeds');
+
+      const seedPair = await SeedPair.findById(seeds.seedPairId);
+      expect(seedPair.status).toBe('active');
+
+      const session = await GameSession.findOne({ sessionId: 'session_open_blackjack' });
+      expect(session.provablyFair.revealed).toBe(false);
+      expect(session.provablyFair.serverSeed).toBeNull();
+
+      // Rotation goes ahead once the hand is settled
+      await GameSession.updateOne({ sessionId: 'session_open_blackjack' }, { $set: { status: 'completed' } });
+      const result = await SeedManager.rotateSeedPair(userId);
+      expect(result.previous.serverSeed).toBe(seeds.serverSeed);
+    });
+
+    it('should refuse to start a game while the pair is rotating', async () => {
+      const seeds = await SeedManager.reserveNonce(userId);
+      await SeedPair.updateOne({ _id: seeds.seedPairId }, { $set: { status: 'rotating' } });
+
+      expect(await SeedManager.isActive(seeds.seedPairId)).toBe(false);
+      await expect(SeedManager.reserveNonce(userId)).rejects.toThrow('Seed pair is being rotated, please retry');
+      await expect(SeedManager.getActiveSeedPair(userId)).rejects.toThrow('Seed pair is being rotated, please retry');
+    });
+
+    it('should keep exactly one active pair per user', async () => {
+      await SeedManager.rotateSeedPair(userId);
+      await SeedManager.rotateSeedPair(userId);
+
+      const activeCount = await SeedPair.countDocuments({ userId, status: 'active' });
+      const revealedCount = await SeedPair.countDocuments({ userId, status: 'revealed' });
+
+      expect(activeCount).toBe(1);
+      expect(revealedCount).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const WebhookVerifier = require('../../payments/webhooks/webhookVerifier');
+const webhookConfig = require('../../config/webhooks');
+
+describe('WebhookVerifier', () => {
+  const now = () => Math.floor(Date.now() / 1000);
+  const hmac = (secret, message) => crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+  beforeEach(() => {
+    webhookConfig.stripe.secret = 'whsec_test';
+    webhookConfig.paypal.webhookId = 'WH-TEST';
+    webhookConfig.skrill.secretWord = 'skrill-secret';
+    webhookConfig.blockchain.secret = 'chain-secret';
+  });
+
+  describe('stripe', () => {
+    const rawBody = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' }));
+    const request = (timestamp, secret = 'whsec_test') => ({
+      headers: { 'stripe-signature': `t=${timestamp},v1=${hmac(secret, `${timestamp}.${rawBody}`)}` },
+      rawBody
+    });
+
+    it('should accept a valid signature and return the event id', async () => {
+      const { eventId, payload } = await WebhookVerifier.verify('stripe', request(now()));
+
+      expect(eventId).toBe('evt_1');
+      expect(payload.type).toBe('payment_intent.succeeded');
+    });
+
+    it('should refuse a wrong secret, a tampered body or an old timestamp', async () => {
+      await expect(WebhookVerifier.verify('stripe', request(now(), 'whsec_other'))).rejects.toThrow('Invalid Stripe signature');
+
+      const tampered = { ...request(now()), rawBody: Buffer.from(JSON.stringify({ id: 'evt_2' })) };
+      await expect(WebhookVerifier.verify('stripe', tampered)).rejects.toThrow('Invalid Stripe signature');
+
+      await expect(WebhookVerifier.verify('stripe', request(now() - 600))).rejects.toThrow('tolerance window');
+    });
+
+    it('should fail closed without a configured secret', async () => {
+      webhookConfig.stripe.secret = undefined;
+
+      await expect(WebhookVerifier.verify('stripe', request(now()))).rejects.toThrow('not configured');
+    });
+  });
+
+  describe('paypal', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const rawBody = Buffer.from(JSON.stringify({ id: 'WH-EVENT-1', event_type: 'PAYMENT.CAPTURE.COMPLETED' }));
+
+    const request = (transmissionTime = new Date().toISOString()) => {
+      const message = `tx-1|${transmissionTime}|WH-TEST|${WebhookVerifier.crc32(rawBody)}`;
+      return {
+        headers: {
+          'paypal-transmission-id': 'tx-1',
+          'paypal-transmission-time': transmissionTime,
+          'paypal-transmission-sig': crypto.sign('sha256', Buffer.from(message), privateKey).toString('base64'),
+          'paypal-cert-url': 'https://api.paypal.com/v1/notifications/certs/CERT-1',
+          'paypal-auth-algo': 'SHA256withRSA'
+        },
+        rawBody
+      };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(WebhookVerifier, 'getPayPalCertificate').mockResolvedValue({ publicKey });
+    });
+
+    it('should accept a valid transmission signature', async () => {
+      const { eventId } = await WebhookVerifier.verify('paypal', request());
+
+      expect(eventId).toBe('WH-EVENT-1');
+    });
+
+    it('should refuse a signature for another webhook id', async () => {
+      webhookConfig.paypal.webhookId = 'WH-OTHER';
+
+      await expect(WebhookVerifier.verify('paypal', request())).rejects.toThrow('Invalid PayPal signature');
+    });
+
+    it('should refuse certificates outside PayPal hosts', async () => {
+      WebhookVerifier.getPayPalCertificate.mockRestore();
+
+      await expect(WebhookVerifier.getPayPalCertificate('https://evil.example.com/cert.pem'))
+        .rejects.toThrow('not a PayPal host');
+      await expect(WebhookVerifier.getPayPalCertificate('http://api.paypal.com/cert.pem'))
+        .rejects.toThrow('not a PayPal host');
+    });
+
+    it('should compute the IEEE CRC-32', () => {
+      expect(WebhookVerifier.crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    });
+  });
+
+  describe('skrill', () => {
+    const fields = status => ({
+      merchant_id: '12345',
+      transaction_id: 'skrill_1',
+      mb_transaction_id: '987654',
+      mb_amount: '100.00',
+      mb_currency: 'EUR',
+      status
+    });
+    const sign = (values, algorithm = 'sha256') => crypto.createHash(algorithm).update([
+      values.merchant_id,
+      values.transaction_id,
+      crypto.createHash('md5').update('skrill-secret').digest('hex').toUpperCase(),
+      values.mb_amount,
+      values.mb_currency,
+      values.status
+    ].join('')).digest('hex').toUpperCase();
+
+    it('should accept sha2sig and md5sig and key events by status', async () => {
+      const processed = fields('2');
+      const { eventId } = await WebhookVerifier.verify('skrill', { headers: {}, body: { ...processed, sha2sig: sign(processed) } });
+      expect(eventId).toBe('987654:2');
+
+      const pending = fields('0');
+      const result = await WebhookVerifier.verify('skrill', { headers: {}, body: { ...pending, md5sig: sign(pending, 'md5') } });
+      expect(result.eventId).toBe('987654:0');
+    });
+
+    it('should refuse a signature for other values', async () => {
+      const body = { ...fields('2'), sha2sig: sign(fields('0')) };
+
+      await expect(WebhookVerifier.verify('skrill', { headers: {}, body })).rejects.toThrow('Invalid Skrill signature');
+    });
+  });
+
+  describe('blockchain', () => {
+    const body = { network: 'bitcoin' };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const request = timestamp => ({
+      headers: {
+        'x-webhook-id': 'notif-1',
+        'x-webhook-timestamp': String(timestamp),
+        'x-webhook-signature': hmac('chain-secret', `${timestamp}.${rawBody}`)
+      },
+      rawBody,
+      body
+    });
+
+    it('should accept a valid HMAC', async () => {
+      const { eventId, payload } = await WebhookVerifier.verify('blockchain', request(now()));
+
+      expect(eventId).toBe('notif-1');
+      expect(payload).toEqual(body);
+    });
+
+    it('should refuse replays outside the tolerance window', async () => {
+      await expect(WebhookVerifier.verify('blockchain', request(now() - 3600))).rejects.toThrow('tolerance window');
+    });
+  });
+});
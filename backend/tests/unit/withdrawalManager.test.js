@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const WithdrawalManager = require('../../payments/withdrawalManager');
+const Ledger = require('../../payments/ledger');
+const BonusManager = require('../../payments/bonusManager');
+const Transaction = require('../../models/Transaction');
+const User = require('../../models/User');
+const { SecurityMonitor } = require('../../utils/securityMonitor');
+
+describe('WithdrawalManager', () => {
+  const ADDRESS = 'bank-account-1';
+
+  let userId;
+  let processor;
+  let manager;
+
+  const adminA = new mongoose.Types.ObjectId();
+  const adminB = new mongoose.Types.ObjectId();
+
+  const request = (amount, toAddress = ADDRESS) => manager.request(userId, { currency: 'USD', amount, toAddress });
+  const balance = async () => (await User.findById(userId)).wallet.balance.USD;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'withdrawuser',
+      email: 'withdraw@example.com',
+      password: 'hashedpassword',
+      dateOfBirth: new Date('1990-01-01'),
+      country: 'US',
+      kyc: { status: 'verified' }
+    });
+    userId = user._id;
+
+    // Established account: older than the new-account window
+    await User.collection.updateOne(
+      { _id: userId },
+      { $set: { createdAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } }
+    );
+
+    await Ledger.credit(userId, 20000, 'USD', {
+      type: 'deposit',
+      referenceKey: 'deposit:withdraw-test',
+      account: Ledger.ACCOUNTS.FIAT
+    });
+
+    SecurityMonitor.getUserEvents.mockResolvedValue([]);
+
+    processor = {
+      getSupportedCurrencies: () => ['USD'],
+      prepareWithdrawal: jest.fn(async (id, { amount, toAddress }) => ({
+        kind: 'fiat',
+        amount,
+        fees: 1,
+        totalAmount: amount + 1,
+        destination: { address: toAddress },
+        destinationKey: `bank:${toAddress}`
+      })),
+      debitUserBalance: (id, amount, currency, options) => Ledger.debit(id, amount, currency, {
+        type: 'withdrawal',
+        account: Ledger.ACCOUNTS.FIAT,
+        ...options
+      }),
+      broadcastWithdrawal: jest.fn().mockResolvedValue({ payoutReference: 'PO-1' })
+    };
+    manager = new WithdrawalManager({ fiat: processor });
+  });
+
+  it('should hold funds and queue withdrawals to a new destination', async () => {
+    const withdrawal = await request(100);
+
+    expect(withdrawal.status).toBe('awaiting_approval');
+    expect(withdrawal.risk.level).toBe('high');
+    expect(withdrawal.risk.reasons).toEqual(['new_destination']);
+    expect(withdrawal.history.map(entry => entry.status))
+      .toEqual(['requested', 'risk_checked', 'awaiting_approval']);
+    expect(await balance()).toBe(20000 - 101);
+    expect(processor.broadcastWithdrawal).not.toHaveBeenCalled();
+  });
+
+  it('should auto-approve low-risk withdrawals to a known destination', async () => {
+    const first = await request(100);
+    await manager.approve(first._id, adminA);
+    await manager.confirm(first._id);
+
+    const second = await request(50);
+
+    expect(second.status).toBe('broadcast');
+    expect(second.autoApproved).toBe(true);
+    expect(second.payoutReference).toBe('PO-1');
+    expect((await User.findById(userId)).profile.totalWithdrawn).toBe(100);
+  });
+
+  it('should flag unverified accounts and amounts over the auto-approve limit', async () => {
+    await User.updateOne({ _id: userId }, { $set: { 'kyc.status': 'pending' } });
+
+    const withdrawal = await request(600);
+
+    expect(withdrawal.status).toBe('awaiting_approval');
+    expect(withdrawal.risk.reasons).toEqual(
+      expect.arrayContaining(['kyc_unverified', 'amount_over_auto_approve_limit'])
+    );
+  });
+
+  it('should require two different admins above the four-eyes threshold', async () => {
+    const withdrawal = await request(12000);
+    expect(withdrawal.requiredApprovals).toBe(2);
+
+    const once = await manager.approve(withdrawal._id, adminA);
+    expect(once.status).toBe('awaiting_approval');
+
+    await expect(manager.approve(withdrawal._id, adminA)).rejects.toThrow('already approved by this admin');
+
+    const twice = await manager.approve(withdrawal._id, adminB);
+    expect(twice.status).toBe('broadcast');
+    expect(processor.broadcastWithdrawal).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not let users approve their own withdrawals', async () => {
+    const withdrawal = await request(100);
+
+    await expect(manager.approve(withdrawal._id, userId)).rejects.toThrow('cannot approve their own');
+  });
+
+  it('should refund rejected withdrawals', async () => {
+    const withdrawal = await request(100);
+
+    const rejected = await manager.reject(withdrawal._id, adminA, 'Suspicious destination');
+
+    expect(rejected.status).toBe('rejected');
+    expect(rejected.rejection.reason).toBe('Suspicious destination');
+    expect(await balance()).toBe(20000);
+    expect((await Transaction.findById(withdrawal.transactionId)).status).toBe('cancelled');
+    expect((await Ledger.reconcile(userId)).balanced).toBe(true);
+
+    await expect(manager.reject(withdrawal._id, adminA, 'Again')).rejects.toThrow('Withdrawal is rejected');
+  });
+
+  it('should refund cancelled withdrawals once and keep them from being approved or rejected', async () => {
+    const withdrawal = await request(100);
+
+    await expect(manager.cancel(withdrawal._id, adminA)).rejects.toThrow('Withdrawal not found');
+
+    const cancelled = await manager.cancel(withdrawal._id, userId);
+
+    expect(cancelled.status).toBe('cancelled');
+    expect(await balance()).toBe(20000);
+    expect((await Transaction.findById(withdrawal.transactionId)).status).toBe('cancelled');
+
+    await expect(manager.approve(withdrawal._id, adminA)).rejects.toThrow('Withdrawal is cancelled');
+    await expect(manager.reject(withdrawal._id, adminA, 'Too late')).rejects.toThrow('Withdrawal is cancelled');
+    await expect(manager.cancel(withdrawal._id, userId)).rejects.toThrow('Withdrawal is cancelled');
+
+    expect(processor.broadcastWithdrawal).not.toHaveBeenCalled();
+    expect(await balance()).toBe(20000);
+    expect((await Ledger.reconcile(userId)).balanced).toBe(true);
+  });
+
+  it('should not cancel withdrawals once approved', async () => {
+    const withdrawal = await request(100);
+    await manager.approve(withdrawal._id, adminA);
+
+    await expect(manager.cancel(withdrawal._id, userId)).rejects.toThrow('Withdrawal is broadcast');
+    expect(await balance()).toBe(20000 - 101);
+  });
+
+  it('should refund withdrawals the processor fails to pay out', async () => {
+    processor.broadcastWithdrawal.mockRejectedValue(new Error('Payout provider unavailable'));
+    const withdrawal = await request(100);
+
+    const failed = await manager.approve(withdrawal._id, adminA);
+
+    expect(failed.status).toBe('failed');
+    expect(failed.failureReason).toBe('Payout provider unavailable');
+    expect(await balance()).toBe(20000);
+    expect((await Transaction.findById(withdrawal.transactionId)).status).toBe('failed');
+  });
+
+  it('should mark the withdrawal failed when the balance cannot cover it', async () => {
+    await expect(request(30000)).rejects.toThrow('Insufficient balance');
+
+    const transaction = await Transaction.findOne({ userId, type: 'withdrawal' });
+    expect(transaction.status).toBe('failed');
+    expect(await balance()).toBe(20000);
+  });
+
+  it('should queue the withdrawal for review when the risk check fails', async () => {
+    jest.spyOn(manager, 'assessRisk').mockRejectedValue(new Error('Security events unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const withdrawal = await request(100);
+
+    expect(withdrawal.status).toBe('awaiting_approval');
+    expect(withdrawal.risk.reasons).toEqual(['risk_check_failed']);
+    expect(withdrawal.history.map(entry => entry.notes)).toContain('risk_check_failed');
+    expect(await balance()).toBe(20000 - 101);
+  });
+
+  it('should forfeit unfinished bonuses only once the funds are held', async () => {
+    jest.spyOn(BonusManager, 'forfeitBonuses').mockResolvedValue([]);
+
+    await expect(request(30000)).rejects.toThrow('Insufficient balance');
+    expect(BonusManager.forfeitBonuses).not.toHaveBeenCalled();
+
+    await request(100);
+    expect(BonusManager.forfeitBonuses).toHaveBeenCalledWith(userId, 'USD', expect.any(String));
+  });
+
+  it('should fail and refund the withdrawal when the bonus cannot be forfeited', async () => {
+    jest.spyOn(BonusManager, 'forfeitBonuses').mockRejectedValue(new Error('Bonus store unavailable'));
+
+    await expect(request(100)).rejects.toThrow('Bonus store unavailable');
+
+    const transaction = await Transaction.findOne({ userId, type: 'withdrawal' });
+    expect(transaction.status).toBe('failed');
+    expect(await balance()).toBe(20000);
+    expect((await Ledger.reconcile(userId)).balanced).toBe(true);
+  });
+});
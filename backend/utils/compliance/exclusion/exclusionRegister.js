@@ -0,0 +1,230 @@
+const path = require('path');
+const registryConfig = require('../../../config/exclusionRegistry');
+const User = require('../../../models/User');
+const { SecurityMonitor } = require('../../securityMonitor');
+const { LruCache } = require('../geoip/geoLocator');
+const RegistryAdapter = require('./registryAdapter');
+const HttpRegistry = require('./registries/httpRegistry');
+
+const { STATUSES } = RegistryAdapter;
+
+// Built-in adapters by config type
+const ADAPTERS = {
+  http: HttpRegistry
+};
+
+/**
+ * Checks players against the configured self-exclusion registers.
+ *
+ * Every register covering the player's country is asked with the player's
+ * hashed identity; the player is excluded when any of them reports a
+ * current exclusion. A player without a name, date of birth and postcode
+ * to hash cannot be checked, as an email address alone is easily changed. Answers are cached by hashed identity, and the last
+ * one is kept on the user. While a register cannot be reached the user's
+ * last answer stands in for `graceHours`; after that, and for players with
+ * no answer yet, the check reports `unavailable` and callers refuse what
+ * the check guards.
+ */
+class ExclusionRegister {
+  /**
+   * @param {Object} options - { registries, cache: { maxEntries, ttl (seconds) }, graceHours }
+   */
+  constructor({
+    registries = registryConfig.registries,
+    cache = registryConfig.cache,
+    graceHours = registryConfig.graceHours
+  } = {}) {
+    this.registries = registries
+      .filter(entry => entry instanceof RegistryAdapter || entry.enabled !== false)
+      .map(entry => {
+        if (entry instanceof RegistryAdapter) {
+          return entry;
+        }
+        const Adapter = ExclusionRegister.resolveAdapter(entry.type);
+        return new Adapter(entry);
+      });
+    this.cache = new LruCache(cache.maxEntries, cache.ttl * 1000);
+    this.ttl = cache.ttl * 1000;
+    this.grace = graceHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Adapter class of a config entry
+   * @param {string|Function} type - Built-in name, module path or class
+   * @returns {Function} Adapter class
+   */
+  static resolveAdapter(type) {
+    let Adapter = type;
+    if (typeof type === 'string') {
+      Adapter = ADAPTERS[type] || require(path.resolve(__dirname, '../../..', type));
+    }
+
+    if (typeof Adapter !== 'function' || !(Adapter.prototype instanceof RegistryAdapter)) {
+      throw new Error(`Self-exclusion registry adapter ${type} does not extend RegistryAdapter`);
+    }
+    return Adapter;
+  }
+
+  /**
+   * Registers covering a country
+   * @param {string} country - ISO country code
+   * @returns {Array} Adapters
+   */
+  forCountry(country) {
+    return this.registries.filter(registry => registry.covers(country));
+  }
+
+  /**
+   * Check a player, registered or about to register
+   * @param {Object} player - User document, or { firstName, lastName, dateOfBirth, email, postcode, country }
+   * @param {Object} options - { fresh: skip the cache }
+   * @returns {Object} { excluded, status, registry, until, source, unavailable, incomplete }
+   */
+  async check(player, { fresh = false } = {}) {
+    const answers = [];
+    const unreachable = [];
+    let incomplete = false;
+
+    for (const registry of this.forCountry(player.country)) {
+      const hashes = registry.hash(player);
+      if (!hashes.person) {
+        incomplete = true;
+        continue;
+      }
+
+      const key = `${registry.name}:${hashes.person}:${hashes.email}`;
+      let answer = fresh ? undefined : this.cache.get(key);
+      if (!answer) {
+        try {
+          answer = await registry.check(hashes);
+        } catch (error) {
+          console.error(`Error checking ${registry.name} self-exclusion register:`, error.message);
+          unreachable.push(registry.name);
+          continue;
+        }
+        this.cache.set(key, answer);
+      }
+
+      answers.push({ registry: registry.name, ...answer });
+    }
+
+    const now = new Date();
+    const exclusion = answers.find(answer => answer.status === STATUSES.EXCLUDED && (!answer.until || answer.until > now));
+
+    // An exclusion stands whatever the other registers answer
+    if (!exclusion && incomplete) {
+      return { excluded: false, status: null, registry: null, until: null, source: null, unavailable: true, incomplete: true };
+    }
+    if (!exclusion && unreachable.length) {
+      return this.lastKnown(player, now);
+    }
+
+    const result = exclusion
+      ? { excluded: true, status: STATUSES.EXCLUDED, registry: exclusion.registry, until: exclusion.until, source: 'registry' }
+      : {
+        excluded: false,
+        status: answers.length
+          ? (answers.some(answer => answer.status === STATUSES.PREVIOUSLY_EXCLUDED) ? STATUSES.PREVIOUSLY_EXCLUDED : STATUSES.NOT_EXCLUDED)
+          : null,
+        registry: null,
+        until: null,
+        source: answers.length ? 'registry' : null
+      };
+
+    if (answers.length) {
+      await this.record(player, result, now);
+    }
+    return result;
+  }
+
+  /**
+   * The user's last answer while the registers cannot be reached
+   * @param {Object} player - User document or identity
+   * @param {Date} now - Current time
+   * @returns {Object} Check result
+   */
+  lastKnown(player, now) {
+    const last = player.responsibleGaming && player.responsibleGaming.registry;
+
+    if (!last || !last.checkedAt || now - last.checkedAt > this.grace) {
+      return { excluded: false, status: null, registry: null, until: null, source: null, unavailable: true };
+    }
+
+    return {
+      excluded: last.status === STATUSES.EXCLUDED && (!last.until || last.until > now),
+      status: last.status,
+      registry: last.registry,
+      until: last.until,
+      source: 'last_known'
+    };
+  }
+
+  /**
+   * Keep an answer on the user. Unchanged answers are written at most once
+   * per cache TTL; a new exclusion is logged.
+   * @param {Object} player - User document or identity
+   * @param {Object} result - Check result
+   * @param {Date} now - Current time
+   */
+  async record(player, result, now) {
+    if (!(player instanceof User) || player.isNew) {
+      return;
+    }
+
+    const last = player.responsibleGaming.registry || {};
+    const changed = last.status !== result.status ||
+      last.registry !== result.registry ||
+      String(last.until) !== String(result.until);
+
+    if (!changed && last.checkedAt && now - last.checkedAt < this.ttl) {
+      return;
+    }
+
+    const registry = { status: result.status, registry: result.registry, until: result.until, checkedAt: now };
+    await User.updateOne({ _id: player._id }, { $set: { 'responsibleGaming.registry': registry } });
+    player.responsibleGaming.registry = registry;
+
+    if (changed && result.excluded) {
+      await SecurityMonitor.logEvent({
+        userId: player._id,
+        eventType: 'self_exclusion_register_match',
+        severity: 'medium',
+        description: `User is excluded on the ${result.registry} self-exclusion register`,
+        metadata: {
+          additionalData: {
+            registry: result.registry,
+            until: result.until
+          }
+        }
+      });
+    }
+  }
+
+  /**
+   * Send a self-exclusion taken with this operator to the registers that
+   * take them. A register that cannot be reached is logged and skipped.
+   * @param {Object} user - User document
+   * @param {Object} exclusion - { until (null when permanent) }
+   * @returns {Array} [{ registry, reference }]
+   */
+  async report(user, exclusion) {
+    const reported = [];
+
+    for (const registry of this.forCountry(user.country)) {
+      if (!registry.reportsExclusions()) {
+        continue;
+      }
+
+      try {
+        const { reference } = await registry.report(registry.hash(user), exclusion);
+        reported.push({ registry: registry.name, reference });
+      } catch (error) {
+        console.error(`Error reporting self-exclusion to ${registry.name} register:`, error.message);
+      }
+    }
+
+    return reported;
+  }
+}
+
+module.exports = ExclusionRegister;
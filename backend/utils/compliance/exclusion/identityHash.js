@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+// Letters only, lower case, without accents: "O'Brien-Müller" reads "obrienmuller"
+const normalizeName = value => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z]/g, '');
+
+// Upper case without spaces: "sw1a 1aa" reads "SW1A1AA"
+const normalizePostcode = value => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const normalizeEmail = value => String(value || '').trim().toLowerCase();
+
+// Calendar date of birth, YYYY-MM-DD
+const normalizeDate = value => {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Hashed identity of a player for self-exclusion register checks, so that
+ * registers and operators match players without exchanging personal data.
+ * Both hashes are HMAC-SHA256 keyed with the register's shared salt:
+ *
+ *   person: last name, first name, date of birth and postcode
+ *   email:  email address and date of birth
+ *
+ * A hash is null when a field it needs is missing. Registers are only
+ * asked with a person hash, so accounts opened before names and postcodes
+ * were collected cannot be checked until those are added.
+ * @param {Object} identity - { firstName, lastName, dateOfBirth, email, postcode }
+ * @param {string} salt - Register's shared salt
+ * @returns {Object} { person, email }
+ */
+function hashIdentity(identity, salt = '') {
+  const hmac = value => crypto.createHmac('sha256', salt).update(value).digest('hex');
+
+  const lastName = normalizeName(identity.lastName);
+  const firstName = normalizeName(identity.firstName);
+  const dateOfBirth = normalizeDate(identity.dateOfBirth);
+  const postcode = normalizePostcode(identity.postcode);
+  const email = normalizeEmail(identity.email);
+
+  return {
+    person: lastName && firstName && dateOfBirth && postcode
+      ? hmac(`${lastName}|${firstName}|${dateOfBirth}|${postcode}`)
+      : null,
+    email: email && dateOfBirth ? hmac(`${email}|${dateOfBirth}`) : null
+  };
+}
+
+module.exports = {
+  hashIdentity,
+  normalizeName,
+  normalizePostcode
+};
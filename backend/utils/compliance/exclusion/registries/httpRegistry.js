@@ -0,0 +1,70 @@
+const axios = require('axios');
+const RegistryAdapter = require('../registryAdapter');
+
+const { STATUSES } = RegistryAdapter;
+
+// Y/N/P answers of the register
+const ANSWERS = {
+  Y: STATUSES.EXCLUDED,
+  N: STATUSES.NOT_EXCLUDED,
+  P: STATUSES.PREVIOUSLY_EXCLUDED
+};
+
+/**
+ * Register speaking the hashed-identity JSON protocol, which
+ * standInRegistry.js serves locally:
+ *
+ *   POST {url}/v1/exclusions/check  { person, email }
+ *     -> { exclusion: 'Y' | 'N' | 'P', until, reference }
+ *   POST {url}/v1/exclusions        { person, email, until, operator }
+ *     -> 201 { reference }
+ *
+ * Calls carry `apiKey` in `X-API-Key`.
+ */
+class HttpRegistry extends RegistryAdapter {
+  async check(hashes) {
+    const response = await this.post('/v1/exclusions/check', hashes);
+
+    const status = ANSWERS[response.data.exclusion];
+    if (!status) {
+      throw new Error(`Unexpected answer from ${this.name} register: ${response.data.exclusion}`);
+    }
+
+    return {
+      status,
+      until: response.data.until ? new Date(response.data.until) : null,
+      reference: response.data.reference || null
+    };
+  }
+
+  reportsExclusions() {
+    return Boolean(this.config.reportExclusions);
+  }
+
+  async report(hashes, { until = null } = {}) {
+    const response = await this.post('/v1/exclusions', {
+      ...hashes,
+      until,
+      operator: this.config.operatorId
+    });
+
+    return { reference: response.data.reference || null };
+  }
+
+  /**
+   * POST to the register
+   * @param {string} path - Path
+   * @param {Object} body - JSON body
+   * @returns {Object} Axios response
+   */
+  post(path, body) {
+    const { url, apiKey, timeout = 5000 } = this.config;
+
+    return axios.post(`${url.replace(/\/$/, '')}${path}`, body, {
+      headers: apiKey ? { 'X-API-Key': apiKey } : {},
+      timeout
+    });
+  }
+}
+
+module.exports = HttpRegistry;
@@ -0,0 +1,82 @@
+const { hashIdentity } = require('./identityHash');
+
+// Register answers, after the Y/N/P answers of GAMSTOP-style registers
+const STATUSES = {
+  EXCLUDED: 'excluded',
+  NOT_EXCLUDED: 'not_excluded',
+  PREVIOUSLY_EXCLUDED: 'previously_excluded'
+};
+
+/**
+ * Base class for self-exclusion register adapters.
+ *
+ * An adapter answers `check(hashes)` with the register's answer for a
+ * hashed identity (see identityHash.js):
+ *
+ *   { status, until, reference }
+ *
+ * `status` is one of STATUSES; `until` is the end of a time-limited
+ * exclusion, null for an indefinite one. A register that cannot be reached
+ * throws. Registers that take exclusions from operators also implement
+ * `report(hashes, exclusion)`.
+ */
+class RegistryAdapter {
+  /**
+   * @param {Object} config - Register entry from config/exclusionRegistry.js
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.name = config.name || config.type || this.constructor.name;
+    this.countries = (config.countries || []).map(country => country.toUpperCase());
+  }
+
+  /**
+   * Whether the register covers a player's country; a register without
+   * countries covers every player
+   * @param {string} country - ISO country code
+   * @returns {boolean} Covered
+   */
+  covers(country) {
+    return !this.countries.length || this.countries.includes(String(country || '').toUpperCase());
+  }
+
+  /**
+   * Hashed identity of a player with this register's salt
+   * @param {Object} identity - { firstName, lastName, dateOfBirth, email, postcode }
+   * @returns {Object} { person, email }
+   */
+  hash(identity) {
+    return hashIdentity(identity, this.config.salt);
+  }
+
+  /**
+   * Look up a hashed identity
+   * @param {Object} hashes - { person, email }
+   * @returns {Object} { status, until, reference }
+   */
+  async check(hashes) {
+    throw new Error('check method must be implemented by registry adapter');
+  }
+
+  /**
+   * Whether the register takes exclusions from operators
+   * @returns {boolean} Reports exclusions
+   */
+  reportsExclusions() {
+    return false;
+  }
+
+  /**
+   * Send a self-exclusion taken with this operator to the register
+   * @param {Object} hashes - { person, email }
+   * @param {Object} exclusion - { until (null when permanent) }
+   * @returns {Object} { reference }
+   */
+  async report(hashes, exclusion) {
+    throw new Error(`${this.name} register does not take exclusions from operators`);
+  }
+}
+
+RegistryAdapter.STATUSES = STATUSES;
+
+module.exports = RegistryAdapter;
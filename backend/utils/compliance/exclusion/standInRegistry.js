@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const express = require('express');
+
+/**
+ * Local stand-in for a multi-operator self-exclusion register, speaking the
+ * protocol of HttpRegistry. Exclusions are kept in memory as hashed
+ * identities; an identity matches on either hash. Use it in development
+ * and tests in place of a national register:
+ *
+ *   EXCLUSION_REGISTRY_API_KEY=key node utils/compliance/exclusion/standInRegistry.js
+ *
+ * then point EXCLUSION_REGISTRY_URL at http://localhost:5055 (or
+ * EXCLUSION_REGISTRY_STAND_IN_PORT) with the same salt the exclusions were
+ * hashed with.
+ * @param {Object} options - { apiKey, exclusions: [{ person, email, until }] }
+ * @returns {Object} Express app; its exclusions are in `app.locals.exclusions`
+ */
+function createStandInRegistry({ apiKey = null, exclusions = [] } = {}) {
+  const app = express();
+  app.locals.exclusions = [];
+
+  const add = ({ person = null, email = null, until = null, operator = null }) => {
+    const exclusion = {
+      person,
+      email,
+      until: until ? new Date(until) : null,
+      operator,
+      reference: crypto.randomUUID(),
+      createdAt: new Date()
+    };
+    app.locals.exclusions.push(exclusion);
+    return exclusion;
+  };
+  exclusions.forEach(add);
+
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    if (apiKey && req.get('X-API-Key') !== apiKey) {
+      return res.status(401).json({ message: 'Invalid API key' });
+    }
+    next();
+  });
+
+  // Answers Y (excluded), P (an exclusion has ended) or N
+  app.post('/v1/exclusions/check', (req, res) => {
+    const { person = null, email = null } = req.body || {};
+    if (!person && !email) {
+      return res.status(400).json({ message: 'person or email hash is required' });
+    }
+
+    const now = new Date();
+    const matches = app.locals.exclusions.filter(exclusion =>
+      (person && exclusion.person === person) || (email && exclusion.email === email)
+    );
+    const current = matches.find(exclusion => !exclusion.until || exclusion.until > now);
+
+    if (current) {
+      return res.json({ exclusion: 'Y', until: current.until, reference: current.reference });
+    }
+    res.json({ exclusion: matches.length ? 'P' : 'N', until: null, reference: null });
+  });
+
+  app.post('/v1/exclusions', (req, res) => {
+    const { person = null, email = null, until = null, operator = null } = req.body || {};
+    if (!person && !email) {
+      return res.status(400).json({ message: 'person or email hash is required' });
+    }
+    if (until && Number.isNaN(new Date(until).getTime())) {
+      return res.status(400).json({ message: 'until must be a date' });
+    }
+
+    const exclusion = add({ person, email, until, operator });
+    res.status(201).json({ reference: exclusion.reference });
+  });
+
+  return app;
+}
+
+// Run if called directly
+if (require.main === module) {
+  const port = parseInt(process.env.EXCLUSION_REGISTRY_STAND_IN_PORT || '5055');
+  createStandInRegistry({ apiKey: process.env.EXCLUSION_REGISTRY_API_KEY }).listen(port, () => {
+    console.log(`Stand-in self-exclusion register listening on port ${port}`);
+  });
+}
+
+module.exports = createStandInRegistry;
@@ -0,0 +1,182 @@
+const path = require('path');
+const geoConfig = require('../../../config/geolocation');
+const GeoResolver = require('./geoResolver');
+const MmdbResolver = require('./resolvers/mmdbResolver');
+const CsvResolver = require('./resolvers/csvResolver');
+const HttpResolver = require('./resolvers/httpResolver');
+const { parseIp } = require('./ipAddress');
+
+// Built-in resolvers by config type
+const RESOLVERS = {
+  mmdb: MmdbResolver,
+  csv: CsvResolver,
+  http: HttpResolver
+};
+
+/**
+ * Least recently used cache with expiry; a Map keeps insertion order, so
+ * its first key is the least recently used one
+ */
+class LruCache {
+  constructor(maxEntries, ttl) {
+    this.maxEntries = maxEntries;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (!this.maxEntries) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Locates IP addresses through the configured resolvers.
+ *
+ * Resolvers are asked in order until one knows the address's country; an
+ * error from one resolver moves on to the next. Network ownership (ASN)
+ * decides VPN and proxy use: addresses in a datacenter ASN are reported as
+ * `vpn`, whichever resolver located them.
+ */
+class GeoLocator {
+  /**
+   * @param {Object} options - { resolvers, cache: { maxEntries, ttl (seconds) }, datacenterAsns }
+   */
+  constructor({
+    resolvers = geoConfig.resolvers,
+    cache = geoConfig.cache,
+    datacenterAsns = geoConfig.datacenterAsns
+  } = {}) {
+    this.resolvers = resolvers
+      .filter(entry => entry instanceof GeoResolver || entry.enabled !== false)
+      .map(entry => {
+        if (entry instanceof GeoResolver) {
+          return entry;
+        }
+        const Resolver = GeoLocator.resolveResolver(entry.type);
+        return new Resolver(entry);
+      });
+    this.cache = new LruCache(cache.maxEntries, cache.ttl * 1000);
+    this.datacenterAsns = new Set(datacenterAsns.map(Number));
+  }
+
+  /**
+   * Resolver class of a config entry
+   * @param {string|Function} type - Built-in name, module path or class
+   * @returns {Function} Resolver class
+   */
+  static resolveResolver(type) {
+    let Resolver = type;
+    if (typeof type === 'string') {
+      Resolver = RESOLVERS[type] || require(path.resolve(__dirname, '../../..', type));
+    }
+
+    if (typeof Resolver !== 'function' || !(Resolver.prototype instanceof GeoResolver)) {
+      throw new Error(`Geolocation resolver ${type} does not extend GeoResolver`);
+    }
+    return Resolver;
+  }
+
+  /**
+   * Locate an address
+   * @param {string} ip - IP address
+   * @returns {Object} { success, countryCode, country, regionCode, region, city, timezone,
+   *   isp, asn, asnOrganization, hosting, proxy, vpn, source } or
+   *   { success: false, error }
+   */
+  async locate(ip) {
+    const parsed = parseIp(ip);
+    if (!parsed) {
+      return { success: false, error: 'Invalid IP address' };
+    }
+
+    const cached = this.cache.get(parsed.address);
+    if (cached) {
+      return cached;
+    }
+
+    const found = {};
+    let source = null;
+    let failures = 0;
+
+    for (const resolver of this.resolvers) {
+      let result;
+      try {
+        result = await resolver.lookup(parsed.address);
+      } catch (error) {
+        console.error(`Error locating IP with ${resolver.name} resolver:`, error.message);
+        failures += 1;
+        continue;
+      }
+
+      // Earlier resolvers win; later ones only fill in what is missing
+      for (const [field, value] of Object.entries(result || {})) {
+        if (found[field] === undefined && value !== undefined && value !== null) {
+          found[field] = value;
+        }
+      }
+
+      if (found.countryCode) {
+        source = resolver.name;
+        break;
+      }
+    }
+
+    if (!source) {
+      return {
+        success: false,
+        // Also when no resolver is configured
+        error: failures === this.resolvers.length ? 'Geolocation service unavailable' : 'Unable to determine location'
+      };
+    }
+
+    const hosting = found.asn !== undefined && this.datacenterAsns.has(Number(found.asn));
+    const location = {
+      success: true,
+      country: found.country,
+      countryCode: found.countryCode,
+      regionCode: found.regionCode,
+      region: found.region,
+      city: found.city,
+      timezone: found.timezone,
+      isp: found.isp || found.asnOrganization,
+      asn: found.asn,
+      asnOrganization: found.asnOrganization,
+      hosting,
+      proxy: Boolean(found.proxy),
+      vpn: hosting || Boolean(found.vpn),
+      source
+    };
+
+    this.cache.set(parsed.address, location);
+    return location;
+  }
+}
+
+module.exports = GeoLocator;
+module.exports.LruCache = LruCache;
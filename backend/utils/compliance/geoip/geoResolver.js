@@ -0,0 +1,73 @@
+// English country names of ISO 3166 codes
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Base class for IP geolocation resolvers.
+ *
+ * A resolver answers `lookup(ip)` with what it knows about the address:
+ *
+ *   { countryCode, country, regionCode, region, city, timezone, isp, asn,
+ *     asnOrganization, proxy, vpn }
+ *
+ * `regionCode` is the ISO 3166-2 code of the region (CA-ON).
+ *
+ * Fields it does not know are left out; null means the address is not
+ * covered. Resolvers backed by files load them once, on the first lookup.
+ */
+class GeoResolver {
+  /**
+   * @param {Object} config - Resolver entry from config/geolocation.js
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.name = config.name || config.type || this.constructor.name;
+    this.loading = null;
+  }
+
+  /**
+   * Load the resolver's data; called once, before the first lookup
+   */
+  async load() {}
+
+  /**
+   * Locate an address
+   * @param {string} ip - Normalized IP address
+   * @returns {Object} Location fields, or null when the address is not covered
+   */
+  async lookup(ip) {
+    if (!this.loading) {
+      this.loading = this.load().catch(error => {
+        // Retry on the next lookup
+        this.loading = null;
+        throw error;
+      });
+    }
+    await this.loading;
+
+    return this.resolve(ip);
+  }
+
+  /**
+   * Locate an address once the data is loaded
+   * @param {string} ip - Normalized IP address
+   * @returns {Object} Location fields, or null when the address is not covered
+   */
+  async resolve(ip) {
+    throw new Error('resolve method must be implemented by resolver');
+  }
+
+  /**
+   * English name of a country
+   * @param {string} countryCode - ISO 3166 alpha-2 code
+   * @returns {string} Country name
+   */
+  static countryName(countryCode) {
+    try {
+      return countryNames.of(countryCode);
+    } catch (error) {
+      return countryCode;
+    }
+  }
+}
+
+module.exports = GeoResolver;
@@ -0,0 +1,53 @@
+const net = require('net');
+
+// IPv4-mapped IPv6 addresses, located as the IPv4 address they carry
+const IPV4_MAPPED = /^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i;
+
+const ipv4Bytes = address => address.split('.').map(Number);
+
+/**
+ * Parse an IP address
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {Object} { version, address, bytes } or null when not an address
+ */
+const parseIp = ip => {
+  const address = String(ip || '').trim().split('%')[0].replace(IPV4_MAPPED, '');
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return { version, address, bytes: Buffer.from(ipv4Bytes(address)) };
+  }
+  if (version !== 6) {
+    return null;
+  }
+
+  // Expand `::` and a trailing dotted IPv4 part into eight groups
+  const groups = part => (part ? part.split(':') : []).flatMap(group => {
+    if (!group.includes('.')) {
+      return [group];
+    }
+    const [a, b, c, d] = ipv4Bytes(group);
+    return [((a << 8) | b).toString(16), ((c << 8) | d).toString(16)];
+  });
+  const [head, tail] = address.split('::');
+  const before = groups(head);
+  const after = tail !== undefined ? groups(tail) : [];
+  const all = [...before, ...Array(8 - before.length - after.length).fill('0'), ...after];
+
+  const bytes = Buffer.alloc(16);
+  all.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+
+  return { version, address, bytes };
+};
+
+/**
+ * Address bytes as a number, for range comparisons
+ * @param {Buffer} bytes - Address bytes
+ * @returns {BigInt} Address value
+ */
+const toBigInt = bytes => bytes.reduce((value, byte) => (value << 8n) | BigInt(byte), 0n);
+
+module.exports = {
+  parseIp,
+  toBigInt
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const { parseIp } = require('./ipAddress');
+
+// Start of the metadata section, at the end of the file
+const METADATA_MARKER = Buffer.from('abcdef4d61784d696e642e636f6d', 'hex');
+
+// Zero bytes between the search tree and the data section
+const DATA_SECTION_SEPARATOR = 16;
+
+// Data field types (MaxMind DB format 2.0)
+const TYPES = {
+  POINTER: 1,
+  STRING: 2,
+  DOUBLE: 3,
+  BYTES: 4,
+  UINT16: 5,
+  UINT32: 6,
+  MAP: 7,
+  INT32: 8,
+  UINT64: 9,
+  UINT128: 10,
+  ARRAY: 11,
+  BOOLEAN: 14,
+  FLOAT: 15
+};
+
+/**
+ * Reader for MaxMind DB (.mmdb) files, such as the GeoIP2 and GeoLite2
+ * Country, City and ASN databases.
+ *
+ * The file is a binary search tree over address bits whose leaves point
+ * into a data section of typed records. The whole file is held in memory;
+ * lookups walk the tree and decode the record the address falls in.
+ */
+class MmdbReader {
+  /**
+   * @param {Buffer} buffer - Database file contents
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+
+    const markerAt = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerAt === -1) {
+      throw new Error('Invalid MaxMind database: metadata not found');
+    }
+    const metadataStart = markerAt + METADATA_MARKER.length;
+    this.metadata = this.decode(metadataStart, metadataStart).value;
+
+    const { node_count: nodeCount, record_size: recordSize, ip_version: ipVersion } = this.metadata;
+    if (![24, 28, 32].includes(recordSize)) {
+      throw new Error(`Unsupported MaxMind database record size: ${recordSize}`);
+    }
+
+    this.nodeCount = nodeCount;
+    this.recordSize = recordSize;
+    this.ipVersion = ipVersion;
+    this.nodeBytes = recordSize / 4;
+    this.dataStart = this.nodeBytes * nodeCount + DATA_SECTION_SEPARATOR;
+
+    // IPv4 addresses live under ::/96 of an IPv6 tree
+    this.ipv4Start = 0;
+    if (ipVersion === 6) {
+      for (let bit = 0; bit < 96 && this.ipv4Start < nodeCount; bit++) {
+        this.ipv4Start = this.readRecord(this.ipv4Start, 0);
+      }
+    }
+  }
+
+  /**
+   * Open a database file
+   * @param {string} path - File path
+   * @returns {MmdbReader} Reader
+   */
+  static async open(path) {
+    return new MmdbReader(await fs.promises.readFile(path));
+  }
+
+  /**
+   * Record of the network an address falls in
+   * @param {string} ip - IP address
+   * @returns {Object} Record, or null when the address is not in the database
+   */
+  get(ip) {
+    const parsed = parseIp(ip);
+    if (!parsed || (parsed.version === 6 && this.ipVersion === 4)) {
+      return null;
+    }
+
+    const bits = parsed.version === 4 ? 32 : 128;
+    let node = parsed.version === 4 ? this.ipv4Start : 0;
+    for (let index = 0; index < bits && node < this.nodeCount; index++) {
+      const bit = (parsed.bytes[index >> 3] >> (7 - (index & 7))) & 1;
+      node = this.readRecord(node, bit);
+    }
+
+    // node_count itself marks "no data"
+    if (node <= this.nodeCount) {
+      return null;
+    }
+
+    const offset = node - this.nodeCount - DATA_SECTION_SEPARATOR;
+    return this.decode(this.dataStart + offset, this.dataStart).value;
+  }
+
+  /**
+   * Left (0) or right (1) record of a tree node
+   * @param {number} node - Node number
+   * @param {number} bit - 0 or 1
+   * @returns {number} Record value
+   */
+  readRecord(node, bit) {
+    const offset = node * this.nodeBytes;
+
+    switch (this.recordSize) {
+      case 24:
+        return this.buffer.readUIntBE(offset + bit * 3, 3);
+      case 28:
+        // The middle byte holds the high nibble of both records
+        return bit === 0
+          ? ((this.buffer[offset + 3] & 0xf0) << 20) | this.buffer.readUIntBE(offset, 3)
+          : ((this.buffer[offset + 3] & 0x0f) << 24) | this.buffer.readUIntBE(offset + 4, 3);
+      default:
+        return this.buffer.readUInt32BE(offset + bit * 4);
+    }
+  }
+
+  /**
+   * Decode the data field at an offset
+   * @param {number} offset - Buffer offset of the field
+   * @param {number} base - Buffer offset pointers are relative to
+   * @returns {Object} { value, offset } with the offset after the field
+   */
+  decode(offset, base) {
+    const buffer = this.buffer;
+    const control = buffer[offset++];
+    let type = control >> 5;
+
+    if (type === TYPES.POINTER) {
+      const size = (control >> 3) & 0x3;
+      const high = control & 0x7;
+      let pointer;
+      if (size === 0) {
+        pointer = (high << 8) | buffer[offset];
+      } else if (size === 1) {
+        pointer = ((high << 16) | buffer.readUInt16BE(offset)) + 2048;
+      } else if (size === 2) {
+        pointer = ((high << 24) | buffer.readUIntBE(offset, 3)) + 526336;
+      } else {
+        pointer = buffer.readUInt32BE(offset);
+      }
+
+      return { value: this.decode(base + pointer, base).value, offset: offset + size + 1 };
+    }
+
+    if (type === 0) {
+      type = 7 + buffer[offset++];
+    }
+
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + buffer[offset++];
+    } else if (size === 30) {
+      size = 285 + buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + buffer.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case TYPES.STRING:
+        return { value: buffer.toString('utf8', offset, offset + size), offset: offset + size };
+      case TYPES.DOUBLE:
+        return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+      case TYPES.FLOAT:
+        return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+      case TYPES.BYTES:
+        return { value: buffer.subarray(offset, offset + size), offset: offset + size };
+      case TYPES.UINT16:
+      case TYPES.UINT32:
+      case TYPES.UINT64:
+      case TYPES.UINT128:
+        return { value: this.readUnsigned(offset, size), offset: offset + size };
+      case TYPES.INT32:
+        return {
+          value: size === 4 ? buffer.readInt32BE(offset) : this.readUnsigned(offset, size),
+          offset: offset + size
+        };
+      case TYPES.BOOLEAN:
+        return { value: size !== 0, offset };
+      case TYPES.MAP: {
+        const value = {};
+        for (let index = 0; index < size; index++) {
+          const key = this.decode(offset, base);
+          const entry = this.decode(key.offset, base);
+          value[key.value] = entry.value;
+          offset = entry.offset;
+        }
+        return { value, offset };
+      }
+      case TYPES.ARRAY: {
+        const value = [];
+        for (let index = 0; index < size; index++) {
+          const entry = this.decode(offset, base);
+          value.push(entry.value);
+          offset = entry.offset;
+        }
+        return { value, offset };
+      }
+      default:
+        throw new Error(`Unsupported MaxMind database data type: ${type}`);
+    }
+  }
+
+  /**
+   * Big-endian unsigned integer; a BigInt beyond the safe integer range
+   * @param {number} offset - Buffer offset
+   * @param {number} size - Byte count
+   * @returns {number|BigInt} Value
+   */
+  readUnsigned(offset, size) {
+    if (size === 0) {
+      return 0;
+    }
+    if (size <= 6) {
+      return this.buffer.readUIntBE(offset, size);
+    }
+
+    let value = 0n;
+    for (let index = 0; index < size; index++) {
+      value = (value << 8n) | BigInt(this.buffer[offset + index]);
+    }
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  }
+}
+
+module.exports = MmdbReader;
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const readline = require('readline');
+const GeoResolver = require('../geoResolver');
+const { parseIp, toBigInt } = require('../ipAddress');
+
+/**
+ * Sorted, non-overlapping address ranges, one list per IP version
+ */
+class RangeTable {
+  constructor() {
+    this.ranges = { 4: [], 6: [] };
+  }
+
+  add(start, end, value) {
+    this.ranges[start.version].push({ start: toBigInt(start.bytes), end: toBigInt(end.bytes), value });
+  }
+
+  sort() {
+    for (const ranges of Object.values(this.ranges)) {
+      ranges.sort((a, b) => (a.start < b.start ? -1 : 1));
+    }
+  }
+
+  find(ip) {
+    const ranges = this.ranges[ip.version];
+    const value = toBigInt(ip.bytes);
+
+    // Last range starting at or before the address
+    let low = 0;
+    let high = ranges.length - 1;
+    let match = null;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (ranges[middle].start <= value) {
+        match = ranges[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return match && value <= match.end ? match.value : null;
+  }
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array} Fields
+ */
+const splitCsv = line => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+};
+
+/**
+ * Resolver backed by IP range CSV files in the DB-IP lite layout:
+ *
+ *   country: start_ip,end_ip,country_code
+ *   ASN:     start_ip,end_ip,asn,organization
+ *
+ * Rows whose first two fields are not addresses of the same version, such
+ * as a header, are skipped.
+ */
+class CsvResolver extends GeoResolver {
+  async load() {
+    const { countryPath, asnPath } = this.config;
+    if (!countryPath && !asnPath) {
+      throw new Error('CSV resolver needs a country or ASN file path');
+    }
+
+    this.countries = countryPath
+      ? await this.readRanges(countryPath, ([countryCode]) => (countryCode && countryCode !== 'ZZ' ? countryCode.toUpperCase() : null))
+      : null;
+    this.asns = asnPath
+      ? await this.readRanges(asnPath, ([asn, organization]) => (asn ? { asn: parseInt(asn), organization } : null))
+      : null;
+  }
+
+  /**
+   * Read a range file
+   * @param {string} path - File path
+   * @param {Function} parseValue - Fields after the range to the stored value
+   * @returns {RangeTable} Ranges
+   */
+  async readRanges(path, parseValue) {
+    const table = new RangeTable();
+    const lines = readline.createInterface({ input: fs.createReadStream(path), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      const [first, last, ...rest] = splitCsv(line);
+      const start = parseIp(first);
+      const end = parseIp(last);
+      const value = parseValue(rest);
+      if (!start || !end || start.version !== end.version || value === null) {
+        continue;
+      }
+
+      table.add(start, end, value);
+    }
+
+    table.sort();
+    return table;
+  }
+
+  async resolve(ip) {
+    const address = parseIp(ip);
+    const countryCode = this.countries && this.countries.find(address);
+    const asn = this.asns && this.asns.find(address);
+    if (!countryCode && !asn) {
+      return null;
+    }
+
+    const location = {};
+    if (countryCode) {
+      location.countryCode = countryCode;
+      location.country = GeoResolver.countryName(countryCode);
+    }
+    if (asn) {
+      location.asn = asn.asn;
+      location.asnOrganization = asn.organization;
+    }
+
+    return location;
+  }
+}
+
+module.exports = CsvResolver;
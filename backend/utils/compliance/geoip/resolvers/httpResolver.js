@@ -0,0 +1,44 @@
+const axios = require('axios');
+const GeoResolver = require('../geoResolver');
+
+// Response fields requested from the service
+const FIELDS = 'status,message,country,countryCode,region,regionName,city,timezone,isp,as,proxy,hosting';
+
+/**
+ * Resolver backed by an ip-api.com compatible HTTP service, meant as a
+ * fallback for addresses the local databases do not cover. `url` is the
+ * JSON endpoint the address is appended to, `apiKey` is sent as `key`.
+ */
+class HttpResolver extends GeoResolver {
+  async resolve(ip) {
+    const { url, apiKey, timeout = 5000 } = this.config;
+
+    const response = await axios.get(`${url.replace(/\/$/, '')}/${encodeURIComponent(ip)}`, {
+      params: { fields: FIELDS, ...(apiKey ? { key: apiKey } : {}) },
+      timeout
+    });
+
+    if (response.data.status !== 'success') {
+      return null;
+    }
+
+    // `as` reads "AS15169 Google LLC"
+    const asn = /^AS(\d+)\s*(.*)$/.exec(response.data.as || '');
+
+    return {
+      countryCode: response.data.countryCode,
+      country: response.data.country,
+      regionCode: response.data.region ? `${response.data.countryCode}-${response.data.region}` : undefined,
+      region: response.data.regionName,
+      city: response.data.city,
+      timezone: response.data.timezone,
+      isp: response.data.isp,
+      asn: asn ? parseInt(asn[1]) : undefined,
+      asnOrganization: asn ? asn[2] : undefined,
+      proxy: Boolean(response.data.proxy),
+      vpn: Boolean(response.data.hosting)
+    };
+  }
+}
+
+module.exports = HttpResolver;
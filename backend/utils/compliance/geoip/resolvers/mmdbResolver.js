@@ -0,0 +1,53 @@
+const GeoResolver = require('../geoResolver');
+const MmdbReader = require('../mmdbReader');
+
+/**
+ * Resolver backed by local MaxMind DB files: a GeoIP2/GeoLite2 Country or
+ * City database (`countryPath`) and an ASN database (`asnPath`). Either may
+ * be left out.
+ */
+class MmdbResolver extends GeoResolver {
+  async load() {
+    const { countryPath, asnPath } = this.config;
+    if (!countryPath && !asnPath) {
+      throw new Error('MaxMind resolver needs a country or ASN database path');
+    }
+
+    this.countries = countryPath ? await MmdbReader.open(countryPath) : null;
+    this.asns = asnPath ? await MmdbReader.open(asnPath) : null;
+  }
+
+  async resolve(ip) {
+    const record = this.countries && this.countries.get(ip);
+    const asn = this.asns && this.asns.get(ip);
+    if (!record && !asn) {
+      return null;
+    }
+
+    const country = record && (record.country || record.registered_country);
+    const location = {};
+
+    if (country && country.iso_code) {
+      location.countryCode = country.iso_code;
+      location.country = (country.names && country.names.en) || GeoResolver.countryName(country.iso_code);
+    }
+    if (record) {
+      const subdivision = record.subdivisions?.[0];
+      if (subdivision && subdivision.iso_code && location.countryCode) {
+        location.regionCode = `${location.countryCode}-${subdivision.iso_code}`;
+      }
+      location.region = subdivision?.names?.en;
+      location.city = record.city?.names?.en;
+      location.timezone = record.location?.time_zone;
+      location.proxy = Boolean(record.traits?.is_anonymous_proxy);
+    }
+    if (asn) {
+      location.asn = asn.autonomous_system_number;
+      location.asnOrganization = asn.autonomous_system_organization;
+    }
+
+    return location;
+  }
+}
+
+module.exports = MmdbResolver;
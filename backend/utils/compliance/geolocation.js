@@ -1,81 +1,25 @@
-const axios = require('axios');
+const GeoLocator = require('./geoip/geoLocator');
+const JurisdictionRules = require('./jurisdictionRules');
 const { SecurityMonitor } = require('../securityMonitor');
 
 class GeolocationCompliance {
   
-  // Restricted jurisdictions
-  static RESTRICTED_COUNTRIES = [
-    'US', 'USA', 'United States',
-    'UK', 'GB', 'United Kingdom', 'Great Britain',
-    'FR', 'France',
-    'IT', 'Italy',
-    'ES', 'Spain',
-    'AU', 'Australia',
-    'NL', 'Netherlands',
-    'BE', 'Belgium',
-    'DK', 'Denmark',
-    'SE', 'Sweden',
-    'NO', 'Norway',
-    'CH', 'Switzerland',
-    'SG', 'Singapore',
-    'HK', 'Hong Kong',
-    'CN', 'China',
-    'IN', 'India',
-    'PK', 'Pakistan',
-    'BD', 'Bangladesh',
-    'AF', 'Afghanistan',
-    'IR', 'Iran',
-    'IQ', 'Iraq',
-    'KP', 'North Korea',
-    'SY', 'Syria',
-    'YE', 'Yemen',
-    'SO', 'Somalia',
-    'SD', 'Sudan',
-    'LY', 'Libya',
-    'MM', 'Myanmar',
-    'CU', 'Cuba'
-  ];
-
-  // High-risk jurisdictions requiring enhanced due diligence
-  static HIGH_RISK_COUNTRIES = [
-    'RU', 'Russia',
-    'BY', 'Belarus',
-    'VE', 'Venezuela',
-    'ZW', 'Zimbabwe',
-    'LB', 'Lebanon',
-    'TH', 'Thailand',
-    'PH', 'Philippines',
-    'MY', 'Malaysia'
-  ];
-
-  // Get IP geolocation information
-  static async getLocationFromIP(ipAddress) {
-    try {
-      // In production, use a reliable IP geolocation service
-      // This is a mock implementation
-      const response = await axios.get(`http://ip-api.com/json/${ipAddress}`, {
-        timeout: 5000
-      });
+  // Locator used by getLocationFromIP, created from config/geolocation.js
+  // on first use
+  static locator = null;
 
-      if (response.data.status === 'success') {
-        return {
-          success: true,
-          country: response.data.country,
-          countryCode: response.data.countryCode,
-          region: response.data.regionName,
-          city: response.data.city,
-          timezone: response.data.timezone,
-          isp: response.data.isp,
-          proxy: response.data.proxy || false,
-          vpn: response.data.hosting || false
-        };
-      }
-
-      return {
-        success: false,
-        error: 'Unable to determine location'
-      };
+  static getLocator() {
+    if (!this.locator) {
+      this.locator = new GeoLocator();
+    }
+    return this.locator;
+  }
 
+  // Get IP geolocation information from the local databases, falling back
+  // to the HTTP resolver when it is enabled
+  static async getLocationFromIP(ipAddress) {
+    try {
+      return await this.getLocator().locate(ipAddress);
     } catch (error) {
       console.error('Error getting IP location:', error);
       return {
@@ -85,28 +29,6 @@ class GeolocationCompliance {
     }
   }
 
-  // Check if country is restricted
-  static isRestrictedCountry(countryCode, countryName) {
-    const code = countryCode?.toUpperCase();
-    const name = countryName?.toLowerCase();
-    
-    return this.RESTRICTED_COUNTRIES.some(restricted => {
-      return restricted.toUpperCase() === code || 
-             restricted.toLowerCase() === name;
-    });
-  }
-
-  // Check if country is high-risk
-  static isHighRiskCountry(countryCode, countryName) {
-    const code = countryCode?.toUpperCase();
-    const name = countryName?.toLowerCase();
-    
-    return this.HIGH_RISK_COUNTRIES.some(highRisk => {
-      return highRisk.toUpperCase() === code || 
-             highRisk.toLowerCase() === name;
-    });
-  }
-
   // Validate user access based on location
   static async validateUserAccess(userId, ipAddress, userAgent) {
     try {
@@ -144,7 +66,9 @@ class GeolocationCompliance {
             userAgent,
             location,
             vpn: location.vpn,
-            proxy: location.proxy
+            proxy: location.proxy,
+            asn: location.asn,
+            hosting: location.hosting
           }
         });
 
@@ -156,8 +80,10 @@ class GeolocationCompliance {
         };
       }
 
-      // Check if country is restricted
-      if (this.isRestrictedCountry(location.countryCode, location.country)) {
+      const rule = await JurisdictionRules.resolve(location.countryCode, location.regionCode);
+
+      // Check if the country or region is blocked
+      if (rule.status === 'blocked') {
         await SecurityMonitor.logEvent({
           userId,
           eventType: 'restricted_jurisdiction_access',
@@ -180,8 +106,8 @@ class GeolocationCompliance {
         };
       }
 
-      // Check if country is high-risk
-      if (this.isHighRiskCountry(location.countryCode, location.country)) {
+      // Check if the country or region is high-risk
+      if (rule.status === 'high_risk') {
         await SecurityMonitor.logEvent({
           userId,
           eventType: 'high_risk_jurisdiction_access',
@@ -327,36 +253,25 @@ class GeolocationCompliance {
     }
   }
 
-  // Get compliance requirements for country
-  static getComplianceRequirements(countryCode) {
-    const requirements = {
-      // European Union countries
-      'AT': { kycLevel: 2, taxReporting: true, gdprCompliance: true },
-      'DE': { kycLevel: 3, taxReporting: true, gdprCompliance: true },
-      'FI': { kycLevel: 2, taxReporting: true, gdprCompliance: true },
-      'IE': { kycLevel: 2, taxReporting: true, gdprCompliance: true },
-      'LU': { kycLevel: 2, taxReporting: true, gdprCompliance: true },
-      'MT': { kycLevel: 3, taxReporting: true, gdprCompliance: true, mgaLicense: true },
-      'PT': { kycLevel: 2, taxReporting: true, gdprCompliance: true },
-      
-      // Other jurisdictions
-      'CA': { kycLevel: 2, taxReporting: true, provincialLicense: true },
-      'JP': { kycLevel: 3, taxReporting: true, specialPermit: true },
-      'KR': { kycLevel: 3, taxReporting: true, specialPermit: true },
-      'BR': { kycLevel: 2, taxReporting: true },
-      'MX': { kycLevel: 2, taxReporting: true },
-      'AR': { kycLevel: 2, taxReporting: true },
-      'CL': { kycLevel: 2, taxReporting: true },
-      'CO': { kycLevel: 2, taxReporting: true },
-      'PE': { kycLevel: 2, taxReporting: true },
-      'ZA': { kycLevel: 2, taxReporting: true },
-      'NZ': { kycLevel: 2, taxReporting: true },
-      
-      // Default requirements
-      'DEFAULT': { kycLevel: 1, taxReporting: false, gdprCompliance: false }
+  // Get compliance requirements for a country or region from its
+  // jurisdiction rule
+  static async getComplianceRequirements(countryCode, regionCode = null) {
+    const rule = await JurisdictionRules.resolve(countryCode, regionCode);
+
+    return {
+      jurisdiction: rule.code,
+      version: rule.version,
+      status: rule.status,
+      kycLevel: rule.requiredKycLevel,
+      taxReporting: rule.taxReporting,
+      gdprCompliance: rule.gdprCompliance,
+      licenses: rule.licenses,
+      maxBet: rule.maxBet,
+      realityCheckInterval: rule.realityCheckInterval,
+      blockedGames: rule.blockedGames,
+      blockedCategories: rule.blockedCategories,
+      bonuses: rule.bonuses
     };
-
-    return requirements[countryCode] || requirements['DEFAULT'];
   }
 
   // Generate compliance report
@@ -0,0 +1,276 @@
+const JurisdictionRule = require('../../models/JurisdictionRule');
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+const jurisdictionConfig = require('../../config/jurisdictions');
+
+// Rule fields, with the values a rule that leaves them out gets
+const RULE_DEFAULTS = {
+  name: null,
+  status: 'allowed',
+  blockedGames: [],
+  blockedCategories: [],
+  requiredKycLevel: 0,
+  maxBet: null,
+  realityCheckInterval: null,
+  taxReporting: false,
+  gdprCompliance: false,
+  licenses: []
+};
+
+const BONUS_DEFAULTS = {
+  allowed: true,
+  blockedTypes: [],
+  maxWageringRequirement: null
+};
+
+/**
+ * Jurisdiction rules: what players of a country or region may do.
+ *
+ * Rules are keyed by ISO 3166-1 country code (DE) or ISO 3166-2 region code
+ * (CA-ON). Built-in rules come from config/jurisdictions.js; a rule edited
+ * through the admin API is stored as a new JurisdictionRule version and
+ * replaces the built-in rule of its code. A player gets the rule of their
+ * region if there is one, otherwise that of their country, otherwise
+ * DEFAULT.
+ *
+ * Rules are enforced on registration, game play and launches, deposits,
+ * withdrawals and bonus claims.
+ */
+class JurisdictionRules {
+  // { rules: Map of code to rule, loadedAt }
+  static cache = null;
+
+  /**
+   * Rule fields of a config entry or stored version, defaults filled in
+   * @param {Object} rule - Config entry or JurisdictionRule document
+   * @param {string} source - default or stored
+   * @returns {Object} Rule
+   */
+  static normalize(rule, source) {
+    const plain = rule.toObject ? rule.toObject() : rule;
+    const normalized = { code: plain.code, version: plain.version || 0, source };
+
+    for (const field of Object.keys(RULE_DEFAULTS)) {
+      normalized[field] = plain[field] !== undefined ? plain[field] : RULE_DEFAULTS[field];
+    }
+    normalized.bonuses = { ...BONUS_DEFAULTS, ...(plain.bonuses || {}) };
+
+    return normalized;
+  }
+
+  /**
+   * Current rules by code, built-in rules overlaid with stored ones
+   * @param {Object} options - { fresh: skip the cache }
+   * @returns {Map} Rules by code
+   */
+  static async getRules({ fresh = false } = {}) {
+    if (!fresh && this.cache && Date.now() - this.cache.loadedAt < jurisdictionConfig.cacheTtl) {
+      return this.cache.rules;
+    }
+
+    const rules = new Map(jurisdictionConfig.rules.map(rule => [rule.code, this.normalize(rule, 'default')]));
+    const stored = await JurisdictionRule.find({ current: true }).lean();
+    for (const rule of stored) {
+      rules.set(rule.code, this.normalize(rule, 'stored'));
+    }
+
+    this.cache = { rules, loadedAt: Date.now() };
+    return rules;
+  }
+
+  /**
+   * Drop the cached rules
+   */
+  static invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * ISO 3166-2 code of a region given as ON or CA-ON
+   * @param {string} country - ISO 3166-1 country code
+   * @param {string} region - Region code
+   * @returns {string} Region code, or null
+   */
+  static regionCode(country, region) {
+    if (!region) {
+      return null;
+    }
+
+    const code = String(region).toUpperCase();
+    return code.includes('-') ? code : `${String(country).toUpperCase()}-${code}`;
+  }
+
+  /**
+   * Rule that applies in a country or region
+   * @param {string} country - ISO 3166-1 country code
+   * @param {string} region - ISO 3166-2 region code (optional)
+   * @returns {Object} Rule
+   */
+  static async resolve(country, region = null) {
+    const rules = await this.getRules();
+    const countryCode = String(country || '').toUpperCase();
+    const regionCode = this.regionCode(countryCode, region);
+
+    return (regionCode && rules.get(regionCode)) || rules.get(countryCode) || rules.get('DEFAULT');
+  }
+
+  /**
+   * Rule that applies to a user
+   * @param {Object} user - User document
+   * @returns {Object} Rule
+   */
+  static forUser(user) {
+    return this.resolve(user.country, user.region);
+  }
+
+  /**
+   * Check that a user may play a game, and stake an amount on it
+   * @param {Object} user - User document
+   * @param {Object} game - { slug, category }
+   * @param {Object} stake - { amount, currency } (optional)
+   * @returns {Object} Rule
+   */
+  static async assertCanPlay(user, game, stake = null) {
+    const rule = await this.forUser(user);
+
+    if (rule.status === 'blocked') {
+      throw new Error('Gaming is not available in your jurisdiction');
+    }
+    this.assertKycLevel(user, rule);
+
+    if (rule.blockedGames.includes(game.slug) || rule.blockedCategories.includes(game.category)) {
+      throw new Error('This game is not available in your jurisdiction');
+    }
+
+    if (stake && rule.maxBet !== null) {
+      const stakeUSD = await ExchangeRates.toUSD(stake.amount, stake.currency);
+      if (stakeUSD > rule.maxBet) {
+        throw new Error(`Maximum bet in your jurisdiction is ${rule.maxBet} USD`);
+      }
+    }
+
+    return rule;
+  }
+
+  /**
+   * Check that a user may deposit
+   * @param {Object} user - User document
+   * @returns {Object} Rule
+   */
+  static async assertCanDeposit(user) {
+    const rule = await this.forUser(user);
+
+    if (rule.status === 'blocked') {
+      throw new Error('Deposits are not available in your jurisdiction');
+    }
+    this.assertKycLevel(user, rule);
+
+    return rule;
+  }
+
+  /**
+   * Check that a user may withdraw. Players of blocked jurisdictions can
+   * still withdraw their funds.
+   * @param {Object} user - User document
+   * @returns {Object} Rule
+   */
+  static async assertCanWithdraw(user) {
+    const rule = await this.forUser(user);
+    this.assertKycLevel(user, rule);
+
+    return rule;
+  }
+
+  /**
+   * Check a user's KYC level against a rule
+   * @param {Object} user - User document
+   * @param {Object} rule - Rule
+   */
+  static assertKycLevel(user, rule) {
+    const level = (user.kyc && user.kyc.level) || 0;
+    if (level < rule.requiredKycLevel) {
+      throw new Error(`KYC level ${rule.requiredKycLevel} verification is required in your jurisdiction`);
+    }
+  }
+
+  /**
+   * Check whether a user's jurisdiction allows a bonus offer
+   * @param {Object} user - User document
+   * @param {Object} bonus - Bonus document
+   * @returns {boolean} True if allowed
+   */
+  static async allowsBonus(user, bonus) {
+    const rule = await this.forUser(user);
+    const { allowed, blockedTypes, maxWageringRequirement } = rule.bonuses;
+
+    if (rule.status === 'blocked' || !allowed || blockedTypes.includes(bonus.type)) {
+      return false;
+    }
+
+    return maxWageringRequirement === null || bonus.wageringRequirement <= maxWageringRequirement;
+  }
+
+  /**
+   * Store a new version of a jurisdiction's rule. Fields left out keep
+   * their current value, or the built-in rule's for a first version.
+   * @param {string} code - Jurisdiction code
+   * @param {Object} fields - Rule fields
+   * @param {Object} options - { adminId, reason }
+   * @returns {Object} JurisdictionRule document
+   */
+  static async update(code, fields, { adminId = null, reason = null } = {}) {
+    code = String(code).toUpperCase();
+
+    const current = await JurisdictionRule.findOne({ code, current: true });
+    const builtIn = jurisdictionConfig.rules.find(rule => rule.code === code);
+    const base = current ? this.normalize(current, 'stored') : this.normalize(builtIn || { code }, 'default');
+
+    const rule = new JurisdictionRule({
+      ...base,
+      ...Object.fromEntries(Object.keys(RULE_DEFAULTS)
+        .filter(field => fields[field] !== undefined)
+        .map(field => [field, fields[field]])),
+      bonuses: { ...base.bonuses, ...(fields.bonuses || {}) },
+      code,
+      version: current ? current.version + 1 : (await JurisdictionRule.countDocuments({ code })) + 1,
+      current: true,
+      reason,
+      createdBy: adminId
+    });
+    await rule.validate();
+
+    if (current) {
+      const superseded = await JurisdictionRule.updateOne({ _id: current._id, current: true }, { $set: { current: false } });
+      if (!superseded.modifiedCount) {
+        throw new Error('Rule was updated by another request');
+      }
+    }
+
+    try {
+      await rule.save();
+    } catch (error) {
+      if (current) {
+        await JurisdictionRule.updateOne({ _id: current._id }, { $set: { current: true } });
+      }
+      if (error.code === 11000) {
+        throw new Error('Rule was updated by another request');
+      }
+      throw error;
+    }
+
+    this.invalidate();
+    return rule;
+  }
+
+  /**
+   * Stored versions of a jurisdiction's rule, newest first
+   * @param {string} code - Jurisdiction code
+   * @returns {Array} JurisdictionRule documents
+   */
+  static getHistory(code) {
+    return JurisdictionRule.find({ code: String(code).toUpperCase() })
+      .sort({ version: -1 })
+      .populate('createdBy', 'username email');
+  }
+}
+
+module.exports = JurisdictionRules;
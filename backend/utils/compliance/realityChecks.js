@@ -0,0 +1,426 @@
+const User = require('../../models/User');
+const RealityCheck = require('../../models/RealityCheck');
+const Transaction = require('../../models/Transaction');
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+const JurisdictionRules = require('./jurisdictionRules');
+const ResponsibleGaming = require('./responsibleGaming');
+const { SecurityMonitor } = require('../securityMonitor');
+const responsibleGamingConfig = require('../../config/responsibleGaming');
+
+const ACTIONS = ['continue', 'stop', 'set_limit'];
+
+/**
+ * Reality checks: at a set interval of play, the player is shown how long
+ * they have played and what they have won or lost, and bets are refused
+ * until they answer the check.
+ *
+ * A play session starts with the first bet and ends after `idleTimeout`
+ * minutes without one. The interval is the player's own, or the platform
+ * default; a jurisdiction with a `realityCheckInterval` caps it. Due checks
+ * are found by a scan every `pollInterval` seconds and pushed to the
+ * player's sockets as `reality_check`. The player answers over the REST API
+ * or the socket with `continue`, `stop` (ends the session) or `set_limit`
+ * (sets responsible gaming limits, then continues); every check and answer
+ * is kept in RealityCheck.
+ */
+class RealityChecks {
+  /**
+   * @param {Object} options - { pollInterval (ms), idleTimeout (ms), defaultInterval (minutes) }
+   */
+  constructor({ pollInterval = null, idleTimeout = null, defaultInterval = null } = {}) {
+    const config = responsibleGamingConfig.realityCheck;
+    this.pollInterval = pollInterval !== null ? pollInterval : config.pollInterval * 1000;
+    this.idleTimeout = idleTimeout !== null ? idleTimeout : config.idleTimeout * 60 * 1000;
+    this.defaultInterval = defaultInterval !== null ? defaultInterval : config.defaultInterval;
+    this.timer = null;
+    this.scanning = null;
+  }
+
+  /**
+   * Start the schedule. Does nothing when the poll interval is 0.
+   */
+  start() {
+    if (this.timer || !this.pollInterval) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.scan().catch(error => console.error('Error scanning reality checks:', error));
+    }, this.pollInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Issue the checks that are due. Calls made while a scan is running
+   * share it.
+   * @returns {Array} Issued RealityCheck documents
+   */
+  async scan() {
+    if (!this.scanning) {
+      this.scanning = this.runScan().finally(() => {
+        this.scanning = null;
+      });
+    }
+
+    return this.scanning;
+  }
+
+  async runScan() {
+    const now = new Date();
+
+    // Players who bet within the idle timeout, with their first bet in that window
+    const active = await Transaction.aggregate([
+      {
+        $match: {
+          type: 'bet',
+          createdAt: { $gte: new Date(now - this.idleTimeout) }
+        }
+      },
+      {
+        $group: {
+          _id: '$userId',
+          firstBetAt: { $min: '$createdAt' }
+        }
+      }
+    ]);
+    const activeIds = active.map(player => player._id);
+
+    // Everyone else has ended their session
+    await User.updateMany(
+      {
+        _id: { $nin: activeIds },
+        'responsibleGaming.realityCheck.sessionStartedAt': { $ne: null }
+      },
+      {
+        $set: {
+          'responsibleGaming.realityCheck.sessionStartedAt': null,
+          'responsibleGaming.realityCheck.lastCheckAt': null
+        }
+      }
+    );
+
+    const firstBets = new Map(active.map(player => [player._id.toString(), player.firstBetAt]));
+    const users = await User.find({ _id: { $in: activeIds } })
+      .select('country region responsibleGaming');
+
+    const issued = [];
+    for (const user of users) {
+      try {
+        const state = user.responsibleGaming.realityCheck;
+        if (state.pending) {
+          continue;
+        }
+
+        if (!state.sessionStartedAt) {
+          state.sessionStartedAt = firstBets.get(user._id.toString());
+          await User.updateOne(
+            { _id: user._id, 'responsibleGaming.realityCheck.sessionStartedAt': null },
+            { $set: { 'responsibleGaming.realityCheck.sessionStartedAt': state.sessionStartedAt } }
+          );
+        }
+
+        const interval = await this.getInterval(user);
+        const since = state.lastCheckAt || state.sessionStartedAt;
+        if (interval && now - since >= interval * 60 * 1000) {
+          const check = await this.issue(user, interval);
+          if (check) {
+            issued.push(check);
+          }
+        }
+      } catch (error) {
+        console.error(`Error issuing reality check for user ${user._id}:`, error);
+      }
+    }
+
+    return issued;
+  }
+
+  /**
+   * Reality check interval in force for a user: their own or the platform
+   * default, capped by their jurisdiction's
+   * @param {Object} user - User document
+   * @returns {number} Minutes; 0 when reality checks are off
+   */
+  async getInterval(user) {
+    const chosen = user.responsibleGaming?.realityCheck?.interval;
+    const interval = chosen !== null && chosen !== undefined ? chosen : this.defaultInterval;
+
+    const rule = await JurisdictionRules.forUser(user);
+    if (rule.realityCheckInterval) {
+      return interval ? Math.min(interval, rule.realityCheckInterval) : rule.realityCheckInterval;
+    }
+
+    return interval;
+  }
+
+  /**
+   * Set a user's reality check interval
+   * @param {string} userId - User ID
+   * @param {number} interval - Minutes; 0 turns reality checks off
+   * @returns {number} Interval in force
+   */
+  async updateInterval(userId, interval) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const rule = await JurisdictionRules.forUser(user);
+    if (rule.realityCheckInterval && (!interval || interval > rule.realityCheckInterval)) {
+      throw new Error(`Reality checks are required at least every ${rule.realityCheckInterval} minutes in your jurisdiction`);
+    }
+
+    user.responsibleGaming.realityCheck.interval = interval;
+    await user.save();
+
+    await SecurityMonitor.logEvent({
+      userId,
+      eventType: 'limits_updated',
+      severity: 'low',
+      description: 'User updated reality check interval',
+      metadata: {
+        additionalData: { realityCheckInterval: interval }
+      }
+    });
+
+    return this.getInterval(user);
+  }
+
+  /**
+   * Issue a reality check to a user and push it to their sockets. Returns
+   * null if another check was issued first.
+   * @param {Object} user - User document
+   * @param {number} interval - Interval in force, minutes
+   * @returns {Object} RealityCheck document
+   */
+  async issue(user, interval) {
+    const session = await this.getSessionStats(user._id, user.responsibleGaming.realityCheck.sessionStartedAt);
+    const check = new RealityCheck({ userId: user._id, interval, session });
+
+    const claimed = await User.updateOne(
+      { _id: user._id, 'responsibleGaming.realityCheck.pending': null },
+      { $set: { 'responsibleGaming.realityCheck.pending': check._id } }
+    );
+    if (!claimed.modifiedCount) {
+      return null;
+    }
+
+    try {
+      await check.save();
+    } catch (error) {
+      await User.updateOne(
+        { _id: user._id, 'responsibleGaming.realityCheck.pending': check._id },
+        { $set: { 'responsibleGaming.realityCheck.pending': null } }
+      );
+      throw error;
+    }
+
+    await SecurityMonitor.logEvent({
+      userId: user._id,
+      eventType: 'reality_check',
+      severity: 'low',
+      description: 'Reality check issued',
+      metadata: {
+        additionalData: { realityCheckId: check._id, interval, ...session }
+      }
+    });
+
+    this.notify(user._id, 'reality_check', this.toPayload(check));
+    return check;
+  }
+
+  /**
+   * Record a user's answer to their pending reality check
+   * @param {string} userId - User ID
+   * @param {Object} answer - { action: continue, stop or set_limit, limits }
+   * @param {Object} context - { channel: api or socket, ipAddress, userAgent }
+   * @returns {Object} RealityCheck document
+   */
+  async acknowledge(userId, { action, limits = null }, { channel = 'api', ipAddress, userAgent } = {}) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error('Action must be continue, stop or set_limit');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const checkId = user.responsibleGaming.realityCheck.pending;
+    if (!checkId) {
+      throw new Error('No reality check is waiting for an answer');
+    }
+
+    if (action === 'set_limit') {
+      limits = Object.fromEntries(Object.entries(limits || {})
+        .filter(([field, value]) => ResponsibleGaming.LIMIT_FIELDS.includes(field) && Number.isFinite(value) && value >= 0));
+      if (!Object.keys(limits).length) {
+        throw new Error('At least one limit is required');
+      }
+
+      const result = await ResponsibleGaming.updateLimits(userId, limits);
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+    }
+
+    const check = await RealityCheck.findOneAndUpdate(
+      { _id: checkId, status: 'pending' },
+      {
+        $set: {
+          status: 'acknowledged',
+          response: { action, limits, channel, ipAddress, userAgent, respondedAt: new Date() }
+        }
+      },
+      { new: true }
+    );
+
+    // Cleared even when the check was answered first elsewhere, so a lost
+    // check cannot block the user; a stop ends the play session and the
+    // next bet starts a new one
+    const state = action === 'stop'
+      ? { sessionStartedAt: null, lastCheckAt: null }
+      : { lastCheckAt: new Date() };
+    await User.updateOne(
+      { _id: userId, 'responsibleGaming.realityCheck.pending': checkId },
+      {
+        $set: {
+          'responsibleGaming.realityCheck.pending': null,
+          ...Object.fromEntries(Object.entries(state).map(([field, value]) => [`responsibleGaming.realityCheck.${field}`, value]))
+        }
+      }
+    );
+
+    if (!check) {
+      throw new Error('Reality check was already answered');
+    }
+
+    await SecurityMonitor.logEvent({
+      userId,
+      eventType: 'reality_check_acknowledged',
+      severity: 'low',
+      description: `User answered reality check: ${action}`,
+      metadata: {
+        ipAddress,
+        userAgent,
+        additionalData: { realityCheckId: check._id, action, limits, channel }
+      }
+    });
+
+    // Lets the user's other tabs and devices dismiss the check
+    this.notify(userId, 'reality_check:acknowledged', { id: check._id, action });
+    return check;
+  }
+
+  /**
+   * A user's reality check state: the pending check, the interval and the
+   * current session
+   * @param {string} userId - User ID
+   * @returns {Object} Status
+   */
+  async getStatus(userId) {
+    const user = await User.findById(userId).select('country region responsibleGaming');
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const state = user.responsibleGaming.realityCheck;
+    const interval = await this.getInterval(user);
+    const pending = state.pending ? await RealityCheck.findById(state.pending) : null;
+    const since = state.lastCheckAt || state.sessionStartedAt;
+
+    return {
+      interval,
+      pending: pending ? this.toPayload(pending) : null,
+      session: state.sessionStartedAt ? await this.getSessionStats(user._id, state.sessionStartedAt) : null,
+      nextCheckAt: interval && since && !pending ? new Date(since.getTime() + interval * 60 * 1000) : null
+    };
+  }
+
+  /**
+   * Summary of a user's play since a time, in USD
+   * @param {string} userId - User ID
+   * @param {Date} since - Session start
+   * @returns {Object} { startedAt, duration (minutes), bets, totalBet, totalWin, netResult }
+   */
+  async getSessionStats(userId, since) {
+    const totals = await Transaction.aggregate([
+      {
+        $match: {
+          userId,
+          type: { $in: ['bet', 'win'] },
+          status: 'completed',
+          createdAt: { $gte: since }
+        }
+      },
+      {
+        $group: {
+          _id: { type: '$type', currency: '$currency' },
+          amount: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const sum = type => ExchangeRates.sumInUSD(Object.fromEntries(
+      totals.filter(total => total._id.type === type).map(total => [total._id.currency, total.amount])
+    ));
+    const totalBet = await sum('bet');
+    const totalWin = await sum('win');
+
+    return {
+      startedAt: since,
+      duration: Math.floor((Date.now() - since.getTime()) / (60 * 1000)),
+      bets: totals.filter(total => total._id.type === 'bet').reduce((count, total) => count + total.count, 0),
+      totalBet,
+      totalWin,
+      netResult: totalWin - totalBet
+    };
+  }
+
+  /**
+   * Refuse a bet while the user has a reality check to answer
+   * @param {Object} user - User document
+   */
+  assertNoPendingCheck(user) {
+    if (user.responsibleGaming?.realityCheck?.pending) {
+      throw new Error('Please answer the reality check before placing another bet');
+    }
+  }
+
+  /**
+   * Client payload of a check
+   * @param {Object} check - RealityCheck document
+   * @returns {Object} Payload
+   */
+  toPayload(check) {
+    return {
+      id: check._id,
+      issuedAt: check.createdAt,
+      interval: check.interval,
+      session: check.session,
+      actions: ACTIONS
+    };
+  }
+
+  /**
+   * Push an event to a user's sockets
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  notify(userId, event, data) {
+    const SocketServer = require('../../realtime/socketServer');
+    SocketServer.emitToUser(userId, event, data);
+  }
+}
+
+module.exports = new RealityChecks();
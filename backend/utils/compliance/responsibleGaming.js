@@ -1,105 +1,264 @@
 const User = require('../../models/User');
 const GameSession = require('../../models/GameSession');
 const Transaction = require('../../models/Transaction');
+const LimitChange = require('../../models/LimitChange');
 const { SecurityMonitor } = require('../securityMonitor');
+const ExchangeRates = require('../../payments/rates/exchangeRates');
+const responsibleGamingConfig = require('../../config/responsibleGaming');
+const ExclusionRegister = require('./exclusion/exclusionRegister');
+
+// Periods of the deposit, loss and wager limits
+const PERIODS = ['daily', 'weekly', 'monthly'];
+const PERIOD_NAMES = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+const PERIOD_LIMIT = /^(daily|weekly|monthly)(Deposit|Loss|Wager)$/;
+
+// Limits a user can set; increases of the cooled ones wait out the cooling period
+const LIMIT_FIELDS = [...LimitChange.COOLED_LIMITS, 'dailyWithdrawal'];
 
 class ResponsibleGaming {
   
-  // Check if user has exceeded daily deposit limit
-  static async checkDailyDepositLimit(userId, amount) {
+  // Self-exclusion registers, created from config/exclusionRegistry.js on
+  // first use
+  static register = null;
+
+  static getRegister() {
+    if (!this.register) {
+      this.register = new ExclusionRegister();
+    }
+    return this.register;
+  }
+
+  // Start of the current calendar day, week (from Monday) or month
+  static periodStart(period, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+
+    if (period === 'weekly') {
+      start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    } else if (period === 'monthly') {
+      start.setDate(1);
+    }
+
+    return start;
+  }
+
+  // Sum a user's completed transactions of some types per limit period, in USD:
+  // { daily: { bet, win }, weekly: { ... }, monthly: { ... } }
+  // A held deposit counts in the period it was released in. A fiat deposit
+  // counts while pending too, as its provider confirms it without a new check.
+  static async getPeriodTotalsUSD(userId, types) {
+    const now = new Date();
+    const starts = Object.fromEntries(PERIODS.map(period => [period, this.periodStart(period, now)]));
+    const earliest = new Date(Math.min(...Object.values(starts)));
+
+    const totals = await Transaction.aggregate([
+      {
+        $match: {
+          userId,
+          type: { $in: types },
+          $and: [
+            {
+              $or: [
+                { status: 'completed' },
+                { type: 'deposit', status: 'pending', 'metadata.providerTransactionId': { $exists: true } }
+              ]
+            },
+            {
+              $or: [
+                { createdAt: { $gte: earliest } },
+                { 'metadata.releasedAt': { $gte: earliest } }
+              ]
+            }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { type: '$type', currency: '$currency' },
+          ...Object.fromEntries(PERIODS.map(period => [period, {
+            $sum: {
+              $cond: [{ $gte: [{ $ifNull: ['$metadata.releasedAt', '$createdAt'] }, starts[period]] }, '$amount', 0]
+            }
+          }]))
+        }
+      }
+    ]);
+
+    const result = {};
+    for (const period of PERIODS) {
+      result[period] = {};
+      for (const type of types) {
+        result[period][type] = await ExchangeRates.sumInUSD(Object.fromEntries(
+          totals.filter(total => total._id.type === type).map(total => [total._id.currency, total[period]])
+        ));
+      }
+    }
+
+    return result;
+  }
+
+  // Sum today's transactions of a type across currencies, in USD
+  static async getTodayTotalUSD(userId, type, statuses) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    const totals = await Transaction.aggregate([
+      {
+        $match: {
+          userId,
+          type,
+          status: { $in: statuses },
+          createdAt: { $gte: today, $lt: tomorrow }
+        }
+      },
+      {
+        $group: {
+          _id: '$currency',
+          totalAmount: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    return ExchangeRates.sumInUSD(
+      Object.fromEntries(totals.map(total => [total._id, total.totalAmount]))
+    );
+  }
+
+  // Check a deposit against the user's daily, weekly and monthly deposit limits (USD)
+  // Pass logExceeded: false when re-checking a deposit already refused
+  static async checkDepositLimit(userId, amount, currency = 'USD', { logExceeded = true } = {}) {
     try {
       const user = await User.findById(userId);
       if (!user) return { allowed: false, reason: 'User not found' };
 
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-
-      // Get today's deposits
-      const todayDeposits = await Transaction.aggregate([
-        {
-          $match: {
-            userId: user._id,
-            type: 'deposit',
-            status: 'completed',
-            createdAt: { $gte: today, $lt: tomorrow }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalAmount: { $sum: '$amount' }
-          }
-        }
-      ]);
+      await this.applyDueLimitChanges(user);
 
-      const todayTotal = todayDeposits[0]?.totalAmount || 0;
-      const dailyLimit = user.limits.dailyDeposit;
+      const periods = PERIODS.filter(period => this.readLimit(user, `${period}Deposit`) !== null);
+      if (!periods.length) {
+        return { allowed: true };
+      }
 
-      if (todayTotal + amount > dailyLimit) {
-        await SecurityMonitor.logEvent({
-          userId,
-          eventType: 'deposit_limit_exceeded',
-          severity: 'medium',
-          description: `User attempted to exceed daily deposit limit`,
-          metadata: {
-            attemptedAmount: amount,
-            todayTotal,
-            dailyLimit,
-            exceedBy: (todayTotal + amount) - dailyLimit
+      const totals = await this.getPeriodTotalsUSD(user._id, ['deposit']);
+      const amountUSD = await ExchangeRates.toUSD(amount, currency);
+
+      for (const period of periods) {
+        const total = totals[period].deposit;
+        const limit = this.readLimit(user, `${period}Deposit`);
+
+        if (total + amountUSD > limit) {
+          if (logExceeded) {
+            await SecurityMonitor.logEvent({
+              userId,
+              eventType: 'deposit_limit_exceeded',
+              severity: 'medium',
+              description: `User attempted to exceed ${period} deposit limit`,
+              metadata: {
+                additionalData: {
+                  period,
+                  attemptedAmount: amount,
+                  currency,
+                  attemptedAmountUSD: amountUSD,
+                  total,
+                  limit,
+                  exceedBy: (total + amountUSD) - limit
+                }
+              }
+            });
           }
-        });
 
-        return {
-          allowed: false,
-          reason: 'Daily deposit limit exceeded',
-          currentTotal: todayTotal,
-          limit: dailyLimit,
-          remaining: Math.max(0, dailyLimit - todayTotal)
-        };
+          return {
+            allowed: false,
+            reason: `${PERIOD_NAMES[period]} deposit limit exceeded`,
+            period,
+            currentTotal: total,
+            limit,
+            remaining: Math.max(0, limit - total)
+          };
+        }
       }
 
       return { allowed: true };
     } catch (error) {
-      console.error('Error checking daily deposit limit:', error);
+      console.error('Error checking deposit limit:', error);
       return { allowed: false, reason: 'System error' };
     }
   }
 
-  // Check if user has exceeded daily withdrawal limit
-  static async checkDailyWithdrawalLimit(userId, amount) {
+  // The first deposit limit used up for its period, or null. No deposit
+  // address or method is handed out while one is.
+  static async getExhaustedDepositLimit(user) {
+    await this.applyDueLimitChanges(user);
+
+    const periods = PERIODS.filter(period => this.readLimit(user, `${period}Deposit`) !== null);
+    if (!periods.length) {
+      return null;
+    }
+
+    const totals = await this.getPeriodTotalsUSD(user._id, ['deposit']);
+    const period = periods.find(period => totals[period].deposit >= this.readLimit(user, `${period}Deposit`));
+
+    return period
+      ? { period, limit: this.readLimit(user, `${period}Deposit`), reason: `${PERIOD_NAMES[period]} deposit limit reached` }
+      : null;
+  }
+
+  // Refuse a bet that would break the user's loss, wager or session time
+  // limits. Checked by every bet path, in-house games and provider debits.
+  static async checkBetLimits(user, amount, currency) {
+    await this.applyDueLimitChanges(user);
+
+    const limits = PERIODS.flatMap(period => ['Loss', 'Wager'].map(kind => ({
+      period,
+      kind,
+      limit: this.readLimit(user, `${period}${kind}`)
+    }))).filter(({ limit }) => limit !== null);
+
+    if (limits.length) {
+      const totals = await this.getPeriodTotalsUSD(user._id, ['bet', 'win']);
+      const amountUSD = await ExchangeRates.toUSD(amount, currency);
+
+      for (const { period, kind, limit } of limits) {
+        const { bet, win } = totals[period];
+        // A bet counts towards the loss limit as if it were lost
+        const used = kind === 'Loss' ? bet - win : bet;
+
+        if (used + amountUSD > limit) {
+          throw new Error(`${PERIOD_NAMES[period]} ${kind.toLowerCase()} limit reached`);
+        }
+      }
+    }
+
+    // Session time limit, in minutes since login
+    const sessionTime = user.limits && user.limits.sessionTime;
+    if (sessionTime > 0 && user.lastLogin && Date.now() - user.lastLogin.getTime() > sessionTime * 60 * 1000) {
+      throw new Error('Session time limit exceeded');
+    }
+  }
+
+  // A user's limit; null when there is none
+  static readLimit(user, field) {
+    const value = user.limits ? user.limits[field] : null;
+    return value === undefined ? null : value;
+  }
+
+  // Check if user has exceeded daily withdrawal limit (limits are in USD)
+  static async checkDailyWithdrawalLimit(userId, amount, currency = 'USD') {
     try {
       const user = await User.findById(userId);
       if (!user) return { allowed: false, reason: 'User not found' };
 
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
-
       // Get today's withdrawals
-      const todayWithdrawals = await Transaction.aggregate([
-        {
-          $match: {
-            userId: user._id,
-            type: 'withdrawal',
-            status: { $in: ['completed', 'processing', 'pending'] },
-            createdAt: { $gte: today, $lt: tomorrow }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalAmount: { $sum: '$amount' }
-          }
-        }
-      ]);
-
-      const todayTotal = todayWithdrawals[0]?.totalAmount || 0;
+      const todayTotal = await this.getTodayTotalUSD(
+        user._id,
+        'withdrawal',
+        ['completed', 'processing', 'pending']
+      );
+      const amountUSD = await ExchangeRates.toUSD(amount, currency);
       const dailyLimit = user.limits.dailyWithdrawal;
 
-      if (todayTotal + amount > dailyLimit) {
+      if (todayTotal + amountUSD > dailyLimit) {
         return {
           allowed: false,
           reason: 'Daily withdrawal limit exceeded',
@@ -162,50 +321,99 @@ class ResponsibleGaming {
     }
   }
 
-  // Check if user is in self-exclusion period
+  // Check if user is in self-exclusion period, here or on a self-exclusion register
   static async checkSelfExclusion(userId) {
     try {
       const user = await User.findById(userId);
       if (!user) return { excluded: true, reason: 'User not found' };
 
-      const now = new Date();
+      return await this.getSelfExclusion(user);
+    } catch (error) {
+      console.error('Error checking self-exclusion:', error);
+      return { excluded: true, reason: 'System error' };
+    }
+  }
 
-      // Check permanent self-exclusion
-      if (user.responsibleGaming.selfExclusion.permanent) {
-        return {
-          excluded: true,
-          reason: 'Permanent self-exclusion',
-          type: 'permanent'
-        };
-      }
+  // Self-exclusion of a user: their own, then the registers'. A register
+  // that cannot be reached counts as an exclusion.
+  static async getSelfExclusion(user) {
+    const now = new Date();
+    const { selfExclusion, coolingOff } = user.responsibleGaming;
 
-      // Check temporary self-exclusion
-      if (user.responsibleGaming.selfExclusion.until && 
-          user.responsibleGaming.selfExclusion.until > now) {
-        return {
-          excluded: true,
-          reason: 'Temporary self-exclusion',
-          type: 'temporary',
-          until: user.responsibleGaming.selfExclusion.until
-        };
-      }
+    // Check permanent self-exclusion
+    if (selfExclusion.permanent) {
+      return {
+        excluded: true,
+        reason: 'Permanent self-exclusion',
+        type: 'permanent'
+      };
+    }
 
-      // Check cooling-off period
-      if (user.responsibleGaming.coolingOff.until && 
-          user.responsibleGaming.coolingOff.until > now) {
-        return {
-          excluded: true,
-          reason: 'Cooling-off period',
-          type: 'cooling-off',
-          until: user.responsibleGaming.coolingOff.until
-        };
-      }
+    // Check temporary self-exclusion
+    if (selfExclusion.until && selfExclusion.until > now) {
+      return {
+        excluded: true,
+        reason: 'Temporary self-exclusion',
+        type: 'temporary',
+        until: selfExclusion.until
+      };
+    }
 
-      return { excluded: false };
-    } catch (error) {
-      console.error('Error checking self-exclusion:', error);
-      return { excluded: true, reason: 'System error' };
+    // Check cooling-off period
+    if (coolingOff.until && coolingOff.until > now) {
+      return {
+        excluded: true,
+        reason: 'Cooling-off period',
+        type: 'cooling-off',
+        until: coolingOff.until
+      };
+    }
+
+    const registry = await this.getRegister().check(user);
+    if (registry.excluded) {
+      return {
+        excluded: true,
+        reason: 'Self-exclusion register',
+        type: 'registry',
+        registry: registry.registry,
+        until: registry.until
+      };
+    }
+    if (registry.incomplete) {
+      return {
+        excluded: true,
+        reason: 'Name and postcode needed for the self-exclusion register',
+        type: 'incomplete'
+      };
+    }
+    if (registry.unavailable) {
+      return {
+        excluded: true,
+        reason: 'Self-exclusion register unavailable',
+        type: 'unavailable'
+      };
+    }
+
+    return { excluded: false };
+  }
+
+  // Refuse deposits and bets of a self-excluded user
+  static async assertNotSelfExcluded(user) {
+    const exclusion = await this.getSelfExclusion(user);
+    if (!exclusion.excluded) {
+      return;
+    }
+
+    if (exclusion.type === 'registry') {
+      throw new Error('You are registered with a self-exclusion scheme');
+    }
+    if (exclusion.type === 'unavailable') {
+      throw new Error('Self-exclusion checks are unavailable, please try again later');
+    }
+    if (exclusion.type === 'incomplete') {
+      throw new Error('Your first name, last name and postcode are needed for self-exclusion checks');
     }
+    throw new Error(exclusion.type === 'cooling-off' ? 'Account is in a cooling-off period' : 'Account is self-excluded');
   }
 
   // Detect problem gambling patterns
@@ -399,65 +607,6 @@ class ResponsibleGaming {
     return recommendations[riskLevel] || recommendations.minimal;
   }
 
-  // Send reality check notification
-  static async sendRealityCheck(userId) {
-    try {
-      const user = await User.findById(userId);
-      if (!user) return false;
-
-      const sessionStart = user.lastLogin;
-      const now = new Date();
-      const sessionDuration = Math.floor((now - sessionStart) / (1000 * 60)); // minutes
-
-      // Get session statistics
-      const sessionStats = await GameSession.aggregate([
-        {
-          $match: {
-            userId: user._id,
-            startTime: { $gte: sessionStart }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalBet: { $sum: '$betAmount' },
-            totalWin: { $sum: '$winAmount' },
-            gamesPlayed: { $sum: 1 }
-          }
-        }
-      ]);
-
-      const stats = sessionStats[0] || { totalBet: 0, totalWin: 0, gamesPlayed: 0 };
-      const netResult = stats.totalWin - stats.totalBet;
-
-      await SecurityMonitor.logEvent({
-        userId,
-        eventType: 'reality_check',
-        severity: 'low',
-        description: 'Reality check notification sent',
-        metadata: {
-          sessionDuration,
-          gamesPlayed: stats.gamesPlayed,
-          totalBet: stats.totalBet,
-          totalWin: stats.totalWin,
-          netResult
-        }
-      });
-
-      return {
-        sessionDuration,
-        gamesPlayed: stats.gamesPlayed,
-        totalBet: stats.totalBet,
-        totalWin: stats.totalWin,
-        netResult
-      };
-
-    } catch (error) {
-      console.error('Error sending reality check:', error);
-      return false;
-    }
-  }
-
   // Apply self-exclusion
   static async applySelfExclusion(userId, type, duration = null) {
     try {
@@ -482,6 +631,13 @@ class ResponsibleGaming {
       user.status = 'suspended';
       await user.save();
 
+      // Other operators learn of self-exclusions through the registers that take them
+      if (type !== 'cooling-off') {
+        await this.getRegister().report(user, {
+          until: type === 'temporary' ? user.responsibleGaming.selfExclusion.until : null
+        });
+      }
+
       await SecurityMonitor.logEvent({
         userId,
         eventType: 'self_exclusion_applied',
@@ -503,42 +659,128 @@ class ResponsibleGaming {
     }
   }
 
-  // Update user limits
+  // Whether changing a limit raises it; no limit (null, or a session time of 0) is the highest
+  static isIncrease(field, from, to) {
+    const level = value => (value === null || value === undefined || (field === 'sessionTime' && value === 0) ? Infinity : value);
+    return level(to) > level(from);
+  }
+
+  // Apply a user's raised limits whose cooling period has passed
+  static async applyDueLimitChanges(user) {
+    const due = await LimitChange.find({
+      userId: user._id,
+      status: 'pending',
+      effectiveAt: { $lte: new Date() }
+    }).sort({ effectiveAt: 1 });
+
+    for (const change of due) {
+      const applied = await LimitChange.updateOne(
+        { _id: change._id, status: 'pending' },
+        { $set: { status: 'applied', appliedAt: new Date() } }
+      );
+
+      if (applied.modifiedCount) {
+        await User.updateOne({ _id: user._id }, { $set: { [`limits.${change.limit}`]: change.to } });
+        user.limits[change.limit] = change.to;
+      }
+    }
+  }
+
+  // Update user limits. Lowered limits apply at once; raised or removed
+  // ones wait out the cooling period as a pending LimitChange. A new change
+  // of a limit replaces its pending one.
   static async updateLimits(userId, limits) {
     try {
       const user = await User.findById(userId);
       if (!user) return { success: false, message: 'User not found' };
 
-      // Validate limits
+      await this.applyDueLimitChanges(user);
+
+      const now = new Date();
+      const effectiveAt = new Date(now.getTime() + responsibleGamingConfig.limits.increaseCoolingPeriod * 60 * 60 * 1000);
       const validLimits = {};
-      if (limits.dailyDeposit !== undefined && limits.dailyDeposit >= 0) {
-        validLimits['limits.dailyDeposit'] = limits.dailyDeposit;
-      }
-      if (limits.dailyWithdrawal !== undefined && limits.dailyWithdrawal >= 0) {
-        validLimits['limits.dailyWithdrawal'] = limits.dailyWithdrawal;
-      }
-      if (limits.sessionTime !== undefined && limits.sessionTime >= 0) {
-        validLimits['limits.sessionTime'] = limits.sessionTime;
+      const pending = [];
+
+      for (const field of LIMIT_FIELDS) {
+        if (limits[field] === undefined) continue;
+
+        // Invalid values are ignored; deposit, loss and wager limits can be removed with null
+        const removable = PERIOD_LIMIT.test(field);
+        const value = limits[field] === null ? null : Number(limits[field]);
+        if (value === null ? !removable : !(value >= 0)) {
+          continue;
+        }
+
+        await LimitChange.updateMany(
+          { userId: user._id, limit: field, status: 'pending' },
+          { $set: { status: 'cancelled', cancelledAt: now } }
+        );
+
+        const current = this.readLimit(user, field);
+        if (value === current) continue;
+
+        if (LimitChange.COOLED_LIMITS.includes(field) && this.isIncrease(field, current, value)) {
+          pending.push(await LimitChange.create({ userId: user._id, limit: field, from: current, to: value, effectiveAt }));
+        } else {
+          validLimits[`limits.${field}`] = value;
+        }
       }
 
-      await User.findByIdAndUpdate(userId, { $set: validLimits });
+      if (Object.keys(validLimits).length) {
+        await User.updateOne({ _id: user._id }, { $set: validLimits });
+      }
 
       await SecurityMonitor.logEvent({
         userId,
         eventType: 'limits_updated',
         severity: 'low',
         description: 'User updated responsible gaming limits',
-        metadata: { limits: validLimits }
+        metadata: {
+          additionalData: {
+            limits: validLimits,
+            pending: pending.map(change => ({ limit: change.limit, to: change.to, effectiveAt: change.effectiveAt }))
+          }
+        }
       });
 
-      return { success: true, message: 'Limits updated successfully' };
+      return {
+        success: true,
+        message: pending.length
+          ? 'Limits updated; raised limits apply after the cooling period'
+          : 'Limits updated successfully',
+        pending: pending.map(change => ({ limit: change.limit, value: change.to, effectiveAt: change.effectiveAt }))
+      };
 
     } catch (error) {
       console.error('Error updating limits:', error);
       return { success: false, message: 'System error' };
     }
   }
+
+  // A user's limits, each with its current value and pending raise
+  static async getLimits(userId) {
+    const user = await User.findById(userId).select('limits');
+    if (!user) return null;
+
+    await this.applyDueLimitChanges(user);
+
+    const pending = await LimitChange.find({ userId: user._id, status: 'pending' });
+    const limits = Object.fromEntries(LIMIT_FIELDS.map(field => {
+      const change = pending.find(candidate => candidate.limit === field);
+      return [field, {
+        current: this.readLimit(user, field),
+        pending: change ? { value: change.to, requestedAt: change.createdAt, effectiveAt: change.effectiveAt } : null
+      }];
+    }));
+
+    return {
+      limits,
+      coolingPeriod: responsibleGamingConfig.limits.increaseCoolingPeriod
+    };
+  }
 }
 
+ResponsibleGaming.LIMIT_FIELDS = LIMIT_FIELDS;
+
 module.exports = ResponsibleGaming;
 
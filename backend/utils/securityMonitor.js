@@ -1,11 +1,13 @@
 const mongoose = require('mongoose');
+const securityConfig = require('../config/security');
+const ExchangeRates = require('../payments/rates/exchangeRates');
 
 // Security Event Schema
 const SecurityEventSchema = new mongoose.Schema({
+  // Absent for events not tied to an account, such as rejected webhooks
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   eventType: {
     type: String,
@@ -23,6 +25,24 @@ const SecurityEventSchema = new mongoose.Schema({
       'kyc_update',
       'large_transaction',
       'withdrawal_request',
+      'deposit_completed',
+      'deposit_reorg',
+      'webhook_rejected',
+      'provider_callback_rejected',
+      'geolocation_verified',
+      'geolocation_check_failed',
+      'geolocation_validation_error',
+      'vpn_proxy_detected',
+      'restricted_jurisdiction_access',
+      'high_risk_jurisdiction_access',
+      'rapid_location_change',
+      'multiple_countries_detected',
+      'limits_updated',
+      'deposit_limit_exceeded',
+      'self_exclusion_applied',
+      'self_exclusion_register_match',
+      'reality_check',
+      'reality_check_acknowledged',
       'api_abuse'
     ],
     required: true
@@ -176,7 +196,7 @@ class SecurityMonitor {
    * @param {string} currency - Currency
    */
   static async logLargeTransaction(userId, transactionType, amount, currency) {
-    const threshold = this.getLargeTransactionThreshold(currency);
+    const threshold = await this.getLargeTransactionThreshold(currency);
     
     if (amount >= threshold) {
       await this.logEvent({
@@ -396,15 +416,16 @@ class SecurityMonitor {
    * @param {string} currency - Currency code
    * @returns {number} Threshold amount
    */
-  static getLargeTransactionThreshold(currency) {
-    const thresholds = {
-      BTC: 0.1,
-      ETH: 1,
-      USDT: 1000,
-      USD: 1000
-    };
+  static async getLargeTransactionThreshold(currency) {
+    const thresholdUSD = securityConfig.transactionMonitoring.largeTransactionThresholdUSD;
 
-    return thresholds[currency] || 1000;
+    try {
+      return await ExchangeRates.fromUSD(thresholdUSD, currency);
+    } catch (error) {
+      // Without a rate, report every transaction rather than none
+      console.error('Error converting large transaction threshold:', error.message);
+      return 0;
+    }
   }
 
   /**